@@ -1,195 +1,243 @@
 const fs = require('fs');
-const readline = require('readline');
+const path = require('path');
 
 /**
- * Read the contents of a file and return each line as an array element.
+ * The fields of every species in the combined pokedex, in the order that they are written.
+ * @type {string[]}
+ */
+const pokedexFields = ['pkdxNum', 'types', 'hp', 'atk', 'def', 'sp.atk', 'sp.def', 'spe', 'abilities'];
+
+/**
+ * The fields of a species that must be whole numbers.
+ * @type {string[]}
+ */
+const numericFields = ['pkdxNum', 'hp', 'atk', 'def', 'sp.atk', 'sp.def', 'spe'];
+
+/**
+ * Read a JSON file and parse its contents.
  * @param {string} filePath - The path of the file to read.
- * @returns {string[]} An array of strings representing each line in the file.
+ * @returns {*} The parsed contents of the file.
+ * @throws {SyntaxError} If the file doesn't contain valid JSON. The message names the file.
  */
-function getJsonLines(filePath) {
-  const fileContent = fs.readFileSync(filePath, 'utf-8');
-  const lines = fileContent.split('\n');
-  
-  return lines;
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    if (e instanceof SyntaxError)
+      throw new SyntaxError(`${filePath}: ${e.message}`);
+
+    throw e;
+  }
 }
 
 /**
- * Merge a line from the pokedex and a line from the abilities JSON files into a single line.
- * @param {string} pokedexLine - A line from the pokedex JSON file.
- * @param {string} abilitiesLine - A line from the abilities JSON file.
- * @returns {string} A merged line if the Pokemon name in both lines matches, otherwise an empty string.
+ * Parse CSV text into rows of columns. Columns may be quoted, in which case they can contain commas, line breaks, and
+ * quotes escaped by doubling them ("").
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} Every non-empty row of the text, including the header.
+ * @throws {SyntaxError} If a quoted column is never closed.
  */
-function mergeLine(pokedexLine, abilitiesLine) {
-  const getPkm = l => {
-    let pkm = l.match(/^\s*"[^"]+"/);
-    if (pkm) {
-      return pkm[0].replace(/^\s*"(.+)"$/, '$1');
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let col = '';
+  let insideQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (insideQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        col += '"';
+        i++;
+      } else if (char === '"') {
+        insideQuotes = false;
+      } else {
+        col += char;
+      }
+    } else if (char === '"') {
+      insideQuotes = true;
+    } else if (char === ',') {
+      row.push(col);
+      col = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && text[i + 1] === '\n')
+        i++;
+
+      row.push(col);
+      rows.push(row);
+      [row, col] = [[], ''];
     } else {
-      return "";
+      col += char;
     }
-  };
-
-  if (getPkm(pokedexLine) !== getPkm(abilitiesLine)) {
-    return "";
   }
 
-  // Add the abilities to the pokedex line.
-  return pokedexLine.replace(/ \},$/, `,\t${abilitiesLine.match(/"abilities": \[.+$/)[0]}`)
+  if (insideQuotes)
+    throw new SyntaxError('Unterminated quoted column at the end of the CSV text.');
+
+  row.push(col);
+  rows.push(row);
+
+  return rows.filter(r => r.length > 1 || r[0] !== '');
 }
 
 /**
- * Append a string to the end of a file.
- * @param {string} str - The string to append to the file.
- * @param {string} filePath - The path of the file to append to.
+ * Convert a value into a number if it is written as a whole number, optionally followed by a percent sign.
+ * @param {*} value - The value to normalize.
+ * @returns {*} The number, or the value unchanged if it isn't a whole number.
  */
-function appendStringToFile(str, filePath) {
-  fs.appendFileSync(filePath, '\n' + str);
+function normalizeNumber(value) {
+  return typeof value === 'string' && /^-?\d+%?$/.test(value.trim()) ? parseInt(value) : value;
 }
 
 /**
- * Combine the data from the pokedex and abilities JSON files and write the output to a new JSON file.
+ * Write an object of entries to a JSON file with one entry per line, so that the output only changes where the data
+ * does.
+ * @param {Object<string, Object>} data - The entries to write, keyed by name.
+ * @param {string} filePath - The path of the file to write.
+ * @param {string[]} [fields] - The fields of each entry to write, in order. Defaults to all of them.
+ */
+function writeEntries(data, filePath, fields = undefined) {
+  const formatValue = value => Array.isArray(value) ? `[${value.map(v => JSON.stringify(v)).join(', ')}]`
+    : JSON.stringify(value);
+
+  const lines = Object.entries(data).map(([name, entry]) => {
+    const keys = (fields ?? Object.keys(entry)).filter(key => entry.hasOwnProperty(key));
+    return `\t${JSON.stringify(name)}: { ${keys.map(key => `${JSON.stringify(key)}: ${formatValue(entry[key])}`)
+      .join(', ')} }`;
+  });
+
+  fs.writeFileSync(filePath, `{\n${lines.join(',\n')}\n}\n`);
+}
+
+/**
+ * Combine the data from the pokedex and abilities JSON files and write the output to a new JSON file. Species are
+ * joined on their names, and their national dex numbers are checked against each other. Species that are missing from
+ * either file or that have invalid numbers are left out of the output and reported rather than dropped silently.
  * @param {string} output - The path of the file to write the combined data to.
+ * @param {Object} [sources={}] - The paths of the files to combine.
+ * @param {string} [sources.pokedexFile="pokedex.json"] - The path of the base stat and type data.
+ * @param {string} [sources.abilitiesFile="abilities.json"] - The path of the ability data.
+ * @returns {{written: number, unmatched: string[], conflicts: string[]}} A report of the number of species written and
+ *                                                                        every problem that was found.
  */
-function combineData(output) {
-  const pokedex = getJsonLines("pokedex.json").filter(l => l.length > 5);
-  const abilities = getJsonLines("abilities.json").map(l => l.trim()).filter(l => l.length > 5);
-
-  // Overwrite any output file that already exists
-  fs.writeFileSync(output, '{');
-
-  // Append all other information
-  for (let pkdxL of pokedex) {
-    // Find the corresponding line in the abilities JSON
-    for (let i = 0; i < abilities.length; i++) {
-      const abtyL = abilities[i];
-      const m = mergeLine(pkdxL, abtyL);
-
-      // Only if there was a merge should the data be appended to the file
-      if (m) {
-        appendStringToFile(m, output);
-        abilities.splice(i, 1);
-        break;
-      }
+function combineData(output, {pokedexFile = 'pokedex.json', abilitiesFile = 'abilities.json'} = {}) {
+  const pokedex = readJson(pokedexFile);
+  const abilities = readJson(abilitiesFile);
+  [pokedexFile, abilitiesFile] = [path.basename(pokedexFile), path.basename(abilitiesFile)];
+  const report = {written: 0, unmatched: [], conflicts: []};
+  const combined = {};
+
+  for (const [name, entry] of Object.entries(pokedex)) {
+    if (!abilities.hasOwnProperty(name)) {
+      report.unmatched.push(`${name} is in ${pokedexFile} but not in ${abilitiesFile}`);
+      continue;
+    }
+
+    const species = {...entry, abilities: abilities[name].abilities};
+    const invalid = numericFields.filter(field => !Number.isInteger(species[field] = normalizeNumber(species[field])));
+    if (invalid.length > 0) {
+      report.conflicts.push(`${name} has non-numeric ${invalid.join(', ')} in ${pokedexFile} and was left out`);
+      continue;
     }
+
+    const abilitiesNum = normalizeNumber(abilities[name].pkdxNum);
+    if (abilitiesNum !== undefined && abilitiesNum !== species.pkdxNum) {
+      report.conflicts.push(`${name} has pkdxNum ${species.pkdxNum} in ${pokedexFile} but ${abilitiesNum} in ` +
+        `${abilitiesFile} (kept ${species.pkdxNum})`);
+    }
+
+    combined[name] = species;
   }
 
-  // Append the final closing bracket
-  fs.appendFileSync(output, '\n}');
-}
+  for (const name of Object.keys(abilities)) {
+    if (!pokedex.hasOwnProperty(name))
+      report.unmatched.push(`${name} is in ${abilitiesFile} but not in ${pokedexFile}`);
+  }
+
+  writeEntries(combined, output, pokedexFields);
+  report.written = Object.keys(combined).length;
 
-// function csvToJson(inputFile, outputFile, primaryKey) {
-//   // Create a readable stream to read from the input file
-//   const inputStream = fs.createReadStream(inputFile, 'utf-8');
-
-//   // Create a writable stream to write to the output file
-//   const outputStream = fs.createWriteStream(outputFile);
-
-//   // Create an interface for reading lines from the input stream
-//   const reader = readline.createInterface({ input: inputStream });
-
-//   // Initialize the header to null
-//   let header = null;
-
-//   // Initialize the data object to an empty object
-//   const data = {};
-
-//   // Listen for the 'line' event emitted by the reader for each line in the input stream
-//   reader.on('line', (line) => {
-//     // Split the line into an array of columns using a comma delimiter
-//     const row = line.split(',').map((col) => {
-//       // Handle quoted columns by removing the quotes
-//       if (col.startsWith('"') && col.endsWith('"')) {
-//         return col.slice(1, -1);
-//       }
-//       return col;
-//     });
-
-//     // If the header has not yet been initialized, set it to the current row
-//     if (header === null) {
-//       header = row;
-//       return;
-//     }
-
-//     // Initialize an entry object for the current row
-//     const entry = {};
-
-//     // Iterate through each column in the row
-//     for (let i = 0; i < header.length; i++) {
-//       // If the column name matches the primary key, use the column value as the key in the data object
-//       if (header[i] === primaryKey) {
-//         data[row[i]] = entry;
-//       } else {
-//         // Otherwise, add the column name and value as a property in the entry object
-//         entry[header[i]] = row[i];
-//       }
-//     }
-//   });
-
-//   // Listen for the 'close' event emitted by the reader when it has finished reading all lines
-//   reader.on('close', () => {
-//     // Write the data object to the output stream as a string with pretty formatting
-//     outputStream.write(JSON.stringify(data, null, 2));
-
-//     // End the output stream to signal that no more data will be written
-//     outputStream.end();
-//   });
-// }
+  return report;
+}
 
+/**
+ * Convert a CSV file into a JSON file of entries keyed by one of its columns. Numeric columns are written as numbers.
+ * When several rows share a key, the last of them is kept and any differences between them are reported.
+ * @param {string} inputFile - The path of the CSV file to read.
+ * @param {string} outputFile - The path of the JSON file to write.
+ * @param {string} primaryKey - The column whose values are used as the keys of the entries.
+ * @returns {{written: number, unmatched: string[], conflicts: string[]}} A report of the number of entries written and
+ *                                                                        every problem that was found.
+ * @throws {RangeError} If the primary key isn't one of the columns of the file.
+ */
 function csvToJson(inputFile, outputFile, primaryKey) {
-  const inputStream = fs.createReadStream(inputFile, 'utf-8');
-  const outputStream = fs.createWriteStream(outputFile);
+  const [header, ...rows] = parseCsv(fs.readFileSync(inputFile, 'utf-8'));
+  const keyIndex = header.indexOf(primaryKey);
+  if (keyIndex === -1)
+    throw new RangeError(`${path.basename(inputFile)} has no column named "${primaryKey}".`);
 
-  const reader = readline.createInterface({ input: inputStream });
-  let header = null;
+  const report = {written: 0, unmatched: [], conflicts: []};
   const data = {};
 
-  reader.on('line', (line) => {
-    const row = [];
-    let currentCol = '';
-    let insideQuotes = false;
-
-    // Split the line into columns, handling quotes
-    for (let i = 0; i < line.length; i++) {
-      if (line[i] === ',' && !insideQuotes) {
-        row.push(currentCol);
-        currentCol = '';
-      } else {
-        if (line[i] === '"') {
-          insideQuotes = !insideQuotes;
-        }
-        currentCol += line[i];
-      }
+  rows.forEach((row, i) => {
+    // Count the header and start from 1 so that row numbers match the lines of the file
+    const line = i + 2;
+    if (row.length !== header.length) {
+      report.conflicts.push(`Row ${line} has ${row.length} columns instead of ${header.length} and was left out`);
+      return;
     }
-    row.push(currentCol);
 
-    // Remove quotes from each column
-    const rowWithoutQuotes = row.map((col) => {
-      if (col.startsWith('"') && col.endsWith('"')) {
-        return col.slice(1, -1);
-      }
-      return col;
+    const entry = {};
+    header.forEach((column, j) => {
+      if (j !== keyIndex)
+        entry[column] = normalizeNumber(row[j]);
     });
 
-    if (header === null) {
-      header = rowWithoutQuotes;
-      return;
-    }
+    const key = row[keyIndex];
+    if (data.hasOwnProperty(key) && JSON.stringify(data[key]) !== JSON.stringify(entry))
+      report.conflicts.push(`${key} is listed more than once with different values (kept row ${line})`);
 
-    const entry = {};
-    for (let i = 0; i < header.length; i++) {
-      if (header[i] === primaryKey) {
-        data[rowWithoutQuotes[i]] = entry;
-      } else {
-        entry[header[i]] = rowWithoutQuotes[i];
-      }
-    }
+    data[key] = entry;
   });
 
-  reader.on('close', () => {
-    outputStream.write(JSON.stringify(data, null, 2));
-    outputStream.end();
-  });
+  fs.writeFileSync(outputFile, JSON.stringify(data, null, 2) + '\n');
+  report.written = Object.keys(data).length;
+
+  return report;
+}
+
+/**
+ * Print a report of a data build to the console.
+ * @param {string} output - The path of the file that was written.
+ * @param {{written: number, unmatched: string[], conflicts: string[]}} report - The report of the build.
+ */
+function printReport(output, {written, unmatched, conflicts}) {
+  console.log(`${output}: wrote ${written} entries`);
+  for (const problem of unmatched) console.warn(`  Unmatched: ${problem}`);
+  for (const problem of conflicts) console.warn(`  Conflict: ${problem}`);
+}
+
+/**
+ * Rebuild every generated data file from its sources.
+ * @param {string} [dir=__dirname] - The directory that the data files are in.
+ * @returns {Object<string, {written: number, unmatched: string[], conflicts: string[]}>} The report of every file that
+ *                                                                                       was written, keyed by name.
+ */
+function buildData(dir = __dirname) {
+  const file = name => path.join(dir, name);
+
+  return {
+    'm_pokedex.json': combineData(file('m_pokedex.json'),
+      {pokedexFile: file('pokedex.json'), abilitiesFile: file('abilities.json')}),
+    'moves.json': csvToJson(file('moves.csv'), file('moves.json'), 'name')
+  };
 }
 
-// combineData('m_pokedex.json');
-csvToJson('moves.csv', 'moves.json', 'name');
+module.exports = { readJson, parseCsv, normalizeNumber, combineData, csvToJson, buildData };
+
+if (require.main === module) {
+  for (const [output, report] of Object.entries(buildData()))
+    printReport(output, report);
+}
@@ -1,4 +1,5 @@
 const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 
 /**
@@ -56,7 +57,143 @@ function getPropertyOfInstance(instance, fn, includeFnName = true) {
  * Contains the base stat, type, and ability data of all available Pokemon up to Gen IX.
  * @type {Object<string, Object<string, number|Array<string>>>}
  */
-const pokedex = JSON.parse(fs.readFileSync('m_pokedex.json'));
+const pokedex = JSON.parse(fs.readFileSync(path.join(__dirname, 'm_pokedex.json')));
+
+/**
+ * Records how the pokedex has changed over the generations: the last national dex number introduced in each
+ * generation, when forms that share a dex number with their base species became available, the types and base stats
+ * that species had before they were retroactively changed, and the Special stat of every species in Gen I.
+ * @type {Object}
+ */
+const dexHistory = JSON.parse(fs.readFileSync(path.join(__dirname, 'dex_history.json')));
+
+/**
+ * Contains the type, category, power, accuracy, and other data of every move up to Gen IX, as it was converted from
+ * moves.csv. Whole numbers and percentages are numbers, but everything else, like "—" for no power, is still a string.
+ * @type {Object<string, Object<string, string|number>>}
+ */
+const movedex = JSON.parse(fs.readFileSync(path.join(__dirname, 'moves.json')));
+
+/**
+ * Records the values that moves had before they were changed in later generations, in the same format as the changes
+ * in dex_history.json.
+ * @type {Object<string, Array<Object>>}
+ */
+const moveHistory = JSON.parse(fs.readFileSync(path.join(__dirname, 'move_history.json')));
+
+/**
+ * The generations in which each species or form that can evolve is able to, keyed by name. Species that only gained an
+ * evolution in a later generation, like Scyther in Gen II, start from that generation.
+ * @type {Object<string, string>}
+ */
+const evolutions = JSON.parse(fs.readFileSync(path.join(__dirname, 'evolutions.json')));
+
+/**
+ * Games that are used in place of a generation range to prefix some abilities in the pokedex.
+ * @type {Object<string, string>}
+ */
+const gameGens = {'BW': 'V'};
+
+/**
+ * Splits an ability from the pokedex into its name and the generations it is available in.
+ *
+ * @param {string} ability - The ability as it appears in the pokedex, e.g. "Inner Focus" or "4+: Magic Guard".
+ * @returns {{name: string, gens: string|undefined}} The name of the ability, and the generation range that it is
+ *                                                   available in, or undefined if it has always been available.
+ */
+function parseAbility(ability) {
+  const [, gens, name] = ability.match(/^(?:([^:]+):\s*)?(.+)$/);
+  return {name, gens: gameGens[gens] ?? gens};
+}
+
+/**
+ * Returns the range of generations that a species or form can be battled in.
+ *
+ * @param {string} name - The name of the species or form as it appears in the pokedex.
+ * @returns {string|undefined} The generation range, e.g. "VI-VII" for Mega Evolutions, or undefined if the name isn't
+ *                             in the pokedex.
+ */
+function getAvailability(name) {
+  if (!pokedex.hasOwnProperty(name))
+    return undefined;
+
+  const {introductions, formPrefixes, availability} = dexHistory;
+  if (availability.hasOwnProperty(name))
+    return availability[name];
+
+  for (const prefix in formPrefixes) {
+    if (name.startsWith(prefix))
+      return formPrefixes[prefix];
+  }
+
+  const pkdxNum = pokedex[name].pkdxNum;
+  return `${Object.keys(introductions).find(gen => pkdxNum <= introductions[gen])}+`;
+}
+
+/**
+ * Indicates whether a species or form is able to evolve in a given generation, e.g. for Eviolite.
+ *
+ * @param {string} name - The name of the species or form as it appears in the pokedex.
+ * @param {Gen} [gen=Gen.IX] - The generation to check.
+ * @returns {boolean} `true` if the species can evolve in the generation, `false` otherwise.
+ */
+function canEvolve(name, gen = Gen.IX) {
+  return evolutions.hasOwnProperty(name) && gen.match(evolutions[name]);
+}
+
+/**
+ * Returns the pokedex entry of a species as it was in a given generation. Types and base stats that were changed in
+ * later generations are reverted, Special replaces both Sp. Atk and Sp. Def in Gen I, and only the abilities available
+ * in the generation are kept (none at all before Gen III).
+ *
+ * @param {string} name - The name of the species or form as it appears in the pokedex.
+ * @param {Gen} [gen=Gen.IX] - The generation to get the entry of.
+ * @returns {Object|undefined} A copy of the species' entry, or undefined if it doesn't exist in the given generation.
+ * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+ */
+function getDexEntry(name, gen = Gen.IX) {
+  if (!(gen instanceof Gen))
+    throw new GenerationError("Invalid generation object specified (must be one of Gen.I to Gen.IX)");
+
+  const availability = getAvailability(name);
+  if (availability === undefined || !gen.match(availability))
+    return undefined;
+
+  const entry = {...pokedex[name], types: [...pokedex[name].types]};
+  for (const {gens, ...changes} of dexHistory.changes[name] ?? []) {
+    if (gen.match(gens))
+      Object.assign(entry, changes);
+  }
+
+  if (gen.match('I'))
+    entry['sp.atk'] = entry['sp.def'] = dexHistory.genISpecial[name];
+
+  // Abilities that weren't always available are prefixed with the generations they're available in, e.g. "4+: ".
+  entry.abilities = gen.match('I-II') ? [] : pokedex[name].abilities.flatMap(ability => {
+    const {name: abilityName, gens} = parseAbility(ability);
+    return gens === undefined || gen.match(gens) ? [abilityName] : [];
+  });
+
+  return entry;
+}
+
+/**
+ * Returns the pokedex as it was in a given generation, containing only the species available in it.
+ *
+ * @param {Gen} [gen=Gen.IX] - The generation to get the pokedex of.
+ * @returns {Object<string, Object>} The entry of every available species, keyed by name as in the pokedex.
+ * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+ */
+function getDexEntries(gen = Gen.IX) {
+  const entries = {};
+  for (const name in pokedex) {
+    const entry = getDexEntry(name, gen);
+    if (entry !== undefined)
+      entries[name] = entry;
+  }
+
+  return entries;
+}
 
 /**
  * A global counter used for generating unique IDs for static instances of Objects.
@@ -87,7 +224,7 @@ function Gen() {
    * @private
    * @type {string}
    */
-  const _rnrStr = '(C|XC|L|XL|X{0,3}(IX|IV|V?I{0,3})|IX|IV|V|I)';
+  const _rnrStr = '(?:C|XC|L|XL|X{0,3}(?:IX|IV|V?I{0,3})|IX|IV|V|I)';
 
   /**
    * Matches the generation of this object with a specified generation range.
@@ -235,14 +372,16 @@ function Weather() {
   const _id = __static__++;
 
   /**
-   * A mapping of power multipliers for power-modifying weathers and the type's whose powers are modified.
+   * A mapping of power multipliers for power-modifying weathers and the type's whose powers are modified. Built on
+   * first use since neither the weathers nor the types exist yet while the static instances are being constructed.
    * @private
    * @type {Object.<string, Object.<string, number>>}
    */
-  const _powerModWeather = {
+  let _powerModWeather = null;
+  const powerModWeather = () => _powerModWeather || (_powerModWeather = {
     [Type.FIRE]: { [Weather.HARSH_SUN]: 1.5, [Weather.EXTREMELY_HARSH_SUN]: 1.5, [Weather.RAIN]: 0.5, [Weather.HEAVY_RAIN]: 0 },
     [Type.WATER]: { [Weather.HARSH_SUN]: 0.5, [Weather.EXTREMELY_HARSH_SUN]: 0, [Weather.RAIN]: 1.5, [Weather.HEAVY_RAIN]: 1.5 }
-  };
+  });
 
   /**
    * Modifies the power of the incoming attack Type by an amount specified in the power mod weather object.
@@ -255,8 +394,9 @@ function Weather() {
     if (!(attackType instanceof Type))
       throw new TypeError(`Attack type must be an instance of Type.`);
 
-    if (_powerModWeather.hasOwnProperty(attackType) && _powerModWeather[attackType].hasOwnProperty(this)) {
-      return _powerModWeather[attackType][this];
+    const powerMod = powerModWeather();
+    if (powerMod.hasOwnProperty(attackType) && powerMod[attackType].hasOwnProperty(this)) {
+      return powerMod[attackType][this];
     }
 
     // Either the attack Type isn't affected by weather or this weather doesn't affect the attack Type.
@@ -264,20 +404,240 @@ function Weather() {
   };
 
   /**
-   * A mapping of weather behaviors given a generation.
+   * A mapping of this weather's behavior in the ranges of generations that it exists in. Each behavior can have the
+   * fraction of max HP that the weather chips off at the end of every turn (`chip`) and the types that are immune to
+   * it, a type whose `stat` it boosts by half, the rock that extends it to 8 turns, a multiplier on the accuracy of
+   * every move, whether it lasts until it's replaced (`permanent`), and whether it removes the weaknesses of the Flying
+   * type. Built on first use for the same reason as the power mods.
+   * @private
+   * @type {Object.<string, Object.<string, Object>>}
    */
-  const _genBehavior = {
-    'II': {
+  let _genBehavior = null;
+  const genBehavior = gen => {
+    _genBehavior = _genBehavior || {
+      [Weather.NONE]: { 'I+': {permanent: true} },
+      [Weather.HARSH_SUN]: { 'II+': {rock: 'Heat Rock'} },
+      [Weather.RAIN]: { 'II+': {rock: 'Damp Rock'} },
+      [Weather.SANDSTORM]: {
+        'II': {chip: 1 / 8, immuneTypes: [Type.ROCK, Type.GROUND, Type.STEEL]},
+        'III': {chip: 1 / 16, immuneTypes: [Type.ROCK, Type.GROUND, Type.STEEL]},
+        'IV+': {chip: 1 / 16, immuneTypes: [Type.ROCK, Type.GROUND, Type.STEEL], rock: 'Smooth Rock',
+          boost: {type: Type.ROCK, stat: 'spDef'}}
+      },
+      [Weather.HAIL]: { 'III-VIII': {chip: 1 / 16, immuneTypes: [Type.ICE], rock: 'Icy Rock'} },
+      [Weather.SNOW]: { 'IX': {rock: 'Icy Rock', boost: {type: Type.ICE, stat: 'def'}} },
+      [Weather.FOG]: { 'IV': {permanent: true, accuracy: 0.6} },
+      [Weather.EXTREMELY_HARSH_SUN]: { 'VI+': {permanent: true} },
+      [Weather.HEAVY_RAIN]: { 'VI+': {permanent: true} },
+      [Weather.STRONG_WINDS]: { 'VI+': {permanent: true, deltaFlying: true} }
+    };
 
-    },
-    'III': {},
-    'IV': {},
-    'V': {},
-    'VI': {},
-    'VII': {},
-    'VIII': {},
-    'IX': {}
-  }
+    if (!(gen instanceof Gen))
+      throw new GenerationError("Invalid generation object specified for a weather (must be one of Gen.I to Gen.IX)");
+
+    const range = Object.keys(_genBehavior[this]).find(r => gen.match(r));
+    return range === undefined ? null : _genBehavior[this][range];
+  };
+
+  /**
+   * The abilities that shield their holder from the chip damage of sandstorms and hail, and the generations that they
+   * do so in. Magic Guard prevents all indirect damage and isn't listed.
+   * @private
+   * @type {Object.<string, Object.<string, string>>}
+   */
+  let _chipImmunities = null;
+  const chipImmunities = () => _chipImmunities || (_chipImmunities = {
+    [Weather.SANDSTORM]: { 'Sand Veil': 'III+', 'Sand Rush': 'V+', 'Sand Force': 'V+', 'Overcoat': 'V+' },
+    [Weather.HAIL]: { 'Ice Body': 'IV+', 'Snow Cloak': 'IV+', 'Overcoat': 'V+' }
+  });
+
+  /**
+   * The mutable name of the weather. Lazily loaded on the first call to getName.
+   * @private
+   * @type {string|null}
+   */
+  let _name = null;
+
+  /**
+   * Returns the name of this weather.
+   *
+   * @method
+   * @returns {string} The name of this weather.
+   */
+  this.getName = function() {
+    if (_name === null) {
+      _name = getPropertyOfInstance(this, Weather);
+    }
+
+    return _name;
+  };
+
+  /**
+   * Checks whether this weather exists in a generation.
+   *
+   * @method
+   * @param {Gen} gen - The generation to check.
+   * @returns {boolean} True if the weather can be on the field in the generation.
+   * @throws {GenerationError} If the generation is not an instance of Gen.
+   */
+  this.isAvailable = function(gen) {
+    return genBehavior(gen) !== null;
+  };
+
+  /**
+   * Returns the behavior of this weather in a generation that it exists in.
+   * @private
+   * @param {Gen} gen - The generation of the battle.
+   * @returns {Object} The behavior of the weather.
+   * @throws {GenerationError} If the weather doesn't exist in the generation.
+   */
+  const behaviorIn = gen => {
+    const behavior = genBehavior(gen);
+    if (behavior === null)
+      throw new GenerationError(`${this.getName()} is not available in Gen ${gen.getName()}.`);
+
+    return behavior;
+  };
+
+  /**
+   * Computes how many turns this weather lasts once it starts. Weather from a move lasts 5 turns, or 8 from Gen IV on
+   * when the user holds the matching rock. Weather from an ability lasts until it's replaced in Gens III to V, and
+   * like weather from a move from Gen VI on. Fog, the primal weathers, and the absence of weather never run out.
+   *
+   * @method
+   * @param {Gen} gen - The generation of the battle.
+   * @param {Object} [source={}] - Where the weather came from.
+   * @param {boolean} [source.fromAbility=false] - True if an ability started the weather.
+   * @param {string|null} [source.item=null] - The name of the item held by the Pokemon that started the weather.
+   * @returns {number} The number of turns, which is Infinity if the weather doesn't run out.
+   * @throws {GenerationError} If the weather doesn't exist in the generation.
+   */
+  this.getDuration = function(gen, {fromAbility = false, item = null} = {}) {
+    const behavior = behaviorIn(gen);
+    if (behavior.permanent || (fromAbility && gen.match('III-V')))
+      return Infinity;
+
+    return gen.match('IV+') && item === behavior.rock ? 8 : 5;
+  };
+
+  /**
+   * Computes the fraction of a Pokemon's max HP that this weather takes away (when negative) or restores (when
+   * positive) at the end of every turn. Sandstorms spare the Rock, Ground and Steel types and hail spares the Ice
+   * type, as do the abilities that thrive in them, Overcoat from Gen V on, Magic Guard, and Safety Goggles from Gen VI
+   * on. Rain Dish restores 1/16 in the rain, Ice Body does the same in hail and snow, and Dry Skin restores 1/8 in the
+   * rain and loses 1/8 in harsh sunlight.
+   *
+   * @method
+   * @param {Pokemon} pokemon - The Pokemon on the field.
+   * @returns {number} The fraction of max HP, or 0 if the weather doesn't affect the Pokemon.
+   * @throws {GenerationError} If the weather doesn't exist in the Pokemon's generation.
+   */
+  this.getResidualFraction = function(pokemon) {
+    const gen = pokemon.getGen();
+    const behavior = behaviorIn(gen);
+    const ability = pokemon.getAbility();
+    const isRain = this === Weather.RAIN || this === Weather.HEAVY_RAIN;
+    const isSun = this === Weather.HARSH_SUN || this === Weather.EXTREMELY_HARSH_SUN;
+
+    if (ability === 'Rain Dish' && isRain && gen.match('III+'))
+      return 1 / 16;
+
+    if (ability === 'Ice Body' && (this === Weather.HAIL || this === Weather.SNOW) && gen.match('IV+'))
+      return 1 / 16;
+
+    if (ability === 'Dry Skin' && (isRain || isSun) && gen.match('IV+'))
+      return isRain ? 1 / 8 : -1 / 8;
+
+    if (behavior.chip === undefined || behavior.immuneTypes.some(type => pokemon.hasType(type)))
+      return 0;
+
+    const immunities = chipImmunities()[this] ?? {};
+    if (ability === 'Magic Guard' || (immunities.hasOwnProperty(ability) && gen.match(immunities[ability])))
+      return 0;
+
+    if (pokemon.getItem()?.getName() === 'Safety Goggles' && gen.match('VI+'))
+      return 0;
+
+    return -behavior.chip;
+  };
+
+  /**
+   * Applies this weather's damage or healing to a Pokemon at the end of a turn.
+   *
+   * @method
+   * @param {Object} context - The Pokemon at the end of the turn.
+   * @param {Pokemon} context.pokemon - The Pokemon on the field.
+   * @throws {GenerationError} If the weather doesn't exist in the Pokemon's generation.
+   */
+  this.onTurnEnd = function({pokemon}) {
+    const fraction = this.getResidualFraction(pokemon);
+    if (fraction === 0)
+      return;
+
+    const amount = Math.max(1, Math.floor(pokemon.getStats().hp * Math.abs(fraction)));
+    pokemon.setCurrentHP(pokemon.getCurrentHP() + Math.sign(fraction) * amount);
+  };
+
+  /**
+   * Returns the multiplier that this weather applies to a stat of a Pokemon: sandstorms boost the Special Defense of
+   * Rock types from Gen IV on, and snow boosts the Defense of Ice types.
+   *
+   * @method
+   * @param {Object} context - The stat being calculated.
+   * @param {Gen} context.gen - The generation of the battle.
+   * @param {Pokemon} context.pokemon - The Pokemon whose stat is being calculated.
+   * @param {string} context.stat - The name of the stat.
+   * @returns {number} The multiplier, or 1 if the stat isn't boosted.
+   * @throws {GenerationError} If the weather doesn't exist in the generation.
+   */
+  this.modifyStat = function({gen, pokemon, stat}) {
+    const {boost} = behaviorIn(gen);
+    return boost !== undefined && boost.stat === stat && pokemon.hasType(boost.type) ? 1.5 : 1;
+  };
+
+  /**
+   * Adjusts the accuracy of a move for this weather. Thunder, and Hurricane from Gen V on, can't miss in the rain and
+   * have 50% accuracy in harsh sunlight. Blizzard can't miss in hail from Gen IV on, or in snow. Fog lowers the
+   * accuracy of every move to 3/5 of its value.
+   *
+   * @method
+   * @param {Gen} gen - The generation of the battle.
+   * @param {Move} move - The move being used.
+   * @param {number} accuracy - The accuracy of the move, in percent.
+   * @returns {number} The adjusted accuracy, which is Infinity if the move can't miss.
+   * @throws {GenerationError} If the weather doesn't exist in the generation.
+   */
+  this.modifyAccuracy = function(gen, move, accuracy) {
+    const behavior = behaviorIn(gen);
+    const name = move.getName();
+
+    if (name === 'Thunder' || (name === 'Hurricane' && gen.match('V+'))) {
+      if (this === Weather.RAIN || this === Weather.HEAVY_RAIN)
+        return Infinity;
+
+      if (this === Weather.HARSH_SUN || this === Weather.EXTREMELY_HARSH_SUN)
+        return 50;
+    }
+
+    if (name === 'Blizzard' && ((this === Weather.HAIL && gen.match('IV+')) || this === Weather.SNOW))
+      return Infinity;
+
+    return accuracy * (behavior.accuracy ?? 1);
+  };
+
+  /**
+   * Returns the type that a defending type is treated as under this weather. Strong winds turn the Flying type into
+   * `Type.DELTA_FLYING`, which has none of its weaknesses.
+   *
+   * @method
+   * @param {Gen} gen - The generation of the battle.
+   * @param {Type} defType - One of the defender's types.
+   * @returns {Type} The type that the attack is checked against.
+   * @throws {GenerationError} If the weather doesn't exist in the generation.
+   */
+  this.modifyDefenderType = function(gen, defType) {
+    return behaviorIn(gen).deltaFlying && defType === Type.FLYING ? Type.DELTA_FLYING : defType;
+  };
 
   this.toString = function() {
     return `${_id}`;
@@ -302,6 +662,213 @@ Weather.STRONG_WINDS = new Weather();
 Object.freeze(Weather.prototype);
 Object.freeze(Weather);
 
+/**
+ * Represents a static instance of a terrain in Pokemon games. Terrains only affect the Pokemon that are grounded.
+ * @class
+ */
+function Terrain() {
+  /**
+   * The unique ID of the terrain.
+   * @private
+   * @type {number}
+   */
+  const _id = __static__++;
+
+  /**
+   * The range of generations that each terrain exists in. Built on first use since the terrains don't exist yet while
+   * the static instances are being constructed.
+   * @private
+   * @type {Object.<string, string>}
+   */
+  let _gens = null;
+  const gens = () => _gens || (_gens = {
+    [Terrain.NONE]: 'I+',
+    [Terrain.ELECTRIC]: 'VI+',
+    [Terrain.GRASSY]: 'VI+',
+    [Terrain.MISTY]: 'VI+',
+    [Terrain.PSYCHIC]: 'VII+'
+  });
+
+  /**
+   * The type of the moves that each terrain boosts.
+   * @private
+   * @type {Object.<string, Type>}
+   */
+  let _boostedTypes = null;
+  const boostedTypes = () => _boostedTypes || (_boostedTypes = {
+    [Terrain.ELECTRIC]: Type.ELECTRIC,
+    [Terrain.GRASSY]: Type.GRASS,
+    [Terrain.PSYCHIC]: Type.PSYCHIC
+  });
+
+  /**
+   * The mutable name of the terrain. Lazily loaded on the first call to getName.
+   * @private
+   * @type {string|null}
+   */
+  let _name = null;
+
+  /**
+   * Returns the name of this terrain.
+   *
+   * @method
+   * @returns {string} The name of this terrain.
+   */
+  this.getName = function() {
+    if (_name === null) {
+      _name = getPropertyOfInstance(this, Terrain);
+    }
+
+    return _name;
+  };
+
+  /**
+   * Checks whether this terrain exists in a generation.
+   *
+   * @method
+   * @param {Gen} gen - The generation to check.
+   * @returns {boolean} True if the terrain can be on the field in the generation.
+   * @throws {GenerationError} If the generation is not an instance of Gen.
+   */
+  this.isAvailable = function(gen) {
+    if (!(gen instanceof Gen))
+      throw new GenerationError("Invalid generation object specified for a terrain (must be one of Gen.I to Gen.IX)");
+
+    return gen.match(gens()[this]);
+  };
+
+  /**
+   * Throws an error if this terrain doesn't exist in a generation.
+   * @private
+   * @param {Gen} gen - The generation of the battle.
+   * @throws {GenerationError} If the terrain doesn't exist in the generation.
+   */
+  const assertAvailable = gen => {
+    if (!this.isAvailable(gen))
+      throw new GenerationError(`${this.getName()} is not available in Gen ${gen.getName()}.`);
+  };
+
+  /**
+   * Computes how many turns this terrain lasts once it starts: 5, or 8 when the Pokemon that started it holds a Terrain
+   * Extender. The absence of terrain never runs out.
+   *
+   * @method
+   * @param {Gen} gen - The generation of the battle.
+   * @param {Object} [source={}] - Where the terrain came from.
+   * @param {string|null} [source.item=null] - The name of the item held by the Pokemon that started the terrain.
+   * @returns {number} The number of turns, which is Infinity for Terrain.NONE.
+   * @throws {GenerationError} If the terrain doesn't exist in the generation.
+   */
+  this.getDuration = function(gen, {item = null} = {}) {
+    assertAvailable(gen);
+    if (this === Terrain.NONE)
+      return Infinity;
+
+    return item === 'Terrain Extender' ? 8 : 5;
+  };
+
+  /**
+   * Returns the multiplier that this terrain applies to the power of a move. Electric, Grassy and Psychic Terrain boost
+   * the moves of their type used by a grounded Pokemon by half, or by 30% from Gen VIII on. Grassy Terrain halves the
+   * power of Earthquake, Bulldoze and Magnitude against a grounded target, and Misty Terrain does the same to
+   * Dragon-type moves.
+   *
+   * @method
+   * @param {Object} context - The context of the attack.
+   * @param {Gen} context.gen - The generation of the battle.
+   * @param {Pokemon} context.attacker - The Pokemon using the move.
+   * @param {Pokemon} context.defender - The Pokemon being hit by the move.
+   * @param {Move} context.move - The move being used.
+   * @param {Type} context.moveType - The type of the move.
+   * @param {boolean} [context.gravity=false] - True if Gravity is grounding every Pokemon.
+   * @returns {number} The multiplier, or 1 if the terrain doesn't affect the move.
+   * @throws {GenerationError} If the terrain doesn't exist in the generation.
+   */
+  this.modifyPower = function({gen, attacker, defender, move, moveType, gravity = false}) {
+    assertAvailable(gen);
+    if (boostedTypes()[this] === moveType && attacker.isGrounded({gravity}))
+      return gen.match('VIII+') ? 5325 / 4096 : 1.5;
+
+    const isWeakened = this === Terrain.GRASSY ? ['Earthquake', 'Bulldoze', 'Magnitude'].includes(move.getName())
+      : this === Terrain.MISTY && moveType === Type.DRAGON;
+    return isWeakened && defender.isGrounded({gravity}) ? 0.5 : 1;
+  };
+
+  /**
+   * Indicates whether this terrain keeps a Pokemon from being afflicted with a status condition. Electric Terrain keeps
+   * grounded Pokemon awake, and Misty Terrain protects them from every non-volatile condition and from confusion.
+   *
+   * @method
+   * @param {Pokemon} pokemon - The Pokemon.
+   * @param {string} name - The name of the condition, e.g. Status.SLEEP.
+   * @param {Object} [field={}] - The conditions of the battle.
+   * @param {boolean} [field.gravity=false] - True if Gravity is grounding every Pokemon.
+   * @returns {boolean} `true` if the terrain prevents the condition, `false` otherwise.
+   * @throws {GenerationError} If the terrain doesn't exist in the Pokemon's generation.
+   */
+  this.preventsStatus = function(pokemon, name, {gravity = false} = {}) {
+    assertAvailable(pokemon.getGen());
+    if (!pokemon.isGrounded({gravity}))
+      return false;
+
+    if (this === Terrain.ELECTRIC)
+      return name === Status.SLEEP;
+
+    return this === Terrain.MISTY && (Status.getAll().includes(name) || name === VolatileStatus.CONFUSION);
+  };
+
+  /**
+   * Indicates whether this terrain makes a move fail. Psychic Terrain protects grounded Pokemon from the moves of other
+   * Pokemon that have increased priority.
+   *
+   * @method
+   * @param {Object} context - The move being used.
+   * @param {Gen} context.gen - The generation of the battle.
+   * @param {Move} context.move - The move.
+   * @param {Pokemon} context.user - The Pokemon using the move.
+   * @param {Pokemon} context.target - The Pokemon that the move targets.
+   * @param {boolean} [context.gravity=false] - True if Gravity is grounding every Pokemon.
+   * @returns {boolean} `true` if the move fails, `false` otherwise.
+   * @throws {GenerationError} If the terrain doesn't exist in the generation.
+   */
+  this.blocksMove = function({gen, move, user, target, gravity = false}) {
+    assertAvailable(gen);
+    return this === Terrain.PSYCHIC && target !== user && move.getPriority(gen) > 0 && target.isGrounded({gravity});
+  };
+
+  /**
+   * Applies the effects of this terrain to a Pokemon at the end of a turn: Grassy Terrain restores 1/16 of the max HP
+   * of grounded Pokemon.
+   *
+   * @method
+   * @param {Object} context - The Pokemon at the end of the turn.
+   * @param {Pokemon} context.pokemon - The Pokemon on the field.
+   * @param {boolean} [context.gravity=false] - True if Gravity is grounding every Pokemon.
+   * @throws {GenerationError} If the terrain doesn't exist in the Pokemon's generation.
+   */
+  this.onTurnEnd = function({pokemon, gravity = false}) {
+    assertAvailable(pokemon.getGen());
+    if (this === Terrain.GRASSY && pokemon.isGrounded({gravity}) && !pokemon.isFainted())
+      pokemon.setCurrentHP(pokemon.getCurrentHP() + Math.max(1, Math.floor(pokemon.getStats().hp / 16)));
+  };
+
+  this.toString = function() {
+    return `${_id}`;
+  };
+}
+
+/**
+ * All terrains in Pokemon games. Each terrain is instantiated statically as a property of the Terrain object.
+ * @class
+ */
+Terrain.NONE = new Terrain();
+Terrain.ELECTRIC = new Terrain();
+Terrain.GRASSY = new Terrain();
+Terrain.MISTY = new Terrain();
+Terrain.PSYCHIC = new Terrain();
+Object.freeze(Terrain.prototype);
+Object.freeze(Terrain);
+
 /**
  * An error thrown when an invalid generation of Pokemon is specified.
  * @class GenerationError
@@ -333,11 +900,12 @@ function Type() {
   const _id = __static__++;
 
   /**
-   * A mapping of effectiveness values for each type against this type in Gen I
+   * A mapping of effectiveness values for each type against this type in Gen I. The type charts are built lazily since
+   * the other types have not been instantiated yet when this type is constructed.
    * @private
    * @type {Object.<string, Object.<string, number>>}
    */
-  const _genIEff = {
+  const _genIEff = () => ({
     [Type.NORMAL]: { [Type.FIGHTING]: 2, [Type.GHOST]: 0 },
     [Type.FIRE]: { [Type.FIRE]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 0.5, [Type.GROUND]: 2, [Type.BUG]: 0.5, [Type.ROCK]: 2 },
     [Type.WATER]: { [Type.FIRE]: 0.5, [Type.WATER]: 0.5, [Type.ELECTRIC]: 2, [Type.GRASS]: 2, [Type.ICE]: 0.5 },
@@ -350,28 +918,28 @@ function Type() {
     [Type.FLYING]: { [Type.ELECTRIC]: 2, [Type.GRASS]: 0.5, [Type.ICE]: 2, [Type.FIGHTING]: 0.5, [Type.GROUND]: 0, [Type.BUG]: 0.5, [Type.ROCK]: 2 },
     [Type.PSYCHIC]: { [Type.FIGHTING]: 0.5, [Type.PSYCHIC]: 0.5, [Type.BUG]: 2, [Type.GHOST]: 0 },
     [Type.BUG]: { [Type.FIRE]: 2, [Type.GRASS]: 0.5, [Type.FIGHTING]: 0.5, [Type.POISON]: 2, [Type.GROUND]: 0.5, [Type.FLYING]: 2, [Type.ROCK]: 2 },
-    [Type.ROCK]: { [Type.NORMAL]: 0.5, [Type.FIRE]: 0.5, [Type.WATER]: 0.5, [Type.GRASS]: 2, [Type.FIGHTING]: 2, [Type.POISON]: 0.5, [Type.GROUND]: 2, [Type.FLYING]: 0.5 },
+    [Type.ROCK]: { [Type.NORMAL]: 0.5, [Type.FIRE]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 2, [Type.FIGHTING]: 2, [Type.POISON]: 0.5, [Type.GROUND]: 2, [Type.FLYING]: 0.5 },
     [Type.GHOST]: { [Type.NORMAL]: 0, [Type.FIGHTING]: 0, [Type.POISON]: 0.5, [Type.BUG]: 0.5, [Type.GHOST]: 2 },
     [Type.DRAGON]: { [Type.FIRE]: 0.5, [Type.WATER]: 0.5, [Type.ELECTRIC]: 0.5, [Type.GRASS]: 0.5, [Type.ICE]: 2, [Type.DRAGON]: 2 }
-  };
+  });
 
   /**
    * A mapping of effectiveness values for each type against this type in gens II-V
    * @private
    * @type {Object.<string, Object.<string, number>>}
    */
-  const _genIItoVEff = {
+  const _genIItoVEff = () => ({
     [Type.BUG]: { [Type.FIGHTING]: 0.5, [Type.FLYING]: 2, [Type.GROUND]: 0.5, [Type.ROCK]: 2, [Type.FIRE]: 2, [Type.GRASS]: 0.5 },
     [Type.DARK]: { [Type.FIGHTING]: 2, [Type.PSYCHIC]: 0, [Type.BUG]: 2, [Type.GHOST]: 0.5, [Type.DARK]: 0.5 },
     [Type.DRAGON]: { [Type.FIRE]: 0.5, [Type.WATER]: 0.5, [Type.ELECTRIC]: 0.5, [Type.GRASS]: 0.5, [Type.ICE]: 2, [Type.DRAGON]: 2 },
-    [Type.ELECTRIC]: { [Type.FLYING]: 0.5, [Type.GROUND]: 2, [Type.ELECTRIC]: 0.5, [Type.DRAGON]: 0.5, [Type.STEEL]: 0.5 },
+    [Type.ELECTRIC]: { [Type.FLYING]: 0.5, [Type.GROUND]: 2, [Type.ELECTRIC]: 0.5, [Type.STEEL]: 0.5 },
     [Type.FIGHTING]: { [Type.FLYING]: 2, [Type.ROCK]: 0.5, [Type.BUG]: 0.5, [Type.PSYCHIC]: 2, [Type.DARK]: 0.5 },
-    [Type.FIRE]: { [Type.ROCK]: 2, [Type.BUG]: 0.5, [Type.STEEL]: 0.5, [Type.FIRE]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 0.5, [Type.ICE]: 0.5, [Type.DRAGON]: 0.5, [Type.GROUND]: 2 },
+    [Type.FIRE]: { [Type.ROCK]: 2, [Type.BUG]: 0.5, [Type.STEEL]: 0.5, [Type.FIRE]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 0.5, [Type.ICE]: 0.5, [Type.GROUND]: 2 },
     [Type.FLYING]: { [Type.FIGHTING]: 0.5, [Type.ROCK]: 2, [Type.BUG]: 0.5, [Type.GRASS]: 0.5, [Type.ELECTRIC]: 2, [Type.ICE]: 2, [Type.GROUND]: 0 },
     [Type.DELTA_FLYING]: { [Type.FIGHTING]: 0.5, [Type.ROCK]: 1, [Type.BUG]: 0.5, [Type.GRASS]: 0.5, [Type.ELECTRIC]: 1, [Type.ICE]: 1, [Type.GROUND]: 0 },
     [Type.GHOST]: { [Type.NORMAL]: 0, [Type.FIGHTING]: 0, [Type.POISON]: 0.5, [Type.BUG]: 0.5, [Type.GHOST]: 2, [Type.DARK]: 2 },
     [Type.GRASS]: { [Type.FLYING]: 2, [Type.POISON]: 2, [Type.GROUND]: 0.5, [Type.BUG]: 2, [Type.FIRE]: 2, [Type.GRASS]: 0.5, [Type.WATER]: 0.5, [Type.ELECTRIC]: 0.5, [Type.ICE]: 2 },
-    [Type.GROUND]: { [Type.POISON]: 0.5, [Type.ROCK]: 2, [Type.WATER]: 2, [Type.GRASS]: 0.5, [Type.ELECTRIC]: 0, [Type.ICE]: 2 },
+    [Type.GROUND]: { [Type.POISON]: 0.5, [Type.ROCK]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 2, [Type.ELECTRIC]: 0, [Type.ICE]: 2 },
     [Type.ICE]: { [Type.STEEL]: 2, [Type.FIRE]: 2, [Type.ICE]: 0.5, [Type.ROCK]: 2, [Type.FIGHTING]: 2 },
     [Type.NORMAL]: { [Type.FIGHTING]: 2, [Type.GHOST]: 0 },
     [Type.POISON]: { [Type.FIGHTING]: 0.5, [Type.POISON]: 0.5, [Type.GROUND]: 2, [Type.BUG]: 0.5, [Type.GRASS]: 0.5, [Type.PSYCHIC]: 2 },
@@ -379,26 +947,26 @@ function Type() {
     [Type.ROCK]: { [Type.NORMAL]: 0.5, [Type.FIGHTING]: 2, [Type.FLYING]: 0.5, [Type.POISON]: 0.5, [Type.GROUND]: 2, [Type.STEEL]: 2, [Type.FIRE]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 2 },
     [Type.STEEL]: { [Type.NORMAL]: 0.5, [Type.FIGHTING]: 2, [Type.FLYING]: 0.5, [Type.ROCK]: 0.5, [Type.BUG]: 0.5, [Type.GHOST]: 0.5, [Type.STEEL]: 0.5, [Type.FIRE]: 2, [Type.GRASS]: 0.5, [Type.ICE]: 0.5, [Type.POISON]: 0, [Type.GROUND]: 2, [Type.PSYCHIC]: 0.5, [Type.DRAGON]: 0.5, [Type.DARK]: 0.5 },
     [Type.WATER]: { [Type.FIRE]: 0.5, [Type.WATER]: 0.5, [Type.GRASS]: 2, [Type.ELECTRIC]: 2, [Type.ICE]: 0.5, [Type.STEEL]: 0.5 }
-  };
+  });
 
   /**
    * A mapping of effectiveness values for each type against this type from Gen VI+
    * @private
    * @type {Object.<string, Object.<string, number>>}
    */
-  const _genVIEff = {
+  const _genVIEff = () => ({
     [Type.BUG]: { [Type.FIGHTING]: 0.5, [Type.FLYING]: 2, [Type.GROUND]: 0.5, [Type.ROCK]: 2, [Type.FIRE]: 2, [Type.GRASS]: 0.5 },
     [Type.DARK]: { [Type.FIGHTING]: 2, [Type.PSYCHIC]: 0, [Type.BUG]: 2, [Type.GHOST]: 0.5, [Type.DARK]: 0.5, [Type.FAIRY]: 2 },
     [Type.DRAGON]: { [Type.FIRE]: 0.5, [Type.WATER]: 0.5, [Type.ELECTRIC]: 0.5, [Type.GRASS]: 0.5, [Type.ICE]: 2, [Type.DRAGON]: 2, [Type.FAIRY]: 2 },
-    [Type.ELECTRIC]: { [Type.FLYING]: 0.5, [Type.GROUND]: 2, [Type.ELECTRIC]: 0.5, [Type.DRAGON]: 0.5, [Type.STEEL]: 0.5 },
+    [Type.ELECTRIC]: { [Type.FLYING]: 0.5, [Type.GROUND]: 2, [Type.ELECTRIC]: 0.5, [Type.STEEL]: 0.5 },
     [Type.FAIRY]: { [Type.FIGHTING]: 0.5, [Type.POISON]: 2, [Type.BUG]: 0.5, [Type.DRAGON]: 0, [Type.DARK]: 0.5, [Type.STEEL]: 2 },
     [Type.FIGHTING]: { [Type.FLYING]: 2, [Type.ROCK]: 0.5, [Type.BUG]: 0.5, [Type.PSYCHIC]: 2, [Type.DARK]: 0.5, [Type.FAIRY]: 2 },
-    [Type.FIRE]: { [Type.ROCK]: 2, [Type.BUG]: 0.5, [Type.STEEL]: 0.5, [Type.FIRE]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 0.5, [Type.ICE]: 0.5, [Type.DRAGON]: 0.5, [Type.GROUND]: 2, [Type.FAIRY]: 0.5 },
+    [Type.FIRE]: { [Type.ROCK]: 2, [Type.BUG]: 0.5, [Type.STEEL]: 0.5, [Type.FIRE]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 0.5, [Type.ICE]: 0.5, [Type.GROUND]: 2, [Type.FAIRY]: 0.5 },
     [Type.FLYING]: { [Type.FIGHTING]: 0.5, [Type.ROCK]: 2, [Type.BUG]: 0.5, [Type.GRASS]: 0.5, [Type.ELECTRIC]: 2, [Type.ICE]: 2, [Type.GROUND]: 0 },
     [Type.DELTA_FLYING]: { [Type.FIGHTING]: 0.5, [Type.ROCK]: 1, [Type.BUG]: 0.5, [Type.GRASS]: 0.5, [Type.ELECTRIC]: 1, [Type.ICE]: 1, [Type.GROUND]: 0 },
     [Type.GHOST]: { [Type.NORMAL]: 0, [Type.FIGHTING]: 0, [Type.POISON]: 0.5, [Type.BUG]: 0.5, [Type.GHOST]: 2, [Type.DARK]: 2 },
     [Type.GRASS]: { [Type.FLYING]: 2, [Type.POISON]: 2, [Type.GROUND]: 0.5, [Type.BUG]: 2, [Type.FIRE]: 2, [Type.GRASS]: 0.5, [Type.WATER]: 0.5, [Type.ELECTRIC]: 0.5, [Type.ICE]: 2 },
-    [Type.GROUND]: { [Type.POISON]: 0.5, [Type.ROCK]: 2, [Type.WATER]: 2, [Type.GRASS]: 0.5, [Type.ELECTRIC]: 0, [Type.ICE]: 2 },
+    [Type.GROUND]: { [Type.POISON]: 0.5, [Type.ROCK]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 2, [Type.ELECTRIC]: 0, [Type.ICE]: 2 },
     [Type.ICE]: { [Type.STEEL]: 2, [Type.FIRE]: 2, [Type.ICE]: 0.5, [Type.ROCK]: 2, [Type.FIGHTING]: 2 },
     [Type.NORMAL]: { [Type.FIGHTING]: 2, [Type.GHOST]: 0 },
     [Type.POISON]: { [Type.FIGHTING]: 0.5, [Type.POISON]: 0.5, [Type.GROUND]: 2, [Type.BUG]: 0.5, [Type.GRASS]: 0.5, [Type.FAIRY]: 0.5, [Type.PSYCHIC]: 2 },
@@ -406,7 +974,14 @@ function Type() {
     [Type.ROCK]: { [Type.NORMAL]: 0.5, [Type.FIGHTING]: 2, [Type.FLYING]: 0.5, [Type.POISON]: 0.5, [Type.GROUND]: 2, [Type.STEEL]: 2, [Type.FIRE]: 0.5, [Type.WATER]: 2, [Type.GRASS]: 2 },
     [Type.STEEL]: { [Type.NORMAL]: 0.5, [Type.FIGHTING]: 2, [Type.FLYING]: 0.5, [Type.ROCK]: 0.5, [Type.BUG]: 0.5, [Type.STEEL]: 0.5, [Type.FIRE]: 2, [Type.GRASS]: 0.5, [Type.ICE]: 0.5, [Type.FAIRY]: 0.5, [Type.POISON]: 0, [Type.GROUND]: 2, [Type.PSYCHIC]: 0.5, [Type.DRAGON]: 0.5 },
     [Type.WATER]: { [Type.FIRE]: 0.5, [Type.WATER]: 0.5, [Type.GRASS]: 2, [Type.ELECTRIC]: 2, [Type.ICE]: 0.5, [Type.STEEL]: 0.5 }
-  };
+  });
+
+  /**
+   * The type charts that have been built so far, keyed by the generation range they apply to.
+   * @private
+   * @type {Object.<string, Object.<string, Object.<string, number>>>}
+   */
+  const _effCache = {};
 
   /**
    * Performs an attack with a defender type and optional secondary defender type.
@@ -425,14 +1000,11 @@ function Type() {
       throw new TypeError("Defender types must be instances of the Type function");
 
     // Determine which generation the attack is taking place and use the appropriate type chart for damage modifier.
-    let eff = {};
-    if (gen.match('I')) {
-      eff = _genIEff;
-    } else if (gen.match('II-V')) {
-      eff = _genIItoVEff;
-    } else {
-      eff = _genVIEff;
+    const chart = gen.match('I') ? 'I' : gen.match('II-V') ? 'II-V' : 'VI+';
+    if (!_effCache.hasOwnProperty(chart)) {
+      _effCache[chart] = {'I': _genIEff, 'II-V': _genIItoVEff, 'VI+': _genVIEff}[chart]();
     }
+    const eff = _effCache[chart];
 
     // Damage modifiers are multiplicative of each type involved in the attack
     let mod = 1;
@@ -491,6 +1063,9 @@ Type.WATER = new Type();
 // Flying type during Delta Stream
 Type.DELTA_FLYING = new Type();
 
+// Tera type that keeps a Pokemon's own types and boosts each type of move once instead
+Type.STELLAR = new Type();
+
 // Edge case when a second type read from the pokedex doesn't exist because a Pokemon is monotype
 Type.undefined = Type.TYPELESS;
 Object.freeze(Type.prototype);
@@ -498,138 +1073,152 @@ Object.freeze(Type);
 
 /**
  * Create a new instance of StatDistribution with given stat values.
- * @param {Object} param - The object containing stat values.
+ * @class
+ * @param {Object} param - The object containing stat values. Special stats may be given either in the pokedex's
+ *                         "sp.atk"/"sp.def" form or in camel case.
  * @param {number} [param.hp=0] - The HP value.
  * @param {number} [param.atk=0] - The Attack value.
  * @param {number} [param.def=0] - The Defense value.
  * @param {number} [param["sp.atk"]=0] - The Special Attack value.
  * @param {number} [param["sp.def"]=0] - The Special Defense value.
+ * @param {number} [param.spAtk=0] - The Special Attack value.
+ * @param {number} [param.spDef=0] - The Special Defense value.
  * @param {number} [param.spe=0] - The Speed value.
  */
-function StatDistribution({hp = 0, atk = 0, def = 0, "sp.atk": spAtk = 0, "sp.def": spDef = 0, spe = 0}) {
-  let _hpVal = hp;
-  let _atkVal = atk;
-  let _defVal = def;
-  let _spAtkVal = spAtk;
-  let _spDefVal = spDef;
-  let _speVal = spe;
+class StatDistribution {
+  #hpVal;
+  #atkVal;
+  #defVal;
+  #spAtkVal;
+  #spDefVal;
+  #speVal;
+
+  constructor({hp = 0, atk = 0, def = 0, "sp.atk": dexSpAtk = 0, "sp.def": dexSpDef = 0, spAtk = dexSpAtk,
+    spDef = dexSpDef, spe = 0} = {}) {
+    this.#hpVal = hp;
+    this.#atkVal = atk;
+    this.#defVal = def;
+    this.#spAtkVal = spAtk;
+    this.#spDefVal = spDef;
+    this.#speVal = spe;
+  }
 
   /**
    * Get all stats in a single call.
    * @returns {Object} The current value of all stats as an Object.
    */
-  this.getStats = function() {
+  getStats() {
     return {
-      hp: _hpVal,
-      atk: _atkVal,
-      def: _defVal,
-      spAtk: _spAtkVal,
-      spDef: _spDefVal,
-      spe: _speVal
+      hp: this.#hpVal,
+      atk: this.#atkVal,
+      def: this.#defVal,
+      spAtk: this.#spAtkVal,
+      spDef: this.#spDefVal,
+      spe: this.#speVal
     };
-  };
+  }
 
   /**
    * Get the current HP value.
    * @returns {number} The current HP value.
    */
-  this.getHpVal = function() {
-    return _hpVal;
-  };
+  getHpVal() {
+    return this.#hpVal;
+  }
 
   /**
    * Set the HP value.
    * @param {number} newVal - The new HP value.
    */
-  this.setHpVal = function(newVal) {
-    _hpVal = newVal;
+  setHpVal(newVal) {
+    this.#hpVal = newVal;
     return this;
-  };
+  }
 
   /**
    * Get the current Attack value.
    * @returns {number} The current Attack value.
    */
-  this.getAtkVal = function() {
-    return _atkVal;
-  };
+  getAtkVal() {
+    return this.#atkVal;
+  }
 
   /**
    * Set the Attack value.
    * @param {number} newVal - The new Attack value.
    */
-  this.setAtkVal = function(newVal) {
-    _atkVal = newVal;
+  setAtkVal(newVal) {
+    this.#atkVal = newVal;
     return this;
-  };
+  }
 
   /**
    * Get the current Defense value.
    * @returns {number} The current Defense value.
    */
-  this.getDefVal = function() {
-    return _defVal;
-  };
+  getDefVal() {
+    return this.#defVal;
+  }
 
   /**
    * Set the Defense value.
    * @param {number} newVal - The new Defense value.
    */
-  this.setDefVal = function(newVal) {
-    _defVal = newVal;
+  setDefVal(newVal) {
+    this.#defVal = newVal;
     return this;
-  };
+  }
 
   /**
    * Get the current Special Attack value.
    * @returns {number} The current Special Attack value.
    */
-  this.getSpAtkVal = function() {
-    return _spAtkVal;
-  };
+  getSpAtkVal() {
+    return this.#spAtkVal;
+  }
 
   /**
    * Set the Special Attack value.
    * @param {number} newVal - The new Special Attack value.
    */
-  this.setSpAtkVal = function(newVal) {
-    _spAtkVal = newVal;
+  setSpAtkVal(newVal) {
+    this.#spAtkVal = newVal;
     return this;
-  };
+  }
 
   /**
    * Get the current Special Defense value.
    * @returns {number} The current Special Defense value.
    */
-  this.getSpDefVal = function() {
-    return _spDefVal;
-  };
+  getSpDefVal() {
+    return this.#spDefVal;
+  }
 
   /**
    * Set the Special Defense value.
    * @param {number} newVal - The new Special Defense value.
    */
-  this.setSpDefVal = function(newVal) {
-    _spDefVal = newVal;
+  setSpDefVal(newVal) {
+    this.#spDefVal = newVal;
     return this;
-  };
+  }
 
   /**
    * Get the current Speed value.
    * @returns {number} The current Speed value.
    */
-  this.getSpeVal = function() {
-    return _speVal;
-  };
+  getSpeVal() {
+    return this.#speVal;
+  }
 
   /**
    * Set the Speed value.
    * @param {number} newVal - The new Speed value.
    */
-  this.setSpeVal = function(newVal) {
-    _speVal = newVal;
+  setSpeVal(newVal) {
+    this.#speVal = newVal;
     return this;
-  };
+  }
 }
 
 /**
@@ -670,10 +1259,10 @@ class EVs extends StatDistribution {
   constructor({ hp = 0, atk = 0, def = 0, spAtk = 0, spDef = 0, spe = 0 }) {
     const stats = { hp, atk, def, spAtk, spDef, spe };
     for (let ev in stats) {
-      stats[ev] = this.#checkEV(ev, stats[ev]);
+      stats[ev] = EVs.#checkEV(ev, stats[ev]);
     }
-    this.#checkEVSum(stats);
     super(stats);
+    this.#checkEVSum(stats);
   }
 
   /**
@@ -686,7 +1275,7 @@ class EVs extends StatDistribution {
    * @param {number} evVal - The value of the EV to check.
    * @returns {number} - The validated EV value.
    */
-  #checkEV(ev, evVal) {
+  static #checkEV(ev, evVal) {
     if (evVal < 0) {
       console.warn(`The "${ev}" effort value is less than 0. Its value will be set to 0.`);
       return 0;
@@ -726,7 +1315,7 @@ class EVs extends StatDistribution {
    * @throws {RangeError} If the new value is less than 0 or greater than 252.
    */
   setHpVal(newVal) {
-    return super.setHpVal(this.#checkEV("hp", newVal)).#checkEVSum(this.getStats());
+    return super.setHpVal(EVs.#checkEV("hp", newVal)).#checkEVSum(this.getStats());
   }
 
   /**
@@ -737,7 +1326,7 @@ class EVs extends StatDistribution {
    * @throws {RangeError} If the new value is less than 0 or greater than 252.
    */
   setAtkVal(newVal) {
-    return super.setAtkVal(this.#checkEV("atk", newVal)).#checkEVSum(this.getStats());
+    return super.setAtkVal(EVs.#checkEV("atk", newVal)).#checkEVSum(this.getStats());
   }
 
   /**
@@ -748,7 +1337,7 @@ class EVs extends StatDistribution {
    * @throws {RangeError} If the new value is less than 0 or greater than 252.
    */
   setDefVal(newVal) {
-    return super.setDefVal(this.#checkEV("spDef", newVal)).#checkEVSum(this.getStats());
+    return super.setDefVal(EVs.#checkEV("def", newVal)).#checkEVSum(this.getStats());
   }
 
   /**
@@ -759,7 +1348,7 @@ class EVs extends StatDistribution {
    * @throws {RangeError} If the new value is less than 0 or greater than 252.
    */
   setSpAtkVal(newVal) {
-    return super.setSpAtkVal(this.#checkEV("spAtk", newVal)).#checkEVSum(this.getStats());
+    return super.setSpAtkVal(EVs.#checkEV("spAtk", newVal)).#checkEVSum(this.getStats());
   }
 
   /**
@@ -770,7 +1359,7 @@ class EVs extends StatDistribution {
    * @throws {RangeError} If the new value is less than 0 or greater than 252.
    */
   setSpDefVal(newVal) {
-    return super.setSpDefVal(this.#checkEV("spDef", newVal)).#checkEVSum(this.getStats());
+    return super.setSpDefVal(EVs.#checkEV("spDef", newVal)).#checkEVSum(this.getStats());
   }
 
   /**
@@ -781,7 +1370,7 @@ class EVs extends StatDistribution {
    * @throws {RangeError} If the new value is less than 0 or greater than 252.
    */
   setSpeVal(newVal) {
-    return super.setSpeVal(this.#checkEV("spe", newVal)).#checkEVSum(this.getStats());
+    return super.setSpeVal(EVs.#checkEV("spe", newVal)).#checkEVSum(this.getStats());
   }
 }
 
@@ -803,10 +1392,16 @@ class EVs extends StatDistribution {
 class IVs extends StatDistribution {
   static ZERO = () => new IVs({});
 
+  /**
+   * The highest IV in every stat, which is what most Pokemon used in battle have.
+   * @returns {IVs}
+   */
+  static MAX = () => new IVs({hp: 31, atk: 31, def: 31, spAtk: 31, spDef: 31, spe: 31});
+
   constructor({hp = 0, atk = 0, def = 0, spAtk = 0, spDef = 0, spe = 0}) {
     const stats = { hp, atk, def, spAtk, spDef, spe };
     for (let iv in stats) {
-      stats[iv] = this.#checkIV(iv, stats[iv]);
+      stats[iv] = IVs.#checkIV(iv, stats[iv]);
     }
 
     super(stats);
@@ -820,7 +1415,7 @@ class IVs extends StatDistribution {
    * @param {number} ivVal - The value of the IV being checked.
    * @returns {number} The valid IV value (i.e. a value between 0 and 31, inclusive).
    */
-  #checkIV(iv, ivVal) {
+  static #checkIV(iv, ivVal) {
     if (ivVal < 0) {
       console.warn(`The "${iv}" individual value is less than 0. Its value will be set to 0.`);
       return 0;
@@ -840,7 +1435,7 @@ class IVs extends StatDistribution {
    * @returns {IVs} This object, allowing for method chaining.
    */
   setHpVal(newVal) {
-    return super.setHpVal(this.#checkIV("hp", newVal));
+    return super.setHpVal(IVs.#checkIV("hp", newVal));
   }
 
   /**
@@ -851,7 +1446,7 @@ class IVs extends StatDistribution {
    * @returns {IVs} This object, allowing for method chaining.
    */
   setAtkVal(newVal) {
-    return super.setAtkVal(this.#checkIV("atk", newVal));
+    return super.setAtkVal(IVs.#checkIV("atk", newVal));
   }
 
   /**
@@ -862,7 +1457,7 @@ class IVs extends StatDistribution {
    * @returns {IVs} This object, allowing for method chaining.
    */
   setDefVal(newVal) {
-    return super.setDefVal(this.#checkIV("def", newVal));
+    return super.setDefVal(IVs.#checkIV("def", newVal));
   }
 
   /**
@@ -873,7 +1468,7 @@ class IVs extends StatDistribution {
    * @returns {IVs} This object, allowing for method chaining.
    */
   setSpAtkVal(newVal) {
-    return super.setSpAtkVal(this.#checkIV("spAtk", newVal));
+    return super.setSpAtkVal(IVs.#checkIV("spAtk", newVal));
   }
 
   /**
@@ -884,7 +1479,7 @@ class IVs extends StatDistribution {
    * @returns {IVs} This object, allowing for method chaining.
    */
   setSpDefVal(newVal) {
-    return super.setSpDefVal(this.#checkIV("spDef", newVal));
+    return super.setSpDefVal(IVs.#checkIV("spDef", newVal));
   }
 
   /**
@@ -895,7 +1490,260 @@ class IVs extends StatDistribution {
    * @returns {IVs} This object, allowing for method chaining.
    */
   setSpeVal(newVal) {
-    return super.setSpeVal(this.#checkIV("spe", newVal));
+    return super.setSpeVal(IVs.#checkIV("spe", newVal));
+  }
+}
+
+/**
+ * Creates an object representing a Pokémon's Determinant Values (DVs), the Gen I and II predecessor of IVs.
+ * Determinant values are values between 0 and 15. There is a single Special DV that is used for both Special Attack
+ * and Special Defense, and the HP DV is not chosen but derived from the lowest bit of each of the other DVs.
+ *
+ * @class
+ * @augments StatDistribution
+ * @param {Object} stats - An object with properties for each DV. Missing values default to 0.
+ * @param {number} [stats.atk=0] - The DV for the Attack stat.
+ * @param {number} [stats.def=0] - The DV for the Defense stat.
+ * @param {number} [stats.spe=0] - The DV for the Speed stat.
+ * @param {number} [stats.spc=0] - The DV for the Special stat.
+ */
+class DVs extends StatDistribution {
+  static ZERO = () => new DVs({});
+
+  /**
+   * The highest DV in every stat, which also gives the highest HP DV.
+   * @returns {DVs}
+   */
+  static MAX = () => new DVs({atk: 15, def: 15, spe: 15, spc: 15});
+
+  constructor({atk = 0, def = 0, spe = 0, spc = 0}) {
+    const dvs = { atk, def, spe, spc };
+    for (let dv in dvs) {
+      dvs[dv] = DVs.#checkDV(dv, dvs[dv]);
+    }
+
+    super({hp: DVs.#hpDV(dvs), atk: dvs.atk, def: dvs.def, spAtk: dvs.spc, spDef: dvs.spc, spe: dvs.spe});
+  }
+
+  /**
+   * Checks a determinant value (DV) to ensure it falls within the valid range of 0 to 15. If it falls outside this
+   * range, a warning message is logged to the console and the value is set to the nearest valid value.
+   * @private
+   * @param {string} dv - The name of the DV being checked (e.g. "atk", "def", "spc", etc.).
+   * @param {number} dvVal - The value of the DV being checked.
+   * @returns {number} The valid DV value (i.e. an integer between 0 and 15, inclusive).
+   */
+  static #checkDV(dv, dvVal) {
+    if (dvVal < 0) {
+      console.warn(`The "${dv}" determinant value is less than 0. Its value will be set to 0.`);
+      return 0;
+    } else if (dvVal > 15) {
+      console.warn(`The "${dv}" determinant value is greater than 15. Its value will be set to 15.`);
+      return 15;
+    }
+
+    return Math.floor(dvVal);
+  }
+
+  /**
+   * Derives the HP DV from the lowest bit of the Attack, Defense, Speed, and Special DVs, in that order.
+   * @private
+   * @param {Object} dvs - The Attack, Defense, Speed, and Special DVs.
+   * @returns {number} The HP DV.
+   */
+  static #hpDV({atk, def, spe, spc}) {
+    return (atk & 1) << 3 | (def & 1) << 2 | (spe & 1) << 1 | spc & 1;
+  }
+
+  /**
+   * Recomputes the HP DV after one of the other DVs has changed.
+   * @private
+   * @returns {DVs} This object, allowing for method chaining.
+   */
+  #updateHpDV() {
+    const {atk, def, spe, spAtk: spc} = this.getStats();
+    return super.setHpVal(DVs.#hpDV({atk, def, spe, spc}));
+  }
+
+  /**
+   * Get the current Special DV.
+   * @returns {number} The current Special DV.
+   */
+  getSpcVal() {
+    return this.getSpAtkVal();
+  }
+
+  /**
+   * Sets the Special DV, which is used for both Special Attack and Special Defense.
+   *
+   * @param {number} newVal - The new Special DV.
+   * @returns {DVs} This object, allowing for method chaining.
+   */
+  setSpcVal(newVal) {
+    const spc = DVs.#checkDV("spc", newVal);
+    super.setSpAtkVal(spc);
+    super.setSpDefVal(spc);
+    return this.#updateHpDV();
+  }
+
+  /**
+   * The HP DV is derived from the other DVs. As such, any calls to this method result in a warning log.
+   *
+   * @returns {DVs} This object, allowing for method chaining.
+   */
+  setHpVal(newVal) {
+    console.warn(`The HP determinant value is derived from the other DVs (attempted to set to ${newVal}).`);
+    return this;
+  }
+
+  /**
+   * Sets the Attack DV and updates the HP DV accordingly.
+   *
+   * @param {number} newVal - The new Attack DV.
+   * @returns {DVs} This object, allowing for method chaining.
+   */
+  setAtkVal(newVal) {
+    super.setAtkVal(DVs.#checkDV("atk", newVal));
+    return this.#updateHpDV();
+  }
+
+  /**
+   * Sets the Defense DV and updates the HP DV accordingly.
+   *
+   * @param {number} newVal - The new Defense DV.
+   * @returns {DVs} This object, allowing for method chaining.
+   */
+  setDefVal(newVal) {
+    super.setDefVal(DVs.#checkDV("def", newVal));
+    return this.#updateHpDV();
+  }
+
+  /**
+   * Sets the Special DV, since Special Attack does not have a DV of its own.
+   *
+   * @param {number} newVal - The new Special DV.
+   * @returns {DVs} This object, allowing for method chaining.
+   */
+  setSpAtkVal(newVal) {
+    return this.setSpcVal(newVal);
+  }
+
+  /**
+   * Sets the Special DV, since Special Defense does not have a DV of its own.
+   *
+   * @param {number} newVal - The new Special DV.
+   * @returns {DVs} This object, allowing for method chaining.
+   */
+  setSpDefVal(newVal) {
+    return this.setSpcVal(newVal);
+  }
+
+  /**
+   * Sets the Speed DV and updates the HP DV accordingly.
+   *
+   * @param {number} newVal - The new Speed DV.
+   * @returns {DVs} This object, allowing for method chaining.
+   */
+  setSpeVal(newVal) {
+    super.setSpeVal(DVs.#checkDV("spe", newVal));
+    return this.#updateHpDV();
+  }
+}
+
+/**
+ * Creates an object representing a Pokémon's Stat Experience, the Gen I and II predecessor of EVs.
+ * Unlike EVs, each stat can hold up to 65535 Stat Experience and there is no limit on the total. There is a single
+ * Special value that is used for both Special Attack and Special Defense.
+ *
+ * @class
+ * @augments StatDistribution
+ * @param {Object} stats - An object containing the Stat Experience for each stat. Missing values default to 0.
+ * @param {number} [stats.hp=0] - The Stat Experience for HP.
+ * @param {number} [stats.atk=0] - The Stat Experience for Attack.
+ * @param {number} [stats.def=0] - The Stat Experience for Defense.
+ * @param {number} [stats.spe=0] - The Stat Experience for Speed.
+ * @param {number} [stats.spc=0] - The Stat Experience for Special.
+ */
+class StatExp extends StatDistribution {
+  static ZERO = () => new StatExp({});
+
+  /**
+   * Stat Experience maxed out in every stat, as was common for trained Pokemon in Gens I and II.
+   * @returns {StatExp}
+   */
+  static MAX = () => new StatExp({hp: 65535, atk: 65535, def: 65535, spe: 65535, spc: 65535});
+
+  constructor({hp = 0, atk = 0, def = 0, spe = 0, spc = 0}) {
+    const stats = { hp, atk, def, spe, spc };
+    for (let stat in stats) {
+      stats[stat] = StatExp.#checkStatExp(stat, stats[stat]);
+    }
+
+    super({hp: stats.hp, atk: stats.atk, def: stats.def, spAtk: stats.spc, spDef: stats.spc, spe: stats.spe});
+  }
+
+  /**
+   * Checks an amount of Stat Experience to ensure it falls within the valid range of 0 to 65535. If it falls outside
+   * this range, a warning message is logged to the console and the value is set to the nearest valid value.
+   * @private
+   * @param {string} stat - The name of the stat being checked (e.g. "hp", "atk", "spc", etc.).
+   * @param {number} statExp - The Stat Experience being checked.
+   * @returns {number} The valid Stat Experience (i.e. a value between 0 and 65535, inclusive).
+   */
+  static #checkStatExp(stat, statExp) {
+    if (statExp < 0) {
+      console.warn(`The "${stat}" stat experience is less than 0. Its value will be set to 0.`);
+      return 0;
+    } else if (statExp > 65535) {
+      console.warn(`The "${stat}" stat experience is greater than 65535. Its value will be set to 65535.`);
+      return 65535;
+    }
+
+    return statExp;
+  }
+
+  /**
+   * Get the current Special Stat Experience.
+   * @returns {number} The current Special Stat Experience.
+   */
+  getSpcVal() {
+    return this.getSpAtkVal();
+  }
+
+  /**
+   * Sets the Special Stat Experience, which is used for both Special Attack and Special Defense.
+   *
+   * @param {number} newVal - The new Special Stat Experience.
+   * @returns {StatExp} This object, allowing for method chaining.
+   */
+  setSpcVal(newVal) {
+    const spc = StatExp.#checkStatExp("spc", newVal);
+    super.setSpAtkVal(spc);
+    return super.setSpDefVal(spc);
+  }
+
+  setHpVal(newVal) {
+    return super.setHpVal(StatExp.#checkStatExp("hp", newVal));
+  }
+
+  setAtkVal(newVal) {
+    return super.setAtkVal(StatExp.#checkStatExp("atk", newVal));
+  }
+
+  setDefVal(newVal) {
+    return super.setDefVal(StatExp.#checkStatExp("def", newVal));
+  }
+
+  setSpAtkVal(newVal) {
+    return this.setSpcVal(newVal);
+  }
+
+  setSpDefVal(newVal) {
+    return this.setSpcVal(newVal);
+  }
+
+  setSpeVal(newVal) {
+    return super.setSpeVal(StatExp.#checkStatExp("spe", newVal));
   }
 }
 
@@ -930,13 +1778,13 @@ class Stages extends StatDistribution {
   constructor({critRatio = 0, evasion = 0, accuracy = 0, atk = 0, def = 0, spAtk = 0, spDef = 0, spe = 0}) {
     const stats = { atk, def, spAtk, spDef, spe };
     for (let stage in stats) {
-      stats[stage] = this.#checkStage(stage, stats[stage]);
+      stats[stage] = Stages.#checkStage(stage, stats[stage]);
     }
 
-    this.#critRatio = this.#checkStage("critRatio", critRatio, 0, 4);
-    this.#evasion = this.#checkStage("evasion", evasion);
-    this.#accuracy = this.#checkStage("accuracy", accuracy);
     super(stats);
+    this.#critRatio = Stages.#checkStage("critRatio", critRatio, 0, 4);
+    this.#evasion = Stages.#checkStage("evasion", evasion);
+    this.#accuracy = Stages.#checkStage("accuracy", accuracy);
   }
 
   /**
@@ -949,7 +1797,7 @@ class Stages extends StatDistribution {
    * @param {number} [max=6] - The largest valid stage value for the given stat.
    * @returns {number} The valid stage value (i.e. a value between min and max, inclusive).
    */
-  #checkStage(stat, statStage, min = -6, max = 6) {
+  static #checkStage(stat, statStage, min = -6, max = 6) {
     if (statStage < min) {
       console.warn(`The "${stat}" stage is less than ${min}. Its value will be set to ${min}.`);
       return min;
@@ -989,15 +1837,17 @@ class Stages extends StatDistribution {
    * @throws {RangeError} If for some reason a non-integer or invalid stage magnitude is encountered.
    */
   getMultipliers(gen) {
-    // Gen I doesn't have critRatio, accuracy, and evasion stage modifiers, and uses approximated multiplier values
+    // Gen I doesn't have a critRatio stage modifier, and uses the same approximated multiplier values for accuracy and
+    // evasion as for every other stat
     if (gen.match('I')) {
       const genIMults = [0.25, 0.28, 0.33, 0.4, 0.5, 0.66, 1, 1.5, 2, 2.5, 3, 3.5, 4];
-      const {critRatio, accuracy, evasion, ...stages} = this.getStages();
+      const {critRatio, evasion, ...stages} = this.getStages();
 
       for (const stat in stages) {
         stages[stat] = genIMults[6 + stages[stat]];
       }
 
+      stages.evasion = genIMults[6 - evasion];
       return stages;
     }
 
@@ -1027,7 +1877,7 @@ class Stages extends StatDistribution {
         "VI": [1/16, 1/8, 1/2, 1, 1],
         "VII+": [1/24, 1/8, 1/2, 1, 1]
       };
-      for (genRange in critMap) {
+      for (const genRange in critMap) {
         if (gen.match(genRange)) {
           critRatio = critMap[genRange][critRatio];
           break;
@@ -1052,7 +1902,7 @@ class Stages extends StatDistribution {
    * @returns {Stages} This object, allowing for method chaining.
    */
   setCritRatioVal(newVal) {
-    this.#critRatio = this.#checkStage("critRatio", newVal, 0, 4);
+    this.#critRatio = Stages.#checkStage("critRatio", newVal, 0, 4);
     return this;
   };
 
@@ -1070,7 +1920,7 @@ class Stages extends StatDistribution {
    * @returns {Stages} This object, allowing for method chaining.
    */
   setEvasionVal(newVal) {
-    this.#evasion = this.#checkStage("evasion", newVal);
+    this.#evasion = Stages.#checkStage("evasion", newVal);
     return this;
   };
 
@@ -1088,7 +1938,7 @@ class Stages extends StatDistribution {
    * @returns {Stages} This object, allowing for method chaining.
    */
   setAccuracyVal(newVal) {
-    this.#accuracy = this.#checkStage("accuracy", newVal);
+    this.#accuracy = Stages.#checkStage("accuracy", newVal);
     return this;
   };
 
@@ -1118,7 +1968,7 @@ class Stages extends StatDistribution {
    * @returns {Stages} This object, allowing for method chaining.
    */
   setAtkVal(newVal) {
-    return super.setAtkVal(this.#checkStage("atk", newVal));
+    return super.setAtkVal(Stages.#checkStage("atk", newVal));
   }
 
   /**
@@ -1129,7 +1979,7 @@ class Stages extends StatDistribution {
    * @returns {Stages} This object, allowing for method chaining.
    */
   setDefVal(newVal) {
-    return super.setDefVal(this.#checkStage("def", newVal));
+    return super.setDefVal(Stages.#checkStage("def", newVal));
   }
 
   /**
@@ -1140,7 +1990,7 @@ class Stages extends StatDistribution {
    * @returns {Stages} This object, allowing for method chaining.
    */
   setSpAtkVal(newVal) {
-    return super.setSpAtkVal(this.#checkStage("spAtk", newVal));
+    return super.setSpAtkVal(Stages.#checkStage("spAtk", newVal));
   }
 
   /**
@@ -1151,7 +2001,7 @@ class Stages extends StatDistribution {
    * @returns {Stages} This object, allowing for method chaining.
    */
   setSpDefVal(newVal) {
-    return super.setSpDefVal(this.#checkStage("spDef", newVal));
+    return super.setSpDefVal(Stages.#checkStage("spDef", newVal));
   }
 
   /**
@@ -1162,7 +2012,7 @@ class Stages extends StatDistribution {
    * @returns {Stages} This object, allowing for method chaining.
    */
   setSpeVal(newVal) {
-    return super.setSpeVal(this.#checkStage("spe", newVal));
+    return super.setSpeVal(Stages.#checkStage("spe", newVal));
   }
 }
 
@@ -1225,11 +2075,11 @@ class Nature extends StatDistribution {
     base[boon] += 0.1;
     base[bane] -= 0.1;
 
-    this.#boon = boon;
-    this.#bane = bane;
-
     // Nicki Minaj
     super(base);
+
+    this.#boon = boon;
+    this.#bane = bane;
   }
 
   /**
@@ -1274,446 +2124,6185 @@ class Nature extends StatDistribution {
   }
 }
 
-// TODO: Implement this
-class Status {}
+/**
+ * Represents a status condition that a Pokemon is afflicted with. The non-volatile conditions created by this class
+ * stay with a Pokemon when it switches out, and a Pokemon can only have one of them at a time. How long they last, how
+ * much damage they deal, and who is immune to them depends on the generation of the battle.
+ */
+class Status {
+  static BURN = 'Burn';
+  static PARALYSIS = 'Paralysis';
+  static SLEEP = 'Sleep';
+  static FREEZE = 'Freeze';
+  static POISON = 'Poison';
+  static BADLY_POISONED = 'Badly Poisoned';
+
+  /**
+   * The types that can't be afflicted with each condition, along with the generations that they are immune in.
+   * Badly poisoned shares the immunities of poison.
+   * @type {Object<string, Array<[Type, string]>>}
+   */
+  static #typeImmunities = {
+    [Status.BURN]: [[Type.FIRE, 'I+']],
+    [Status.PARALYSIS]: [[Type.ELECTRIC, 'VI+']],
+    [Status.FREEZE]: [[Type.ICE, 'I+']],
+    [Status.POISON]: [[Type.POISON, 'I+'], [Type.STEEL, 'II+']]
+  };
 
-// TODO: Implement this
-class VolatileStatus extends Status {}
+  /**
+   * The abilities that prevent their holder from being afflicted with conditions, and the conditions they prevent.
+   * @type {Object<string, string[]>}
+   */
+  static #abilityImmunities = {
+    'Limber': [Status.PARALYSIS],
+    'Insomnia': [Status.SLEEP],
+    'Vital Spirit': [Status.SLEEP],
+    'Sweet Veil': [Status.SLEEP],
+    'Magma Armor': [Status.FREEZE],
+    'Water Veil': [Status.BURN],
+    'Water Bubble': [Status.BURN],
+    'Thermal Exchange': [Status.BURN],
+    'Immunity': [Status.POISON],
+    'Pastel Veil': [Status.POISON],
+    'Comatose': [Status.BURN, Status.PARALYSIS, Status.SLEEP, Status.FREEZE, Status.POISON],
+    'Purifying Salt': [Status.BURN, Status.PARALYSIS, Status.SLEEP, Status.FREEZE, Status.POISON]
+  };
 
-// TODO: Implement this
-class Item {}
+  #name;
+  #gen;
+  #turns;
+  #initialTurns;
+  #toxicCounter = 1;
 
-/**
- * Represents a move in a Pokémon game.
- *
- * @class
- */
-class Move {
   /**
-   * The physical move category.
+   * Creates a new status condition.
    *
-   * @static
-   * @type {Move}
+   * @param {string} name - The name of the condition, e.g. Status.BURN.
+   * @param {Gen} [gen=Gen.IX] - The generation of the battle.
+   * @param {Object} [options={}] - Any additional details of the condition.
+   * @param {number} [options.turns] - The value of the sleep counter, which counts down each time the Pokemon tries to
+   *                                   move. Defaults to a random value in the range of the generation for sleep, and to
+   *                                   Infinity for every other condition.
+   * @throws {RangeError} If the name isn't one of the non-volatile conditions.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
    */
-  static PHYSICAL = new Move();
+  constructor(name, gen = Gen.IX, {turns = undefined} = {}) {
+    if (new.target === Status && !Status.getAll().includes(name))
+      throw new RangeError(`${name} is not a non-volatile status condition.`);
+
+    if (!(gen instanceof Gen))
+      throw new GenerationError("Invalid generation object specified for a status condition.");
+
+    this.#name = name;
+    this.#gen = gen;
+    this.#turns = turns ?? (name === Status.SLEEP ? Status.rollSleepTurns(gen) : Infinity);
+    this.#initialTurns = this.#turns;
+  }
 
   /**
-   * The special move category.
+   * Returns the names of every non-volatile status condition.
    *
    * @static
-   * @type {Move}
+   * @returns {string[]} The names of the conditions.
    */
-  static SPECIAL = new Move();
+  static getAll() {
+    return [Status.BURN, Status.PARALYSIS, Status.SLEEP, Status.FREEZE, Status.POISON, Status.BADLY_POISONED];
+  }
 
   /**
-   * The status move category.
+   * Returns the range of the sleep counter in a generation. Gen I lets the counter run from 1 to 7, Gen II from 2 to 7,
+   * Gens III and IV from 2 to 5, and later generations from 2 to 4, so that a Pokemon sleeps for 1 to 3 turns.
    *
    * @static
-   * @type {Move}
+   * @param {Gen} gen - The generation.
+   * @returns {[number, number]} The lowest and highest values of the counter.
    */
-  static STATUS = new Move();
+  static getSleepRange(gen) {
+    return gen.match('I') ? [1, 7] : gen.match('II') ? [2, 7] : gen.match('III-IV') ? [2, 5] : [2, 4];
+  }
 
   /**
-   * Creates a new instance of the `Move` class.
+   * Picks a random value for the sleep counter in a generation.
    *
-   * @constructor
-   * @param {string} [name] - The name of the move.
-   * @param {Type} [type] - The type of the move.
-   * @param {number} [power] - The power of the move.
-   * @param {number} [accuracy] - The accuracy of the move.
-   * @param {Move} [cat] - The category of the move.
-   * @param {number} [pp] - The base number of power points the move has.
-   * @param {number} [priority] - The priority that the move has. Most moves have priority 0, but can range from -7 to 5
-   * @param {boolean} [isHM=false] - Indicates whether the move is an HM move.
-   * @throws {TypeError} If the category is not one of `Move.PHYSICAL`, `Move.SPECIAL`, or `Move.STATUS`, or if the
-   * type is note one of the 19 well-defined types of Type.
+   * @static
+   * @param {Gen} gen - The generation.
+   * @param {function(): number} [random=Math.random] - A source of random numbers from 0 (inclusive) to 1 (exclusive).
+   * @returns {number} The value of the sleep counter.
    */
-  constructor(name, type, power, accuracy, cat, pp, priority = 0, isHM = false) {
-    // This is only called by the Move class when initiating the 3 static categories of moves
-    if (arguments.length === 0) {
-      // do nothing
-    } else {
-      this.#name = name;
-      if (!(type instanceof Type)) {
-        throw new TypeError(`The move type must be an instance of the Type class.`);
-      }
-      this.#type = type;
-
-      this.#power = power;
-      this.#accuracy = accuracy;
-      
-      this.#category = this.#checkCategory(cat, Move.PHYSICAL) ||
-        this.#checkCategory(cat, Move.SPECIAL) ||
-        this.#checkCategory(cat, Move.STATUS);
-      if (!this.#category) {
-        throw new TypeError(`The category must be one of Move.PHYSICAL, Move.SPECIAL, or Move.STATUS`);
-      }
-
-      this.#pp = pp;
-      this.#priority = Math.floor(priority) < -7 ? -7 : Math.floor(priority) > 5 ? 5 : Math.floor(priority);
-      if (priority !== this.#priority) {
-        console.warn(`The priority value given was modified from (${priority}) to (${this.#priority})!`);
-      }
-      this.#isHM = isHM;
-    }
+  static rollSleepTurns(gen, random = Math.random) {
+    const [min, max] = Status.getSleepRange(gen);
+    return min + Math.floor(random() * (max - min + 1));
   }
 
   /**
-   * Checks if the incoming category is one of the static instances defined in the Move class.
+   * Indicates whether a Pokemon can be afflicted with a condition. It can't if it already has one or has fainted, or if
+   * its type or ability makes it immune, like Fire types are to burns and Steel types to poison.
    *
-   * @private
-   * @param {*} [cat] - The category object to be checked
-   * @param {Move} [category] - One of Move.PHYSICAL, Move.SPECIAL, or Move.STATUS
-   * @returns {*} The static instance if the condition is met, false otherwise.
+   * @static
+   * @param {Pokemon} pokemon - The Pokemon.
+   * @param {string} name - The name of the condition.
+   * @returns {boolean} `true` if the Pokemon can be afflicted with the condition, `false` otherwise.
    */
-  #checkCategory(cat, category) {
-    return cat === category ? cat : false;
+  static canAfflict(pokemon, name) {
+    if (pokemon.getStatus() !== null || pokemon.isFainted())
+      return false;
+
+    const gen = pokemon.getGen();
+    const base = name === Status.BADLY_POISONED ? Status.POISON : name;
+    const immuneTypes = Status.#typeImmunities[base] ?? [];
+    if (immuneTypes.some(([type, gens]) => gen.match(gens) && pokemon.hasType(type)))
+      return false;
+
+    return !(Status.#abilityImmunities[pokemon.getAbility()] ?? []).includes(base);
   }
 
   /**
-   * Returns the name of the move.
+   * Returns the name of the condition.
    *
-   * @returns {string} The name of the move.
+   * @returns {string} The name of the condition, e.g. "Burn".
    */
   getName() {
     return this.#name;
   }
 
   /**
-   * Returns the type of the move.
+   * Returns the generation of the battle that the condition was inflicted in.
    *
-   * @returns {Type} The type of the move as an instace of the Type class.
+   * @returns {Gen} The generation.
    */
-  getType() {
-    return this.#type;
+  getGen() {
+    return this.#gen;
   }
 
   /**
-   * Returns the power of the move.
+   * Indicates whether the condition ends when its Pokemon switches out.
    *
-   * @returns {number} The power of the move.
+   * @returns {boolean} `false`, since non-volatile conditions stay with their Pokemon.
    */
-  getPower() {
-    return this.#power;
+  isVolatile() {
+    return false;
   }
 
   /**
-   * Returns the accuracy of the move.
+   * Returns how many more times the sleep counter counts down before the Pokemon wakes up.
    *
-   * @returns {number} The accuracy of the move.
+   * @returns {number} The value of the counter, or Infinity for conditions that don't end on their own.
    */
-  getAccuracy() {
-    return this.#accuracy;
+  getTurns() {
+    return this.#turns;
   }
 
   /**
-   * Returns the category of the move.
-   * 
-   * @returns {Move} The category of the move (one of Move.PHYSICAL, Move.SPECIAL, or Move.STATUS).
+   * Counts down the turn counter of the condition by one, stopping at 0.
+   *
+   * @returns {number} The turns left on the counter.
    */
-  getCategory() {
-    return this.#category;
+  countDown() {
+    this.#turns = Math.max(0, this.#turns - 1);
+    return this.#turns;
   }
 
   /**
-   * Returns the base number of power points of the move.
-   * 
-   * @returns {number} The base number of PP that a move has.
+   * Returns how many turns the Pokemon has been badly poisoned for, which multiplies the damage it takes.
+   *
+   * @returns {number} The toxic counter, starting at 1.
    */
-  getPP() {
-    return this.#pp;
+  getToxicCounter() {
+    return this.#toxicCounter;
   }
 
   /**
-   * Returns the priority of the move.
-   * 
-   * @returns {number} The priority of this move, an integer from -7 to 5 inclusive.
+   * Returns the multiplier of the Pokemon's Speed. Paralysis quarters it until Gen VII, which only halves it.
+   *
+   * @returns {number} The multiplier, which is 1 for every condition other than paralysis.
    */
-  getPriority() {
-    return this.#priority;
+  getSpeedMultiplier() {
+    if (this.#name !== Status.PARALYSIS)
+      return 1;
+
+    return this.#gen.match('VII+') ? 0.5 : 0.25;
   }
 
   /**
-   * Indicates whether the move is an HM move.
+   * Returns the fraction of its max HP that the Pokemon loses at the end of each turn. Burns deal 1/16 in Gen I and
+   * from Gen VII on, and 1/8 in between. Poison deals 1/16 in Gen I and 1/8 since, while bad poisoning deals 1/16 for
+   * each turn that the Pokemon has been badly poisoned.
    *
-   * @returns {boolean} `true` if the move is an HM move, `false` otherwise.
+   * @returns {number} The fraction of max HP, which is 0 for conditions that don't deal damage.
    */
-  isHM() {
-    return this.#isHM;
+  getResidualFraction() {
+    const gen = this.#gen;
+    switch (this.#name) {
+      case Status.BURN:
+        return gen.match('II-VI') ? 1 / 8 : 1 / 16;
+      case Status.POISON:
+        return gen.match('I') ? 1 / 16 : 1 / 8;
+      case Status.BADLY_POISONED:
+        return Math.min(15, this.#toxicCounter) / 16;
+      default:
+        return 0;
+    }
   }
 
   /**
-   * Returns the name of the move as a string.
+   * Checks whether the Pokemon can move this turn. Sleeping Pokemon count down their sleep counter and wake up when it
+   * runs out, though in Gen I waking up still takes the turn. Frozen Pokemon have a 20% chance to thaw from Gen III on,
+   * and paralyzed Pokemon are fully paralyzed 25% of the time.
    *
-   * @returns {string} The name of the move.
+   * @param {Object} context - The Pokemon trying to move.
+   * @param {Pokemon} context.pokemon - The Pokemon with the condition.
+   * @param {function(): number} [context.random=Math.random] - A source of random numbers from 0 (inclusive) to 1
+   *                                                            (exclusive).
+   * @returns {boolean} `true` if the Pokemon can move, `false` otherwise.
+   */
+  beforeMove({pokemon, random = Math.random}) {
+    switch (this.#name) {
+      case Status.SLEEP:
+        if (this.countDown() > 0)
+          return false;
+
+        pokemon.cureStatus();
+        return !this.#gen.match('I');
+      case Status.FREEZE:
+        // Frozen Pokemon never thaw out on their own in Gen I, and only at the end of the turn in Gen II.
+        if (!this.#gen.match('III+') || random() >= 0.2)
+          return false;
+
+        pokemon.cureStatus();
+        return true;
+      case Status.PARALYSIS:
+        return random() >= 0.25;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Applies the effects of the condition at the end of a turn: damage from burns and poison, which Magic Guard
+   * prevents, Poison Heal turns into healing, and Heatproof halves from Gen IV on, and the 25/256 chance for frozen
+   * Pokemon to thaw in Gen II.
+   *
+   * @param {Object} context - The Pokemon at the end of the turn.
+   * @param {Pokemon} context.pokemon - The Pokemon with the condition.
+   * @param {function(): number} [context.random=Math.random] - A source of random numbers from 0 (inclusive) to 1
+   *                                                            (exclusive).
+   */
+  onTurnEnd({pokemon, random = Math.random}) {
+    if (this.#name === Status.FREEZE && this.#gen.match('II') && random() < 25 / 256) {
+      pokemon.cureStatus();
+      return;
+    }
+
+    const maxHP = pokemon.getStats().hp;
+    const ability = pokemon.getAbility();
+    const isPoisoned = this.#name === Status.POISON || this.#name === Status.BADLY_POISONED;
+    let fraction = this.getResidualFraction();
+
+    if (this.#name === Status.BADLY_POISONED)
+      this.#toxicCounter++;
+
+    if (isPoisoned && ability === 'Poison Heal') {
+      pokemon.setCurrentHP(pokemon.getCurrentHP() + Math.max(1, Math.floor(maxHP / 8)));
+      return;
+    }
+
+    if (this.#name === Status.BURN && ability === 'Heatproof' && this.#gen.match('IV+'))
+      fraction /= 2;
+
+    if (fraction > 0 && ability !== 'Magic Guard')
+      pokemon.setCurrentHP(pokemon.getCurrentHP() - Math.max(1, Math.floor(maxHP * fraction)));
+  }
+
+  /**
+   * Applies the effects of the Pokemon switching out. Bad poisoning becomes regular poison in Gens I and II and has its
+   * counter reset from Gen III on, and the sleep counter is reset to its starting value in Gen V.
+   *
+   * @param {{pokemon: Pokemon}} context - The Pokemon with the condition.
+   */
+  onSwitchOut({pokemon}) {
+    if (this.#name === Status.BADLY_POISONED && this.#gen.match('I-II'))
+      pokemon.setStatus(new Status(Status.POISON, this.#gen));
+
+    this.#toxicCounter = 1;
+    if (this.#gen.match('V'))
+      this.#turns = this.#initialTurns;
+  }
+
+  /**
+   * Returns the name of the condition as a string.
+   *
+   * @returns {string} The name of the condition.
    */
   toString() {
     return this.getName();
   }
 }
 
+/**
+ * Represents a volatile status condition, one that ends when its Pokemon switches out. Unlike non-volatile conditions,
+ * a Pokemon can have any number of them at once, though only one of each kind. Conditions that involve another
+ * Pokemon, like Leech Seed, keep track of it as their source.
+ *
+ * @augments Status
+ */
+class VolatileStatus extends Status {
+  static CONFUSION = 'Confusion';
+  static FLINCH = 'Flinch';
+  static LEECH_SEED = 'Leech Seed';
+  static SUBSTITUTE = 'Substitute';
+  static TAUNT = 'Taunt';
+  static ENCORE = 'Encore';
+  static PARTIAL_TRAP = 'Partial Trap';
+  static PROTECT = 'Protect';
 
-// TODO: Implement this
-class Ability {}
+  /**
+   * The range of the turn counter of each condition that ends on its own, in each range of generations.
+   * @type {Object<string, Object<string, [number, number]>>}
+   */
+  static #durations = {
+    [VolatileStatus.CONFUSION]: {'I+': [2, 5]},
+    [VolatileStatus.FLINCH]: {'I+': [1, 1]},
+    [VolatileStatus.TAUNT]: {'III': [2, 2], 'IV': [3, 5], 'V+': [3, 3]},
+    [VolatileStatus.ENCORE]: {'II-III': [2, 6], 'IV': [4, 8], 'V+': [3, 3]},
+    [VolatileStatus.PARTIAL_TRAP]: {'I-IV': [2, 5], 'V+': [4, 5]}
+  };
 
-// TODO: Finish this
-class Pokemon {
-  // Data that stays with the mon even outside of battle
-  #name;
-  #nickname;
-  #ability;
-  #type1;
-  #type2;
-  #stats;
-  #evs;
-  #ivs;
-  #friendship;
-  #statusCondition;
-  #currentHP;
-  #moves;
+  #source;
+  #move;
+  #hp = 0;
+  #uses = 0;
+  #protecting = false;
 
-  #gen;
+  /**
+   * Creates a new volatile status condition.
+   *
+   * @param {string} name - The name of the condition, e.g. VolatileStatus.CONFUSION.
+   * @param {Gen} [gen=Gen.IX] - The generation of the battle.
+   * @param {Object} [options={}] - Any additional details of the condition.
+   * @param {number} [options.turns] - The value of the turn counter. Defaults to a random value in the range of the
+   *                                   generation for conditions that end on their own, and to Infinity otherwise.
+   * @param {Pokemon} [options.source=null] - The Pokemon that caused the condition, which Leech Seed heals.
+   * @param {Move} [options.move=null] - The move that the Pokemon is locked into by Encore, or the move trapping it.
+   * @throws {RangeError} If the name isn't one of the volatile conditions.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  constructor(name, gen = Gen.IX, {turns = undefined, source = null, move = null} = {}) {
+    if (!VolatileStatus.getAll().includes(name))
+      throw new RangeError(`${name} is not a volatile status condition.`);
 
-  #stages = Stages.ZERO();
+    super(name, gen, {turns: turns ?? (gen instanceof Gen ? VolatileStatus.rollTurns(name, gen) : undefined)});
+    this.#source = source;
+    this.#move = move;
+  }
 
-  constructor(name, data, gen, evs = EVs.ZERO(), ivs = IVs.ZERO()) {
-    this.#name = name;
-    this.#stats = new StatDistribution(data);
+  /**
+   * Returns the names of every volatile status condition.
+   *
+   * @static
+   * @returns {string[]} The names of the conditions.
+   */
+  static getAll() {
+    return [VolatileStatus.CONFUSION, VolatileStatus.FLINCH, VolatileStatus.LEECH_SEED, VolatileStatus.SUBSTITUTE,
+      VolatileStatus.TAUNT, VolatileStatus.ENCORE, VolatileStatus.PARTIAL_TRAP, VolatileStatus.PROTECT];
+  }
 
-    [this.#type1, this.#type2 = Type.undefined] = data.abilities;
+  /**
+   * Picks a random value for the turn counter of a condition in a generation.
+   *
+   * @static
+   * @param {string} name - The name of the condition.
+   * @param {Gen} gen - The generation.
+   * @param {function(): number} [random=Math.random] - A source of random numbers from 0 (inclusive) to 1 (exclusive).
+   * @returns {number} The value of the turn counter, or Infinity if the condition doesn't end on its own.
+   */
+  static rollTurns(name, gen, random = Math.random) {
+    const durations = VolatileStatus.#durations[name] ?? {};
+    const range = Object.keys(durations).find(gens => gen.match(gens));
+    if (range === undefined)
+      return Infinity;
+
+    const [min, max] = durations[range];
+    return min + Math.floor(random() * (max - min + 1));
+  }
 
-    this.#gen = gen;
+  /**
+   * Returns the chance that Protect and moves like it succeed after being used successfully a number of times in a
+   * row. The chance halves with each use until Gen VI, where it drops to a third, and Gens III and IV stop halving it
+   * at 1/8.
+   *
+   * @static
+   * @param {Gen} gen - The generation.
+   * @param {number} uses - The number of times in a row that the move has succeeded.
+   * @returns {number} The probability that the move succeeds, from 0 to 1.
+   */
+  static getProtectChance(gen, uses) {
+    if (gen.match('VI+'))
+      return 1 / 3 ** uses;
 
-    this.#evs = evs;
-    this.#ivs = ivs;
+    return 1 / 2 ** (gen.match('III-IV') ? Math.min(3, uses) : uses);
+  }
 
-    this.#currentHP = data.hp;
+  /**
+   * Calculates the damage that a confused Pokemon deals to itself: a typeless physical attack with 40 power that uses
+   * its own Attack and Defense, including their stages, and never lands a critical hit. The random factor only
+   * applies from Gen III on.
+   *
+   * @param {Pokemon} pokemon - The confused Pokemon.
+   * @param {function(): number} [random=Math.random] - A source of random numbers from 0 (inclusive) to 1 (exclusive).
+   * @returns {number} The damage.
+   */
+  static calcSelfHitDamage(pokemon, random = Math.random) {
+    const gen = pokemon.getGen();
+    const {atk, def} = pokemon.getStats();
+    const stages = pokemon.getStages().getStats();
+    const [a, d] = [applyStage(gen, atk, stages.atk), applyStage(gen, def, stages.def)];
+    const damage = Math.floor(Math.floor(Math.floor(2 * pokemon.getLevel() / 5 + 2) * 40 * a / d) / 50) + 2;
+
+    return gen.match('III+') ? Math.floor(damage * (85 + Math.floor(random() * 16)) / 100) : damage;
   }
 
-  // TODO: Add more methods here.
-}
+  /**
+   * Indicates whether a Pokemon can be afflicted with a volatile condition. It can't if it already has the condition
+   * or has fainted, or if it's immune: Grass types to Leech Seed, Own Tempo to confusion, Inner Focus and Dynamax to
+   * flinching, Oblivious to Taunt from Gen VI on, and Dynamax to Encore. Pokemon without more than a quarter of their
+   * max HP left can't make a Substitute.
+   *
+   * @static
+   * @param {Pokemon} pokemon - The Pokemon.
+   * @param {string} name - The name of the condition.
+   * @returns {boolean} `true` if the Pokemon can be afflicted with the condition, `false` otherwise.
+   */
+  static canAfflict(pokemon, name) {
+    if (pokemon.hasVolatileStatus(name) || pokemon.isFainted())
+      return false;
+
+    const ability = pokemon.getAbility();
+    switch (name) {
+      case VolatileStatus.LEECH_SEED:
+        return !pokemon.hasType(Type.GRASS);
+      case VolatileStatus.CONFUSION:
+        return ability !== 'Own Tempo';
+      case VolatileStatus.FLINCH:
+        return ability !== 'Inner Focus' && !pokemon.isDynamaxed();
+      case VolatileStatus.ENCORE:
+        return !pokemon.isDynamaxed();
+      case VolatileStatus.TAUNT:
+        return !(ability === 'Oblivious' && pokemon.getGen().match('VI+'));
+      case VolatileStatus.SUBSTITUTE:
+        return pokemon.getCurrentHP() > Math.floor(pokemon.getStats().hp / 4);
+      default:
+        return true;
+    }
+  }
 
-// TODO: Delete this when no longer needed
-function Pokemon({name, teraType = Type.TYPELESS, ivs}) {
-  const _name = name;
+  /**
+   * Indicates whether the condition ends when its Pokemon switches out.
+   *
+   * @returns {boolean} `true`, since volatile conditions end when their Pokemon switches out.
+   */
+  isVolatile() {
+    return true;
+  }
 
-  const [_type1, _type2] = [Type[pokedex[name].types[0]], Type[pokedex[name].types[1]]];
+  /**
+   * Returns the Pokemon that caused the condition.
+   *
+   * @returns {Pokemon|null} The source of the condition, or null if it wasn't given.
+   */
+  getSource() {
+    return this.#source;
+  }
 
-  this.data = pokedex[name];
+  /**
+   * Returns the move that the Pokemon is locked into by Encore, or the move that is trapping it.
+   *
+   * @returns {Move|null} The move, or null if the condition doesn't involve one.
+   */
+  getMove() {
+    return this.#move;
+  }
 
-  this.getFirstType = function() {
-    return _type1;
-  };
+  /**
+   * Returns the HP that a Substitute has left.
+   *
+   * @returns {number} The HP of the Substitute, or 0 for every other condition.
+   */
+  getSubstituteHP() {
+    return this.#hp;
+  }
 
-  this.getSecondType = function() {
-    return _type2;
-  };
+  /**
+   * Returns how many times in a row the Pokemon has protected itself.
+   *
+   * @returns {number} The number of consecutive successful uses of Protect.
+   */
+  getUses() {
+    return this.#uses;
+  }
 
-  this.toString = function() {
-    return JSON.stringify(this.data, null, 4);
+  /**
+   * Indicates whether the Pokemon is protected from moves this turn.
+   *
+   * @returns {boolean} `true` if the Pokemon is protected, `false` otherwise.
+   */
+  isProtecting() {
+    return this.#protecting;
   }
-}
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+  /**
+   * Applies the effects of the condition starting. Making a Substitute costs a quarter of the Pokemon's max HP, which
+   * becomes the HP of the Substitute, and the first use of Protect always succeeds.
+   *
+   * @param {{pokemon: Pokemon}} context - The Pokemon with the condition.
+   */
+  onStart({pokemon}) {
+    if (this.getName() === VolatileStatus.SUBSTITUTE) {
+      this.#hp = Math.floor(pokemon.getStats().hp / 4);
+      pokemon.setCurrentHP(pokemon.getCurrentHP() - this.#hp);
+    } else if (this.getName() === VolatileStatus.PROTECT) {
+      this.#uses = 1;
+      this.#protecting = true;
+    }
+  }
 
-rl.question('Name a Pokemon: ', (name) => {
-  if (!pokedex.hasOwnProperty(name)) {
-    console.log("This Pokemon doesn't exist.");
-  } else {
-    const pkm = new Pokemon({name: name});
-    console.log(`These are the stats for "${name}":`);
-    console.log(pkm.toString());
-    console.log(`Internally, "${name}" has Type values of ${pkm.data.types.map(t => `"${Type[t].toString()}"`).join(", and ")}`);
+  /**
+   * Uses Protect again while the Pokemon is still protected from its last use, with the odds of
+   * `VolatileStatus.getProtectChance`. The Pokemon stops protecting itself if the move fails.
+   *
+   * @param {Object} [context={}] - The context of the move.
+   * @param {function(): number} [context.random=Math.random] - A source of random numbers from 0 (inclusive) to 1
+   *                                                            (exclusive).
+   * @returns {boolean} `true` if Protect succeeded, `false` otherwise.
+   */
+  renewProtect({random = Math.random} = {}) {
+    this.#protecting = random() < VolatileStatus.getProtectChance(this.getGen(), this.#uses);
+    this.#uses = this.#protecting ? this.#uses + 1 : 0;
+    return this.#protecting;
   }
 
-  rl.close();
-});
+  /**
+   * Lets the Substitute take the damage of an attack in place of the Pokemon. The Substitute breaks once its HP runs
+   * out, and any damage beyond its HP is lost.
+   *
+   * @param {Object} context - The attack.
+   * @param {Pokemon} context.pokemon - The Pokemon behind the Substitute.
+   * @param {number} context.damage - The damage of the attack.
+   * @returns {number} The damage that the Substitute took.
+   */
+  absorb({pokemon, damage}) {
+    const absorbed = Math.min(this.#hp, damage);
+    this.#hp -= absorbed;
+    if (this.#hp === 0)
+      pokemon.removeVolatileStatus(this.getName());
 
-/**
- * Calculates the HP stat of a Pokémon based on its base, IV, EV, and level.
- *
- * @param {number} base - The base HP stat of the Pokémon.
- * @param {number} iv - The individual value (IV) of the Pokémon's HP stat.
- * @param {number} ev - The effort value (EV) of the Pokémon's HP stat.
- * @param {number} lv - The level of the Pokémon.
- * @returns {number} The calculated HP stat of the Pokémon.
- */
-function calcHP(base, iv, ev, lv) {
-  return Math.floor(0.01 * (2 * base + iv + Math.floor(0.25 * ev)) * lv) + lv + 10;
-}
+    return absorbed;
+  }
 
-/**
- * Calculates the non-HP stat of a Pokémon based on its base, IV, EV, nature, and level.
- *
- * @param {number} base - The base non-HP stat of the Pokémon.
- * @param {number} iv - The individual value (IV) of the Pokémon's non-HP stat.
- * @param {number} ev - The effort value (EV) of the Pokémon's non-HP stat.
- * @param {number} lv - The level of the Pokémon.
- * @param {number} nature - The nature modifier of the Pokémon.
- * @returns {number} The calculated non-HP stat of the Pokémon.
- */
-function calcNonHP(base, iv, ev, lv, nature) {
-  return nature * (Math.floor(0.01 * (2 * base + iv + Math.floor(0.25 * ev)) * lv) + 5);
+  /**
+   * Indicates whether the condition stops the Pokemon from using a move. Taunt blocks status moves, and Encore blocks
+   * every move other than the one the Pokemon is locked into.
+   *
+   * @param {Move} move - The move.
+   * @returns {boolean} `true` if the move can't be used, `false` otherwise.
+   */
+  blocksMove(move) {
+    switch (this.getName()) {
+      case VolatileStatus.TAUNT:
+        return move.getCategory(this.getGen()) === Move.STATUS;
+      case VolatileStatus.ENCORE:
+        return this.#move !== null && move !== this.#move;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Indicates whether the condition stops the Pokemon from switching out. Partial trapping does, except for Ghost
+   * types from Gen VI on.
+   *
+   * @param {{pokemon: Pokemon}} context - The Pokemon with the condition.
+   * @returns {boolean} `true` if the Pokemon can't switch out, `false` otherwise.
+   */
+  preventsSwitch({pokemon}) {
+    return this.getName() === VolatileStatus.PARTIAL_TRAP
+      && !(pokemon.hasType(Type.GHOST) && this.getGen().match('VI+'));
+  }
+
+  /**
+   * Checks whether the Pokemon can move this turn. Flinching stops it once. Confused Pokemon count down their
+   * confusion, snapping out of it once it runs out, and otherwise hurt themselves instead of moving half of the time,
+   * or a third of the time from Gen VII on. Partially trapped Pokemon can't move at all in Gen I.
+   *
+   * @param {Object} context - The Pokemon trying to move.
+   * @param {Pokemon} context.pokemon - The Pokemon with the condition.
+   * @param {function(): number} [context.random=Math.random] - A source of random numbers from 0 (inclusive) to 1
+   *                                                            (exclusive).
+   * @returns {boolean} `true` if the Pokemon can move, `false` otherwise.
+   */
+  beforeMove({pokemon, random = Math.random}) {
+    switch (this.getName()) {
+      case VolatileStatus.FLINCH:
+        pokemon.removeVolatileStatus(this.getName());
+        return false;
+      case VolatileStatus.CONFUSION:
+        if (this.countDown() === 0) {
+          pokemon.removeVolatileStatus(this.getName());
+          return true;
+        }
+
+        if (random() >= (this.getGen().match('VII+') ? 1 / 3 : 1 / 2))
+          return true;
+
+        pokemon.setCurrentHP(pokemon.getCurrentHP() - VolatileStatus.calcSelfHitDamage(pokemon, random));
+        return false;
+      case VolatileStatus.PARTIAL_TRAP:
+        return !this.getGen().match('I');
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Applies the effects of the condition at the end of a turn. Leech Seed drains 1/8 of the Pokemon's max HP (1/16 in
+   * Gen I) to heal its source, or hurts the source instead if the Pokemon has Liquid Ooze. Partial trapping deals 1/16
+   * of the Pokemon's max HP from Gen II to V, and 1/8 from then on. Flinching and protection end with the turn, and
+   * conditions that last a number of turns count down.
+   *
+   * @param {{pokemon: Pokemon}} context - The Pokemon with the condition.
+   */
+  onTurnEnd({pokemon}) {
+    const gen = this.getGen();
+    const maxHP = pokemon.getStats().hp;
+    const canBeHurt = pokemon.getAbility() !== 'Magic Guard';
+
+    switch (this.getName()) {
+      case VolatileStatus.LEECH_SEED: {
+        if (!canBeHurt)
+          break;
+
+        const drained = Math.min(pokemon.getCurrentHP(), Math.max(1, Math.floor(maxHP / (gen.match('I') ? 16 : 8))));
+        pokemon.setCurrentHP(pokemon.getCurrentHP() - drained);
+        if (this.#source !== null && !this.#source.isFainted()) {
+          const sign = pokemon.getAbility() === 'Liquid Ooze' && gen.match('III+') ? -1 : 1;
+          this.#source.setCurrentHP(this.#source.getCurrentHP() + sign * drained);
+        }
+        break;
+      }
+      case VolatileStatus.PARTIAL_TRAP:
+        if (canBeHurt && gen.match('II+'))
+          pokemon.setCurrentHP(pokemon.getCurrentHP() - Math.max(1, Math.floor(maxHP / (gen.match('VI+') ? 8 : 16))));
+        break;
+      case VolatileStatus.PROTECT:
+        this.#protecting = false;
+        return;
+    }
+
+    if (this.getName() !== VolatileStatus.CONFUSION && this.countDown() === 0)
+      pokemon.removeVolatileStatus(this.getName());
+  }
 }
 
 /**
- * Calculates the type effectiveness of a Pokémon's attack against a defender's type.
+ * Represents one side of the field: the Pokemon of one trainer that are in battle, the conditions that protect them,
+ * like Reflect and Tailwind, and the entry hazards that hurt them when they switch in. Most of the conditions last a
+ * number of turns that depends on the generation, while the hazards stay until they are cleared.
  *
- * @param {string} attackerType - The type of the Pokémon using the attack.
- * @param {string} defenderType - The type of the Pokémon being attacked.
- * @returns {number} A number value representing the effectiveness of the attack.
+ * @class
  */
-function calcTypeMod(attackerType, defenderType) {
-  const effectiveness = {
-    bug: { fighting: 0.5, flying: 2, ground: 0.5, rock: 2, fire: 2, grass: 0.5 },
-    dark: { fighting: 2, psychic: 0, bug: 2, ghost: 0.5, dark: 0.5, fairy: 2 },
-    dragon: { fire: 0.5, water: 0.5, electric: 0.5, grass: 0.5, ice: 2, dragon: 2, fairy: 2 },
-    electric: { flying: 0.5, ground: 2, electric: 0.5, dragon: 0.5, steel: 0.5 },
-    fairy: { fighting: 0.5, poison: 2, bug: 0.5, dragon: 0, dark: 0.5, steel: 2 },
-    fighting: { flying: 2, rock: 0.5, bug: 0.5, psychic: 2, dark: 0.5, fairy: 2 },
-    fire: { rock: 2, bug: 0.5, steel: 0.5, fire: 0.5, water: 2, grass: 0.5, ice: 0.5, dragon: 0.5, ground: 2, fairy: 0.5 },
-    flying: { fighting: 0.5, rock: 2, bug: 0.5, grass: 0.5, electric: 2, ice: 2, ground: 0 },
-    ghost: { normal: 0, fighting: 0, poison: 0.5, bug: 0.5, ghost: 2, dark: 2 },
-    grass: { flying: 2, poison: 2, ground: 0.5, bug: 2, fire: 2, grass: 0.5, water: 0.5, electric: 0.5, ice: 2 },
-    ground: { poison: 0.5, rock: 2, water: 2, grass: 0.5, electric: 0, ice: 2 },
-    ice: { steel: 2, fire: 2, ice: 0.5, rock: 2, fighting: 2 },
-    normal: { fighting: 2, ghost: 0 },
-    poison: { fighting: 0.5, poison: 0.5, ground: 2, bug: 0.5, grass: 0.5, fairy: 0.5, psychic: 2 },
-    psychic: { fighting: 0.5, psychic: 0.5, dark: 2, ghost: 2, bug: 2 },
-    rock: { normal: 0.5, fighting: 2, flying: 0.5, poison: 0.5, ground: 2, steel: 2, fire: 0.5, water: 2, grass: 2 },
-    steel: { normal: 0.5, fighting: 2, flying: 0.5, rock: 0.5, bug: 0.5, steel: 0.5, fire: 2, grass: 0.5, ice: 0.5, fairy: 0.5, poison: 0, ground: 2, psychic: 0.5, dragon: 0.5 },
-    water: { fire: 0.5, water: 0.5, grass: 2, electric: 2, ice: 0.5, steel: 0.5 }
+class Side {
+  static REFLECT = 'Reflect';
+  static LIGHT_SCREEN = 'Light Screen';
+  static AURORA_VEIL = 'Aurora Veil';
+  static TAILWIND = 'Tailwind';
+  static SAFEGUARD = 'Safeguard';
+  static MIST = 'Mist';
+  static STEALTH_ROCK = 'Stealth Rock';
+  static SPIKES = 'Spikes';
+  static TOXIC_SPIKES = 'Toxic Spikes';
+  static STICKY_WEB = 'Sticky Web';
+  static MEGA_EVOLUTION = 'Mega Evolution';
+  static Z_MOVE = 'Z-Move';
+  static TERASTALLIZATION = 'Terastallization';
+  static DYNAMAX = 'Dynamax';
+
+  /**
+   * The most layers that each entry hazard can be stacked to in each range of generations that it exists in.
+   * @type {Object<string, Object<string, number>>}
+   */
+  static #hazardLayers = {
+    [Side.SPIKES]: {'II': 1, 'III+': 3},
+    [Side.STEALTH_ROCK]: {'IV+': 1},
+    [Side.TOXIC_SPIKES]: {'IV+': 2},
+    [Side.STICKY_WEB]: {'VI+': 1}
   };
 
-  if (effectiveness[defenderType.toLowerCase()].hasOwnProperty(attackerType.toLowerCase())) {
-    return effectiveness[defenderType.toLowerCase()][attackerType.toLowerCase()];
+  /**
+   * The number of turns that each condition lasts in each range of generations, and the item that extends it to 8
+   * turns from Gen IV on. Reflect, Light Screen, and Mist last until the user switches out in Gen I.
+   * @type {Object<string, {turns: Object<string, number>, item: (string|undefined)}>}
+   */
+  static #durations = {
+    [Side.REFLECT]: {turns: {'I': Infinity, 'II+': 5}, item: 'Light Clay'},
+    [Side.LIGHT_SCREEN]: {turns: {'I': Infinity, 'II+': 5}, item: 'Light Clay'},
+    [Side.AURORA_VEIL]: {turns: {'VII+': 5}, item: 'Light Clay'},
+    [Side.TAILWIND]: {turns: {'IV': 3, 'V+': 4}},
+    [Side.SAFEGUARD]: {turns: {'II+': 5}},
+    [Side.MIST]: {turns: {'I': Infinity, 'II+': 5}}
+  };
+
+  #gen;
+  #conditions = new Map();
+  #hazards = new Map();
+  #active = [];
+
+  /**
+   * The mechanics that can only be used once per battle, like Terastallization, that the trainer of this side has
+   * used.
+   * @type {Set<string>}
+   */
+  #usedOnce = new Set();
+
+  /**
+   * Creates a new side of the field without any conditions or hazards.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation of the battle.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  constructor(gen = Gen.IX) {
+    if (!(gen instanceof Gen))
+      throw new GenerationError("Invalid generation object specified for a side of the field.");
+
+    this.#gen = gen;
   }
 
-  // All undefined combination types hit for neutral damage
-  return 1;
-}
+  /**
+   * Returns the names of every side condition.
+   *
+   * @static
+   * @returns {string[]} The names of the conditions.
+   */
+  static getAll() {
+    return Object.keys(Side.#durations);
+  }
 
-/**
- * Calculates the damage of a move in Generation III of the Pokémon games.
- * @param {number} level - The level of the attacking Pokémon.
- * @param {number} a - The base Attack stat of the attacking Pokémon.
- * @param {number} d - The base Defense stat of the target, or the base Defense of the target for Beat Up.
- * @param {number} as - The multiplier for the attack stat based on stat changes made during battle. Ignored for
- *                      Beat Up. Multipliers < 1 are treated as 1 if this is a critical hit.
- * @param {number} ds - The multiplier for the defense stat based on stat changes made during battle. Ignored for
- *                      Beat Up. Multipliers > 1 are treated as 1 if this is a critical hit.
- * @param {number} power - The effective power of the used move.
- * @param {number} screen - 0.5, 2/3, or 1 depending on the presence of Reflect/Light Screen and whether it's a Double
- *                          Battle. 1 if critical hit
- * @param {number} targets - 0.5 in Double Battles if the move targets both foes, 1 otherwise.
- * @param {number} weather - 0.5, 1, or 1.5 depending on the weather and the presence of Cloud Nine/Air Lock.
- * @param {number} ff - 1.5 if the attacker has Flash Fire and the move is Fire-type, 1 otherwise.
- * @param {number} stockpile - 1, 2, or 3 depending on Stockpiles done for Spit Up, 1 otherwise.
- * @param {number} critical - 2 for a critical hit, 1 otherwise. Always 1 if Future Sight, Doom Desire, Spit Up, or if
- *                            the target has the abilities:
- *                              - Battle Armor
- *                              - Shell Armor
- * @param {number} doubleDmg - 2 if the used move is one of the following moves and conditions apply, 1 otherwise:
- *                           - Gust or Twister and the target is in the semi-invulnerable turn of Fly or Bounce.
- *                           - Stomp, Needle Arm, Astonish, or Extrasensory and the target has previously used Minimize.
- *                           - Surf or Whirlpool and the target is in the semi-invulnerable turn of Dive.
- *                           - Earthquake or Magnitude and the target is in the semi-invulnerable turn of Dig.
- *                           - Pursuit and the target is attempting to switch out.
- *                           - Facade and the user is poisoned, burned, or paralyzed.
- *                           - SmellingSalt and the target is paralyzed.
- *                           - Revenge and the attacker has been damaged by the target this turn.
- *                           - Weather Ball, there is non-clear weather, and no Pokémon on the field have the Ability
- *                             Cloud Nine or Air Lock.
- * @param {number} charge - 2 if the move is Electric-type and Charge takes effect, 1 otherwise.
- * @param {number} hh - 1.5 if the attacker's ally used Helping Hand, 1 otherwise.
- * @param {number} stab - Same-Type Attack Bonus. 1 if the move's type doesn't match one of the user's types, 1.5
- *                        otherwise.
- * @param {number} type - The type effectiveness. Can be 0.25, 0.5, 1, 2, or 4. Struggle, Future Sight, Doom Desire, and
- *                        Beat Up are always 1.
- * @param {number} random - The random factor that affects how much final damage is done. Varies from [0.85 to 1]
- *                          rounded down.
- * @param {boolean} isBurned - True if the attacker is burned, false otherwise.
- * @param {boolean} ignoreCrit - True if critical should be ignored, false otherwise.
- * @param {boolean} ignoreRandom - True if the random factor should be ignored, false otherwise.
- * @returns {number} - The calculated damage.
- */
-function calcGenIIIDamage(level, a, d, as, ds, power, screen, targets, weather, ff, stockpile, critical,
-  doubleDmg, charge, hh, stab, type, random, isBurned, ignoreCrit, ignoreRandom) {
-  // Stat changes to the attack/defense stat are ignored if they negatively affect the attacker.
-  const critMod = (xs, cmp = v => v < 1) => !ignoreCrit && critical > 1 && cmp(xs) ? 1 : xs;
+  /**
+   * Returns the number of turns that a side condition lasts, counting the turn that it starts on.
+   *
+   * @static
+   * @param {string} name - The name of the condition, e.g. Side.REFLECT.
+   * @param {Gen} gen - The generation of the battle.
+   * @param {Object} [source={}] - Where the condition came from.
+   * @param {string|null} [source.item=null] - The name of the item held by the Pokemon that started the condition.
+   * @returns {number} The number of turns, which is Infinity if the condition doesn't run out on its own.
+   * @throws {RangeError} If the name isn't one of the side conditions.
+   * @throws {GenerationError} If the condition doesn't exist in the generation.
+   */
+  static getDuration(name, gen, {item = null} = {}) {
+    if (!Side.#durations.hasOwnProperty(name))
+      throw new RangeError(`${name} is not a side condition.`);
 
-  let burn = isBurned ? 0.5 : 1;
+    const {turns, item: extender} = Side.#durations[name];
+    const range = Object.keys(turns).find(gens => gen.match(gens));
+    if (range === undefined)
+      throw new GenerationError(`${name} is not available in Gen ${gen.getName()}.`);
 
-  let initDamage = (((2 * level / 5) + 2) * power * (a * critMod(as)) / (d * critMod(ds, v => v > 1)) / 50) *
-    burn * (!ignoreCrit && critical > 1 ? 1 : screen) * targets * weather * ff + 2;
-  
-  return initDamage * stockpile * (ignoreCrit ? 1 : critical) * doubleDmg * charge * hh * stab * type * (ignoreRandom ? 1 : random);
-}
-
-function calcGenIIIDamage({level = 1, a = 1, d = 1, as = 0, ds = 0, move = "Struggle", power = 50, reflect = false, lightScreen = false, isDoubleBattle = false, targets = 1, weather = "None", ffActive = false, stockpile = 1, crit = false, meetsDoubleDmg = false, isCharged = false, hasHH = false, attackerTypes = [], defenderTypes = [], moveType = "Typeless", random = 1, isBurned = false} = {}) {
-
-}
-
-/**
- * Calculates the damage inflicted by a move in the fourth generation of Pokémon games.
- * @param {number} level - The level of the attacking Pokémon.
- * @param {number} a - The effective Attack stat of the attacking Pokémon if the used move is physical, or the effective Special Attack stat of the attacking Pokémon if the used move is special.
- * @param {number} d - The effective Defense stat of the target if the used move is physical, or the effective Special Defense stat of the target if the used move is special.
- * @param {number} as - The multiplier for the attack stat based on stat changes made during battle. Ignored for Beat Up. Multipliers < 1 are treated as 1
- *                      if this is a critical hit.
- * @param {number} ds - The multiplier for the defense stat based on stat changes made during battle. Ignored for Beat Up. Multipliers > 1 are treated as 1
- *                      if this is a critical hit.
- * @param {number} power - The effective power of the used move.
- * @param {number} burn - 0.5 if the attacker is burned, its Ability is not Guts, and the used move is a physical move, and 1 otherwise.
- * @param {number} screen - 0.5 if the used move is physical and Reflect is present on the target's side of the field, or special and Light Screen is present. For a Double Battle, Screen is instead 2/3. Screen is 1 otherwise or if the used move lands a critical hit.
- * @param {number} targets - 0.75 in Double Battles if the used move has more than one target, and 1 otherwise.
- * @param {number} weather - 1.5 if a Water-type move is being used during rain or a Fire-type move during harsh sunlight, and 0.5 if a Water-type move is used during harsh sunlight or a Fire-type move during rain, or SolarBeam during any non-clear weather besides harsh sunlight, and 1 otherwise or if any Pokémon on the field have the Ability Cloud Nine or Air Lock.
- * @param {number} ff - 1.5 if the used move is Fire-type and the attacker's Ability is Flash Fire that has been activated by a Fire-type move, and 1 otherwise.
- * @param {number} critical - 2 for a critical hit, 3 if the move lands a critical hit and the attacker's Ability is
- *                            Sniper, 1 if the target is under the effect of Lucky Chant, and 1 otherwise. Always 1 if
- *                            the used move is Future Sight, Doom Desire, Spit Up, or if the target has the abilities:
- *                              - Battle Armor
- *                              - Shell Armor
- * @param {number} item - 1.3 if the attacker is holding a Life Orb, 1 + (n / 10) if the attacker is holding a Metronome, where n is the amount of times the same move has been successfully and consecutively used, up to 10, and 1 otherwise.
- * @param {number} first - 1.5 if the used move was stolen with Me First, and 1 otherwise.
- * @param {number} stab - Same-Type Attack Bonus. 1 if the move's type doesn't match one of the user's types, 1.5
- *                        otherwise.
- * @param {number} type1 - The type effectiveness of the used move against the target's first type (or only type, if it only has a single type).
- * @param {number} type2 - The type effectiveness of the used move against the target's second type. If the target only has a single type, Type2 is 1.
- * @param {number} srf - 0.75 if the used move is super effective, the target's Ability is Solid Rock or Filter, and the attacker's Ability is not Mold Breaker, and 1 otherwise.
- * @param {number} eb - 1.2 if the used move is super effective and the attacker is holding an Expert Belt, and 1 otherwise.
- * @param {number} tl - 2 if the used move is not very effective and the attacker's Ability is Tinted Lens, and 1 otherwise.
- * @param {number} berry - A multiplier that applies when a Berry is used. Its value is 0.5, 1, or 2 depending on the type of Berry used.
- * @param {number} random - The random factor that affects how much final damage is done. Varies from [0.85 to 1]
- *                          rounded down.
- * @param {boolean} ignoreCrit - True if critical should be ignored, false otherwise.
- * @param {boolean} ignoreRandom - True if the random factor should be ignored, false otherwise.
- * @param {boolean} isSniper - True if the attacker has the ability Sniper, false otherwise.
- * @param {boolean} isAdaptability - True if the attacker has Adaptability, false otherwise.
- * @returns {number} The amount of damage inflicted by the move.
- */
-function calcGenIVDamage(level, a, d, as, ds, power, burn, screen, targets, weather, ff, critical, item, first, stab,
-  type1, type2, srf, eb, tl, berry, random, ignoreCrit, ignoreRandom, isSniper, isAdaptability) {
-  // Stat changes to the attack/defense stat are ignored if they negatively affect the attacker.
-  const critMod = (xs, cmp = v => v < 1) => !ignoreCrit && critical > 1 && cmp(xs) ? 1 : xs;
+    return extender !== undefined && item === extender && gen.match('IV+') ? 8 : turns[range];
+  }
 
-  // Sniper has a crit rate of 3 rather than 2
-  if (isSniper && critical > 1) {
-    critical = 3;
+  /**
+   * Returns the generation of the battle.
+   * @returns {Gen}
+   */
+  getGen() {
+    return this.#gen;
+  }
 
-  // STAB for attackers with Adaptability is 2 rather than 1.5
-  } else if (isAdaptability && stab > 1) {
-    stab = 2;
+  /**
+   * Returns the Pokemon that are in battle on this side, one for each slot.
+   * @returns {Pokemon[]}
+   */
+  getActive() {
+    return [...this.#active];
   }
 
-  // TODO: Whatever other conditions that go here before the actual damage calculation takes place.
-  // https://bulbapedia.bulbagarden.net/wiki/Damage
+  /**
+   * Puts a Pokemon into battle on this side, in place of the Pokemon that was in the slot.
+   *
+   * @param {Pokemon} pokemon - The Pokemon.
+   * @param {number} [slot=0] - The slot, which is 0 in Single Battles and 0 or 1 in Double Battles.
+   * @returns {Side} This object, allowing for method chaining.
+   * @throws {TypeError} If the Pokemon is not an instance of the Pokemon class.
+   */
+  setActive(pokemon, slot = 0) {
+    if (!(pokemon instanceof Pokemon))
+      throw new TypeError("Only instances of the Pokemon class can be put into battle.");
+
+    this.#active[slot] = pokemon;
+    return this;
+  }
 
+  /**
+   * Indicates whether a Pokemon is in battle on this side.
+   * @param {Pokemon} pokemon - The Pokemon.
+   * @returns {boolean} `true` if the Pokemon is on this side, `false` otherwise.
+   */
+  isOnSide(pokemon) {
+    return this.#active.includes(pokemon);
+  }
+
+  /**
+   * Starts a condition on this side. Aurora Veil can only be started in hail or snow.
+   *
+   * @param {string} name - The name of the condition, e.g. Side.REFLECT.
+   * @param {Object} [options={}] - The circumstances of the condition.
+   * @param {string|null} [options.item=null] - The name of the item held by the Pokemon that started the condition.
+   * @param {Weather} [options.weather=Weather.NONE] - The weather on the field.
+   * @returns {boolean} `true` if the condition started, `false` if it was already up or failed.
+   * @throws {RangeError} If the name isn't one of the side conditions.
+   * @throws {GenerationError} If the condition doesn't exist in the generation of the battle.
+   */
+  addCondition(name, {item = null, weather = Weather.NONE} = {}) {
+    const turns = Side.getDuration(name, this.#gen, {item});
+    if (this.#conditions.has(name))
+      return false;
+
+    if (name === Side.AURORA_VEIL && weather !== Weather.HAIL && weather !== Weather.SNOW)
+      return false;
+
+    this.#conditions.set(name, turns);
+    return true;
+  }
+
+  /**
+   * Indicates whether a condition is up on this side.
+   * @param {string} name - The name of the condition.
+   * @returns {boolean} `true` if the condition is up, `false` otherwise.
+   */
+  hasCondition(name) {
+    return this.#conditions.has(name);
+  }
+
+  /**
+   * Returns the number of turns that a condition has left, including the current one.
+   * @param {string} name - The name of the condition.
+   * @returns {number} The number of turns, or 0 if the condition isn't up.
+   */
+  getTurns(name) {
+    return this.#conditions.get(name) ?? 0;
+  }
+
+  /**
+   * Returns the names of the conditions that are up on this side.
+   * @returns {string[]} The names, in the order that the conditions started.
+   */
+  getConditions() {
+    return [...this.#conditions.keys()];
+  }
+
+  /**
+   * Ends a condition on this side, like Brick Break does to screens.
+   * @param {string} name - The name of the condition.
+   * @returns {boolean} `true` if the condition was up, `false` otherwise.
+   */
+  removeCondition(name) {
+    return this.#conditions.delete(name);
+  }
+
+  /**
+   * Indicates whether the screens on this side weaken a move. Reflect weakens physical moves, Light Screen special
+   * ones, and Aurora Veil both.
+   *
+   * @param {boolean} isPhysical - True if the move is physical.
+   * @returns {boolean} `true` if the move is weakened, `false` otherwise.
+   */
+  hasScreen(isPhysical) {
+    return this.hasCondition(isPhysical ? Side.REFLECT : Side.LIGHT_SCREEN) || this.hasCondition(Side.AURORA_VEIL);
+  }
+
+  /**
+   * Indicates whether the conditions on this side keep its Pokemon from being afflicted with a status condition.
+   * Safeguard prevents every non-volatile condition and confusion.
+   *
+   * @param {string} name - The name of the status condition, e.g. Status.BURN.
+   * @returns {boolean} `true` if the status condition is prevented, `false` otherwise.
+   */
+  preventsStatus(name) {
+    return this.hasCondition(Side.SAFEGUARD) && (Status.getAll().includes(name) || name === VolatileStatus.CONFUSION);
+  }
+
+  /**
+   * Indicates whether the Pokemon on this side are protected from having their stats lowered by other Pokemon, which
+   * Mist does.
+   * @returns {boolean} `true` if the stats can't be lowered, `false` otherwise.
+   */
+  preventsStatDrops() {
+    return this.hasCondition(Side.MIST);
+  }
+
+  /**
+   * Returns the multiplier of the Speed of the Pokemon on this side, which Tailwind doubles.
+   * @returns {number} The multiplier.
+   */
+  getSpeedMultiplier() {
+    return this.hasCondition(Side.TAILWIND) ? 2 : 1;
+  }
+
+  /**
+   * Returns the names of every entry hazard.
+   *
+   * @static
+   * @returns {string[]} The names of the hazards.
+   */
+  static getAllHazards() {
+    return Object.keys(Side.#hazardLayers);
+  }
+
+  /**
+   * Sets up an entry hazard on this side, or another layer of one that is already up.
+   *
+   * @param {string} name - The name of the hazard, e.g. Side.SPIKES.
+   * @returns {boolean} `true` if the hazard was set up, `false` if it already has as many layers as it can.
+   * @throws {RangeError} If the name isn't one of the entry hazards.
+   * @throws {GenerationError} If the hazard doesn't exist in the generation of the battle.
+   */
+  addHazard(name) {
+    if (!Side.#hazardLayers.hasOwnProperty(name))
+      throw new RangeError(`${name} is not an entry hazard.`);
+
+    const layers = Side.#hazardLayers[name];
+    const range = Object.keys(layers).find(gens => this.#gen.match(gens));
+    if (range === undefined)
+      throw new GenerationError(`${name} is not available in Gen ${this.#gen.getName()}.`);
+
+    if (this.getHazardLayers(name) >= layers[range])
+      return false;
+
+    this.#hazards.set(name, this.getHazardLayers(name) + 1);
+    return true;
+  }
+
+  /**
+   * Returns the number of layers of an entry hazard on this side.
+   * @param {string} name - The name of the hazard.
+   * @returns {number} The number of layers, or 0 if the hazard isn't up.
+   */
+  getHazardLayers(name) {
+    return this.#hazards.get(name) ?? 0;
+  }
+
+  /**
+   * Returns the names of the entry hazards that are up on this side.
+   * @returns {string[]} The names, in the order that the hazards were set up.
+   */
+  getHazards() {
+    return [...this.#hazards.keys()];
+  }
+
+  /**
+   * Clears every entry hazard from this side, like Rapid Spin does.
+   * @returns {string[]} The names of the hazards that were cleared.
+   */
+  clearHazards() {
+    const cleared = this.getHazards();
+    this.#hazards.clear();
+    return cleared;
+  }
+
+  /**
+   * Applies the entry hazards on this side to a Pokemon that switches in. Stealth Rock takes 1/8 of its max HP times
+   * the effectiveness of the Rock type against it, and Spikes take 1/8, 1/6, or 1/4 depending on the layers, neither
+   * of which hurts Pokemon with Magic Guard. Toxic Spikes poison, or badly poison with two layers, and are absorbed by
+   * grounded Poison types, and Sticky Web lowers Speed by one stage. Only Stealth Rock reaches Pokemon that aren't
+   * grounded, and Heavy-Duty Boots protect their holder from all of them from Gen VIII on.
+   *
+   * @param {Pokemon} pokemon - The Pokemon that switched in.
+   * @param {Object} [field={}] - The conditions of the battle.
+   * @param {Terrain} [field.terrain=Terrain.NONE] - The terrain on the field, which can prevent poisoning.
+   * @param {boolean} [field.gravity=false] - True if Gravity is up.
+   */
+  applyHazards(pokemon, {terrain = Terrain.NONE, gravity = false} = {}) {
+    const gen = this.#gen;
+    if (pokemon.getItem()?.getName() === 'Heavy-Duty Boots' && gen.match('VIII+'))
+      return;
+
+    const maxHP = pokemon.getStats().hp;
+    const hurt = fraction => pokemon.setCurrentHP(pokemon.getCurrentHP() - Math.max(1, Math.floor(maxHP * fraction)));
+    const magicGuard = pokemon.getAbility() === 'Magic Guard';
+
+    if (this.#hazards.has(Side.STEALTH_ROCK) && !magicGuard)
+      hurt(Type.ROCK.attack(gen, ...pokemon.getTypes()) / 8);
+
+    if (!pokemon.isGrounded({gravity}))
+      return;
+
+    const spikes = this.getHazardLayers(Side.SPIKES);
+    if (spikes > 0 && !magicGuard)
+      hurt([1 / 8, 1 / 6, 1 / 4][spikes - 1]);
+
+    const toxicSpikes = this.getHazardLayers(Side.TOXIC_SPIKES);
+    if (toxicSpikes > 0 && pokemon.hasType(Type.POISON)) {
+      this.#hazards.delete(Side.TOXIC_SPIKES);
+    } else if (toxicSpikes > 0) {
+      pokemon.inflictStatus(toxicSpikes === 1 ? Status.POISON : Status.BADLY_POISONED, {terrain, gravity, side: this});
+    }
+
+    if (this.#hazards.has(Side.STICKY_WEB))
+      lowerStage(pokemon, 'Spe');
+  }
+
+  /**
+   * Indicates whether the trainer of this side has used a mechanic that can only be used once per battle.
+   * @param {string} mechanic - The name of the mechanic, e.g. Side.TERASTALLIZATION.
+   * @returns {boolean} `true` if the mechanic was used, `false` otherwise.
+   */
+  hasUsed(mechanic) {
+    return this.#usedOnce.has(mechanic);
+  }
+
+  /**
+   * Records that the trainer of this side used a mechanic that can only be used once per battle.
+   * @param {string} mechanic - The name of the mechanic, e.g. Side.TERASTALLIZATION.
+   * @returns {boolean} `true` if the mechanic could be used, `false` if it already was.
+   */
+  use(mechanic) {
+    if (this.#usedOnce.has(mechanic))
+      return false;
+
+    this.#usedOnce.add(mechanic);
+    return true;
+  }
+
+  /**
+   * Counts down the turns of every condition at the end of a turn and ends the ones that run out.
+   * @returns {string[]} The names of the conditions that ended.
+   */
+  onTurnEnd() {
+    const ended = [];
+    for (const [name, turns] of this.#conditions) {
+      if (turns - 1 > 0) {
+        this.#conditions.set(name, turns - 1);
+      } else {
+        this.#conditions.delete(name);
+        ended.push(name);
+      }
+    }
+
+    return ended;
+  }
+}
+
+/**
+ * Represents the field that a battle takes place on: the weather and the terrain, the conditions that affect every
+ * Pokemon in battle, like Trick Room and Gravity, and the two sides of the field. The weather, the terrain, and the
+ * conditions all count down the turns that they have left.
+ *
+ * @class
+ */
+class Field {
+  static TRICK_ROOM = 'Trick Room';
+  static GRAVITY = 'Gravity';
+  static WONDER_ROOM = 'Wonder Room';
+
+  /**
+   * The number of turns that each condition lasts in the generations that it exists in.
+   * @type {Object<string, Object<string, number>>}
+   */
+  static #durations = {
+    [Field.TRICK_ROOM]: {'IV+': 5},
+    [Field.GRAVITY]: {'IV+': 5},
+    [Field.WONDER_ROOM]: {'V+': 5}
+  };
+
+  /**
+   * The conditions that end when they are started again while they are up.
+   * @type {string[]}
+   */
+  static #toggled = [Field.TRICK_ROOM, Field.WONDER_ROOM];
+
+  #gen;
+  #isDoubleBattle;
+  #weather = Weather.NONE;
+  #weatherTurns = Infinity;
+  #terrain = Terrain.NONE;
+  #terrainTurns = Infinity;
+  #conditions = new Map();
+  #sides;
+
+  /**
+   * Creates a new field with two empty sides.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation of the battle.
+   * @param {Object} [options={}] - Any additional details of the battle.
+   * @param {boolean} [options.isDoubleBattle=false] - True if the battle is a Double Battle.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  constructor(gen = Gen.IX, {isDoubleBattle = false} = {}) {
+    if (!(gen instanceof Gen))
+      throw new GenerationError("Invalid generation object specified for a field.");
+
+    this.#gen = gen;
+    this.#isDoubleBattle = isDoubleBattle;
+    this.#sides = [new Side(gen), new Side(gen)];
+  }
+
+  /**
+   * Returns the names of every field condition.
+   *
+   * @static
+   * @returns {string[]} The names of the conditions.
+   */
+  static getAll() {
+    return Object.keys(Field.#durations);
+  }
+
+  /**
+   * Returns the generation of the battle.
+   * @returns {Gen}
+   */
+  getGen() {
+    return this.#gen;
+  }
+
+  /**
+   * Indicates whether the battle is a Double Battle.
+   * @returns {boolean}
+   */
+  isDoubleBattle() {
+    return this.#isDoubleBattle;
+  }
+
+  /**
+   * Returns one of the sides of the field.
+   * @param {number} index - 0 for the player's side, or 1 for the opponent's.
+   * @returns {Side} The side.
+   */
+  getSide(index) {
+    return this.#sides[index];
+  }
+
+  /**
+   * Returns both sides of the field.
+   * @returns {Side[]} The player's side, followed by the opponent's.
+   */
+  getSides() {
+    return [...this.#sides];
+  }
+
+  /**
+   * Returns the side that a Pokemon is in battle on.
+   * @param {Pokemon} pokemon - The Pokemon.
+   * @returns {Side|null} The side, or null if the Pokemon isn't in battle.
+   */
+  getSideOf(pokemon) {
+    return this.#sides.find(side => side.isOnSide(pokemon)) ?? null;
+  }
+
+  /**
+   * Returns the weather on the field.
+   * @returns {Weather}
+   */
+  getWeather() {
+    return this.#weather;
+  }
+
+  /**
+   * Returns the number of turns that the weather has left, including the current one.
+   * @returns {number} The number of turns, which is Infinity if the weather doesn't run out.
+   */
+  getWeatherTurns() {
+    return this.#weatherTurns;
+  }
+
+  /**
+   * Changes the weather on the field. The weather lasts as long as `Weather#getDuration` says given its source.
+   *
+   * @param {Weather} weather - The new weather.
+   * @param {Object} [source={}] - Where the weather came from. See `Weather#getDuration`.
+   * @returns {Field} This object, allowing for method chaining.
+   * @throws {TypeError} If the weather is not an instance of Weather.
+   * @throws {GenerationError} If the weather doesn't exist in the generation of the battle.
+   */
+  setWeather(weather, source = {}) {
+    if (!(weather instanceof Weather))
+      throw new TypeError("The weather must be an instance of Weather.");
+
+    this.#weatherTurns = weather.getDuration(this.#gen, source);
+    this.#weather = weather;
+    return this;
+  }
+
+  /**
+   * Returns the terrain on the field.
+   * @returns {Terrain}
+   */
+  getTerrain() {
+    return this.#terrain;
+  }
+
+  /**
+   * Returns the number of turns that the terrain has left, including the current one.
+   * @returns {number} The number of turns, which is Infinity if there is no terrain.
+   */
+  getTerrainTurns() {
+    return this.#terrainTurns;
+  }
+
+  /**
+   * Changes the terrain on the field. The terrain lasts as long as `Terrain#getDuration` says given its source.
+   *
+   * @param {Terrain} terrain - The new terrain.
+   * @param {Object} [source={}] - Where the terrain came from. See `Terrain#getDuration`.
+   * @returns {Field} This object, allowing for method chaining.
+   * @throws {TypeError} If the terrain is not an instance of Terrain.
+   * @throws {GenerationError} If the terrain doesn't exist in the generation of the battle.
+   */
+  setTerrain(terrain, source = {}) {
+    if (!(terrain instanceof Terrain))
+      throw new TypeError("The terrain must be an instance of Terrain.");
+
+    this.#terrainTurns = terrain.getDuration(this.#gen, source);
+    this.#terrain = terrain;
+    return this;
+  }
+
+  /**
+   * Starts a condition on the field. Trick Room and Wonder Room end instead if they are already up, while Gravity
+   * fails.
+   *
+   * @param {string} name - The name of the condition, e.g. Field.TRICK_ROOM.
+   * @returns {boolean} `true` if the condition started or ended, `false` if it failed.
+   * @throws {RangeError} If the name isn't one of the field conditions.
+   * @throws {GenerationError} If the condition doesn't exist in the generation of the battle.
+   */
+  addCondition(name) {
+    if (!Field.#durations.hasOwnProperty(name))
+      throw new RangeError(`${name} is not a field condition.`);
+
+    const durations = Field.#durations[name];
+    const range = Object.keys(durations).find(gens => this.#gen.match(gens));
+    if (range === undefined)
+      throw new GenerationError(`${name} is not available in Gen ${this.#gen.getName()}.`);
+
+    if (this.#conditions.has(name)) {
+      return Field.#toggled.includes(name) && this.#conditions.delete(name);
+    }
+
+    this.#conditions.set(name, durations[range]);
+    return true;
+  }
+
+  /**
+   * Indicates whether a condition is up on the field.
+   * @param {string} name - The name of the condition.
+   * @returns {boolean} `true` if the condition is up, `false` otherwise.
+   */
+  hasCondition(name) {
+    return this.#conditions.has(name);
+  }
+
+  /**
+   * Returns the number of turns that a condition has left, including the current one.
+   * @param {string} name - The name of the condition.
+   * @returns {number} The number of turns, or 0 if the condition isn't up.
+   */
+  getTurns(name) {
+    return this.#conditions.get(name) ?? 0;
+  }
+
+  /**
+   * Returns the names of the conditions that are up on the field.
+   * @returns {string[]} The names, in the order that the conditions started.
+   */
+  getConditions() {
+    return [...this.#conditions.keys()];
+  }
+
+  /**
+   * Ends a condition on the field.
+   * @param {string} name - The name of the condition.
+   * @returns {boolean} `true` if the condition was up, `false` otherwise.
+   */
+  removeCondition(name) {
+    return this.#conditions.delete(name);
+  }
+
+  /**
+   * Applies the effects of Rapid Spin: the user's side is cleared of entry hazards, and the user is freed from Leech
+   * Seed and from moves that trap it.
+   *
+   * @param {Pokemon} user - The Pokemon that used Rapid Spin.
+   * @returns {string[]} The names of the hazards and conditions that were cleared.
+   */
+  rapidSpin(user) {
+    const cleared = this.getSideOf(user)?.clearHazards() ?? [];
+    for (const name of [VolatileStatus.LEECH_SEED, VolatileStatus.PARTIAL_TRAP]) {
+      if (user.hasVolatileStatus(name)) {
+        user.removeVolatileStatus(name);
+        cleared.push(name);
+      }
+    }
+
+    return cleared;
+  }
+
+  /**
+   * Applies the effects of Defog: the target's side loses its screens, Safeguard, Mist, and entry hazards. From Gen VI
+   * on, the user's side is cleared of entry hazards as well, and from Gen VIII on, the terrain ends.
+   *
+   * @param {Pokemon} user - The Pokemon that used Defog.
+   * @param {Pokemon} target - The Pokemon that Defog targeted.
+   * @returns {string[]} The names of the hazards and conditions that were cleared, along with "Terrain" if it ended.
+   */
+  defog(user, target) {
+    const targetSide = this.getSideOf(target);
+    const cleared = [Side.REFLECT, Side.LIGHT_SCREEN, Side.AURORA_VEIL, Side.SAFEGUARD, Side.MIST]
+      .filter(name => targetSide?.removeCondition(name));
+    cleared.push(...(targetSide?.clearHazards() ?? []));
+
+    const userSide = this.getSideOf(user);
+    if (this.#gen.match('VI+') && userSide !== targetSide)
+      cleared.push(...(userSide?.clearHazards() ?? []));
+
+    if (this.#gen.match('VIII+') && this.#terrain !== Terrain.NONE) {
+      [this.#terrain, this.#terrainTurns] = [Terrain.NONE, Infinity];
+      cleared.push('Terrain');
+    }
+
+    return cleared;
+  }
+
+  /**
+   * Returns the conditions that an attack takes place under, in the form that `calcDamage` takes them. The screens are
+   * those on the side of the defender.
+   *
+   * @param {Pokemon} attacker - The Pokemon using the move.
+   * @param {Pokemon} defender - The Pokemon being hit by the move.
+   * @returns {Object} The weather, terrain, screens, and field conditions.
+   */
+  getAttackConditions(attacker, defender) {
+    const side = this.getSideOf(defender);
+    return {
+      weather: this.#weather,
+      terrain: this.#terrain,
+      isDoubleBattle: this.#isDoubleBattle,
+      reflect: side?.hasScreen(true) ?? false,
+      lightScreen: side?.hasScreen(false) ?? false,
+      gravity: this.hasCondition(Field.GRAVITY),
+      wonderRoom: this.hasCondition(Field.WONDER_ROOM)
+    };
+  }
+
+  /**
+   * Counts down the turns of the weather, the terrain, and every condition on the field and on both sides at the end
+   * of a turn. The weather and the terrain go back to none when they run out.
+   *
+   * @returns {string[]} The names of the conditions that ended, along with "Weather" and "Terrain" if they ended.
+   */
+  onTurnEnd() {
+    const ended = [];
+    if (--this.#weatherTurns <= 0) {
+      [this.#weather, this.#weatherTurns] = [Weather.NONE, Infinity];
+      ended.push('Weather');
+    }
+
+    if (--this.#terrainTurns <= 0) {
+      [this.#terrain, this.#terrainTurns] = [Terrain.NONE, Infinity];
+      ended.push('Terrain');
+    }
+
+    for (const [name, turns] of this.#conditions) {
+      if (turns - 1 > 0) {
+        this.#conditions.set(name, turns - 1);
+      } else {
+        this.#conditions.delete(name);
+        ended.push(name);
+      }
+    }
+
+    return [...ended, ...this.#sides.flatMap(side => side.onTurnEnd())];
+  }
+}
+
+/**
+ * Represents an item that a Pokemon can hold. The effects of an item are given as hooks that the damage calculator and
+ * the battle query, the same way as the effects of abilities.
+ */
+class Item {
+  /**
+   * Every item with effects, keyed by name.
+   * @type {Map<string, Item>}
+   */
+  static #registry = new Map();
+
+  #name;
+  #hooks;
+
+  /**
+   * Creates a new held item.
+   *
+   * @param {string} name - The name of the item, e.g. "Venusaurite".
+   * @param {Object} [hooks] - The effects of the item. Defaults to the effects of the registered item with the same
+   *                           name, so that `new Item('Life Orb')` works the same as `Item.get('Life Orb')`.
+   * @param {string} [hooks.gens="II+"] - The generations that the item is available in.
+   * @param {function(Object): number} [hooks.modifyStat] - Returns the multiplier of the holder's attacking, defending,
+   *                                                        or Speed stat, given the context of the attack and the
+   *                                                        `stat` being used.
+   * @param {function(Object): number} [hooks.modifyPower] - Returns the multiplier of the power of the move, given the
+   *                                                         context of the attack.
+   * @param {function(Object): number} [hooks.modifyDamage] - Returns the multiplier of the damage that doesn't depend
+   *                                                          on type effectiveness, like Life Orb's.
+   * @param {function(Object): number} [hooks.modifyDamageByEffectiveness] - Returns the multiplier of the damage given
+   *                                                                         the context of the attack and the
+   *                                                                         `effectiveness` of the move, like Expert
+   *                                                                         Belt's or a resist berry's.
+   * @param {function(Object)} [hooks.onTurnEnd] - Applies the effects of the item at the end of each turn, given the
+   *                                               `pokemon` holding it.
+   * @param {function(Object)} [hooks.onAttack] - Applies the effects of the item after the holder damages a target,
+   *                                              given the `pokemon` holding it and the `damage` it dealt.
+   * @param {boolean} [hooks.locksMove=false] - Indicates whether the holder is locked into the first move it uses.
+   * @param {boolean} [hooks.consumable=false] - Indicates whether the item is used up once its effect activates.
+   * @param {function(Object): number} [hooks.turnOrder] - Returns 1 if the holder moves first within its priority
+   *                                                       bracket, -1 if it moves last, or 0 otherwise, given the
+   *                                                       `gen`, the `pokemon` holding it, its `move`, and a source
+   *                                                       of `random` numbers.
+   * @param {Object} [hooks.zCrystal] - The moves that the item turns into Z-Moves if it's a Z-Crystal: the moves of a
+   *                                    `type`, or a signature `move` that the listed `species` turn into `zMove`.
+   */
+  constructor(name, hooks = undefined) {
+    this.#name = name;
+    this.#hooks = {...(hooks ?? Item.#registry.get(name)?.#hooks)};
+  }
+
+  /**
+   * Adds an item to the registry, replacing any item with the same name.
+   *
+   * @static
+   * @param {Item} item - The item to add.
+   * @returns {Item} The item that was added.
+   * @throws {TypeError} If the item isn't an instance of the Item class.
+   */
+  static register(item) {
+    if (!(item instanceof Item))
+      throw new TypeError('Only instances of the Item class can be registered.');
+
+    Item.#registry.set(item.getName(), item);
+    return item;
+  }
+
+  /**
+   * Returns an item by name. Names that aren't registered, including null for Pokemon without an item, give an item
+   * that has no effects.
+   *
+   * @static
+   * @param {string|null} name - The name of the item.
+   * @returns {Item} The item.
+   */
+  static get(name) {
+    return Item.#registry.get(name) ?? new Item(name);
+  }
+
+  /**
+   * Indicates whether an item is in the registry.
+   *
+   * @static
+   * @param {string} name - The name of the item.
+   * @returns {boolean} `true` if the item is registered, `false` otherwise.
+   */
+  static has(name) {
+    return Item.#registry.has(name);
+  }
+
+  /**
+   * Returns every registered item.
+   *
+   * @static
+   * @param {Gen} [gen] - The generation to only return the items available in, if any.
+   * @returns {Item[]} The items, in the order that they were registered.
+   */
+  static getAll(gen = undefined) {
+    return [...Item.#registry.values()].filter(item => gen === undefined || item.isAvailable(gen));
+  }
+
+  /**
+   * Returns the name of the item.
+   *
+   * @returns {string} The name of the item.
+   */
+  getName() {
+    return this.#name;
+  }
+
+  /**
+   * Returns the generations that the item is available in.
+   *
+   * @returns {string} The generation range, e.g. "IV+" for Life Orb.
+   */
+  getGens() {
+    return this.#hooks.gens ?? 'II+';
+  }
+
+  /**
+   * Indicates whether the item is available in a given generation. Held items were introduced in Gen II.
+   *
+   * @param {Gen} gen - The generation.
+   * @returns {boolean} `true` if a Pokemon can hold the item in the generation, `false` otherwise.
+   */
+  isAvailable(gen) {
+    return gen.match(this.getGens());
+  }
+
+  /**
+   * Indicates whether the item has a given hook.
+   *
+   * @param {string} hook - The name of the hook, e.g. "onTurnEnd".
+   * @returns {boolean} `true` if the item has the hook, `false` otherwise.
+   */
+  hasHook(hook) {
+    return this.#hooks[hook] !== undefined;
+  }
+
+  /**
+   * Returns the multiplier that the item applies to the holder's attacking, defending, or Speed stat.
+   *
+   * @param {Object} context - The context of the attack, along with the `stat` being used.
+   * @returns {number} The multiplier, which is 1 if the item doesn't affect the stat.
+   */
+  modifyStat(context) {
+    return this.#hooks.modifyStat?.(context) ?? 1;
+  }
+
+  /**
+   * Returns the multiplier that the item applies to the power of a move.
+   *
+   * @param {Object} context - The context of the attack.
+   * @returns {number} The multiplier, which is 1 if the item doesn't affect the move.
+   */
+  modifyPower(context) {
+    return this.#hooks.modifyPower?.(context) ?? 1;
+  }
+
+  /**
+   * Returns the multiplier that the item applies to the damage of an attack regardless of its type effectiveness.
+   *
+   * @param {Object} context - The context of the attack.
+   * @returns {number} The multiplier, which is 1 if the item doesn't affect the damage.
+   */
+  modifyDamage(context) {
+    return this.#hooks.modifyDamage?.(context) ?? 1;
+  }
+
+  /**
+   * Returns the multiplier that the item applies to the damage of an attack because of its type effectiveness.
+   *
+   * @param {Object} context - The context of the attack, along with the `effectiveness` of the move.
+   * @returns {number} The multiplier, which is 1 if the item doesn't affect the damage.
+   */
+  modifyDamageByEffectiveness(context) {
+    return this.#hooks.modifyDamageByEffectiveness?.(context) ?? 1;
+  }
+
+  /**
+   * Applies the effects of the item at the end of a turn, like Leftovers restoring HP.
+   *
+   * @param {{pokemon: Pokemon}} context - The holder.
+   */
+  onTurnEnd(context) {
+    this.#hooks.onTurnEnd?.(context);
+  }
+
+  /**
+   * Applies the effects of the item after the holder damages a target, like Life Orb's recoil.
+   *
+   * @param {{pokemon: Pokemon, damage: number}} context - The holder and the damage it dealt.
+   */
+  onAttack(context) {
+    this.#hooks.onAttack?.(context);
+  }
+
+  /**
+   * Returns where the holder moves within its priority bracket, like first with a Quick Claw or last with a Lagging
+   * Tail.
+   *
+   * @param {{gen: Gen, pokemon: Pokemon, move: Move, random: function(): number}} context - The holder and its move.
+   * @returns {number} 1 if the holder moves first, -1 if it moves last, or 0 if the item doesn't affect it.
+   */
+  getTurnOrder(context) {
+    return this.#hooks.turnOrder?.(context) ?? 0;
+  }
+
+  /**
+   * Indicates whether the holder is locked into the first move it uses, like with a Choice item.
+   *
+   * @returns {boolean} `true` if the item locks the holder's move, `false` otherwise.
+   */
+  locksMove() {
+    return this.#hooks.locksMove ?? false;
+  }
+
+  /**
+   * Indicates whether the item is used up once its effect activates, like a berry or a gem.
+   *
+   * @returns {boolean} `true` if the item is consumable, `false` otherwise.
+   */
+  isConsumable() {
+    return this.#hooks.consumable ?? false;
+  }
+
+  /**
+   * Returns the Mega Evolution that the item lets its holder change into, if it's a Mega Stone.
+   *
+   * @returns {string|null} The name of the Mega Evolved form, or null if the item isn't a Mega Stone.
+   */
+  getMegaEvolution() {
+    const [form] = Object.entries(formChanges)
+      .find(([, {trigger, item}]) => trigger === 'Mega Evolution' && item === this.#name) ?? [null];
+    return form;
+  }
+
+  /**
+   * Returns the moves that the item turns into Z-Moves, if it's a Z-Crystal.
+   *
+   * @returns {Object|null} The `type` of the moves for a generic Z-Crystal, or the signature `move` of the `species`
+   *                        and the `zMove` it becomes for an exclusive one. Null if the item isn't a Z-Crystal.
+   */
+  getZCrystal() {
+    return this.#hooks.zCrystal ?? null;
+  }
+
+  /**
+   * Returns the name of the item as a string.
+   *
+   * @returns {string} The name of the item.
+   */
+  toString() {
+    return this.getName();
+  }
+}
+
+/**
+ * Represents a move in a Pokémon game.
+ *
+ * @class
+ */
+class Move {
+  /**
+   * The physical move category.
+   *
+   * @static
+   * @type {Move}
+   */
+  static PHYSICAL = new Move();
+
+  /**
+   * The special move category.
+   *
+   * @static
+   * @type {Move}
+   */
+  static SPECIAL = new Move();
+
+  /**
+   * The status move category.
+   *
+   * @static
+   * @type {Move}
+   */
+  static STATUS = new Move();
+
+  /**
+   * The category of moves that take the category of the move they are based on, like Max Moves.
+   *
+   * @static
+   * @type {Move}
+   */
+  static VARIABLE = new Move();
+
+  #name;
+  #type;
+  #power;
+  #accuracy;
+  #category;
+  #pp;
+  #priority;
+  #isHM;
+  #gen;
+  #contact;
+  #usage;
+  #isZMove;
+
+  /**
+   * The values that the move had in earlier generations, applied in order over its current values.
+   * @type {Array<{gens: string, type?: Type, power?: number|null, accuracy?: number|null, category?: Move,
+   *   priority?: number, contact?: boolean}>}
+   */
+  #history;
+
+  /**
+   * Creates a new instance of the `Move` class.
+   *
+   * @constructor
+   * @param {string} [name] - The name of the move.
+   * @param {Type} [type] - The type of the move.
+   * @param {number|null} [power] - The power of the move, or null if it has none or its power varies.
+   * @param {number|null} [accuracy] - The accuracy of the move, or null if it never misses.
+   * @param {Move} [cat] - The category of the move.
+   * @param {number} [pp] - The base number of power points the move has.
+   * @param {number} [priority] - The priority that the move has. Most moves have priority 0, but can range from -7 to 5
+   * @param {boolean} [isHM=false] - Indicates whether the move is an HM move.
+   * @param {Object} [options={}] - Any additional details of the move.
+   * @param {Gen} [options.gen=Gen.I] - The generation that the move was introduced in.
+   * @param {boolean} [options.contact=false] - Indicates whether the move makes contact.
+   * @param {string[]} [options.usage=[]] - The groups of moves that the move belongs to, e.g. "Sound" or "Punching".
+   * @param {boolean} [options.isZMove=false] - Indicates whether the move is a Z-Move.
+   * @param {Array<Object>} [options.history=[]] - The values that the move had in earlier generations, each with the
+   *                                              range of generations it applies to as `gens`, e.g.
+   *                                              `{gens: 'I-V', power: 95}`.
+   * @throws {TypeError} If the category is not one of `Move.PHYSICAL`, `Move.SPECIAL`, `Move.STATUS`, or
+   * `Move.VARIABLE`, or if the type is note one of the 19 well-defined types of Type.
+   */
+  constructor(name, type, power, accuracy, cat, pp, priority = 0, isHM = false,
+    {gen = Gen.I, contact = false, usage = [], isZMove = false, history = []} = {}) {
+    // This is only called by the Move class when initiating the 3 static categories of moves
+    if (arguments.length === 0) {
+      // do nothing
+    } else {
+      this.#name = name;
+      if (!(type instanceof Type)) {
+        throw new TypeError(`The move type must be an instance of the Type class.`);
+      }
+      this.#type = type;
+
+      this.#power = power;
+      this.#accuracy = accuracy;
+      
+      this.#category = this.#checkCategory(cat, Move.PHYSICAL) ||
+        this.#checkCategory(cat, Move.SPECIAL) ||
+        this.#checkCategory(cat, Move.STATUS) ||
+        this.#checkCategory(cat, Move.VARIABLE);
+      if (!this.#category) {
+        throw new TypeError(`The category must be one of Move.PHYSICAL, Move.SPECIAL, Move.STATUS, or Move.VARIABLE`);
+      }
+
+      this.#pp = pp;
+      this.#priority = Math.floor(priority) < -7 ? -7 : Math.floor(priority) > 5 ? 5 : Math.floor(priority);
+      if (priority !== this.#priority) {
+        console.warn(`The priority value given was modified from (${priority}) to (${this.#priority})!`);
+      }
+      this.#isHM = isHM;
+      this.#gen = gen;
+      this.#contact = contact;
+      this.#usage = [...usage];
+      this.#isZMove = isZMove;
+      this.#history = history.map(entry => ({...entry}));
+    }
+  }
+
+  /**
+   * Creates a move from its entry in moves.json, where values are strings unless they are numbers. Power and accuracy
+   * are parsed into numbers, with "—" meaning that a move has no set power or never misses, and the "???" category of
+   * Max Moves becomes Move.VARIABLE. Values that changed between generations, like "I-V:3,VI+:2", and the older values
+   * recorded in move_history.json make up the history of the move.
+   *
+   * @static
+   * @param {string} name - The name of the move.
+   * @param {Object<string, string|number>} data - The entry of the move in moves.json.
+   * @param {Array<Object>} [changes=[]] - The entries of the move in move_history.json.
+   * @returns {Move} The parsed move.
+   * @throws {TypeError} If the type or category of the entry isn't recognized.
+   */
+  static fromData(name, data, changes = []) {
+    const categories = {'Physical': Move.PHYSICAL, 'Special': Move.SPECIAL, 'Status': Move.STATUS,
+      '???': Move.VARIABLE};
+    const parseNumber = value => /^-?\d+%?$/.test(value) ? parseInt(value) : null;
+    const parseType = str => str === '???' ? Type.TYPELESS : Type[str.toUpperCase()];
+
+    const history = [];
+    for (const [key, parse] of [['priority', parseInt], ['contact', str => str === 'true']]) {
+      for (const entry of String(data[key]).includes(':') ? data[key].split(',') : []) {
+        const [gens, value] = entry.split(':');
+        history.push({gens, [key]: parse(value)});
+      }
+    }
+
+    for (const {gens, type, category, ...values} of changes) {
+      const entry = {gens, ...values};
+      if (type !== undefined)
+        entry.type = parseType(type);
+      if (category !== undefined)
+        entry.category = categories[category];
+
+      history.push(entry);
+    }
+
+    // Z-Moves are the only moves from Gen VII that can only be used once.
+    return new Move(name, parseType(data.type), parseNumber(data.power), parseNumber(data.accuracy),
+      categories[data.category], parseInt(data.pp), parseInt(resolveGenValue(String(data.priority), Gen.IX)), false, {
+        gen: Gen[data.gen],
+        contact: resolveGenValue(String(data.contact), Gen.IX) === 'true',
+        usage: data.usage ? data.usage.split(',') : [],
+        isZMove: data.gen === 'VII' && parseInt(data.pp) === 1,
+        history
+      });
+  }
+
+  /**
+   * Returns the value that a property of the move had in a given generation.
+   *
+   * @private
+   * @param {string} key - The property, e.g. "power".
+   * @param {*} value - The current value of the property.
+   * @param {Gen} gen - The generation.
+   * @returns {*} The value of the property in the generation.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  #resolve(key, value, gen) {
+    if (!(gen instanceof Gen))
+      throw new GenerationError("Invalid generation object specified (must be one of Gen.I to Gen.IX)");
+
+    for (const entry of this.#history) {
+      if (entry.hasOwnProperty(key) && gen.match(entry.gens))
+        value = entry[key];
+    }
+
+    return value;
+  }
+
+  /**
+   * Checks if the incoming category is one of the static instances defined in the Move class.
+   *
+   * @private
+   * @param {*} [cat] - The category object to be checked
+   * @param {Move} [category] - One of Move.PHYSICAL, Move.SPECIAL, or Move.STATUS
+   * @returns {*} The static instance if the condition is met, false otherwise.
+   */
+  #checkCategory(cat, category) {
+    return cat === category ? cat : false;
+  }
+
+  /**
+   * Returns the name of the move.
+   *
+   * @returns {string} The name of the move.
+   */
+  getName() {
+    return this.#name;
+  }
+
+  /**
+   * Returns the type of the move.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation to get the type of the move in.
+   * @returns {Type} The type of the move as an instace of the Type class.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  getType(gen = Gen.IX) {
+    return this.#resolve('type', this.#type, gen);
+  }
+
+  /**
+   * Returns the power of the move.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation to get the power of the move in.
+   * @returns {number|null} The power of the move, or null if it has none or its power varies.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  getPower(gen = Gen.IX) {
+    return this.#resolve('power', this.#power, gen);
+  }
+
+  /**
+   * Returns the accuracy of the move.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation to get the accuracy of the move in.
+   * @returns {number|null} The accuracy of the move, or null if it never misses.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  getAccuracy(gen = Gen.IX) {
+    return this.#resolve('accuracy', this.#accuracy, gen);
+  }
+
+  /**
+   * Returns the category of the move. Before the physical/special split in Gen IV, whether a damaging move is physical
+   * or special depends only on its type.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation to get the category of the move in.
+   * @returns {Move} The category of the move (one of Move.PHYSICAL, Move.SPECIAL, Move.STATUS, or Move.VARIABLE).
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  getCategory(gen = Gen.IX) {
+    const category = this.#resolve('category', this.#category, gen);
+    if (gen.match('I-III') && (category === Move.PHYSICAL || category === Move.SPECIAL))
+      return Move.#specialTypes().includes(this.getType(gen)) ? Move.SPECIAL : Move.PHYSICAL;
+
+    return category;
+  }
+
+  /**
+   * Returns the types whose damaging moves were all special before Gen IV. Every other type's were physical.
+   *
+   * @private
+   * @static
+   * @returns {Type[]} The special types.
+   */
+  static #specialTypes() {
+    return [Type.FIRE, Type.WATER, Type.GRASS, Type.ELECTRIC, Type.PSYCHIC, Type.ICE, Type.DRAGON, Type.DARK];
+  }
+
+  /**
+   * Returns the base number of power points of the move.
+   * 
+   * @returns {number} The base number of PP that a move has.
+   */
+  getPP() {
+    return this.#pp;
+  }
+
+  /**
+   * Returns the priority of the move.
+   * 
+   * @param {Gen} [gen=Gen.IX] - The generation to get the priority of the move in.
+   * @returns {number} The priority of this move, an integer from -7 to 5 inclusive.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  getPriority(gen = Gen.IX) {
+    return this.#resolve('priority', this.#priority, gen);
+  }
+
+  /**
+   * Indicates whether the move is an HM move.
+   *
+   * @returns {boolean} `true` if the move is an HM move, `false` otherwise.
+   */
+  isHM() {
+    return this.#isHM;
+  }
+
+  /**
+   * Returns the generation that the move was introduced in.
+   *
+   * @returns {Gen} The generation that the move was introduced in.
+   */
+  getGen() {
+    return this.#gen;
+  }
+
+  /**
+   * Indicates whether the move never misses, skipping the accuracy check.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation to check the move in.
+   * @returns {boolean} `true` if the move has no accuracy, `false` otherwise.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  neverMisses(gen = Gen.IX) {
+    return this.getAccuracy(gen) === null;
+  }
+
+  /**
+   * Indicates whether the power of the move is worked out when it is used, like Low Kick or Seismic Toss, rather than
+   * being fixed.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation to check the move in.
+   * @returns {boolean} `true` if the move deals damage without a fixed power, `false` otherwise.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  hasVariablePower(gen = Gen.IX) {
+    return this.getCategory(gen) !== Move.STATUS && this.getPower(gen) === null;
+  }
+
+  /**
+   * Indicates whether the move makes contact with its target.
+   *
+   * @param {Gen} [gen=Gen.IX] - The generation to check the move in.
+   * @returns {boolean} `true` if the move makes contact, `false` otherwise.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   */
+  makesContact(gen = Gen.IX) {
+    return this.#resolve('contact', this.#contact, gen);
+  }
+
+  /**
+   * Returns the groups of moves that the move belongs to, which some abilities and items check for.
+   *
+   * @returns {string[]} The groups, e.g. ["Slicing", "Wind"] for Bitter Blade, or an empty array.
+   */
+  getUsage() {
+    return [...this.#usage];
+  }
+
+  /**
+   * Indicates whether the move belongs to a group of moves.
+   *
+   * @param {string} usage - The group, e.g. "Sound", "Punching", or "Ballistic".
+   * @returns {boolean} `true` if the move belongs to the group, `false` otherwise.
+   */
+  hasUsage(usage) {
+    return this.#usage.includes(usage);
+  }
+
+  /**
+   * Indicates whether the move is a Z-Move.
+   *
+   * @returns {boolean} `true` if the move is a Z-Move, `false` otherwise.
+   */
+  isZMove() {
+    return this.#isZMove;
+  }
+
+  /**
+   * Indicates whether the move is a Max Move, including G-Max Moves.
+   *
+   * @returns {boolean} `true` if the move is a Max Move, `false` otherwise.
+   */
+  isMaxMove() {
+    return /^(?:G-)?Max /.test(this.#name);
+  }
+
+  /**
+   * Converts the move into the Max Move that a Dynamaxed Pokemon uses in its place. Damaging moves become the Max Move
+   * of their type, or the G-Max Move of a Gigantamaxed Pokemon whose G-Max Move has the same type, and keep their
+   * category. Their power comes from the power of the move, with Fighting- and Poison-type Max Moves getting less of
+   * it, and moves without a set power are treated as having 100 Max Move power (75 for Fighting and Poison). Status
+   * moves become Max Guard.
+   *
+   * @param {Pokemon|null} [pokemon=null] - The Dynamaxed Pokemon using the move, which decides its generation and
+   *                                        whether a G-Max Move replaces the Max Move.
+   * @returns {Move} The Max Move. Max Moves are returned unchanged.
+   */
+  toMaxMove(pokemon = null) {
+    if (this.isMaxMove())
+      return this;
+
+    const gen = pokemon?.getGen() ?? Gen.VIII;
+    const category = this.getCategory(gen);
+    if (category === Move.STATUS)
+      return getMove('Max Guard');
+
+    const type = this.getType(gen);
+    const gMax = pokemon?.isGigantamaxed() ? gMaxMoves[pokemon.getName()] : undefined;
+    const name = gMax?.type === type ? gMax.name : maxMoveNames()[type];
+    const power = gMax?.type === type && gMax.power !== undefined ? gMax.power : getMaxMovePower(this.getPower(gen),
+      type);
+
+    return new Move(name, type, power, null, category, this.#pp, 0, false, {gen: Gen.VIII});
+  }
+
+  /**
+   * Converts the move into the Z-Move that a Pokemon holding a Z-Crystal uses in its place. A signature move becomes
+   * the exclusive Z-Move of its Z-Crystal when used by one of the species that the crystal is for. Other damaging
+   * moves become the Z-Move of their type, keeping their category, with their power taken from the power of the move.
+   * Status moves stay the same move, with a Z-Effect that `applyZMoveEffects` applies before it's used.
+   *
+   * @param {Pokemon|null} [pokemon=null] - The Pokemon using the move, which decides its generation and whether an
+   *                                        exclusive Z-Move replaces the move.
+   * @returns {Move} The Z-Move. Z-Moves are returned unchanged.
+   */
+  toZMove(pokemon = null) {
+    if (this.#isZMove)
+      return this;
+
+    const crystal = pokemon?.getItem()?.getZCrystal();
+    if (crystal?.move === this.#name && crystal.species.includes(pokemon.getName()))
+      return getMove(crystal.zMove);
+
+    const gen = pokemon?.getGen() ?? Gen.VII;
+    const [type, category] = [this.getType(gen), this.getCategory(gen)];
+    if (category === Move.STATUS) {
+      return new Move(`Z-${this.#name}`, type, null, this.getAccuracy(gen), category, 1, this.getPriority(gen), false,
+        {gen: Gen.VII, usage: this.#usage, isZMove: true});
+    }
+
+    return new Move(zMoveNames()[type], type, getZMovePower(this.getPower(gen), this.#name), null, category, 1, 0,
+      false, {gen: Gen.VII, contact: this.#contact, isZMove: true});
+  }
+
+  /**
+   * Returns the name of the move as a string.
+   *
+   * @returns {string} The name of the move.
+   */
+  toString() {
+    return this.getName();
+  }
+}
+
+/**
+ * Every move that has been parsed from moves.json so far, keyed by name.
+ * @type {Map<string, Move>}
+ */
+const moveCache = new Map();
+
+/**
+ * Returns the value of a piece of data in the given generation, for data that changed between generations and is
+ * written like "I-V:3,VI+:2". Any other value is the same in every generation.
+ *
+ * @param {string} value - The data, as it appears in moves.json.
+ * @param {Gen} gen - The generation to get the value in.
+ * @returns {string} The value in the generation, or the last value given if none of the ranges include it.
+ */
+function resolveGenValue(value, gen) {
+  if (!value.includes(':'))
+    return value;
+
+  const entries = value.split(',').map(entry => entry.split(':'));
+  return (entries.find(([genRange]) => gen.match(genRange)) ?? entries[entries.length - 1])[1];
+}
+
+/**
+ * Returns a move by name.
+ *
+ * @param {string} name - The name of the move as it appears in moves.json, e.g. "Thunderbolt".
+ * @returns {Move|undefined} The move, or undefined if there is no move with that name.
+ */
+function getMove(name) {
+  if (!movedex.hasOwnProperty(name))
+    return undefined;
+
+  if (!moveCache.has(name))
+    moveCache.set(name, Move.fromData(name, movedex[name], moveHistory[name]));
+
+  return moveCache.get(name);
+}
+
+/**
+ * Returns every move that was introduced in a given generation.
+ *
+ * @param {Gen} gen - The generation.
+ * @returns {Move[]} The moves introduced in the generation, in the order of their move numbers.
+ * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+ */
+function getMovesByGen(gen) {
+  if (!(gen instanceof Gen))
+    throw new GenerationError("Invalid generation object specified (must be one of Gen.I to Gen.IX)");
+
+  return Object.keys(movedex).filter(name => Gen[movedex[name].gen] === gen).map(getMove);
+}
+
+/**
+ * The name of the Max Move of each type, read from the Max Moves in moves.json, which have the "???" category.
+ * Built on first use.
+ * @type {Object<string, string>|null}
+ */
+let _maxMoveNames = null;
+const maxMoveNames = () => _maxMoveNames || (_maxMoveNames = Object.fromEntries(Object.keys(movedex)
+  .filter(name => movedex[name].category === '???')
+  .map(name => [getMove(name).getType(Gen.VIII), name])));
+
+/**
+ * Computes the power of a Max Move from the power of the move it is based on. Fighting- and Poison-type Max Moves
+ * use a weaker scale.
+ *
+ * @param {number|null} power - The power of the base move, or null if it has no set power.
+ * @param {Type} type - The type of the move.
+ * @returns {number} The power of the Max Move.
+ */
+function getMaxMovePower(power, type) {
+  const isWeak = type === Type.FIGHTING || type === Type.POISON;
+  if (power === null)
+    return isWeak ? 75 : 100;
+
+  // The thresholds of each step of the scale, from the weakest moves up.
+  const steps = [[40, 90, 70], [50, 100, 75], [60, 110, 80], [70, 120, 85], [100, 130, 90], [140, 140, 95]];
+  const [, regular, weak] = steps.find(([max]) => power <= max) ?? [Infinity, 150, 100];
+  return isWeak ? weak : regular;
+}
+
+/**
+ * The G-Max Move of every species that can Gigantamax, along with its type and its power when it doesn't depend on
+ * the base move.
+ * @type {Object<string, {name: string, type: Type, power: (number|undefined)}>}
+ */
+const gMaxMoves = {
+  'Venusaur': {name: 'G-Max Vine Lash', type: Type.GRASS},
+  'Charizard': {name: 'G-Max Wildfire', type: Type.FIRE},
+  'Blastoise': {name: 'G-Max Cannonade', type: Type.WATER},
+  'Butterfree': {name: 'G-Max Befuddle', type: Type.BUG},
+  'Pikachu': {name: 'G-Max Volt Crash', type: Type.ELECTRIC},
+  'Meowth': {name: 'G-Max Gold Rush', type: Type.NORMAL},
+  'Machamp': {name: 'G-Max Chi Strike', type: Type.FIGHTING},
+  'Gengar': {name: 'G-Max Terror', type: Type.GHOST},
+  'Kingler': {name: 'G-Max Foam Burst', type: Type.WATER},
+  'Lapras': {name: 'G-Max Resonance', type: Type.ICE},
+  'Eevee': {name: 'G-Max Cuddle', type: Type.NORMAL},
+  'Snorlax': {name: 'G-Max Replenish', type: Type.NORMAL},
+  'Garbodor': {name: 'G-Max Malodor', type: Type.POISON},
+  'Melmetal': {name: 'G-Max Meltdown', type: Type.STEEL},
+  'Rillaboom': {name: 'G-Max Drum Solo', type: Type.GRASS, power: 160},
+  'Cinderace': {name: 'G-Max Fireball', type: Type.FIRE, power: 160},
+  'Inteleon': {name: 'G-Max Hydrosnipe', type: Type.WATER, power: 160},
+  'Corviknight': {name: 'G-Max Wind Rage', type: Type.FLYING},
+  'Orbeetle': {name: 'G-Max Gravitas', type: Type.PSYCHIC},
+  'Drednaw': {name: 'G-Max Stonesurge', type: Type.WATER},
+  'Coalossal': {name: 'G-Max Volcalith', type: Type.ROCK},
+  'Flapple': {name: 'G-Max Tartness', type: Type.GRASS},
+  'Appletun': {name: 'G-Max Sweetness', type: Type.GRASS},
+  'Sandaconda': {name: 'G-Max Sandblast', type: Type.GROUND},
+  'Toxtricity: Amped Form': {name: 'G-Max Stun Shock', type: Type.ELECTRIC},
+  'Toxtricity: Low Key Form': {name: 'G-Max Stun Shock', type: Type.ELECTRIC},
+  'Centiskorch': {name: 'G-Max Centiferno', type: Type.FIRE},
+  'Hatterene': {name: 'G-Max Smite', type: Type.FAIRY},
+  'Grimmsnarl': {name: 'G-Max Snooze', type: Type.DARK},
+  'Alcremie': {name: 'G-Max Finale', type: Type.FAIRY},
+  'Copperajah': {name: 'G-Max Steelsurge', type: Type.STEEL},
+  'Duraludon': {name: 'G-Max Depletion', type: Type.DRAGON},
+  'Urshifu: Single Strike Style': {name: 'G-Max One Blow', type: Type.DARK},
+  'Urshifu: Rapid Strike Style': {name: 'G-Max Rapid Flow', type: Type.WATER}
+};
+
+/**
+ * The secondary effects of Max Moves and G-Max Moves: the `weather` or `terrain` they set, the stat stages they change
+ * for the user's side (`userStages`) or the target's side (`targetStages`), the side condition they start on the
+ * user's side, the entry hazard they set on the target's side, the field condition they start, the status conditions
+ * that they inflict on the target's side (one picked at random), and whether they Defog, cure the user's side of
+ * status conditions, or heal it by a fraction of its max HP. G-Max Moves whose effects aren't modeled have none.
+ * @type {Object<string, Object>}
+ */
+const maxMoveEffects = {
+  'Max Flare': {weather: Weather.HARSH_SUN},
+  'Max Geyser': {weather: Weather.RAIN},
+  'Max Rockfall': {weather: Weather.SANDSTORM},
+  'Max Hailstorm': {weather: Weather.HAIL},
+  'Max Lightning': {terrain: Terrain.ELECTRIC},
+  'Max Overgrowth': {terrain: Terrain.GRASSY},
+  'Max Mindstorm': {terrain: Terrain.PSYCHIC},
+  'Max Starfall': {terrain: Terrain.MISTY},
+  'Max Strike': {targetStages: {Spe: -1}},
+  'Max Flutterby': {targetStages: {SpAtk: -1}},
+  'Max Phantasm': {targetStages: {Def: -1}},
+  'Max Darkness': {targetStages: {SpDef: -1}},
+  'Max Wyrmwind': {targetStages: {Atk: -1}},
+  'Max Knuckle': {userStages: {Atk: 1}},
+  'Max Steelspike': {userStages: {Def: 1}},
+  'Max Ooze': {userStages: {SpAtk: 1}},
+  'Max Quake': {userStages: {SpDef: 1}},
+  'Max Airstream': {userStages: {Spe: 1}},
+  'G-Max Befuddle': {statuses: [Status.SLEEP, Status.PARALYSIS, Status.POISON]},
+  'G-Max Volt Crash': {statuses: [Status.PARALYSIS]},
+  'G-Max Stun Shock': {statuses: [Status.PARALYSIS, Status.POISON]},
+  'G-Max Malodor': {statuses: [Status.POISON]},
+  'G-Max Gold Rush': {volatile: VolatileStatus.CONFUSION},
+  'G-Max Smite': {volatile: VolatileStatus.CONFUSION},
+  'G-Max Sandblast': {volatile: VolatileStatus.PARTIAL_TRAP},
+  'G-Max Centiferno': {volatile: VolatileStatus.PARTIAL_TRAP},
+  'G-Max Foam Burst': {targetStages: {Spe: -2}},
+  'G-Max Tartness': {targetStages: {Evasion: -1}},
+  'G-Max Resonance': {sideCondition: Side.AURORA_VEIL},
+  'G-Max Stonesurge': {hazard: Side.STEALTH_ROCK},
+  'G-Max Gravitas': {fieldCondition: Field.GRAVITY},
+  'G-Max Wind Rage': {defog: true},
+  'G-Max Sweetness': {cure: true},
+  'G-Max Finale': {heal: 1 / 6}
+};
+
+/**
+ * Applies the secondary effects of a Max Move or G-Max Move after it hits. Effects on a side reach every Pokemon in
+ * battle on it, or only the user or the target if they aren't on the field.
+ *
+ * @param {Move} move - The Max Move.
+ * @param {Pokemon} user - The Pokemon that used the move.
+ * @param {Pokemon} target - The Pokemon that the move hit.
+ * @param {Field} field - The field of the battle.
+ * @param {function(): number} [random=Math.random] - A source of random numbers from 0 (inclusive) to 1 (exclusive).
+ */
+function applyMaxMoveEffects(move, user, target, field, random = Math.random) {
+  const effect = maxMoveEffects[move.getName()];
+  if (effect === undefined)
+    return;
+
+  const [userSide, targetSide] = [field.getSideOf(user), field.getSideOf(target)];
+  const allies = userSide?.getActive() ?? [user];
+  const foes = targetSide?.getActive() ?? [target];
+  const item = user.getItem()?.getName() ?? null;
+
+  // The primal weathers can't be replaced by other weather.
+  const primal = [Weather.EXTREMELY_HARSH_SUN, Weather.HEAVY_RAIN, Weather.STRONG_WINDS];
+  if (effect.weather !== undefined && !primal.includes(field.getWeather()))
+    field.setWeather(effect.weather, {item});
+
+  if (effect.terrain !== undefined)
+    field.setTerrain(effect.terrain, {item});
+
+  for (const [stat, amount] of Object.entries(effect.userStages ?? {}))
+    allies.forEach(pokemon => raiseStage(pokemon, stat, amount));
+
+  for (const [stat, amount] of Object.entries(!targetSide?.preventsStatDrops() ? effect.targetStages ?? {} : {}))
+    foes.forEach(pokemon => lowerStage(pokemon, stat, -amount));
+
+  const conditions = {terrain: field.getTerrain(), gravity: field.hasCondition(Field.GRAVITY), side: targetSide};
+  for (const pokemon of effect.statuses !== undefined ? foes : []) {
+    pokemon.inflictStatus(effect.statuses[Math.floor(random() * effect.statuses.length)], conditions);
+  }
+
+  if (effect.volatile !== undefined)
+    foes.forEach(pokemon => pokemon.addVolatileStatus(effect.volatile, {...conditions, source: user, move}));
+
+  // G-Max Resonance sets up Aurora Veil whatever the weather is.
+  if (effect.sideCondition !== undefined)
+    userSide?.addCondition(effect.sideCondition, {item, weather: Weather.HAIL});
+
+  if (effect.hazard !== undefined)
+    targetSide?.addHazard(effect.hazard);
+
+  if (effect.fieldCondition !== undefined && !field.hasCondition(effect.fieldCondition))
+    field.addCondition(effect.fieldCondition);
+
+  if (effect.defog)
+    field.defog(user, target);
+
+  if (effect.cure)
+    allies.forEach(pokemon => pokemon.cureStatus());
+
+  if (effect.heal !== undefined) {
+    allies.filter(pokemon => !pokemon.isFainted()).forEach(pokemon => pokemon.setCurrentHP(pokemon.getCurrentHP()
+      + Math.floor(pokemon.getStats().hp * effect.heal)));
+  }
+}
+
+/**
+ * The name of the Z-Move of each type, read from the Z-Moves in moves.json that aren't exclusive to a Z-Crystal and
+ * have no set power. Built on first use.
+ * @type {Object<string, string>|null}
+ */
+let _zMoveNames = null;
+const zMoveNames = () => _zMoveNames || (_zMoveNames = Object.fromEntries(Object.keys(movedex)
+  .map(getMove)
+  .filter(move => move.isZMove() && move.getPower(Gen.VII) === null && move.getCategory(Gen.VII) !== Move.STATUS
+    && !Item.getAll().some(item => item.getZCrystal()?.zMove === move.getName()))
+  .map(move => [move.getType(Gen.VII), move.getName()])));
+
+/**
+ * The Z-Move power of the moves whose power doesn't follow from the table in `getZMovePower`, mostly moves whose
+ * power varies.
+ * @type {Object<string, number>}
+ */
+const zMovePowers = {
+  'Mega Drain': 120, 'Core Enforcer': 140, 'Magnitude': 140, 'Weather Ball': 160, 'Hex': 160, 'Flying Press': 170,
+  'Gear Grind': 180, 'V-create': 220, 'Crush Grip': 190, 'Wring Out': 190, 'Guillotine': 180, 'Fissure': 180,
+  'Horn Drill': 180, 'Sheer Cold': 180, 'Final Gambit': 180, ...Object.fromEntries(['Low Kick', 'Grass Knot',
+    'Heavy Slam', 'Heat Crash', 'Gyro Ball', 'Electro Ball', 'Flail', 'Reversal', 'Return', 'Frustration', 'Endeavor',
+    'Punishment', 'Stored Power', 'Power Trip', 'Natural Gift', 'Trump Card'].map(name => [name, 160]))
+};
+
+/**
+ * Computes the power of a Z-Move from the power of the move it is based on.
+ *
+ * @param {number|null} power - The power of the base move, or null if it has no set power.
+ * @param {string} name - The name of the base move, for the moves whose Z-Move power is set on its own.
+ * @returns {number} The power of the Z-Move.
+ */
+function getZMovePower(power, name) {
+  if (zMovePowers.hasOwnProperty(name))
+    return zMovePowers[name];
+
+  if (power === null)
+    return 100;
+
+  // The most power that the base move can have for each step of the scale, from the weakest moves up.
+  const steps = [[55, 100], [65, 120], [75, 140], [85, 160], [95, 175], [100, 180], [110, 185], [125, 190], [130, 195]];
+  return (steps.find(([max]) => power <= max) ?? [Infinity, 200])[1];
+}
+
+/**
+ * The Z-Effects of status moves used as Z-Moves, along with Extreme Evoboost's effect: the stat stages they raise for
+ * the user (`userStages`), and whether they reset the user's lowered stat stages or restore all of its HP. Curse
+ * restores the HP of Ghost types instead of raising Attack. Status moves whose Z-Effects aren't modeled have none.
+ * @type {Object<string, Object>}
+ */
+const zMoveEffects = Object.fromEntries([
+  [{userStages: {Atk: 1}}, ['Bulk Up', 'Curse', 'Hone Claws', 'Howl', 'Laser Focus', 'Leer', 'Meditate',
+    'Odor Sleuth', 'Power Trick', 'Rototiller', 'Screech', 'Sharpen', 'Tail Whip', 'Taunt', 'Topsy-Turvy',
+    'Will-O-Wisp', 'Work Up']],
+  [{userStages: {Atk: 2}}, ['Mirror Move']],
+  [{userStages: {Atk: 3}}, ['Splash']],
+  [{userStages: {Def: 1}}, ['Aqua Ring', 'Baby-Doll Eyes', 'Baneful Bunker', 'Block', 'Charm', 'Defend Order',
+    'Fairy Lock', 'Feather Dance', 'Flower Shield', 'Grassy Terrain', 'Growl', 'Harden', 'Mat Block', 'Noble Roar',
+    'Pain Split', 'Play Nice', 'Poison Gas', 'Poison Powder', 'Quick Guard', 'Reflect', 'Roar', 'Spider Web',
+    'Spikes', 'Spiky Shield', 'Stealth Rock', 'Strength Sap', 'Tearful Look', 'Tickle', 'Torment', 'Toxic',
+    'Toxic Spikes', 'Venom Drench', 'Wide Guard', 'Withdraw']],
+  [{userStages: {SpAtk: 1}}, ['Confuse Ray', 'Electrify', 'Embargo', 'Fake Tears', 'Gear Up', 'Gravity', 'Growth',
+    'Instruct', 'Ion Deluge', 'Metal Sound', 'Mind Reader', 'Miracle Eye', 'Nightmare', 'Psychic Terrain',
+    'Reflect Type', 'Simple Beam', 'Soak', 'Sweet Kiss', 'Teeter Dance', 'Telekinesis']],
+  [{userStages: {SpAtk: 2}}, ['Heal Block', 'Psycho Shift']],
+  [{userStages: {SpDef: 1}}, ['Charge', 'Confide', 'Cosmic Power', 'Crafty Shield', 'Eerie Impulse', 'Entrainment',
+    'Flatter', 'Glare', 'Ingrain', 'Light Screen', 'Magic Room', 'Magnetic Flux', 'Mean Look', 'Misty Terrain',
+    'Mud Sport', 'Spotlight', 'Stun Spore', 'Thunder Wave', 'Water Sport', 'Whirlwind', 'Wish', 'Wonder Room']],
+  [{userStages: {SpDef: 2}}, ['Aromatic Mist', 'Captivate', 'Imprison', 'Magic Coat', 'Powder']],
+  [{userStages: {Spe: 1}}, ['After You', 'Aurora Veil', 'Electric Terrain', 'Encore', 'Gastro Acid', 'Grass Whistle',
+    'Guard Split', 'Guard Swap', 'Hail', 'Hypnosis', 'Power Split', 'Power Swap', 'Rain Dance', 'Role Play',
+    'Sandstorm', 'Scary Face', 'Skill Swap', 'Sticky Web', 'String Shot', 'Sunny Day', 'Worry Seed']],
+  [{userStages: {Spe: 2}}, ['Ally Switch', 'Switcheroo', 'Trick']],
+  [{userStages: {Accuracy: 1}}, ['Copycat', 'Defense Curl', 'Defog', 'Focus Energy', 'Mimic', 'Sweet Scent',
+    'Trick Room']],
+  [{userStages: {Evasion: 1}}, ['Camouflage', 'Detect', 'Flash', 'Kinesis', 'Lucky Chant', 'Sand Attack',
+    'Smokescreen']],
+  [{userStages: {CritRatio: 2}}, ['Acupressure', 'Foresight', 'Heart Swap', 'Sleep Talk', 'Tailwind']],
+  [{userStages: {Atk: 1, Def: 1, SpAtk: 1, SpDef: 1, Spe: 1}}, ['Celebrate', 'Conversion', "Forest's Curse",
+    'Geomancy', 'Happy Hour', 'Hold Hands', 'Purify', 'Sketch', 'Trick-or-Treat']],
+  [{userStages: {Atk: 2, Def: 2, SpAtk: 2, SpDef: 2, Spe: 2}}, ['Extreme Evoboost']],
+  [{resetStats: true}, ['Acid Armor', 'Agility', 'Amnesia', 'Attract', 'Autotomize', 'Barrier', 'Calm Mind', 'Coil',
+    'Cotton Guard', 'Cotton Spore', 'Dark Void', 'Disable', 'Dragon Dance', 'Floral Healing', 'Heal Order',
+    'Heal Pulse', 'Iron Defense', 'Leech Seed', 'Lovely Kiss', 'Milk Drink', 'Moonlight', 'Morning Sun',
+    'Nasty Plot', 'Protect', 'Quiver Dance', 'Recover', 'Rest', 'Rock Polish', 'Roost', 'Shell Smash', 'Shift Gear',
+    'Shore Up', 'Sing', 'Slack Off', 'Sleep Powder', 'Soft-Boiled', 'Spore', 'Substitute', 'Swords Dance',
+    'Synthesis', 'Tail Glow']],
+  [{heal: true}, ['Aromatherapy', 'Belly Drum', 'Conversion 2', 'Haze', 'Heal Bell', 'Mist', 'Psych Up', 'Refresh',
+    'Spite', 'Stockpile', 'Teleport', 'Transform']]
+].flatMap(([effect, names]) => names.map(name => [name, effect])));
+
+/**
+ * Applies the Z-Effect of a status move used as a Z-Move to its user, before the move itself is used.
+ *
+ * @param {Move} move - The Z-Move, as returned by `Move#toZMove`.
+ * @param {Pokemon} user - The Pokemon that used the move.
+ */
+function applyZMoveEffects(move, user) {
+  const name = move.getName().replace(/^Z-/, '');
+  const effect = name === 'Curse' && user.hasType(Type.GHOST) ? {heal: true} : zMoveEffects[name];
+  if (effect === undefined || !move.isZMove())
+    return;
+
+  for (const [stat, amount] of Object.entries(effect.userStages ?? {}))
+    raiseStage(user, stat, amount);
+
+  if (effect.resetStats) {
+    const stages = user.getStages();
+    for (const stat of ['Atk', 'Def', 'SpAtk', 'SpDef', 'Spe', 'Accuracy', 'Evasion'])
+      stages[`set${stat}Val`](Math.max(0, stages[`get${stat}Val`]()));
+  }
+
+  if (effect.heal)
+    user.setCurrentHP(user.getStats().hp);
+}
+
+/**
+ * Represents an ability, along with hooks that describe its effects so that the damage calculator and battles can ask
+ * a Pokemon's ability what it does instead of being told. Every hook is optional, and an ability without any has no
+ * effect on them.
+ *
+ * The hooks that modify an attack are given the context of the attack: the generation `gen`, the `attacker`,
+ * `defender`, `move`, and `moveType`, the active `weather` and `terrain`, and the `role` of the ability's holder,
+ * either "attacker" or "defender".
+ *
+ * @class
+ */
+class Ability {
+  /**
+   * Every ability, keyed by name.
+   * @type {Map<string, Ability>}
+   */
+  static #registry = new Map();
+
+  #name;
+  #hooks;
+
+  /**
+   * Indicates whether the effects of the ability are modeled, which they aren't for abilities that aren't registered.
+   * @type {boolean}
+   */
+  #modeled = true;
+
+  /**
+   * Creates a new ability.
+   *
+   * @param {string} name - The name of the ability as it appears in the pokedex.
+   * @param {Object} [hooks={}] - The effects of the ability.
+   * @param {function(Object): number} [hooks.modifyStat] - Returns the multiplier of the holder's attacking or
+   *                                                        defending stat, given the context of the attack and the
+   *                                                        `stat` being used.
+   * @param {function(Object): number} [hooks.modifyFoeStat] - Returns the multiplier of the attacking stat of a
+   *                                                           Pokemon attacking the holder, given the context of the
+   *                                                           attack and the `stat` being used.
+   * @param {function(Object): number} [hooks.modifyPower] - Returns the multiplier of the power of the move, given the
+   *                                                         context of the attack.
+   * @param {function(Object): number} [hooks.modifyDamage] - Returns the multiplier of the final damage, given the
+   *                                                          context of the attack and the `effectiveness` of the move.
+   * @param {function(Object): number} [hooks.modifyTypeEffectiveness] - Returns the effectiveness of the move against
+   *                                                                     one of the defender's types, given the context
+   *                                                                     of the attack, the `defType`, its
+   *                                                                     `effectiveness`, and the `total` effectiveness
+   *                                                                     against both types.
+   * @param {function(Object)} [hooks.onSwitchIn] - Applies the effects of the holder entering battle, given the
+   *                                                `pokemon` holding the ability and the `opponent` it faces.
+   * @param {function(Object)} [hooks.onContact] - Applies the effects of the holder being hit by a contact move, given
+   *                                               the `gen`, the `pokemon` holding the ability, the `attacker`, the
+   *                                               `move`, and a source of `random` numbers.
+   * @param {Weather|function(Gen): Weather} [hooks.weather] - The weather that the holder sets when it enters battle.
+   * @param {Terrain} [hooks.terrain] - The terrain that the holder sets when it enters battle.
+   * @param {number} [hooks.stab=1.5] - The multiplier of moves that share a type with the holder.
+   * @param {number} [hooks.critical=1] - The multiplier of the holder's critical hits on top of the usual one, which
+   *                                       applies to the final damage from Gen V on.
+   * @param {boolean} [hooks.suppressesWeather=false] - Indicates whether the weather has no effect while the holder is
+   *                                                    in battle.
+   * @param {function(Object): number} [hooks.priority] - Returns the priority that the ability adds to a move, given
+   *                                                      the `gen`, the `pokemon` holding it, and the `move`.
+   * @param {function(Object): number} [hooks.turnOrder] - Returns 1 if the holder moves first within its priority
+   *                                                       bracket, -1 if it moves last, or 0 otherwise, given the
+   *                                                       `gen`, the `pokemon` holding it, its `move`, and a source
+   *                                                       of `random` numbers.
+   */
+  constructor(name, hooks = {}) {
+    this.#name = name;
+    this.#hooks = {...hooks};
+  }
+
+  /**
+   * Adds an ability to the registry, replacing any ability with the same name.
+   *
+   * @static
+   * @param {Ability} ability - The ability to add.
+   * @returns {Ability} The ability that was added.
+   * @throws {TypeError} If the ability isn't an instance of the Ability class.
+   */
+  static register(ability) {
+    if (!(ability instanceof Ability))
+      throw new TypeError('Only instances of the Ability class can be registered.');
+
+    Ability.#registry.set(ability.getName(), ability);
+    return ability;
+  }
+
+  /**
+   * Returns an ability by name. Names that aren't registered give an ability that has no effects and isn't modeled (see
+   * `isModeled`), while null gives the ability of Pokemon without one, which has no effects to model.
+   *
+   * @static
+   * @param {string|null} name - The name of the ability as it appears in the pokedex.
+   * @returns {Ability} The ability.
+   */
+  static get(name) {
+    if (Ability.#registry.has(name))
+      return Ability.#registry.get(name);
+
+    const ability = new Ability(name);
+    ability.#modeled = name === null;
+    return ability;
+  }
+
+  /**
+   * Indicates whether an ability is in the registry.
+   *
+   * @static
+   * @param {string} name - The name of the ability.
+   * @returns {boolean} `true` if the ability is registered, `false` otherwise.
+   */
+  static has(name) {
+    return Ability.#registry.has(name);
+  }
+
+  /**
+   * Returns every registered ability.
+   *
+   * @static
+   * @returns {Ability[]} The abilities, in the order that they were registered.
+   */
+  static getAll() {
+    return [...Ability.#registry.values()];
+  }
+
+  /**
+   * Returns the name of the ability.
+   *
+   * @returns {string} The name of the ability.
+   */
+  getName() {
+    return this.#name;
+  }
+
+  /**
+   * Indicates whether the effects of the ability are modeled. Abilities that aren't registered have no effects at all
+   * here, even though they do in game.
+   *
+   * @returns {boolean} `true` if the ability is modeled, `false` otherwise.
+   */
+  isModeled() {
+    return this.#modeled;
+  }
+
+  /**
+   * Indicates whether the ability has a given hook.
+   *
+   * @param {string} hook - The name of the hook, e.g. "onSwitchIn".
+   * @returns {boolean} `true` if the ability has the hook, `false` otherwise.
+   */
+  hasHook(hook) {
+    return this.#hooks[hook] !== undefined;
+  }
+
+  /**
+   * Returns the multiplier that the ability applies to the holder's attacking or defending stat.
+   *
+   * @param {Object} context - The context of the attack, along with the `stat` being used.
+   * @returns {number} The multiplier, which is 1 if the ability doesn't affect the stat.
+   */
+  modifyStat(context) {
+    return this.#hooks.modifyStat?.(context) ?? 1;
+  }
+
+  /**
+   * Returns the multiplier that the ability applies to the attacking stat of a Pokemon attacking the holder.
+   *
+   * @param {Object} context - The context of the attack, along with the `stat` being used.
+   * @returns {number} The multiplier, which is 1 if the ability doesn't affect the stat.
+   */
+  modifyFoeStat(context) {
+    return this.#hooks.modifyFoeStat?.(context) ?? 1;
+  }
+
+  /**
+   * Returns the multiplier that the ability applies to the power of a move.
+   *
+   * @param {Object} context - The context of the attack.
+   * @returns {number} The multiplier, which is 1 if the ability doesn't affect the move.
+   */
+  modifyPower(context) {
+    return this.#hooks.modifyPower?.(context) ?? 1;
+  }
+
+  /**
+   * Returns the multiplier that the ability applies to the final damage of an attack.
+   *
+   * @param {Object} context - The context of the attack, along with the `effectiveness` of the move.
+   * @returns {number} The multiplier, which is 1 if the ability doesn't affect the damage.
+   */
+  modifyDamage(context) {
+    return this.#hooks.modifyDamage?.(context) ?? 1;
+  }
+
+  /**
+   * Returns the effectiveness of a move against one of the defender's types after the ability is applied.
+   *
+   * @param {Object} context - The context of the attack, along with the `defType`, its `effectiveness`, and the
+   *                           `total` effectiveness against both types.
+   * @returns {number} The effectiveness, which is unchanged if the ability doesn't affect it.
+   */
+  modifyTypeEffectiveness(context) {
+    return this.#hooks.modifyTypeEffectiveness?.(context) ?? context.effectiveness;
+  }
+
+  /**
+   * Applies the effects of the holder entering battle.
+   *
+   * @param {{pokemon: Pokemon, opponent: Pokemon}} context - The holder and the Pokemon it faces.
+   */
+  onSwitchIn(context) {
+    this.#hooks.onSwitchIn?.(context);
+  }
+
+  /**
+   * Applies the effects of the holder being hit by a contact move.
+   *
+   * @param {Object} context - The context of the contact.
+   * @param {Gen} context.gen - The generation of the battle.
+   * @param {Pokemon} context.pokemon - The Pokemon holding the ability.
+   * @param {Pokemon} context.attacker - The Pokemon that made contact with the holder.
+   * @param {Move} context.move - The move that made contact.
+   * @param {function(): number} context.random - A source of random numbers from 0 (inclusive) to 1 (exclusive).
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX.
+   * @throws {TypeError} If the source of random numbers is not a function.
+   */
+  onContact(context) {
+    if (!(context.gen instanceof Gen))
+      throw new GenerationError("Invalid generation object specified for a contact (must be one of Gen.I to Gen.IX)");
+
+    if (typeof context.random !== 'function')
+      throw new TypeError('The source of random numbers for a contact must be a function.');
+
+    this.#hooks.onContact?.(context);
+  }
+
+  /**
+   * Returns the weather that the holder sets when it enters battle.
+   *
+   * @param {Gen} gen - The generation of the battle.
+   * @returns {Weather|null} The weather, or null if the ability doesn't set any.
+   */
+  getWeather(gen) {
+    const weather = this.#hooks.weather;
+    return typeof weather === 'function' ? weather(gen) : weather ?? null;
+  }
+
+  /**
+   * Returns the terrain that the holder sets when it enters battle.
+   *
+   * @returns {Terrain|null} The terrain, or null if the ability doesn't set any.
+   */
+  getTerrain() {
+    return this.#hooks.terrain ?? null;
+  }
+
+  /**
+   * Returns the multiplier of moves that share a type with the holder.
+   *
+   * @returns {number} The same-type attack bonus, which is 1.5 unless the ability changes it.
+   */
+  getStab() {
+    return this.#hooks.stab ?? 1.5;
+  }
+
+  /**
+   * Returns the multiplier of the holder's critical hits on top of the usual one. It multiplies the critical hit
+   * multiplier itself until Gen IV, and is a modifier of the final damage from Gen V on.
+   *
+   * @returns {number} The multiplier, which is 1 unless the ability changes it.
+   */
+  getCritical() {
+    return this.#hooks.critical ?? 1;
+  }
+
+  /**
+   * Indicates whether the weather has no effect while the holder is in battle.
+   *
+   * @returns {boolean} `true` if the ability suppresses the weather, `false` otherwise.
+   */
+  suppressesWeather() {
+    return this.#hooks.suppressesWeather ?? false;
+  }
+
+  /**
+   * Returns the priority that the ability adds to a move, like Prankster's.
+   *
+   * @param {{gen: Gen, pokemon: Pokemon, move: Move}} context - The holder and the move it uses.
+   * @returns {number} The added priority, which is 0 if the ability doesn't affect the move.
+   */
+  modifyPriority(context) {
+    return this.#hooks.priority?.(context) ?? 0;
+  }
+
+  /**
+   * Returns where the holder moves within its priority bracket, like first with Quick Draw or last with Stall.
+   *
+   * @param {{gen: Gen, pokemon: Pokemon, move: Move, random: function(): number}} context - The holder and its move.
+   * @returns {number} 1 if the holder moves first, -1 if it moves last, or 0 if the ability doesn't affect it.
+   */
+  getTurnOrder(context) {
+    return this.#hooks.turnOrder?.(context) ?? 0;
+  }
+
+  /**
+   * Returns the name of the ability as a string.
+   *
+   * @returns {string} The name of the ability.
+   */
+  toString() {
+    return this.getName();
+  }
+}
+
+/**
+ * Returns a hook that multiplies a value whenever a condition on the context of the attack is met.
+ *
+ * @param {function(Object): boolean} condition - The condition.
+ * @param {number} mod - The multiplier.
+ * @returns {function(Object): number} The hook.
+ */
+function modWhen(condition, mod) {
+  return context => condition(context) ? mod : 1;
+}
+
+/**
+ * Returns a hook that makes the holder immune to moves of a given type.
+ *
+ * @param {Type} type - The type that the holder is immune to.
+ * @param {string} [gens] - The generations that the immunity applies in, if not all of them.
+ * @returns {function(Object): number} The hook.
+ */
+function immuneTo(type, gens = undefined) {
+  return ({role, gen, moveType, effectiveness}) =>
+    role === 'defender' && moveType === type && (gens === undefined || gen.match(gens)) ? 0 : effectiveness;
+}
+
+/**
+ * A hook that lets the holder's Normal- and Fighting-type moves hit Ghost types.
+ *
+ * @param {Object} context - The context of the attack.
+ * @returns {number} The effectiveness of the move against one of the defender's types.
+ */
+function hitsGhosts({role, moveType, defType, effectiveness}) {
+  return role === 'attacker' && defType === Type.GHOST && [Type.NORMAL, Type.FIGHTING].includes(moveType) ? 1
+    : effectiveness;
+}
+
+/**
+ * Returns the abilities that raise the power of moves of their type when the holder has a third of its HP or less.
+ * Before Gen V they raise the move's power, and from then on the holder's attacking stat.
+ *
+ * @param {Type} type - The type of moves that are powered up.
+ * @returns {Object} The hooks of the ability.
+ */
+function pinchHooks(type) {
+  const isPinched = ({role, attacker, moveType}) => role === 'attacker' && moveType === type
+    && attacker.getCurrentHP() * 3 <= attacker.getStats().hp;
+
+  return {
+    modifyPower: modWhen(context => context.gen.match('III-IV') && isPinched(context), 1.5),
+    modifyStat: modWhen(context => context.gen.match('V+') && isPinched(context), 1.5)
+  };
+}
+
+/**
+ * Returns the hooks of an ability that halves the damage of moves of the given types against its holder, by halving
+ * their power in Gens III and IV, and the attacker's attacking stat from Gen V on.
+ *
+ * @param {Type[]} types - The types of the moves.
+ * @returns {Object} The hooks of the ability.
+ */
+function resistHooks(types) {
+  const isResisted = ({role, moveType}) => role === 'defender' && types.includes(moveType);
+
+  return {
+    modifyPower: modWhen(context => context.gen.match('III-IV') && isResisted(context), 0.5),
+    modifyFoeStat: modWhen(context => context.gen.match('V+') && isResisted(context), 0.5)
+  };
+}
+
+/**
+ * Lowers a stat stage of a Pokemon, stopping at -6.
+ *
+ * @param {Pokemon} pokemon - The Pokemon.
+ * @param {string} stat - The name of the stat, e.g. "Atk" or "Spe".
+ * @param {number} [amount=1] - The number of stages to lower the stat by.
+ */
+function lowerStage(pokemon, stat, amount = 1) {
+  const stages = pokemon.getStages();
+  stages[`set${stat}Val`](Math.max(-6, stages[`get${stat}Val`]() - amount));
+}
+
+/**
+ * Raises a stat stage of a Pokemon, stopping at +6.
+ *
+ * @param {Pokemon} pokemon - The Pokemon.
+ * @param {string} stat - The name of the stat, e.g. "Atk" or "Spe".
+ * @param {number} [amount=1] - The number of stages to raise the stat by.
+ */
+function raiseStage(pokemon, stat, amount = 1) {
+  const stages = pokemon.getStages();
+  stages[`set${stat}Val`](Math.min(6, stages[`get${stat}Val`]() + amount));
+}
+
+/**
+ * Returns a hook that makes an attacker that made contact with the holder lose a fraction of its max HP.
+ *
+ * @param {function(Gen): number} fraction - The fraction of max HP lost in a given generation.
+ * @returns {function(Object)} The hook.
+ */
+function contactChip(fraction) {
+  return ({attacker, gen}) =>
+    attacker.setCurrentHP(attacker.getCurrentHP() - Math.max(1, Math.floor(attacker.getStats().hp * fraction(gen))));
+}
+
+/**
+ * Returns a hook that has a chance to afflict an attacker that made contact with the holder with a status condition:
+ * 1/3 in Gens III and IV, and 30% from then on.
+ *
+ * @param {function(number): string|null} pick - Picks the condition from a random number from 0 to 1, or null for
+ *                                              none.
+ * @returns {function(Object)} The hook.
+ */
+function contactStatus(pick) {
+  return ({attacker, gen, random}) => {
+    const chance = gen.match('III-IV') ? 1 / 3 : 0.3;
+    const roll = random();
+    const name = roll < chance ? pick(roll / chance) : null;
+    if (name !== null)
+      attacker.inflictStatus(name);
+  };
+}
+
+/**
+ * Indicates whether the holder of an ability has a non-volatile status condition.
+ *
+ * @param {{pokemon: Pokemon}} context - The context of the stat being used.
+ * @returns {boolean} `true` if the holder has a status condition, `false` otherwise.
+ */
+function isStatused({pokemon}) {
+  return pokemon.getStatus() !== null;
+}
+
+/**
+ * Returns a condition that is met when the holder of an ability is attacking with one of the given stats.
+ *
+ * @param {string[]} stats - The stats, e.g. ["atk"].
+ * @returns {function(Object): boolean} The condition.
+ */
+function attackingWith(stats) {
+  return ({role, stat}) => role === 'attacker' && stats.includes(stat);
+}
+
+/**
+ * Returns a condition that is met when the holder of an ability is defending with one of the given stats.
+ *
+ * @param {string[]} stats - The stats, e.g. ["def"].
+ * @returns {function(Object): boolean} The condition.
+ */
+function defendingWith(stats) {
+  return ({role, stat}) => role === 'defender' && stats.includes(stat);
+}
+
+/**
+ * Returns a condition that is met when the holder of an ability is attacking and another condition is met.
+ *
+ * @param {function(Object): boolean} condition - The other condition.
+ * @returns {function(Object): boolean} The condition.
+ */
+function usingMove(condition) {
+  return context => context.role === 'attacker' && condition(context);
+}
+
+/**
+ * Returns a condition that is met when the holder of an ability is being attacked and another condition is met.
+ *
+ * @param {function(Object): boolean} condition - The other condition.
+ * @returns {function(Object): boolean} The condition.
+ */
+function hitBy(condition) {
+  return context => context.role === 'defender' && condition(context);
+}
+
+/**
+ * Returns a hook that doubles the holder's speed while one of the given weathers is active.
+ *
+ * @param {Weather[]} weathers - The weathers.
+ * @returns {function(Object): number} The hook.
+ */
+function speedIn(weathers) {
+  return ({stat, weather}) => stat === 'spe' && weathers.includes(weather) ? 2 : 1;
+}
+
+/**
+ * Indicates whether the sun is out in the context of an attack.
+ *
+ * @param {{weather: Weather}} context - The context of the attack.
+ * @returns {boolean} `true` if the sun is harsh or extremely harsh, `false` otherwise.
+ */
+function isSunny({weather}) {
+  return weather === Weather.HARSH_SUN || weather === Weather.EXTREMELY_HARSH_SUN;
+}
+
+[
+  // Stats
+  new Ability('Huge Power', {modifyStat: modWhen(attackingWith(['atk']), 2)}),
+  new Ability('Pure Power', {modifyStat: modWhen(attackingWith(['atk']), 2)}),
+  new Ability('Hustle', {modifyStat: modWhen(attackingWith(['atk']), 1.5)}),
+  new Ability('Gorilla Tactics', {modifyStat: modWhen(attackingWith(['atk']), 1.5)}),
+  new Ability('Fur Coat', {modifyStat: modWhen(defendingWith(['def']), 2)}),
+  new Ability('Solar Power', {modifyStat: modWhen(context => attackingWith(['spAtk'])(context) && isSunny(context),
+    1.5)}),
+  new Ability('Flower Gift', {modifyStat: modWhen(context => isSunny(context)
+    && (attackingWith(['atk'])(context) || defendingWith(['spDef'])(context)), 1.5)}),
+  new Ability('Swift Swim', {modifyStat: speedIn([Weather.RAIN, Weather.HEAVY_RAIN])}),
+  new Ability('Chlorophyll', {modifyStat: speedIn([Weather.HARSH_SUN, Weather.EXTREMELY_HARSH_SUN])}),
+  new Ability('Sand Rush', {modifyStat: speedIn([Weather.SANDSTORM])}),
+  new Ability('Slush Rush', {modifyStat: speedIn([Weather.HAIL, Weather.SNOW])}),
+  new Ability('Steelworker', {modifyStat: modWhen(usingMove(({moveType}) => moveType === Type.STEEL), 1.5)}),
+  new Ability('Dragon\'s Maw', {modifyStat: modWhen(usingMove(({moveType}) => moveType === Type.DRAGON), 1.5)}),
+  new Ability('Rocky Payload', {modifyStat: modWhen(usingMove(({moveType}) => moveType === Type.ROCK), 1.5)}),
+  new Ability('Transistor', {modifyStat: context => usingMove(({moveType}) => moveType === Type.ELECTRIC)(context)
+    ? (context.gen.match('IX') ? 1.3 : 1.5) : 1}),
+  new Ability('Water Bubble', {
+    modifyStat: modWhen(usingMove(({moveType}) => moveType === Type.WATER), 2),
+    modifyPower: modWhen(hitBy(({moveType}) => moveType === Type.FIRE), 0.5)
+  }),
+  new Ability('Guts', {modifyStat: modWhen(context => attackingWith(['atk'])(context) && isStatused(context), 1.5)}),
+  new Ability('Marvel Scale', {modifyStat: modWhen(context => defendingWith(['def'])(context) && isStatused(context),
+    1.5)}),
+  new Ability('Quick Feet', {modifyStat: modWhen(context => context.stat === 'spe' && isStatused(context), 1.5)}),
+  new Ability('Blaze', pinchHooks(Type.FIRE)),
+  new Ability('Torrent', pinchHooks(Type.WATER)),
+  new Ability('Overgrow', pinchHooks(Type.GRASS)),
+  new Ability('Swarm', pinchHooks(Type.BUG)),
+
+  // Power
+  new Ability('Technician', {modifyPower: modWhen(usingMove(({move, gen}) => move.getPower(gen) <= 60), 1.5)}),
+  new Ability('Iron Fist', {modifyPower: modWhen(usingMove(({move}) => move.hasUsage('Punching')), 1.2)}),
+  new Ability('Strong Jaw', {modifyPower: modWhen(usingMove(({move}) => move.hasUsage('Biting')), 1.5)}),
+  new Ability('Mega Launcher', {modifyPower: modWhen(usingMove(({move}) => move.hasUsage('Pulse')), 1.5)}),
+  new Ability('Sharpness', {modifyPower: modWhen(usingMove(({move}) => move.hasUsage('Slicing')), 1.5)}),
+  new Ability('Tough Claws', {modifyPower: modWhen(usingMove(({move, gen}) => move.makesContact(gen)), 1.3)}),
+  new Ability('Punk Rock', {
+    modifyPower: modWhen(usingMove(({move}) => move.hasUsage('Sound')), 1.3),
+    modifyDamage: modWhen(hitBy(({move}) => move.hasUsage('Sound')), 0.5)
+  }),
+  new Ability('Thick Fat', resistHooks([Type.FIRE, Type.ICE])),
+  new Ability('Heatproof', resistHooks([Type.FIRE])),
+  new Ability('Purifying Salt', {modifyPower: modWhen(hitBy(({moveType}) => moveType === Type.GHOST), 0.5)}),
+  new Ability('Dry Skin', {
+    modifyPower: modWhen(hitBy(({moveType}) => moveType === Type.FIRE), 1.25),
+    modifyTypeEffectiveness: immuneTo(Type.WATER)
+  }),
+
+  // Damage
+  new Ability('Tinted Lens', {modifyDamage: modWhen(usingMove(({effectiveness}) => effectiveness < 1), 2)}),
+  new Ability('Neuroforce', {modifyDamage: modWhen(usingMove(({effectiveness}) => effectiveness > 1), 1.25)}),
+  new Ability('Filter', {modifyDamage: modWhen(hitBy(({effectiveness}) => effectiveness > 1), 0.75)}),
+  new Ability('Solid Rock', {modifyDamage: modWhen(hitBy(({effectiveness}) => effectiveness > 1), 0.75)}),
+  new Ability('Prism Armor', {modifyDamage: modWhen(hitBy(({effectiveness}) => effectiveness > 1), 0.75)}),
+  new Ability('Multiscale', {modifyDamage: modWhen(hitBy(({defender}) =>
+    defender.getCurrentHP() === defender.getStats().hp), 0.5)}),
+  new Ability('Shadow Shield', {modifyDamage: modWhen(hitBy(({defender}) =>
+    defender.getCurrentHP() === defender.getStats().hp), 0.5)}),
+  new Ability('Ice Scales', {modifyDamage: modWhen(hitBy(({move, gen}) => move.getCategory(gen) === Move.SPECIAL),
+    0.5)}),
+  new Ability('Fluffy', {modifyDamage: ({role, move, moveType, gen}) => role !== 'defender' ? 1
+    : (move.makesContact(gen) ? 0.5 : 1) * (moveType === Type.FIRE ? 2 : 1)}),
+  new Ability('Adaptability', {stab: 2}),
+  new Ability('Sniper', {critical: 1.5}),
+
+  // Type effectiveness
+  new Ability('Levitate', {modifyTypeEffectiveness: context => context.gravity ? context.effectiveness
+    : immuneTo(Type.GROUND)(context)}),
+  new Ability('Earth Eater', {modifyTypeEffectiveness: immuneTo(Type.GROUND)}),
+  new Ability('Flash Fire', {modifyTypeEffectiveness: immuneTo(Type.FIRE)}),
+  new Ability('Well-Baked Body', {modifyTypeEffectiveness: immuneTo(Type.FIRE)}),
+  new Ability('Volt Absorb', {modifyTypeEffectiveness: immuneTo(Type.ELECTRIC)}),
+  new Ability('Motor Drive', {modifyTypeEffectiveness: immuneTo(Type.ELECTRIC)}),
+  new Ability('Lightning Rod', {modifyTypeEffectiveness: immuneTo(Type.ELECTRIC, 'V+')}),
+  new Ability('Water Absorb', {modifyTypeEffectiveness: immuneTo(Type.WATER)}),
+  new Ability('Storm Drain', {modifyTypeEffectiveness: immuneTo(Type.WATER, 'V+')}),
+  new Ability('Sap Sipper', {modifyTypeEffectiveness: immuneTo(Type.GRASS)}),
+  new Ability('Wonder Guard', {modifyTypeEffectiveness: ({role, total, effectiveness}) =>
+    role === 'defender' && total <= 1 ? 0 : effectiveness}),
+  new Ability('Scrappy', {modifyTypeEffectiveness: hitsGhosts}),
+  new Ability('Mind\'s Eye', {modifyTypeEffectiveness: hitsGhosts}),
+
+  // Switching in
+  new Ability('Intimidate', {onSwitchIn: ({pokemon, opponent}) => {
+    const gen = pokemon.getGen();
+    const blocked = ['Clear Body', 'White Smoke', 'Hyper Cutter', 'Full Metal Body']
+      .concat(gen.match('VIII+') ? ['Inner Focus', 'Oblivious', 'Own Tempo', 'Scrappy'] : []);
+    if (!blocked.includes(opponent.getAbility()))
+      lowerStage(opponent, 'Atk');
+  }}),
+  new Ability('Drizzle', {weather: Weather.RAIN}),
+  new Ability('Drought', {weather: Weather.HARSH_SUN}),
+  new Ability('Sand Stream', {weather: Weather.SANDSTORM}),
+  new Ability('Snow Warning', {weather: gen => gen.match('IX') ? Weather.SNOW : Weather.HAIL}),
+  new Ability('Primordial Sea', {weather: Weather.HEAVY_RAIN}),
+  new Ability('Desolate Land', {weather: Weather.EXTREMELY_HARSH_SUN}),
+  new Ability('Delta Stream', {weather: Weather.STRONG_WINDS}),
+  new Ability('Electric Surge', {terrain: Terrain.ELECTRIC}),
+  new Ability('Grassy Surge', {terrain: Terrain.GRASSY}),
+  new Ability('Misty Surge', {terrain: Terrain.MISTY}),
+  new Ability('Psychic Surge', {terrain: Terrain.PSYCHIC}),
+  new Ability('Hadron Engine', {terrain: Terrain.ELECTRIC,
+    modifyStat: modWhen(({stat, terrain}) => stat === 'spAtk' && terrain === Terrain.ELECTRIC, 5461 / 4096)}),
+  new Ability('Surge Surfer', {modifyStat: modWhen(({stat, terrain}) => stat === 'spe' && terrain === Terrain.ELECTRIC,
+    2)}),
+  new Ability('Grass Pelt', {modifyStat: modWhen(({stat, terrain}) => stat === 'def' && terrain === Terrain.GRASSY,
+    1.5)}),
+  new Ability('Cloud Nine', {suppressesWeather: true}),
+  new Ability('Air Lock', {suppressesWeather: true}),
+
+  // Turn order
+  new Ability('Prankster', {priority: ({gen, move}) => move.getCategory(gen) === Move.STATUS ? 1 : 0}),
+  // Gale Wings only works at full HP from Gen VII on.
+  new Ability('Gale Wings', {priority: ({gen, pokemon, move}) => move.getType(gen) === Type.FLYING
+    && (gen.match('VI') || pokemon.getCurrentHP() === pokemon.getStats().hp) ? 1 : 0}),
+  new Ability('Quick Draw', {turnOrder: ({gen, move, random}) => move.getCategory(gen) !== Move.STATUS
+    && random() < 0.3 ? 1 : 0}),
+  new Ability('Stall', {turnOrder: () => -1}),
+
+  // Contact
+  new Ability('Rough Skin', {onContact: contactChip(gen => gen.match('III-IV') ? 1 / 16 : 1 / 8)}),
+  new Ability('Iron Barbs', {onContact: contactChip(() => 1 / 8)}),
+  new Ability('Gooey', {onContact: ({attacker}) => lowerStage(attacker, 'Spe')}),
+  new Ability('Tangling Hair', {onContact: ({attacker}) => lowerStage(attacker, 'Spe')}),
+  new Ability('Static', {onContact: contactStatus(() => Status.PARALYSIS)}),
+  new Ability('Flame Body', {onContact: contactStatus(() => Status.BURN)}),
+  new Ability('Poison Point', {onContact: contactStatus(() => Status.POISON)}),
+
+  // Effect Spore splits its chance between sleep, paralysis, and poison, and can't affect Grass types or Pokemon with
+  // Overcoat from Gen VI on.
+  new Ability('Effect Spore', {onContact: context => {
+    const {attacker, gen} = context;
+    if (gen.match('VI+') && (attacker.hasType(Type.GRASS) || attacker.getAbility() === 'Overcoat'))
+      return;
+
+    contactStatus(roll => roll < 11 / 30 ? Status.SLEEP : roll < 21 / 30 ? Status.PARALYSIS : Status.POISON)(context);
+  }})
+].forEach(Ability.register);
+
+/**
+ * The requirements of every form that a Pokemon has to change into, rather than being caught in.
+ * @type {Object<string, {trigger?: string, item?: string, move?: string, ability?: string, from?: string[]}>}
+ */
+const formChanges = JSON.parse(fs.readFileSync(path.join(__dirname, 'forms.json')));
+
+/**
+ * Returns the effects of an item that powers up moves of a type: 10% of the damage in Gen II, 10% of the attacking stat
+ * in Gen III, and 20% of the move's power from then on.
+ *
+ * @param {Type} type - The type of moves that are powered up.
+ * @param {string} [gens="II+"] - The generations that the item is available in.
+ * @returns {Object} The hooks of the item.
+ */
+function typeBoostHooks(type, gens = 'II+') {
+  const boosts = usingMove(({moveType}) => moveType === type);
+  return {
+    gens,
+    modifyDamage: modWhen(context => context.gen.match('II') && boosts(context), 1.1),
+    modifyStat: modWhen(context => context.gen.match('III') && boosts(context)
+      && attackingWith(['atk', 'spAtk'])(context), 1.1),
+    modifyPower: modWhen(context => context.gen.match('IV+') && boosts(context), 1.2)
+  };
+}
+
+/**
+ * Returns the effects of a berry that halves the damage of a super effective move of a type once. Chilan Berry halves
+ * Normal-type moves whatever their effectiveness.
+ *
+ * @param {Type} type - The type of moves that are weakened.
+ * @param {string} [gens="IV+"] - The generations that the berry is available in.
+ * @returns {Object} The hooks of the item.
+ */
+function resistBerryHooks(type, gens = 'IV+') {
+  return {
+    gens,
+    consumable: true,
+    modifyDamageByEffectiveness: modWhen(hitBy(({moveType, effectiveness}) => moveType === type
+      && (effectiveness > 1 || type === Type.NORMAL)), 0.5)
+  };
+}
+
+/**
+ * Returns the effects of a gem that powers up the first move of its type that the holder uses, by 50% in Gen V and 30%
+ * from then on. Only the Normal Gem is still available after Gen V.
+ *
+ * @param {Type} type - The type of moves that are powered up.
+ * @returns {Object} The hooks of the item.
+ */
+function gemHooks(type) {
+  return {
+    gens: type === Type.NORMAL ? 'V+' : 'V',
+    consumable: true,
+    modifyPower: context => usingMove(({moveType}) => moveType === type)(context)
+      ? (context.gen.match('V') ? 1.5 : 1.3) : 1
+  };
+}
+
+/**
+ * Returns a hook that restores a fraction of the holder's max HP, or takes it away if the fraction is negative. Magic
+ * Guard prevents the loss.
+ *
+ * @param {function(Pokemon): number} fraction - The fraction of max HP restored to a given holder.
+ * @returns {function(Object)} The hook.
+ */
+function residualHP(fraction) {
+  return ({pokemon}) => {
+    const change = fraction(pokemon);
+    if (change < 0 && pokemon.getAbility() === 'Magic Guard')
+      return;
+
+    const amount = Math.max(1, Math.floor(pokemon.getStats().hp * Math.abs(change)));
+    pokemon.setCurrentHP(pokemon.getCurrentHP() + Math.sign(change) * amount);
+  };
+}
+
+const typeBoosters = [
+  ['Charcoal', Type.FIRE], ['Mystic Water', Type.WATER], ['Miracle Seed', Type.GRASS], ['Magnet', Type.ELECTRIC],
+  ['Never-Melt Ice', Type.ICE], ['Black Belt', Type.FIGHTING], ['Poison Barb', Type.POISON], ['Soft Sand', Type.GROUND],
+  ['Sharp Beak', Type.FLYING], ['Twisted Spoon', Type.PSYCHIC], ['Silver Powder', Type.BUG], ['Hard Stone', Type.ROCK],
+  ['Spell Tag', Type.GHOST], ['Dragon Fang', Type.DRAGON], ['Black Glasses', Type.DARK], ['Metal Coat', Type.STEEL],
+  ['Silk Scarf', Type.NORMAL, 'III+'], ['Fairy Feather', Type.FAIRY, 'IX']
+];
+const plates = [
+  ['Flame Plate', Type.FIRE], ['Splash Plate', Type.WATER], ['Meadow Plate', Type.GRASS], ['Zap Plate', Type.ELECTRIC],
+  ['Icicle Plate', Type.ICE], ['Fist Plate', Type.FIGHTING], ['Toxic Plate', Type.POISON], ['Earth Plate', Type.GROUND],
+  ['Sky Plate', Type.FLYING], ['Mind Plate', Type.PSYCHIC], ['Insect Plate', Type.BUG], ['Stone Plate', Type.ROCK],
+  ['Spooky Plate', Type.GHOST], ['Draco Plate', Type.DRAGON], ['Dread Plate', Type.DARK], ['Iron Plate', Type.STEEL],
+  ['Pixie Plate', Type.FAIRY, 'VI+']
+];
+const resistBerries = [
+  ['Occa Berry', Type.FIRE], ['Passho Berry', Type.WATER], ['Wacan Berry', Type.ELECTRIC], ['Rindo Berry', Type.GRASS],
+  ['Yache Berry', Type.ICE], ['Chople Berry', Type.FIGHTING], ['Kebia Berry', Type.POISON],
+  ['Shuca Berry', Type.GROUND], ['Coba Berry', Type.FLYING], ['Payapa Berry', Type.PSYCHIC], ['Tanga Berry', Type.BUG],
+  ['Charti Berry', Type.ROCK], ['Kasib Berry', Type.GHOST], ['Haban Berry', Type.DRAGON], ['Colbur Berry', Type.DARK],
+  ['Babiri Berry', Type.STEEL], ['Chilan Berry', Type.NORMAL], ['Roseli Berry', Type.FAIRY, 'VI+']
+];
+const gems = [
+  ['Normal Gem', Type.NORMAL], ['Fire Gem', Type.FIRE], ['Water Gem', Type.WATER], ['Electric Gem', Type.ELECTRIC],
+  ['Grass Gem', Type.GRASS], ['Ice Gem', Type.ICE], ['Fighting Gem', Type.FIGHTING], ['Poison Gem', Type.POISON],
+  ['Ground Gem', Type.GROUND], ['Flying Gem', Type.FLYING], ['Psychic Gem', Type.PSYCHIC], ['Bug Gem', Type.BUG],
+  ['Rock Gem', Type.ROCK], ['Ghost Gem', Type.GHOST], ['Dragon Gem', Type.DRAGON], ['Dark Gem', Type.DARK],
+  ['Steel Gem', Type.STEEL]
+];
+const zCrystals = [
+  ['Normalium Z', Type.NORMAL], ['Firium Z', Type.FIRE], ['Waterium Z', Type.WATER], ['Electrium Z', Type.ELECTRIC],
+  ['Grassium Z', Type.GRASS], ['Icium Z', Type.ICE], ['Fightinium Z', Type.FIGHTING], ['Poisonium Z', Type.POISON],
+  ['Groundium Z', Type.GROUND], ['Flyinium Z', Type.FLYING], ['Psychium Z', Type.PSYCHIC], ['Buginium Z', Type.BUG],
+  ['Rockium Z', Type.ROCK], ['Ghostium Z', Type.GHOST], ['Dragonium Z', Type.DRAGON], ['Darkinium Z', Type.DARK],
+  ['Steelium Z', Type.STEEL], ['Fairium Z', Type.FAIRY]
+];
+const exclusiveZCrystals = [
+  ['Pikanium Z', 'Volt Tackle', ['Pikachu'], 'Catastropika'],
+  ['Decidium Z', 'Spirit Shackle', ['Decidueye'], 'Sinister Arrow Raid'],
+  ['Incinium Z', 'Darkest Lariat', ['Incineroar'], 'Malicious Moonsault'],
+  ['Primarium Z', 'Sparkling Aria', ['Primarina'], 'Oceanic Operetta'],
+  ['Tapunium Z', "Nature's Madness", ['Tapu Koko', 'Tapu Lele', 'Tapu Bulu', 'Tapu Fini'], 'Guardian of Alola'],
+  ['Marshadium Z', 'Spectral Thief', ['Marshadow'], 'Soul-Stealing 7-Star Strike'],
+  ['Aloraichium Z', 'Thunderbolt', ['Alolan Raichu'], 'Stoked Sparksurfer'],
+  ['Snorlium Z', 'Giga Impact', ['Snorlax'], 'Pulverizing Pancake'],
+  ['Eevium Z', 'Last Resort', ['Eevee'], 'Extreme Evoboost'],
+  ['Mewnium Z', 'Psychic', ['Mew'], 'Genesis Supernova'],
+  ['Lycanium Z', 'Stone Edge', ['Lycanroc: Midday Form', 'Lycanroc: Midnight Form', 'Lycanroc: Dusk Form'],
+    'Splintered Stormshards'],
+  ['Mimikium Z', 'Play Rough', ['Mimikyu'], "Let's Snuggle Forever"],
+  ['Kommonium Z', 'Clanging Scales', ['Kommo-o'], 'Clangorous Soulblaze'],
+  ['Solganium Z', 'Sunsteel Strike', ['Solgaleo', 'Dusk Mane Necrozma'], 'Searing Sunraze Smash'],
+  ['Lunalium Z', 'Moongeist Beam', ['Lunala', 'Dawn Wings Necrozma'], 'Menacing Moonraze Maelstrom'],
+  ['Ultranecrozium Z', 'Photon Geyser', ['Ultra Necrozma'], 'Light That Burns the Sky']
+];
+
+[
+  // Damage
+  new Item('Life Orb', {
+    gens: 'IV+',
+    modifyDamage: context => context.role !== 'attacker' ? 1 : context.gen.match('V+') ? 5324 / 4096 : 1.3,
+    onAttack: ({pokemon, damage}) => {
+      if (damage > 0)
+        residualHP(() => -1 / 10)({pokemon});
+    }
+  }),
+  new Item('Expert Belt', {gens: 'IV+', modifyDamageByEffectiveness: context =>
+    usingMove(({effectiveness}) => effectiveness > 1)(context) ? (context.gen.match('V+') ? 4915 / 4096 : 1.2) : 1}),
+  ...typeBoosters.map(([name, type, gens]) => new Item(name, typeBoostHooks(type, gens))),
+  ...plates.map(([name, type, gens = 'IV+']) => new Item(name, {gens,
+    modifyPower: modWhen(usingMove(({moveType}) => moveType === type), 1.2)})),
+  ...gems.map(([name, type]) => new Item(name, gemHooks(type))),
+
+  // Stats
+  new Item('Choice Band', {gens: 'III+', locksMove: true, modifyStat: modWhen(attackingWith(['atk']), 1.5)}),
+  new Item('Choice Specs', {gens: 'IV+', locksMove: true, modifyStat: modWhen(attackingWith(['spAtk']), 1.5)}),
+  new Item('Choice Scarf', {gens: 'IV+', locksMove: true, modifyStat: ({stat}) => stat === 'spe' ? 1.5 : 1}),
+  new Item('Eviolite', {gens: 'V+', modifyStat: modWhen(context => defendingWith(['def', 'spDef'])(context)
+    && canEvolve(context.pokemon.getName(), context.gen), 1.5)}),
+  new Item('Assault Vest', {gens: 'VI+', modifyStat: modWhen(defendingWith(['spDef']), 1.5)}),
+
+  // Berries
+  ...resistBerries.map(([name, type, gens]) => new Item(name, resistBerryHooks(type, gens))),
+
+  // Weather
+  ...['Heat Rock', 'Damp Rock', 'Smooth Rock', 'Icy Rock'].map(name => new Item(name, {gens: 'IV+'})),
+  new Item('Safety Goggles', {gens: 'VI+'}),
+
+  // Screens and entry hazards
+  new Item('Light Clay', {gens: 'IV+'}),
+  new Item('Heavy-Duty Boots', {gens: 'VIII+'}),
+
+  // Terrain
+  new Item('Air Balloon', {gens: 'V+'}),
+  new Item('Iron Ball', {gens: 'IV+'}),
+  new Item('Terrain Extender', {gens: 'VII+'}),
+
+  // Turn order
+  new Item('Quick Claw', {turnOrder: ({gen, random}) => random() < (gen.match('II') ? 60 / 256 : 0.2) ? 1 : 0}),
+  new Item('Custap Berry', {gens: 'IV+', consumable: true, turnOrder: ({pokemon}) => pokemon.getCurrentHP()
+    <= Math.floor(pokemon.getStats().hp / (pokemon.getAbility() === 'Gluttony' ? 2 : 4)) ? 1 : 0}),
+  new Item('Lagging Tail', {gens: 'IV+', turnOrder: () => -1}),
+  new Item('Full Incense', {gens: 'IV+', turnOrder: () => -1}),
+
+  // End of turn
+  new Item('Leftovers', {onTurnEnd: residualHP(() => 1 / 16)}),
+  new Item('Black Sludge', {gens: 'IV+',
+    onTurnEnd: residualHP(pokemon => pokemon.hasType(Type.POISON) ? 1 / 16 : -1 / 8)}),
+
+  // Z-Crystals
+  ...zCrystals.map(([name, type]) => new Item(name, {gens: 'VII', zCrystal: {type}})),
+  ...exclusiveZCrystals.map(([name, move, species, zMove]) => new Item(name, {gens: 'VII',
+    zCrystal: {move, species, zMove}})),
+
+  // Mega Stones can only be held in the generations that have Mega Evolution.
+  ...Object.values(formChanges).filter(({trigger, item}) => trigger === 'Mega Evolution' && item !== undefined)
+    .map(({item}) => new Item(item, {gens: 'VI-VII'}))
+].forEach(Item.register);
+
+/**
+ * Represents one of the forms of a species, i.e. one of the pokedex entries that share its national dex number.
+ *
+ * @class
+ */
+class Form {
+  /**
+   * The form that a species is usually found in.
+   * @static
+   * @type {string}
+   */
+  static BASE = 'Base';
+
+  /**
+   * A Mega Evolution, which lasts until the end of the battle.
+   * @static
+   * @type {string}
+   */
+  static MEGA = 'Mega';
+
+  /**
+   * A Primal Reversion, which lasts until the end of the battle.
+   * @static
+   * @type {string}
+   */
+  static PRIMAL = 'Primal';
+
+  /**
+   * A regional variant, such as an Alolan or Galarian form.
+   * @static
+   * @type {string}
+   */
+  static REGIONAL = 'Regional';
+
+  /**
+   * Any other form, whether it is caught in or changed into.
+   * @static
+   * @type {string}
+   */
+  static ALTERNATE = 'Alternate';
+
+  #name;
+  #kind;
+  #base;
+
+  /**
+   * Creates the form with the given name.
+   * @param {string} name - The name of the form as it appears in the pokedex.
+   * @throws {RangeError} If the name isn't in the pokedex.
+   */
+  constructor(name) {
+    if (!pokedex.hasOwnProperty(name))
+      throw new RangeError(`${name} is not in the pokedex.`);
+
+    this.#name = name;
+
+    // The base form is always listed first among the entries that share its dex number.
+    this.#base = Form.#namesOf(pokedex[name].pkdxNum)[0];
+    this.#kind = name === this.#base ? Form.BASE
+      : name.startsWith('Mega ') ? Form.MEGA
+      : name.startsWith('Primal ') ? Form.PRIMAL
+      : /^(?:Alolan|Galarian|Hisuian|Paldean) /.test(name) ? Form.REGIONAL
+      : Form.ALTERNATE;
+  }
+
+  /**
+   * Returns the names of every pokedex entry with the given national dex number, in pokedex order.
+   * @param {number} pkdxNum - The national dex number.
+   * @returns {string[]} The names of the entries.
+   */
+  static #namesOf(pkdxNum) {
+    return Object.keys(pokedex).filter(name => pokedex[name].pkdxNum === pkdxNum);
+  }
+
+  /**
+   * Returns every form of the species that the given form belongs to, with the base form first.
+   *
+   * @param {string} name - The name of any form of the species.
+   * @param {Gen} [gen] - If given, only the forms available in this generation are returned.
+   * @returns {Form[]} The forms of the species.
+   * @throws {RangeError} If the name isn't in the pokedex.
+   */
+  static getForms(name, gen = undefined) {
+    if (!pokedex.hasOwnProperty(name))
+      throw new RangeError(`${name} is not in the pokedex.`);
+
+    return Form.#namesOf(pokedex[name].pkdxNum)
+      .filter(form => gen === undefined || getDexEntry(form, gen) !== undefined)
+      .map(form => new Form(form));
+  }
+
+  /**
+   * Returns the name of this form.
+   * @returns {string} The name of the form as it appears in the pokedex.
+   */
+  getName() {
+    return this.#name;
+  }
+
+  /**
+   * Returns the kind of this form.
+   * @returns {string} One of Form.BASE, Form.MEGA, Form.PRIMAL, Form.REGIONAL or Form.ALTERNATE.
+   */
+  getKind() {
+    return this.#kind;
+  }
+
+  /**
+   * Returns the national dex number shared by all forms of this species.
+   * @returns {number} The national dex number.
+   */
+  getPkdxNum() {
+    return pokedex[this.#name].pkdxNum;
+  }
+
+  /**
+   * Returns the base form of this species.
+   * @returns {Form} The base form.
+   */
+  getBaseForm() {
+    return new Form(this.#base);
+  }
+
+  /**
+   * Indicates whether this is the base form of its species.
+   * @returns {boolean} `true` if this is the base form, `false` otherwise.
+   */
+  isBase() {
+    return this.#kind === Form.BASE;
+  }
+
+  /**
+   * Returns what causes a Pokemon to change into this form during battle, e.g. "Mega Evolution".
+   * @returns {string|null} A description of the trigger, or null if this form isn't changed into during battle.
+   */
+  getTrigger() {
+    return formChanges[this.#name]?.trigger ?? null;
+  }
+
+  /**
+   * Indicates whether a Pokemon changes into this form during battle, rather than being caught in or changed into it
+   * outside of battle.
+   * @returns {boolean} `true` if this is a battle form, `false` otherwise.
+   */
+  isBattleForm() {
+    return this.getTrigger() !== null;
+  }
+
+  /**
+   * Returns the name of the item that a Pokemon must hold to be in this form, e.g. its Mega Stone.
+   * @returns {string|null} The name of the item, or null if no item is needed.
+   */
+  getRequiredItem() {
+    return formChanges[this.#name]?.item ?? null;
+  }
+
+  /**
+   * Returns the name of the move that a Pokemon must know to change into this form, e.g. Dragon Ascent.
+   * @returns {string|null} The name of the move, or null if no move is needed.
+   */
+  getRequiredMove() {
+    return formChanges[this.#name]?.move ?? null;
+  }
+
+  /**
+   * Returns the name of the ability that a Pokemon must have to change into this form, e.g. Zen Mode.
+   * @returns {string|null} The name of the ability, or null if no ability is needed.
+   */
+  getRequiredAbility() {
+    return formChanges[this.#name]?.ability ?? null;
+  }
+
+  /**
+   * Returns the forms that a Pokemon can change into this form from. Forms with requirements are changed into from the
+   * base form unless otherwise specified, and any other form can be changed into from every form of its species.
+   * @returns {Form[]} The forms.
+   */
+  getPreviousForms() {
+    const names = formChanges[this.#name]?.from
+      ?? (formChanges.hasOwnProperty(this.#name) ? [this.#base] : Form.#namesOf(this.getPkdxNum()));
+
+    return names.filter(name => name !== this.#name).map(name => new Form(name));
+  }
+
+  /**
+   * Returns the name of the form as a string.
+   * @returns {string} The name of the form.
+   */
+  toString() {
+    return this.getName();
+  }
+}
+
+/**
+ * Checks the pokedex, move, and history data for entries that the rest of this module can't use, like types that
+ * aren't Type constants, base stats out of range, malformed abilities, or moves with unknown categories. The pokedex is
+ * also checked against pokedex.json and abilities.json, which it is built from, so that every ability in it is listed
+ * for its species in abilities.json.
+ *
+ * @param {Object} [data={}] - The data to check. Defaults to the data files loaded by this module.
+ * @param {Object} [data.pokedex] - The contents of m_pokedex.json.
+ * @param {Object} [data.movedex] - The contents of moves.json.
+ * @param {Object} [data.dexHistory] - The contents of dex_history.json.
+ * @param {Object} [data.moveHistory] - The contents of move_history.json.
+ * @param {Object} [data.formChanges] - The contents of forms.json.
+ * @param {Object} [data.evolutions] - The contents of evolutions.json.
+ * @param {Object} [data.basePokedex] - The contents of pokedex.json, which m_pokedex.json is built from.
+ * @param {Object} [data.abilities] - The contents of abilities.json, which m_pokedex.json is built from.
+ * @returns {string[]} A description of every problem found, each naming its file and entry. Empty if the data is
+ *                     valid.
+ */
+function validateData({pokedex: dex = pokedex, movedex: moves = movedex, dexHistory: history = dexHistory,
+  moveHistory: moveChanges = moveHistory, formChanges: forms = formChanges, evolutions: evolving = evolutions,
+  basePokedex: baseDex = JSON.parse(fs.readFileSync(path.join(__dirname, 'pokedex.json'))),
+  abilities: abilityDex = JSON.parse(fs.readFileSync(path.join(__dirname, 'abilities.json')))} = {}) {
+  const errors = [];
+  const isGenRange = str => {
+    try {
+      Gen.I.match(str);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+  const isType = str => typeof str === 'string' && Type[str] instanceof Type && Type[str] !== Type.TYPELESS;
+  const isInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  const stats = ['hp', 'atk', 'def', 'sp.atk', 'sp.def', 'spe'];
+
+  const checkSpecies = (file, name, entry) => {
+    if (entry.hasOwnProperty('types')) {
+      if (!Array.isArray(entry.types) || entry.types.length < 1 || entry.types.length > 2)
+        errors.push(`${file}: ${name}: types must be a list of 1 or 2 types, got ${JSON.stringify(entry.types)}`);
+      else if (entry.types[0] === entry.types[1])
+        errors.push(`${file}: ${name}: type ${entry.types[0]} is listed twice`);
+
+      for (const type of [].concat(entry.types ?? []).filter(type => !isType(type)))
+        errors.push(`${file}: ${name}: type ${JSON.stringify(type)} is not a Type constant`);
+    }
+
+    for (const stat of stats.filter(stat => entry.hasOwnProperty(stat) && !isInRange(entry[stat], 1, 255))) {
+      errors.push(`${file}: ${name}: base ${stat} must be a whole number from 1 to 255, got ` +
+        JSON.stringify(entry[stat]));
+    }
+  };
+
+  const checkEntry = (file, name, entry) => {
+    if (!isInRange(entry.pkdxNum, 1, 1025)) {
+      errors.push(`${file}: ${name}: pkdxNum must be a whole number from 1 to 1025, got ` +
+        JSON.stringify(entry.pkdxNum));
+    }
+
+    for (const key of ['types', ...stats].filter(key => !entry.hasOwnProperty(key)))
+      errors.push(`${file}: ${name}: ${key} is missing`);
+
+    checkSpecies(file, name, entry);
+  };
+
+  for (const [name, entry] of Object.entries(baseDex))
+    checkEntry('pokedex.json', name, entry);
+
+  for (const [name, entry] of Object.entries(dex)) {
+    checkEntry('m_pokedex.json', name, entry);
+
+    if (!baseDex.hasOwnProperty(name))
+      errors.push(`m_pokedex.json: ${name}: is not in pokedex.json`);
+
+    if (!Array.isArray(entry.abilities) || entry.abilities.length === 0) {
+      errors.push(`m_pokedex.json: ${name}: must have at least one ability`);
+      continue;
+    }
+
+    const names = new Set();
+    for (const ability of entry.abilities) {
+      const {name: abilityName, gens} = typeof ability === 'string' ? parseAbility(ability) : {};
+      if (abilityName === undefined || abilityName.trim() !== abilityName)
+        errors.push(`m_pokedex.json: ${name}: ability ${JSON.stringify(ability)} is not a name`);
+      else if (gens !== undefined && !isGenRange(gens))
+        errors.push(`m_pokedex.json: ${name}: ability ${JSON.stringify(ability)} has an invalid generation range`);
+      else if (gens === undefined && names.has(abilityName))
+        errors.push(`m_pokedex.json: ${name}: ability ${abilityName} is listed twice`);
+
+      if (gens === undefined)
+        names.add(abilityName);
+    }
+
+    // Every ability must come from the species' entry in abilities.json, or the dex was built from stale data.
+    if (!abilityDex.hasOwnProperty(name)) {
+      errors.push(`m_pokedex.json: ${name}: is not in abilities.json`);
+      continue;
+    }
+
+    const listed = abilityDex[name].abilities ?? [];
+    for (const ability of entry.abilities.filter(ability => !listed.includes(ability)))
+      errors.push(`m_pokedex.json: ${name}: ability ${JSON.stringify(ability)} is not listed in abilities.json`);
+  }
+
+  for (const [name, changes] of Object.entries(history.changes)) {
+    if (!dex.hasOwnProperty(name))
+      errors.push(`dex_history.json: ${name}: is not in the pokedex`);
+
+    for (const change of changes) {
+      if (!isGenRange(change.gens))
+        errors.push(`dex_history.json: ${name}: ${JSON.stringify(change.gens)} is not a generation range`);
+
+      checkSpecies('dex_history.json', name, change);
+    }
+  }
+
+  for (const [name, special] of Object.entries(history.genISpecial)) {
+    if (!dex.hasOwnProperty(name) || dex[name].pkdxNum > history.introductions.I)
+      errors.push(`dex_history.json: ${name}: has a Gen I Special stat but isn't a Gen I species`);
+    else if (!isInRange(special, 1, 255))
+      errors.push(`dex_history.json: ${name}: Gen I Special must be a whole number from 1 to 255, got ${special}`);
+  }
+
+  for (const [name, gens] of Object.entries(history.availability)) {
+    if (!dex.hasOwnProperty(name))
+      errors.push(`dex_history.json: ${name}: is not in the pokedex`);
+    else if (!isGenRange(gens))
+      errors.push(`dex_history.json: ${name}: ${JSON.stringify(gens)} is not a generation range`);
+  }
+
+  for (const [name, form] of Object.entries(forms)) {
+    for (const formName of [name, ...(form.from ?? [])].filter(formName => !dex.hasOwnProperty(formName)))
+      errors.push(`forms.json: ${name}: ${formName} is not in the pokedex`);
+  }
+
+  for (const [name, gens] of Object.entries(evolving)) {
+    if (!dex.hasOwnProperty(name))
+      errors.push(`evolutions.json: ${name}: is not in the pokedex`);
+    else if (!isGenRange(gens))
+      errors.push(`evolutions.json: ${name}: ${JSON.stringify(gens)} is not a generation range`);
+  }
+
+  const categories = ['Physical', 'Special', 'Status', '???'];
+  const isMoveType = str => str === '???' || typeof str === 'string' && isType(str.toUpperCase());
+  const isGenKeyed = (value, isValid) => String(value).split(',').every(entry => {
+    const [gens, genValue, ...rest] = entry.split(':');
+    return genValue === undefined ? isValid(gens) : rest.length === 0 && isGenRange(gens) && isValid(genValue);
+  });
+
+  for (const [name, move] of Object.entries(moves)) {
+    if (!isMoveType(move.type))
+      errors.push(`moves.json: ${name}: type ${JSON.stringify(move.type)} is not a Type constant`);
+
+    if (!categories.includes(move.category))
+      errors.push(`moves.json: ${name}: category ${JSON.stringify(move.category)} must be one of ${categories.join(', ')}`);
+
+    if (!isInRange(move.power, 1, 250) && move.power !== '—')
+      errors.push(`moves.json: ${name}: power must be a whole number from 1 to 250 or "—", got ${JSON.stringify(move.power)}`);
+
+    if (!isInRange(move.accuracy, 1, 100) && move.accuracy !== '—') {
+      errors.push(`moves.json: ${name}: accuracy must be a whole number from 1 to 100 or "—", got ` +
+        JSON.stringify(move.accuracy));
+    }
+
+    if (!isInRange(move.pp, 1, 40))
+      errors.push(`moves.json: ${name}: pp must be a whole number from 1 to 40, got ${JSON.stringify(move.pp)}`);
+
+    if (!(Gen[move.gen] instanceof Gen))
+      errors.push(`moves.json: ${name}: gen ${JSON.stringify(move.gen)} is not a Gen constant`);
+
+    if (!isGenKeyed(move.priority, value => isInRange(Number(value), -7, 5)))
+      errors.push(`moves.json: ${name}: priority must be from -7 to 5, got ${JSON.stringify(move.priority)}`);
+
+    if (!isGenKeyed(move.contact, value => value === 'true' || value === 'false'))
+      errors.push(`moves.json: ${name}: contact must be "true" or "false", got ${JSON.stringify(move.contact)}`);
+  }
+
+  for (const [name, changes] of Object.entries(moveChanges)) {
+    if (!moves.hasOwnProperty(name))
+      errors.push(`move_history.json: ${name}: is not in moves.json`);
+
+    for (const {gens, type, category, power, accuracy} of changes) {
+      if (!isGenRange(gens))
+        errors.push(`move_history.json: ${name}: ${JSON.stringify(gens)} is not a generation range`);
+      if (type !== undefined && !isMoveType(type))
+        errors.push(`move_history.json: ${name}: type ${JSON.stringify(type)} is not a Type constant`);
+      if (category !== undefined && !categories.includes(category))
+        errors.push(`move_history.json: ${name}: category ${JSON.stringify(category)} must be one of ${categories.join(', ')}`);
+      if (power !== undefined && power !== null && !isInRange(power, 1, 250))
+        errors.push(`move_history.json: ${name}: power must be a whole number from 1 to 250, got ${power}`);
+      if (accuracy !== undefined && accuracy !== null && !isInRange(accuracy, 1, 100))
+        errors.push(`move_history.json: ${name}: accuracy must be a whole number from 1 to 100, got ${accuracy}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Represents a single Pokemon, along with everything about it that is needed to battle with it.
+ *
+ * @class
+ */
+class Pokemon {
+  // Data that stays with the mon even outside of battle
+  #name;
+  #nickname;
+  #ability;
+  #item;
+  #nature;
+  #type1;
+  #type2;
+  #teraType;
+  #stats;
+  #evs;
+  #ivs;
+  #level;
+  #friendship;
+  #statusCondition = null;
+
+  /**
+   * The volatile status conditions of this Pokemon, keyed by name.
+   * @type {Map<string, VolatileStatus>}
+   */
+  #volatileStatuses = new Map();
+  #currentHP;
+
+  /**
+   * The name of the form that this Pokemon was created in and the ability it had, which it returns to when its form is
+   * reverted.
+   * @type {{name: string, ability: string|null}}
+   */
+  #originalForm;
+
+  /**
+   * The known moves of this Pokemon and how many power points each of them has left.
+   * @type {Array<{move: Move, pp: number}>}
+   */
+  #moves = [];
+
+  #gen;
+
+  #stages = Stages.ZERO();
+
+  /**
+   * The Speed stat that this Pokemon had before it Mega Evolved in Gen VI, which decides its place in the turn order
+   * until the end of the turn, or null if it didn't Mega Evolve this turn.
+   * @type {number|null}
+   */
+  #speedBeforeMega = null;
+
+  #terastallized = false;
+  #gigantamax;
+
+  /**
+   * The number of turns that this Pokemon stays Dynamaxed for, including the current one, or 0 if it isn't.
+   * @type {number}
+   */
+  #dynamaxTurns = 0;
+
+  /**
+   * The types of move that have had their one-time boost from the Stellar tera type.
+   * @type {Set<Type>}
+   */
+  #stellarBoosted = new Set();
+
+  /**
+   * Creates a new Pokemon of the given species.
+   * @param {string} name - The species name of the Pokemon as it appears in the pokedex.
+   * @param {Object} [data] - The base stat, type, and ability data of the species. Defaults to its pokedex entry as of
+   *                          the given generation.
+   * @param {Gen} [gen=Gen.IX] - The generation that the Pokemon is battling in.
+   * @param {EVs|StatExp} [evs] - The effort values of the Pokemon, or its Stat Experience in Gens I and II. Defaults to
+   *                              none at all.
+   * @param {IVs|DVs} [ivs] - The individual values of the Pokemon, or its determinant values in Gens I and II. Defaults
+   *                          to the highest value in every stat: 31 IVs, or 15 DVs in Gens I and II.
+   * @param {Object} [options={}] - Any additional details of the Pokemon.
+   * @param {number} [options.level=100] - The level of the Pokemon, from 1 to 100 inclusive.
+   * @param {Nature} [options.nature=Nature.HARDY] - The nature of the Pokemon.
+   * @param {Item} [options.item=null] - The item held by the Pokemon, if any.
+   * @param {string} [options.ability] - The name of the Pokemon's ability. Defaults to the first ability of its species,
+   *                                     or null before Gen III.
+   * @param {Move[]} [options.moves=[]] - Up to four moves known by the Pokemon.
+   * @param {string} [options.nickname=name] - The nickname of the Pokemon.
+   * @param {number} [options.friendship=255] - The friendship of the Pokemon, from 0 to 255 inclusive.
+   * @param {Type} [options.teraType] - The type that the Pokemon becomes when it Terastallizes in Gen IX, which can be
+   *                                    Type.STELLAR. Defaults to the first type of its species.
+   * @param {boolean} [options.gigantamax=false] - Indicates whether the Pokemon has the Gigantamax Factor, so that it
+   *                                               Gigantamaxes instead of Dynamaxing in Gen VIII.
+   * @throws {GenerationError} If the generation is not one of Gen.I to Gen.IX, or if the species or the item isn't
+   *                          available in it.
+   * @throws {TypeError} If the nature, item, tera type, or any of the moves are not instances of their classes, or if
+   *                     the EVs and IVs don't belong to the stat model of the generation (Stat Experience and DVs in
+   *                     Gens I and II).
+   * @throws {RangeError} If the Pokemon is given more than four moves, or the Gigantamax Factor when its species has no
+   *                      Gigantamax form.
+   */
+  constructor(name, data = undefined, gen = Gen.IX,
+    evs = gen instanceof Gen && gen.match('I-II') ? StatExp.ZERO() : EVs.ZERO(),
+    ivs = gen instanceof Gen && gen.match('I-II') ? DVs.MAX() : IVs.MAX(), {level = 100,
+    nature = Nature.HARDY, item = null, ability = undefined, moves = [], nickname = name,
+    friendship = 255, teraType = undefined, gigantamax = false} = {}) {
+    if (!(gen instanceof Gen))
+      throw new GenerationError("Invalid generation object specified for a Pokemon (must be one of Gen.I to Gen.IX)");
+
+    data ??= getDexEntry(name, gen);
+    if (data === undefined)
+      throw new GenerationError(`${name} is not available in Gen ${gen.getName()}.`);
+
+    if (!(nature instanceof Nature))
+      throw new TypeError("The nature of a Pokemon must be an instance of the Nature class.");
+
+    // Gens I and II have their own stat model.
+    const [EVModel, IVModel] = gen.match('I-II') ? [StatExp, DVs] : [EVs, IVs];
+    if (!(evs instanceof EVModel) || !(ivs instanceof IVModel))
+      throw new TypeError(`A Pokemon in ${gen} must be given ${EVModel.name} and ${IVModel.name}.`);
+
+    this.#name = name;
+    this.#nickname = nickname;
+    this.#nature = nature;
+    this.#ability = ability ?? data.abilities[0] ?? null;
+    this.#originalForm = {name, ability: this.#ability};
+    this.#friendship = Math.min(255, Math.max(0, Math.floor(friendship)));
+    this.#stats = new StatDistribution(data);
+
+    // Monotype Pokemon have no second type in the pokedex, which maps to Type.undefined.
+    [this.#type1, this.#type2] = [Type[data.types[0]], Type[data.types[1]]];
+
+    this.#teraType = teraType ?? this.#type1;
+    if (!(this.#teraType instanceof Type))
+      throw new TypeError("The tera type of a Pokemon must be an instance of the Type function.");
+
+    if (gigantamax && !gMaxMoves.hasOwnProperty(name))
+      throw new RangeError(`${name} has no Gigantamax form.`);
+
+    this.#gigantamax = gigantamax;
+
+    this.#gen = gen;
+    this.setItem(item);
+
+    this.#evs = evs;
+    this.#ivs = ivs;
+    this.#level = Math.min(100, Math.max(1, Math.floor(level)));
+
+    this.#currentHP = this.getStats().hp;
+
+    if (moves.length > 4)
+      throw new RangeError(`A Pokemon may know at most 4 moves. Got ${moves.length}.`);
+
+    for (const move of moves) {
+      this.learnMove(move);
+    }
+  }
+
+  /**
+   * Finds the index of one of this Pokemon's moves.
+   *
+   * @private
+   * @param {Move|number} move - The move, or the slot that it is in.
+   * @returns {number} The slot of the move.
+   * @throws {RangeError} If this Pokemon doesn't know the move.
+   */
+  #slotOf(move) {
+    const slot = typeof move === 'number' ? move : this.#moves.findIndex(known => known.move === move);
+    if (!this.#moves[slot])
+      throw new RangeError(`${this.#nickname} does not know the move ${move}.`);
+
+    return slot;
+  }
+
+  /**
+   * Returns the name of this Pokemon's current form as it appears in the pokedex.
+   * @returns {string}
+   */
+  getName() {
+    return this.#name;
+  }
+
+  /**
+   * Returns the current form of this Pokemon.
+   * @returns {Form}
+   */
+  getForm() {
+    return new Form(this.#name);
+  }
+
+  /**
+   * Returns every form of this Pokemon's species that is available in the generation it is battling in.
+   * @returns {Form[]}
+   */
+  getForms() {
+    return Form.getForms(this.#name, this.#gen);
+  }
+
+  /**
+   * Indicates whether this Pokemon can change into a form right now. It must be another form of the same species that
+   * is available in this Pokemon's generation and can be changed into from the current form, and this Pokemon must hold
+   * the item, know the move, and have the ability that the form requires. Regional variants are never changed into or
+   * from.
+   *
+   * @param {Form|string} form - The form, or its name as it appears in the pokedex.
+   * @returns {boolean} `true` if this Pokemon can change into the form, `false` otherwise.
+   * @throws {RangeError} If the form isn't in the pokedex.
+   */
+  canChangeForm(form) {
+    form = form instanceof Form ? form : new Form(form);
+    const current = this.getForm();
+
+    if (form.getPkdxNum() !== current.getPkdxNum() || getDexEntry(form.getName(), this.#gen) === undefined)
+      return false;
+
+    if (form.getKind() === Form.REGIONAL || current.getKind() === Form.REGIONAL)
+      return false;
+
+    if (!form.getPreviousForms().some(previous => previous.getName() === this.#name))
+      return false;
+
+    const [item, move, ability] = [form.getRequiredItem(), form.getRequiredMove(), form.getRequiredAbility()];
+    return (item === null || this.#item?.getName() === item)
+      && (move === null || this.#moves.some(known => known.move.getName() === move))
+      && (ability === null || this.#ability === ability);
+  }
+
+  /**
+   * Changes this Pokemon into another form of its species, e.g. when it Mega Evolves. Its base stats, types, and
+   * ability are replaced by those of the new form, keeping its ability if the new form can have it. Any damage it has
+   * taken carries over, so its current HP changes by as much as its max HP does.
+   *
+   * @param {Form|string} form - The form, or its name as it appears in the pokedex.
+   * @returns {Pokemon} This Pokemon.
+   * @throws {RangeError} If the form isn't in the pokedex, or this Pokemon can't change into it right now.
+   */
+  changeForm(form) {
+    if (!this.canChangeForm(form))
+      throw new RangeError(`${this.#nickname} cannot change into ${form} right now.`);
+
+    return this.#setForm(form.toString());
+  }
+
+  /**
+   * Returns this Pokemon to the form and ability that it was created with, e.g. when it switches out or the battle
+   * ends.
+   *
+   * @returns {Pokemon} This Pokemon.
+   */
+  revertForm() {
+    this.#setForm(this.#originalForm.name);
+    this.#ability = this.#originalForm.ability;
+    return this;
+  }
+
+  /**
+   * Replaces the data of this Pokemon with that of another form, regardless of whether it could change into it.
+   *
+   * @private
+   * @param {string} name - The name of the form as it appears in the pokedex.
+   * @returns {Pokemon} This Pokemon.
+   */
+  #setForm(name) {
+    if (name === this.#name)
+      return this;
+
+    const data = getDexEntry(name, this.#gen);
+    const damage = this.getStats().hp - this.#currentHP;
+
+    this.#name = name;
+    this.#stats = new StatDistribution(data);
+    [this.#type1, this.#type2] = [Type[data.types[0]], Type[data.types[1]]];
+    if (!data.abilities.includes(this.#ability))
+      this.#ability = data.abilities[0] ?? null;
+
+    if (!this.isFainted())
+      this.#currentHP = Math.max(1, this.getStats().hp - damage);
+
+    return this;
+  }
+
+  /**
+   * Returns the nickname of this Pokemon, which is its species name unless it has been given one.
+   * @returns {string}
+   */
+  getNickname() {
+    return this.#nickname;
+  }
+
+  /**
+   * Returns the generation that this Pokemon is battling in.
+   * @returns {Gen}
+   */
+  getGen() {
+    return this.#gen;
+  }
+
+  /**
+   * Returns the level of this Pokemon.
+   * @returns {number}
+   */
+  getLevel() {
+    return this.#level;
+  }
+
+  /**
+   * Returns both types of this Pokemon. The second type is Type.TYPELESS for monotype Pokemon. A Terastallized
+   * Pokemon has only its tera type, unless that is Type.STELLAR, which keeps its own types.
+   * @returns {Type[]}
+   */
+  getTypes() {
+    if (this.#terastallized && this.#teraType !== Type.STELLAR)
+      return [this.#teraType, Type.TYPELESS];
+
+    return this.getOriginalTypes();
+  }
+
+  /**
+   * Returns both types of this Pokemon's current form, regardless of whether it has Terastallized.
+   * @returns {Type[]}
+   */
+  getOriginalTypes() {
+    return [this.#type1, this.#type2];
+  }
+
+  /**
+   * Returns the type that this Pokemon becomes when it Terastallizes.
+   * @returns {Type}
+   */
+  getTeraType() {
+    return this.#teraType;
+  }
+
+  /**
+   * Indicates whether this Pokemon has Terastallized.
+   * @returns {boolean}
+   */
+  isTerastallized() {
+    return this.#terastallized;
+  }
+
+  /**
+   * Terastallizes this Pokemon for the rest of the battle. Each trainer can only do so once per battle, which the side
+   * of the field keeps track of.
+   *
+   * @param {Side|null} [side=null] - This Pokemon's side of the field.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   * @throws {GenerationError} If the battle isn't in Gen IX.
+   * @throws {RangeError} If this Pokemon has already Terastallized, or its trainer has Terastallized another Pokemon.
+   */
+  terastallize(side = null) {
+    if (!this.#gen.match('IX'))
+      throw new GenerationError(`Terastallization is not available in Gen ${this.#gen.getName()}.`);
+
+    if (this.#terastallized || side?.use(Side.TERASTALLIZATION) === false)
+      throw new RangeError("Terastallization can only be used once per battle.");
+
+    this.#terastallized = true;
+    return this;
+  }
+
+  /**
+   * Returns the Mega Evolution that this Pokemon can change into right now: the Mega form of its species that its held
+   * Mega Stone, or the move it knows in Mega Rayquaza's case, lets it change into.
+   * @returns {Form|null} The Mega Evolved form, or null if this Pokemon can't Mega Evolve.
+   */
+  getMegaEvolution() {
+    if (!this.#gen.match('VI-VII'))
+      return null;
+
+    return this.getForms().find(form => form.getKind() === Form.MEGA && this.canChangeForm(form)) ?? null;
+  }
+
+  /**
+   * Mega Evolves this Pokemon for the rest of the battle, replacing its base stats, types, and ability with those of
+   * its Mega form. Pokemon Mega Evolve at the start of the turn, before anyone moves. In Gen VI the turn order has
+   * already been decided by then, so this Pokemon keeps the place that its old Speed gave it until the end of the turn;
+   * from Gen VII on, the turn order is decided afterwards with its new Speed. Each trainer can only Mega Evolve once
+   * per battle, which the side of the field keeps track of.
+   *
+   * @param {Side|null} [side=null] - This Pokemon's side of the field.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   * @throws {GenerationError} If the battle isn't in Gen VI or VII.
+   * @throws {RangeError} If this Pokemon can't Mega Evolve, or its trainer has Mega Evolved another Pokemon.
+   */
+  megaEvolve(side = null) {
+    if (!this.#gen.match('VI-VII'))
+      throw new GenerationError(`Mega Evolution is not available in Gen ${this.#gen.getName()}.`);
+
+    const form = this.getMegaEvolution();
+    if (form === null)
+      throw new RangeError(`${this.#nickname} cannot Mega Evolve right now.`);
+
+    if (side?.use(Side.MEGA_EVOLUTION) === false)
+      throw new RangeError("Mega Evolution can only be used once per battle.");
+
+    if (this.#gen.match('VI'))
+      this.#speedBeforeMega = this.getStats().spe;
+
+    return this.changeForm(form);
+  }
+
+  /**
+   * Indicates whether this Pokemon can use a move as a Z-Move: it must know the move and hold a Z-Crystal for the
+   * move's type, or the exclusive Z-Crystal of its species for the move.
+   * @param {Move} move - The move.
+   * @returns {boolean} `true` if this Pokemon can use the move as a Z-Move, `false` otherwise.
+   */
+  canUseZMove(move) {
+    const crystal = this.#item?.getZCrystal();
+    if (!this.#gen.match('VII') || !crystal || !this.#moves.some(known => known.move.getName() === move.getName()))
+      return false;
+
+    return crystal.zMove !== undefined ? crystal.move === move.getName() && crystal.species.includes(this.#name)
+      : crystal.type === move.getType(this.#gen);
+  }
+
+  /**
+   * Turns a move into the Z-Move that this Pokemon uses in its place. Each trainer can only use a Z-Move once per
+   * battle, which the side of the field keeps track of.
+   *
+   * @param {Move} move - The move.
+   * @param {Side|null} [side=null] - This Pokemon's side of the field.
+   * @returns {Move} The Z-Move.
+   * @throws {GenerationError} If the battle isn't in Gen VII.
+   * @throws {RangeError} If this Pokemon can't use the move as a Z-Move, or its trainer has already used one.
+   */
+  useZMove(move, side = null) {
+    if (!this.#gen.match('VII'))
+      throw new GenerationError(`Z-Moves are not available in Gen ${this.#gen.getName()}.`);
+
+    if (!this.canUseZMove(move))
+      throw new RangeError(`${this.#nickname} cannot use ${move} as a Z-Move.`);
+
+    if (side?.use(Side.Z_MOVE) === false)
+      throw new RangeError("Z-Moves can only be used once per battle.");
+
+    return move.toZMove(this);
+  }
+
+  /**
+   * Indicates whether this Pokemon is Dynamaxed, or Gigantamaxed.
+   * @returns {boolean}
+   */
+  isDynamaxed() {
+    return this.#dynamaxTurns > 0;
+  }
+
+  /**
+   * Indicates whether this Pokemon is Gigantamaxed, which it does instead of Dynamaxing when it has the Gigantamax
+   * Factor.
+   * @returns {boolean}
+   */
+  isGigantamaxed() {
+    return this.isDynamaxed() && this.#gigantamax;
+  }
+
+  /**
+   * Returns the number of turns that this Pokemon stays Dynamaxed for, including the current one.
+   * @returns {number} The number of turns, or 0 if this Pokemon isn't Dynamaxed.
+   */
+  getDynamaxTurns() {
+    return this.#dynamaxTurns;
+  }
+
+  /**
+   * Dynamaxes this Pokemon, or Gigantamaxes it if it has the Gigantamax Factor, for 3 turns. Its max HP and current HP
+   * double, and its moves become Max Moves. Each trainer can only do so once per battle, which the side of the field
+   * keeps track of.
+   *
+   * @param {Side|null} [side=null] - This Pokemon's side of the field.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   * @throws {GenerationError} If the battle isn't in Gen VIII.
+   * @throws {RangeError} If this Pokemon is already Dynamaxed, or its trainer has Dynamaxed another Pokemon.
+   */
+  dynamax(side = null) {
+    if (!this.#gen.match('VIII'))
+      throw new GenerationError(`Dynamax is not available in Gen ${this.#gen.getName()}.`);
+
+    if (this.isDynamaxed() || side?.use(Side.DYNAMAX) === false)
+      throw new RangeError("Dynamax can only be used once per battle.");
+
+    this.#dynamaxTurns = 3;
+    if (this.getBaseStats().hp !== 1)
+      this.#currentHP *= 2;
+
+    return this;
+  }
+
+  /**
+   * Ends the Dynamax of this Pokemon, halving its HP again and rounding up.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  endDynamax() {
+    if (!this.isDynamaxed())
+      return this;
+
+    this.#dynamaxTurns = 0;
+    if (this.getBaseStats().hp !== 1)
+      this.#currentHP = Math.ceil(this.#currentHP / 2);
+
+    return this;
+  }
+
+  /**
+   * Applies the effects of the end of a turn to this Pokemon that don't belong to a status condition: its Dynamax
+   * counts down and ends after its third turn, and a Gen VI Mega Evolution stops holding back its place in the turn
+   * order.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  onTurnEnd() {
+    this.#speedBeforeMega = null;
+    if (this.#dynamaxTurns === 1)
+      this.endDynamax();
+    else if (this.isDynamaxed())
+      this.#dynamaxTurns--;
+
+    return this;
+  }
+
+  /**
+   * Indicates whether moves of a type still get their one-time boost from the Stellar tera type.
+   * @param {Type} type - The type of the move.
+   * @returns {boolean} `true` if this Pokemon has Terastallized into the Stellar type and hasn't used the boost for
+   *                    the type yet, `false` otherwise.
+   */
+  hasStellarBoost(type) {
+    return this.#terastallized && this.#teraType === Type.STELLAR && !this.#stellarBoosted.has(type);
+  }
+
+  /**
+   * Uses up the one-time boost from the Stellar tera type for moves of a type, after one of them hits.
+   * @param {Type} type - The type of the move.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  useStellarBoost(type) {
+    if (this.hasStellarBoost(type))
+      this.#stellarBoosted.add(type);
+
+    return this;
+  }
+
+  /**
+   * Indicates whether this Pokemon has the given type.
+   * @param {Type} type - The type to check for.
+   * @returns {boolean}
+   */
+  hasType(type) {
+    return type !== Type.TYPELESS && this.getTypes().includes(type);
+  }
+
+  /**
+   * Returns the base stats of this Pokemon's species.
+   * @returns {Object} The base hp, atk, def, spAtk, spDef, and spe.
+   */
+  getBaseStats() {
+    return this.#stats.getStats();
+  }
+
+  /**
+   * Returns the nature of this Pokemon.
+   * @returns {Nature}
+   */
+  getNature() {
+    return this.#nature;
+  }
+
+  /**
+   * Returns the name of this Pokemon's ability.
+   * @returns {string|null} The name of the ability, or null if the Pokemon has none (as in Gens I and II).
+   */
+  getAbility() {
+    return this.#ability;
+  }
+
+  /**
+   * Sets the ability of this Pokemon, e.g. after it has been changed by a move like Skill Swap.
+   * @param {string} ability - The name of the new ability.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  setAbility(ability) {
+    this.#ability = ability;
+    return this;
+  }
+
+  /**
+   * Returns the item held by this Pokemon.
+   * @returns {Item|null} The held item, or null if this Pokemon isn't holding one.
+   */
+  getItem() {
+    return this.#item;
+  }
+
+  /**
+   * Gives an item to this Pokemon to hold, replacing any item it was already holding.
+   * @param {Item|null} item - The item to hold, or null to take the held item away.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   * @throws {TypeError} If the item is not an instance of the Item class.
+   * @throws {GenerationError} If the item isn't available in this Pokemon's generation.
+   */
+  setItem(item) {
+    if (item !== null && !(item instanceof Item))
+      throw new TypeError("A held item must be an instance of the Item class.");
+
+    if (item !== null && !item.isAvailable(this.#gen))
+      throw new GenerationError(`${item} is not available in Gen ${this.#gen.getName()}.`);
+
+    this.#item = item;
+    return this;
+  }
+
+  /**
+   * Returns the non-volatile status condition of this Pokemon.
+   * @returns {Status|null} The condition, or null if this Pokemon is healthy.
+   */
+  getStatus() {
+    return this.#statusCondition;
+  }
+
+  /**
+   * Sets the non-volatile status condition of this Pokemon, replacing any condition it already has regardless of its
+   * immunities, like Rest does. Use `inflictStatus` for conditions caused by moves and abilities.
+   * @param {Status|null} status - The condition, or null to cure this Pokemon.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   * @throws {TypeError} If the status is not a non-volatile instance of the Status class.
+   */
+  setStatus(status) {
+    if (status !== null && (!(status instanceof Status) || status.isVolatile()))
+      throw new TypeError("A Pokemon's status condition must be a non-volatile instance of the Status class.");
+
+    this.#statusCondition = status;
+    return this;
+  }
+
+  /**
+   * Afflicts this Pokemon with a non-volatile status condition, unless it already has one or is immune to it.
+   * @param {string} name - The name of the condition, e.g. Status.BURN.
+   * @param {Object} [options={}] - The options of the condition. See the Status constructor.
+   * @param {Terrain} [options.terrain=Terrain.NONE] - The terrain on the field, which can prevent the condition.
+   * @param {boolean} [options.gravity=false] - True if Gravity is up, which lets the terrain protect this Pokemon
+   *                                            even if it isn't grounded otherwise.
+   * @param {Side|null} [options.side=null] - This Pokemon's side of the field, whose Safeguard can prevent the
+   *                                          condition.
+   * @returns {boolean} `true` if this Pokemon was afflicted, `false` otherwise.
+   */
+  inflictStatus(name, {terrain = Terrain.NONE, gravity = false, side = null, ...options} = {}) {
+    if (!Status.canAfflict(this, name) || terrain.preventsStatus(this, name, {gravity}) || side?.preventsStatus(name))
+      return false;
+
+    this.#statusCondition = new Status(name, this.#gen, options);
+    return true;
+  }
+
+  /**
+   * Cures this Pokemon of its non-volatile status condition.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  cureStatus() {
+    this.#statusCondition = null;
+    return this;
+  }
+
+  /**
+   * Returns the volatile status conditions of this Pokemon.
+   * @returns {VolatileStatus[]} The conditions, in the order that they were inflicted.
+   */
+  getVolatileStatuses() {
+    return [...this.#volatileStatuses.values()];
+  }
+
+  /**
+   * Returns one of the volatile status conditions of this Pokemon.
+   * @param {string} name - The name of the condition, e.g. VolatileStatus.SUBSTITUTE.
+   * @returns {VolatileStatus|null} The condition, or null if this Pokemon doesn't have it.
+   */
+  getVolatileStatus(name) {
+    return this.#volatileStatuses.get(name) ?? null;
+  }
+
+  /**
+   * Indicates whether this Pokemon has a volatile status condition.
+   * @param {string} name - The name of the condition.
+   * @returns {boolean} `true` if this Pokemon has the condition, `false` otherwise.
+   */
+  hasVolatileStatus(name) {
+    return this.#volatileStatuses.has(name);
+  }
+
+  /**
+   * Afflicts this Pokemon with a volatile status condition, unless it already has it or is immune to it.
+   * @param {string} name - The name of the condition, e.g. VolatileStatus.CONFUSION.
+   * @param {Object} [options={}] - The options of the condition, like its source. See the VolatileStatus constructor.
+   * @param {Terrain} [options.terrain=Terrain.NONE] - The terrain on the field, which can prevent the condition.
+   * @param {boolean} [options.gravity=false] - True if Gravity is up, which lets the terrain protect this Pokemon
+   *                                            even if it isn't grounded otherwise.
+   * @param {Side|null} [options.side=null] - This Pokemon's side of the field, whose Safeguard can prevent the
+   *                                          condition.
+   * @returns {boolean} `true` if this Pokemon was afflicted, `false` otherwise.
+   */
+  addVolatileStatus(name, {terrain = Terrain.NONE, gravity = false, side = null, ...options} = {}) {
+    if (!VolatileStatus.canAfflict(this, name) || terrain.preventsStatus(this, name, {gravity})
+      || side?.preventsStatus(name))
+      return false;
+
+    const status = new VolatileStatus(name, this.#gen, options);
+    this.#volatileStatuses.set(name, status);
+    status.onStart({pokemon: this});
+    return true;
+  }
+
+  /**
+   * Ends one of the volatile status conditions of this Pokemon.
+   * @param {string} name - The name of the condition.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  removeVolatileStatus(name) {
+    this.#volatileStatuses.delete(name);
+    return this;
+  }
+
+  /**
+   * Indicates whether any of this Pokemon's volatile status conditions stop it from switching out.
+   * @returns {boolean} `true` if this Pokemon is trapped, `false` otherwise.
+   */
+  isTrapped() {
+    return this.getVolatileStatuses().some(status => status.preventsSwitch({pokemon: this}));
+  }
+
+  /**
+   * Switches this Pokemon out of battle, which ends its Dynamax and volatile status conditions and resets its stat
+   * stages. Its non-volatile status condition stays, though bad poisoning changes as described in `Status#onSwitchOut`.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  switchOut() {
+    this.endDynamax();
+    this.#volatileStatuses.clear();
+    this.#stages = Stages.ZERO();
+    this.#statusCondition?.onSwitchOut({pokemon: this});
+    return this;
+  }
+
+  /**
+   * Returns the friendship of this Pokemon.
+   * @returns {number} The friendship, from 0 to 255 inclusive.
+   */
+  getFriendship() {
+    return this.#friendship;
+  }
+
+  /**
+   * Computes the final (unboosted) stats of this Pokemon from its base stats, IVs, EVs, level, and nature. Gens I and
+   * II use DVs and Stat Experience instead, and have no natures.
+   * @returns {Object} The final hp, atk, def, spAtk, spDef, and spe.
+   */
+  getStats() {
+    const base = this.#stats.getStats();
+    const ivs = this.#ivs.getStats();
+    const evs = this.#evs.getStats();
+    const nature = this.#nature.getStats();
+    const isOldGen = this.#gen.match('I-II');
+    const stats = {};
+
+    for (const stat in base) {
+      if (isOldGen) {
+        stats[stat] = stat === 'hp' ?
+          calcOldGenHP(base[stat], ivs[stat], evs[stat], this.#level) :
+          calcOldGenNonHP(base[stat], ivs[stat], evs[stat], this.#level);
+      } else {
+        stats[stat] = stat === 'hp' ?
+          calcHP(base[stat], ivs[stat], evs[stat], this.#level) :
+          calcNonHP(base[stat], ivs[stat], evs[stat], this.#level, nature[stat]);
+      }
+    }
+
+    // Dynamax doubles max HP, except for Shedinja, which always has exactly 1 HP.
+    if (base.hp === 1) {
+      stats.hp = 1;
+    } else if (this.#dynamaxTurns > 0) {
+      stats.hp *= 2;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Indicates whether this Pokemon is touching the ground, which terrains and entry hazards depend on. Flying types,
+   * Pokemon with Levitate, and holders of an Air Balloon are in the air unless they hold an Iron Ball or Gravity is up.
+   * @param {Object} [field={}] - The conditions of the battle.
+   * @param {boolean} [field.gravity=false] - True if Gravity is up.
+   * @returns {boolean} `true` if this Pokemon is grounded, `false` otherwise.
+   */
+  isGrounded({gravity = false} = {}) {
+    const item = this.#item?.getName();
+    if (item === 'Iron Ball' || gravity)
+      return true;
+
+    return !this.hasType(Type.FLYING) && this.#ability !== 'Levitate' && item !== 'Air Balloon';
+  }
+
+  /**
+   * Computes the Speed that this Pokemon moves with in battle: its Speed stat after its stage, its ability and held
+   * item, Tailwind, and paralysis, which Quick Feet ignores.
+   * @param {Object} [field={}] - The conditions of the battle.
+   * @param {Weather} [field.weather=Weather.NONE] - The weather on the field.
+   * @param {Terrain} [field.terrain=Terrain.NONE] - The terrain on the field.
+   * @param {boolean} [field.tailwind=false] - True if Tailwind is up on this Pokemon's side of the field.
+   * @param {boolean} [field.turnOrder=false] - True if the Speed decides the turn order, for which a Pokemon that Mega
+   *                                            Evolved this turn in Gen VI still uses its Speed stat from before.
+   * @returns {number} The effective Speed.
+   */
+  getEffectiveSpeed({weather = Weather.NONE, terrain = Terrain.NONE, tailwind = false, turnOrder = false} = {}) {
+    const gen = this.#gen;
+    const context = {gen, pokemon: this, stat: 'spe', weather, terrain};
+    const mods = [Ability.get(this.#ability).modifyStat(context), (this.#item ?? Item.get(null)).modifyStat(context),
+      tailwind ? 2 : 1];
+    if (this.#ability !== 'Quick Feet')
+      mods.push(this.#statusCondition?.getSpeedMultiplier() ?? 1);
+
+    const stat = turnOrder && this.#speedBeforeMega !== null ? this.#speedBeforeMega : this.getStats().spe;
+    const speed = applyStage(gen, stat, this.#stages.getStats().spe);
+    return Math.max(1, mods.reduce((modified, mod) => Math.floor(modified * mod), speed));
+  }
+
+  /**
+   * Returns the moves known by this Pokemon.
+   * @returns {Move[]}
+   */
+  getMoves() {
+    return this.#moves.map(known => known.move);
+  }
+
+  /**
+   * Teaches this Pokemon a move with full PP, either in a free slot or in place of a move it already knows.
+   *
+   * @param {Move} move - The move to learn.
+   * @param {Move|number} [replaced] - The known move to forget, or the slot that it is in. Required when this Pokemon
+   *                                   already knows four moves.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   * @throws {TypeError} If the move is not an instance of the Move class.
+   * @throws {RangeError} If this Pokemon already knows the move, or knows four moves and none is being replaced.
+   */
+  learnMove(move, replaced) {
+    if (!(move instanceof Move))
+      throw new TypeError("A Pokemon can only learn instances of the Move class.");
+
+    if (this.getMoves().includes(move))
+      throw new RangeError(`${this.#nickname} already knows ${move}.`);
+
+    const slot = replaced === undefined ? this.#moves.length : this.#slotOf(replaced);
+    if (slot >= 4)
+      throw new RangeError(`${this.#nickname} already knows 4 moves, so one must be forgotten to learn ${move}.`);
+
+    this.#moves[slot] = {move, pp: move.getPP()};
+    return this;
+  }
+
+  /**
+   * Returns how many power points one of this Pokemon's moves has left.
+   * @param {Move|number} move - The move, or the slot that it is in.
+   * @returns {number}
+   */
+  getPP(move) {
+    return this.#moves[this.#slotOf(move)].pp;
+  }
+
+  /**
+   * Uses up power points of one of this Pokemon's moves. PP never drops below 0.
+   * @param {Move|number} move - The move, or the slot that it is in.
+   * @param {number} [amount=1] - The amount of PP to use (e.g. 2 against a Pokemon with Pressure).
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  usePP(move, amount = 1) {
+    const known = this.#moves[this.#slotOf(move)];
+    known.pp = Math.max(0, known.pp - amount);
+    return this;
+  }
+
+  /**
+   * Restores power points of one of this Pokemon's moves, up to the move's base PP.
+   * @param {Move|number} move - The move, or the slot that it is in.
+   * @param {number} [amount=Infinity] - The amount of PP to restore. Restores all of it by default.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  restorePP(move, amount = Infinity) {
+    const known = this.#moves[this.#slotOf(move)];
+    known.pp = Math.min(known.move.getPP(), known.pp + amount);
+    return this;
+  }
+
+  /**
+   * Returns the in-battle stat stages of this Pokemon.
+   * @returns {Stages}
+   */
+  getStages() {
+    return this.#stages;
+  }
+
+  /**
+   * Returns the remaining HP of this Pokemon.
+   * @returns {number}
+   */
+  getCurrentHP() {
+    return this.#currentHP;
+  }
+
+  /**
+   * Sets the remaining HP of this Pokemon, which is kept between 0 and its max HP.
+   * @param {number} hp - The new remaining HP.
+   * @returns {Pokemon} This object, allowing for method chaining.
+   */
+  setCurrentHP(hp) {
+    this.#currentHP = Math.min(this.getStats().hp, Math.max(0, Math.floor(hp)));
+    return this;
+  }
+
+  /**
+   * Indicates whether this Pokemon has fainted.
+   * @returns {boolean}
+   */
+  isFainted() {
+    return this.#currentHP === 0;
+  }
+
+  toString() {
+    return this.#nickname;
+  }
+}
+
+/**
+ * Calculates the HP stat of a Pokémon based on its base, IV, EV, and level.
+ *
+ * @param {number} base - The base HP stat of the Pokémon.
+ * @param {number} iv - The individual value (IV) of the Pokémon's HP stat.
+ * @param {number} ev - The effort value (EV) of the Pokémon's HP stat.
+ * @param {number} lv - The level of the Pokémon.
+ * @returns {number} The calculated HP stat of the Pokémon.
+ */
+function calcHP(base, iv, ev, lv) {
+  return Math.floor((2 * base + iv + Math.floor(0.25 * ev)) * lv / 100) + lv + 10;
+}
+
+/**
+ * Calculates the non-HP stat of a Pokémon based on its base, IV, EV, nature, and level.
+ *
+ * @param {number} base - The base non-HP stat of the Pokémon.
+ * @param {number} iv - The individual value (IV) of the Pokémon's non-HP stat.
+ * @param {number} ev - The effort value (EV) of the Pokémon's non-HP stat.
+ * @param {number} lv - The level of the Pokémon.
+ * @param {number} nature - The nature modifier of the Pokémon.
+ * @returns {number} The calculated non-HP stat of the Pokémon.
+ */
+function calcNonHP(base, iv, ev, lv, nature) {
+  return Math.floor(nature * (Math.floor((2 * base + iv + Math.floor(0.25 * ev)) * lv / 100) + 5));
+}
+
+/**
+ * Calculates the bonus that Stat Experience gives to a stat in Gens I and II, which is a quarter of its square root
+ * rounded up, capped at 255 before dividing.
+ *
+ * @private
+ * @param {number} statExp - The Stat Experience of the stat, from 0 to 65535.
+ * @returns {number} The bonus to the stat before it is scaled by level.
+ */
+function statExpBonus(statExp) {
+  return Math.floor(Math.min(255, Math.floor(Math.sqrt(Math.max(0, statExp - 1))) + 1) / 4);
+}
+
+/**
+ * Calculates the HP stat of a Pokémon in Gens I and II based on its base, DV, Stat Experience, and level.
+ *
+ * @param {number} base - The base HP stat of the Pokémon.
+ * @param {number} dv - The determinant value (DV) of the Pokémon's HP stat.
+ * @param {number} statExp - The Stat Experience of the Pokémon's HP stat.
+ * @param {number} lv - The level of the Pokémon.
+ * @returns {number} The calculated HP stat of the Pokémon.
+ */
+function calcOldGenHP(base, dv, statExp, lv) {
+  return Math.floor(((base + dv) * 2 + statExpBonus(statExp)) * lv / 100) + lv + 10;
+}
+
+/**
+ * Calculates the non-HP stat of a Pokémon in Gens I and II based on its base, DV, Stat Experience, and level.
+ *
+ * @param {number} base - The base non-HP stat of the Pokémon.
+ * @param {number} dv - The determinant value (DV) of the Pokémon's non-HP stat.
+ * @param {number} statExp - The Stat Experience of the Pokémon's non-HP stat.
+ * @param {number} lv - The level of the Pokémon.
+ * @returns {number} The calculated non-HP stat of the Pokémon.
+ */
+function calcOldGenNonHP(base, dv, statExp, lv) {
+  return Math.floor(((base + dv) * 2 + statExpBonus(statExp)) * lv / 100) + 5;
+}
+
+/**
+ * Calculates the type effectiveness of a Pokémon's attack against a defender's type.
+ *
+ * @param {string} attackerType - The type of the Pokémon using the attack.
+ * @param {string} defenderType - The type of the Pokémon being attacked.
+ * @returns {number} A number value representing the effectiveness of the attack.
+ */
+function calcTypeMod(attackerType, defenderType) {
+  const effectiveness = {
+    bug: { fighting: 0.5, flying: 2, ground: 0.5, rock: 2, fire: 2, grass: 0.5 },
+    dark: { fighting: 2, psychic: 0, bug: 2, ghost: 0.5, dark: 0.5, fairy: 2 },
+    dragon: { fire: 0.5, water: 0.5, electric: 0.5, grass: 0.5, ice: 2, dragon: 2, fairy: 2 },
+    electric: { flying: 0.5, ground: 2, electric: 0.5, dragon: 0.5, steel: 0.5 },
+    fairy: { fighting: 0.5, poison: 2, bug: 0.5, dragon: 0, dark: 0.5, steel: 2 },
+    fighting: { flying: 2, rock: 0.5, bug: 0.5, psychic: 2, dark: 0.5, fairy: 2 },
+    fire: { rock: 2, bug: 0.5, steel: 0.5, fire: 0.5, water: 2, grass: 0.5, ice: 0.5, dragon: 0.5, ground: 2, fairy: 0.5 },
+    flying: { fighting: 0.5, rock: 2, bug: 0.5, grass: 0.5, electric: 2, ice: 2, ground: 0 },
+    ghost: { normal: 0, fighting: 0, poison: 0.5, bug: 0.5, ghost: 2, dark: 2 },
+    grass: { flying: 2, poison: 2, ground: 0.5, bug: 2, fire: 2, grass: 0.5, water: 0.5, electric: 0.5, ice: 2 },
+    ground: { poison: 0.5, rock: 2, water: 2, grass: 0.5, electric: 0, ice: 2 },
+    ice: { steel: 2, fire: 2, ice: 0.5, rock: 2, fighting: 2 },
+    normal: { fighting: 2, ghost: 0 },
+    poison: { fighting: 0.5, poison: 0.5, ground: 2, bug: 0.5, grass: 0.5, fairy: 0.5, psychic: 2 },
+    psychic: { fighting: 0.5, psychic: 0.5, dark: 2, ghost: 2, bug: 2 },
+    rock: { normal: 0.5, fighting: 2, flying: 0.5, poison: 0.5, ground: 2, steel: 2, fire: 0.5, water: 2, grass: 2 },
+    steel: { normal: 0.5, fighting: 2, flying: 0.5, rock: 0.5, bug: 0.5, steel: 0.5, fire: 2, grass: 0.5, ice: 0.5, fairy: 0.5, poison: 0, ground: 2, psychic: 0.5, dragon: 0.5 },
+    water: { fire: 0.5, water: 0.5, grass: 2, electric: 2, ice: 0.5, steel: 0.5 }
+  };
+
+  if (effectiveness[defenderType.toLowerCase()].hasOwnProperty(attackerType.toLowerCase())) {
+    return effectiveness[defenderType.toLowerCase()][attackerType.toLowerCase()];
+  }
+
+  // All undefined combination types hit for neutral damage
+  return 1;
+}
+
+/**
+ * Applies a stat stage to a stat the way the games do, using integer ratios rather than floating point multipliers.
+ *
+ * @param {Gen} gen - The generation that the stage is being applied in.
+ * @param {number} stat - The stat before any stages are applied.
+ * @param {number} stage - The stat stage, from -6 to 6 inclusive.
+ * @returns {number} The stat after the stage has been applied.
+ */
+function applyStage(gen, stat, stage) {
+  // Gens I and II use a table of approximated ratios out of 100.
+  if (gen.match('I-II')) {
+    const ratios = [25, 28, 33, 40, 50, 66, 100, 150, 200, 250, 300, 350, 400];
+    return Math.max(1, Math.floor(stat * ratios[6 + stage] / 100));
+  }
+
+  return Math.floor(stat * Math.max(2, 2 + stage) / Math.max(2, 2 - stage));
+}
+
+/**
+ * Calculates the damage of a move in Generation I of the Pokémon games.
+ * @param {Object} params - The resolved values of the attack.
+ * @param {number} params.level - The level of the attacking Pokémon. Doubled on a critical hit.
+ * @param {number} params.a - The Attack (or Special) stat of the attacker after stages and burn. Unmodified on a
+ *                            critical hit.
+ * @param {number} params.d - The Defense (or Special) stat of the target after stages and Reflect/Light Screen.
+ *                            Unmodified on a critical hit.
+ * @param {number} params.power - The effective power of the used move.
+ * @param {boolean} [params.crit=false] - True if the move lands a critical hit.
+ * @param {number} [params.stab=1] - Same-Type Attack Bonus. 1.5 if the move's type matches one of the user's types.
+ * @param {number} [params.type1=1] - The type effectiveness against the target's first type.
+ * @param {number} [params.type2=1] - The type effectiveness against the target's second type.
+ * @param {number} [params.random=255] - The random factor from 217 to 255 inclusive.
+ * @returns {number} - The calculated damage.
+ */
+function calcGenIDamage({level, a, d, power, crit = false, stab = 1, type1 = 1, type2 = 1, random = 255}) {
+  if (type1 * type2 === 0) {
+    return 0;
+  }
+
+  // Stats that don't fit in a byte are scaled down along with the opposing stat.
+  if (a > 255 || d > 255) {
+    [a, d] = [Math.floor(a / 4), Math.max(1, Math.floor(d / 4))];
+  }
+
+  const lv = crit ? 2 * level : level;
+  let damage = Math.min(997, Math.floor(Math.floor(Math.floor(2 * lv / 5 + 2) * a * power / d) / 50)) + 2;
+
+  for (const mod of [stab, type1, type2]) {
+    damage = Math.floor(damage * mod);
+  }
+
+  // The random factor is skipped when the damage is already 1.
+  if (damage > 1) {
+    damage = Math.floor(damage * random / 255);
+  }
+
+  return Math.max(1, damage);
+}
+
+/**
+ * Calculates the damage of a move in Generation II of the Pokémon games.
+ * @param {Object} params - The resolved values of the attack.
+ * @param {number} params.level - The level of the attacking Pokémon.
+ * @param {number} params.a - The Attack (or Special Attack) stat of the attacker after stages and burn.
+ * @param {number} params.d - The Defense (or Special Defense) stat of the target after stages and Reflect/Light Screen.
+ * @param {number} params.power - The effective power of the used move.
+ * @param {number} [params.item=1] - 1.1 if the attacker holds an item that boosts the used move's type.
+ * @param {boolean} [params.crit=false] - True if the move lands a critical hit.
+ * @param {number} [params.weather=1] - 1.5 or 0.5 if the weather boosts or weakens the used move.
+ * @param {number} [params.stab=1] - Same-Type Attack Bonus. 1.5 if the move's type matches one of the user's types.
+ * @param {number} [params.type1=1] - The type effectiveness against the target's first type.
+ * @param {number} [params.type2=1] - The type effectiveness against the target's second type.
+ * @param {number} [params.random=255] - The random factor from 217 to 255 inclusive.
+ * @returns {number} - The calculated damage.
+ */
+function calcGenIIDamage({level, a, d, power, item = 1, crit = false, weather = 1, stab = 1, type1 = 1, type2 = 1,
+  random = 255}) {
+  if (type1 * type2 === 0) {
+    return 0;
+  }
+
+  // Stats that don't fit in a byte are scaled down along with the opposing stat.
+  if (a > 255 || d > 255) {
+    [a, d] = [Math.floor(a / 4), Math.max(1, Math.floor(d / 4))];
+  }
+
+  let damage = Math.floor(Math.floor(Math.floor(2 * level / 5 + 2) * a * power / d) / 50);
+  damage = Math.floor(damage * item);
+  if (crit) {
+    damage *= 2;
+  }
+  damage = Math.min(997, damage) + 2;
+
+  for (const mod of [weather, stab, type1, type2]) {
+    damage = Math.floor(damage * mod);
+  }
+  damage = Math.floor(damage * random / 255);
+
+  return Math.max(1, damage);
+}
+
+/**
+ * Calculates the damage of a move in Generation III of the Pokémon games. Every multiplier is applied in the order that
+ * the games apply them, and the result is floored after each step.
+ * @param {Object} params - The resolved values of the attack.
+ * @param {number} params.level - The level of the attacking Pokémon.
+ * @param {number} params.a - The effective Attack (or Special Attack) stat of the attacker after stages.
+ * @param {number} params.d - The effective Defense (or Special Defense) stat of the target after stages.
+ * @param {number} params.power - The effective power of the used move.
+ * @param {boolean} [params.isBurned=false] - True if the attacker is burned and the move is physical.
+ * @param {number} [params.screen=1] - 0.5, 2/3, or 1 depending on the presence of Reflect/Light Screen and whether
+ *                                     it's a Double Battle. Ignored on a critical hit.
+ * @param {number} [params.targets=1] - 0.5 in Double Battles if the move targets both foes, 1 otherwise.
+ * @param {number} [params.weather=1] - 0.5, 1, or 1.5 depending on the weather.
+ * @param {number} [params.ff=1] - 1.5 if the attacker has an activated Flash Fire and the move is Fire-type.
+ * @param {number} [params.stockpile=1] - 1, 2, or 3 depending on Stockpiles done for Spit Up, 1 otherwise.
+ * @param {boolean} [params.crit=false] - True if the move lands a critical hit.
+ * @param {number} [params.doubleDmg=1] - 2 if the used move has its power doubled by a battle condition (e.g. Facade
+ *                                         while statused, Earthquake against a target using Dig), 1 otherwise.
+ * @param {number} [params.charge=1] - 2 if the move is Electric-type and Charge takes effect, 1 otherwise.
+ * @param {number} [params.hh=1] - 1.5 if the attacker's ally used Helping Hand, 1 otherwise.
+ * @param {number} [params.stab=1] - Same-Type Attack Bonus. 1.5 if the move's type matches one of the user's types.
+ * @param {number} [params.type1=1] - The type effectiveness against the target's first type.
+ * @param {number} [params.type2=1] - The type effectiveness against the target's second type.
+ * @param {number} [params.random=100] - The random factor from 85 to 100 inclusive.
+ * @returns {number} - The calculated damage.
+ */
+function calcGenIIIDamage({level, a, d, power, isBurned = false, screen = 1, targets = 1, weather = 1, ff = 1,
+  stockpile = 1, crit = false, doubleDmg = 1, charge = 1, hh = 1, stab = 1, type1 = 1, type2 = 1, random = 100}) {
+  let damage = Math.floor(Math.floor(Math.floor(2 * level / 5 + 2) * a * power / d) / 50);
+
+  if (isBurned) {
+    damage = Math.floor(damage / 2);
+  }
+
+  // Screens are bypassed by critical hits.
+  for (const mod of [crit ? 1 : screen, targets, weather, ff]) {
+    damage = Math.floor(damage * mod);
+  }
+  damage += 2;
+
+  for (const mod of [stockpile, crit ? 2 : 1, doubleDmg, charge, hh, stab, type1, type2]) {
+    damage = Math.floor(damage * mod);
+  }
+  damage = Math.floor(damage * random / 100);
+
+  // Moves that aren't ineffective always deal at least 1 damage.
+  return type1 * type2 === 0 ? 0 : Math.max(1, damage);
+}
+
+/**
+ * Calculates the damage inflicted by a move in the fourth generation of Pokémon games. Every multiplier is applied in
+ * the order that the games apply them, and the result is floored after each step.
+ * @param {Object} params - The resolved values of the attack.
+ * @param {number} params.level - The level of the attacking Pokémon.
+ * @param {number} params.a - The effective Attack stat of the attacking Pokémon if the used move is physical, or the
+ *                            effective Special Attack stat of the attacking Pokémon if the used move is special.
+ * @param {number} params.d - The effective Defense stat of the target if the used move is physical, or the effective
+ *                            Special Defense stat of the target if the used move is special.
+ * @param {number} params.power - The effective power of the used move.
+ * @param {boolean} [params.isBurned=false] - True if the attacker is burned, its Ability is not Guts, and the used move
+ *                                            is a physical move.
+ * @param {number} [params.screen=1] - 0.5 if the used move is physical and Reflect is present on the target's side of
+ *                                     the field, or special and Light Screen is present. For a Double Battle, Screen is
+ *                                     instead 2/3. Ignored on a critical hit.
+ * @param {number} [params.targets=1] - 0.75 in Double Battles if the used move has more than one target.
+ * @param {number} [params.weather=1] - 1.5 if a Water-type move is being used during rain or a Fire-type move during
+ *                                      harsh sunlight, and 0.5 for the reverse.
+ * @param {number} [params.ff=1] - 1.5 if the used move is Fire-type and the attacker's Ability is Flash Fire that has
+ *                                 been activated by a Fire-type move.
+ * @param {boolean} [params.crit=false] - True if the move lands a critical hit.
+ * @param {number} [params.critical=2] - The critical hit multiplier, 3 if the attacker's Ability is Sniper.
+ * @param {number} [params.item=1] - 1.3 if the attacker is holding a Life Orb, 1 + (n / 10) if the attacker is holding
+ *                                   a Metronome, where n is the amount of times the same move has been successfully and
+ *                                   consecutively used, up to 10.
+ * @param {number} [params.first=1] - 1.5 if the used move was stolen with Me First.
+ * @param {number} [params.random=100] - The random factor from 85 to 100 inclusive.
+ * @param {number} [params.stab=1] - Same-Type Attack Bonus. 1.5 if the move's type matches one of the user's types, 2
+ *                                   with Adaptability.
+ * @param {number} [params.type1=1] - The type effectiveness of the used move against the target's first type.
+ * @param {number} [params.type2=1] - The type effectiveness of the used move against the target's second type.
+ * @param {number} [params.srf=1] - 0.75 if the used move is super effective and the target's Ability is Solid Rock or
+ *                                  Filter.
+ * @param {number} [params.eb=1] - 1.2 if the used move is super effective and the attacker holds an Expert Belt.
+ * @param {number} [params.tl=1] - 2 if the used move is not very effective and the attacker's Ability is Tinted Lens.
+ * @param {number} [params.berry=1] - 0.5 if the target ate a Berry that weakens the used move.
+ * @returns {number} The amount of damage inflicted by the move.
+ */
+function calcGenIVDamage({level, a, d, power, isBurned = false, screen = 1, targets = 1, weather = 1, ff = 1,
+  crit = false, critical = 2, item = 1, first = 1, random = 100, stab = 1, type1 = 1, type2 = 1, srf = 1, eb = 1, tl = 1,
+  berry = 1}) {
+  let damage = Math.floor(Math.floor(Math.floor(2 * level / 5 + 2) * power * a / 50) / d);
+
+  if (isBurned) {
+    damage = Math.floor(damage / 2);
+  }
+
+  // Screens are bypassed by critical hits.
+  for (const mod of [crit ? 1 : screen, targets, weather, ff]) {
+    damage = Math.floor(damage * mod);
+  }
+  damage += 2;
+
+  for (const mod of [crit ? critical : 1, item, first]) {
+    damage = Math.floor(damage * mod);
+  }
+  damage = Math.floor(damage * random / 100);
+
+  for (const mod of [stab, type1, type2, srf, eb, tl, berry]) {
+    damage = Math.floor(damage * mod);
+  }
+
+  return type1 * type2 === 0 ? 0 : Math.max(1, damage);
+}
+
+/**
+ * Rounds a number the way the games from Gen V onward do: to the nearest integer, with halves rounded down.
+ *
+ * @param {number} num - The number to round.
+ * @returns {number} The rounded number.
+ */
+function pokeRound(num) {
+  return num % 1 > 0.5 ? Math.ceil(num) : Math.floor(num);
+}
+
+/**
+ * Chains a list of multipliers into a single multiplier on the 4096 scale that the games from Gen V onward use, rounding
+ * after each multiplication exactly as the games do.
+ *
+ * @param {number[]} mods - The multipliers to chain (e.g. 1.5 or 2732 / 4096).
+ * @returns {number} The chained multiplier as an integer out of 4096.
+ */
+function chainMods(mods) {
+  let chained = 4096;
+  for (const mod of mods) {
+    if (mod !== 1) {
+      chained = (chained * Math.round(mod * 4096) + 2048) >> 12;
+    }
+  }
+
+  return chained;
+}
+
+/**
+ * Calculates the damage inflicted by a move from Gen V onward. Modifiers are applied on the 4096 scale that the games
+ * use, in the order that they are applied in game, and are rounded with `pokeRound` after every step so that the
+ * results match in-game numbers exactly.
+ * @param {Object} params - The resolved values of the attack.
+ * @param {number} params.level - The level of the attacking Pokémon.
+ * @param {number} params.a - The Attack (or Special Attack) stat of the attacker after stages.
+ * @param {number} params.d - The Defense (or Special Defense) stat of the target after stages.
+ * @param {number} params.power - The base power of the used move.
+ * @param {boolean} [params.isBurned=false] - True if the attacker is burned and the used move is physical.
+ * @param {number} [params.screen=1] - 2048/4096 if Reflect or Light Screen applies to the used move, 2732/4096 in a
+ *                                     Double Battle (2703/4096 in Gen V). Ignored on a critical hit.
+ * @param {number} [params.targets=1] - 0.75 if the used move has more than one target.
+ * @param {number} [params.weather=1] - 1.5 or 0.5 if the weather boosts or weakens the used move, or 0 if it fails.
+ * @param {number} [params.ff=1] - 1.5 if the used move is Fire-type and the attacker's Flash Fire has been activated.
+ * @param {boolean} [params.crit=false] - True if the move lands a critical hit.
+ * @param {number} [params.critical=1.5] - The critical hit multiplier, 2 in Gen V.
+ * @param {number} [params.critMod=1] - The multiplier that the attacker's ability applies to the final damage of a
+ *                                      critical hit, like Sniper.
+ * @param {number} [params.doubleDmg=1] - 2 if a battle condition doubles the power of the used move.
+ * @param {number} [params.charge=1] - 2 if the move is Electric-type and Charge takes effect.
+ * @param {number} [params.hh=1] - 1.5 if the attacker's ally used Helping Hand.
+ * @param {number} [params.random=100] - The random factor from 85 to 100 inclusive.
+ * @param {number} [params.stab=1] - Same-Type Attack Bonus. 1.5 if the move's type matches one of the user's types.
+ * @param {number} [params.type1=1] - The type effectiveness of the used move against the target's first type.
+ * @param {number} [params.type2=1] - The type effectiveness of the used move against the target's second type.
+ * @param {number} [params.powerMod=1] - The multiplier that abilities and held items apply to the power of the used
+ *                                       move, like Technician or a plate.
+ * @param {number} [params.final=1] - The multiplier that abilities and held items apply to the final damage, like
+ *                                    Filter, Expert Belt, or Life Orb.
+ * @returns {number} The amount of damage inflicted by the move.
+ */
+function calcGenVPlusDamage({level, a, d, power, isBurned = false, screen = 1, targets = 1, weather = 1, ff = 1,
+  crit = false, critical = 1.5, critMod = 1, doubleDmg = 1, charge = 1, hh = 1, random = 100, stab = 1, type1 = 1,
+  type2 = 1, powerMod = 1, final = 1}) {
+  if (type1 * type2 === 0 || weather === 0) {
+    return 0;
+  }
+
+  power = Math.max(1, pokeRound(power * chainMods([hh, charge, doubleDmg, powerMod]) / 4096));
+  a = Math.max(1, pokeRound(a * chainMods([ff]) / 4096));
+
+  let damage = Math.floor(Math.floor(Math.floor(2 * level / 5 + 2) * power * a / d) / 50) + 2;
+
+  damage = pokeRound(damage * chainMods([targets]) / 4096);
+  damage = pokeRound(damage * chainMods([weather]) / 4096);
+  if (crit) {
+    damage = Math.floor(damage * critical);
+  }
+  damage = Math.floor(damage * random / 100);
+  damage = pokeRound(damage * chainMods([stab]) / 4096);
+  damage = Math.floor(damage * type1 * type2);
+  if (isBurned) {
+    damage = pokeRound(damage * 2048 / 4096);
+  }
+
+  // Screens are bypassed by critical hits, which the attacker's ability can boost instead.
+  damage = pokeRound(damage * chainMods([crit ? 1 : screen, crit ? critMod : 1, final]) / 4096);
+
+  return Math.max(1, damage);
+}
+
+/**
+ * The damage formula used by each range of generations.
+ * @type {Object.<string, function(Object): number>}
+ */
+const damageFormulas = {
+  'I': calcGenIDamage,
+  'II': calcGenIIDamage,
+  'III': calcGenIIIDamage,
+  'IV': calcGenIVDamage,
+  'V+': calcGenVPlusDamage
+};
+
+/**
+ * Resolves the attacker, defender, move, and field into the values that the damage formulas of the attacker's
+ * generation expect, leaving out the critical hit and random factors.
+ *
+ * @param {Pokemon} attacker - The Pokemon using the move.
+ * @param {Pokemon} defender - The Pokemon being hit by the move.
+ * @param {Move} move - The move being used.
+ * @param {Object} field - The conditions that the attack takes place under. See `calcDamage`.
+ * @returns {Object} The parameters for the damage formula of the attacker's generation.
+ */
+function resolveDamageParams(attacker, defender, move, field) {
+  const {weather = Weather.NONE, terrain = Terrain.NONE, isDoubleBattle = false, isSpread = false, reflect = false,
+    lightScreen = false, gravity = false, wonderRoom = false, helpingHand = false, flashFire = false, charged = false,
+    doubleDamage = false} = field;
+  const gen = attacker.getGen();
+
+  // Tera Blast takes on the attacker's tera type once it has Terastallized, and becomes physical if its Attack is the
+  // higher of its attacking stats after stages.
+  const isTeraBlast = move.getName() === 'Tera Blast' && attacker.isTerastallized();
+  const attacking = stat => applyStage(gen, attacker.getStats()[stat], attacker.getStages().getStats()[stat]);
+  const moveType = isTeraBlast ? attacker.getTeraType() : move.getType(gen);
+  const isPhysical = isTeraBlast ? attacking('atk') > attacking('spAtk') : move.getCategory(gen) === Move.PHYSICAL;
+  const [defType1, defType2] = defender.getTypes();
+  const [atkAbility, defAbility] = [Ability.get(attacker.getAbility()), Ability.get(defender.getAbility())];
+  const [atkItem, defItem] = [attacker.getItem() ?? Item.get(null), defender.getItem() ?? Item.get(null)];
+
+  // Abilities and items are asked about the attack from the side of the Pokemon that holds them.
+  const activeWeather = getActiveWeather(weather, attacker, defender);
+  const context = {gen, attacker, defender, move, moveType, weather: activeWeather, terrain, gravity};
+  const [asAttacker, asDefender] = [{...context, role: 'attacker'}, {...context, role: 'defender'}];
+
+  // Type effectiveness is worked out against each of the defender's types, which abilities can change separately.
+  // Strong winds take away the weaknesses of the Flying type before anything else looks at the defender's types, and
+  // Gravity takes away its immunity to Ground-type moves.
+  const groundedType = defType => gravity && moveType === Type.GROUND && defType === Type.FLYING ? Type.TYPELESS
+    : defType;
+  // A Stellar Tera Blast is super effective against Terastallized Pokemon and neutral against the rest.
+  const effectiveness = moveType === Type.STELLAR ? [defender.isTerastallized() ? 2 : 1, 1]
+    : [defType1, defType2].map(defType => moveType.attack(gen, groundedType(activeWeather.modifyDefenderType(gen,
+      defType))));
+  const total = effectiveness[0] * effectiveness[1];
+  const [type1, type2] = [defType1, defType2].map((defType, i) => [atkAbility, defAbility].reduce(
+    (eff, ability, j) => ability.modifyTypeEffectiveness({...context, role: j === 0 ? 'attacker' : 'defender',
+      defType, effectiveness: eff, total}), effectiveness[i]));
+
+  // Gen I has a single Special stat that is used for both attacking and defending.
+  const [atkStat, defStat] = isPhysical ? ['atk', 'def'] : gen.match('I') ? ['spAtk', 'spAtk'] : ['spAtk', 'spDef'];
+
+  const atkStage = attacker.getStages().getStats()[atkStat];
+  const defStage = defender.getStages().getStats()[defStat];
+  const atk = attacker.getStats()[atkStat];
+
+  // Wonder Room swaps the defender's Defense and Special Defense stats, but not their stages.
+  const def = defender.getStats()[wonderRoom && !gen.match('I') ? {def: 'spDef', spDef: 'def'}[defStat] : defStat];
+  const [atkStatContext, defStatContext] = [{...asAttacker, pokemon: attacker, stat: atkStat},
+    {...asDefender, pokemon: defender, stat: defStat}];
+  const atkMods = [...[atkAbility, atkItem].map(holder => holder.modifyStat(atkStatContext)),
+    defAbility.modifyFoeStat({...asDefender, pokemon: attacker, stat: atkStat})];
+  const defMods = [defAbility, defItem, activeWeather].map(holder => holder.modifyStat(defStatContext));
+  const powerMods = [atkAbility.modifyPower(asAttacker), defAbility.modifyPower(asDefender),
+    atkItem.modifyPower(asAttacker), defItem.modifyPower(asDefender), terrain.modifyPower(context)];
+
+  // The final modifiers go in the order that the games apply them: abilities, Expert Belt, Life Orb, then berries.
+  const [atkEffective, defEffective] = [{...asAttacker, effectiveness: type1 * type2},
+    {...asDefender, effectiveness: type1 * type2}];
+  const finalMods = [atkAbility.modifyDamage(atkEffective), defAbility.modifyDamage(defEffective),
+    atkItem.modifyDamageByEffectiveness(atkEffective), atkItem.modifyDamage(asAttacker),
+    defItem.modifyDamageByEffectiveness(defEffective), defItem.modifyDamage(asDefender)];
+
+  // Gen V onward chains modifiers in 4096ths, rounding halves down, while earlier generations floor after each one.
+  const applyMods = (value, mods) => gen.match('V+') ? Math.max(1, pokeRound(value * chainMods(mods) / 4096))
+    : mods.reduce((modified, mod) => Math.floor(modified * mod), value);
+
+  // Guts ignores the burn's drop in Attack, and so does Facade from Gen VI on, on top of doubling its power while the
+  // attacker has a status condition.
+  const status = attacker.getStatus()?.getName() ?? null;
+  const isFacade = move.getName() === 'Facade' && [Status.BURN, Status.PARALYSIS, Status.POISON, Status.BADLY_POISONED]
+    .includes(status);
+  const burned = status === Status.BURN && isPhysical && attacker.getAbility() !== 'Guts'
+    && !(isFacade && gen.match('VI+'));
+  const doubleDmg = doubleDamage || isFacade ? 2 : 1;
+  // Infiltrator gets past screens from Gen V on.
+  const infiltrates = attacker.getAbility() === 'Infiltrator' && gen.match('V+');
+  const screened = (isPhysical ? reflect : lightScreen) && !infiltrates;
+
+  // Screens are weaker in Double Battles, where the games from Gen V onward use their own 4096-based values.
+  const screenMod = !isDoubleBattle ? 0.5 : gen.match('III-IV') ? 2 / 3 : gen.match('V') ? 2703 / 4096 : 2732 / 4096;
+
+  // Critical hits ignore the attacker's negative stages and the defender's positive stages.
+  let a = crit => applyMods(applyStage(gen, atk, crit ? Math.max(0, atkStage) : atkStage), atkMods);
+  let d = crit => applyMods(applyStage(gen, def, crit ? Math.min(0, defStage) : defStage), defMods);
+
+  // Gens I and II apply burn and screens to the stats themselves. Critical hits ignore them along with every stage in
+  // Gen I, and in Gen II only when the attacker's stage is not higher than the defender's.
+  if (gen.match('I-II')) {
+    const critIgnoresMods = gen.match('I') || atkStage <= defStage;
+    a = crit => crit && critIgnoresMods ? atk : Math.max(1, Math.floor(applyStage(gen, atk, atkStage) / (burned ? 2 : 1)));
+    d = crit => crit && critIgnoresMods ? def : applyStage(gen, def, defStage) * (screened ? 2 : 1);
+  }
+
+  // Terastallized Pokemon use weak moves of their tera type with 60 power unless the moves have increased priority, and
+  // a Stellar Tera Blast has 100.
+  let basePower = move.getPower(gen);
+  if (isTeraBlast && moveType === Type.STELLAR)
+    basePower = 100;
+  else if (attacker.isTerastallized() && moveType === attacker.getTeraType() && basePower > 0
+    && move.getPriority(gen) <= 0)
+    basePower = Math.max(60, basePower);
+
+  return {
+    level: attacker.getLevel(),
+
+    // Gen IV has no separate modifier for doubled power, so it is applied to the power itself.
+    power: gen.match('V+') ? basePower
+      : applyMods(basePower, gen.match('IV') ? [doubleDmg, ...powerMods] : powerMods),
+    powerMod: chainMods(powerMods) / 4096,
+    a,
+    d,
+    item: atkItem.modifyDamage(asAttacker),
+    isBurned: burned,
+    screen: screened ? screenMod : 1,
+    targets: isDoubleBattle && isSpread ? (gen.match('III') ? 0.5 : 0.75) : 1,
+    // Sniper multiplies the critical hit multiplier until Gen IV, and the final damage of critical hits from Gen V on.
+    critical: gen.match('VI+') ? 1.5 : gen.match('V') ? 2 : 2 * atkAbility.getCritical(),
+    critMod: atkAbility.getCritical(),
+    weather: activeWeather.encompass(moveType),
+    ff: flashFire && moveType === Type.FIRE ? 1.5 : 1,
+    doubleDmg,
+    charge: charged && moveType === Type.ELECTRIC ? 2 : 1,
+    hh: helpingHand ? 1.5 : 1,
+    stab: calcStab(attacker, moveType),
+    type1,
+    type2,
+    final: chainMods(finalMods) / 4096,
+
+    // Gen IV floors after each final modifier: Filter and Solid Rock, Expert Belt, Tinted Lens, then resist berries.
+    srf: defAbility.modifyDamage(defEffective),
+    eb: atkItem.modifyDamageByEffectiveness(atkEffective),
+    tl: atkAbility.modifyDamage(atkEffective),
+    berry: defItem.modifyDamageByEffectiveness(defEffective)
+  };
+}
+
+/**
+ * Calculates the same-type attack bonus of a move. Terastallized Pokemon keep the bonus for their original types and
+ * gain it for their tera type, which doubles when the tera type is one of their original types. Adaptability raises
+ * the bonus for the Pokemon's current types from 1.5 to 2, or from 2 to 2.25. The Stellar tera type boosts each type
+ * of move once: to 2 for the original types, and by 4915/4096 for the rest.
+ *
+ * @param {Pokemon} attacker - The Pokemon using the move.
+ * @param {Type} moveType - The type of the move.
+ * @returns {number} The multiplier of the damage.
+ */
+function calcStab(attacker, moveType) {
+  const isOriginal = moveType !== Type.TYPELESS && attacker.getOriginalTypes().includes(moveType);
+  if (attacker.hasStellarBoost(moveType))
+    return isOriginal ? 2 : 4915 / 4096;
+
+  const isTera = attacker.isTerastallized() && attacker.getTeraType() === moveType;
+  const stab = isTera && isOriginal ? 2 : isTera || isOriginal ? 1.5 : 1;
+  const abilityStab = Ability.get(attacker.getAbility()).getStab();
+  if (!attacker.hasType(moveType) || abilityStab === 1.5)
+    return stab;
+
+  return stab === 2 ? 2.25 : abilityStab;
+}
+
+/**
+ * Returns the weather that takes effect, which is none at all while any of the Pokemon involved has an ability like
+ * Cloud Nine.
+ *
+ * @param {Weather} weather - The weather on the field.
+ * @param {...Pokemon} pokemon - The Pokemon involved, e.g. the attacker and the defender of an attack.
+ * @returns {Weather} The weather that takes effect.
+ */
+function getActiveWeather(weather, ...pokemon) {
+  return pokemon.some(p => Ability.get(p.getAbility()).suppressesWeather()) ? Weather.NONE : weather;
+}
+
+/**
+ * Calculates the chance that a Pokemon lands a critical hit. Gen I bases the chance on the attacker's base Speed, while
+ * later generations use the attacker's critical hit stage.
+ *
+ * @param {Pokemon} attacker - The Pokemon using the move.
+ * @returns {number} The probability of a critical hit, from 0 to 1.
+ */
+function calcCritChance(attacker) {
+  const gen = attacker.getGen();
+  if (gen.match('I')) {
+    return Math.min(255, Math.floor(attacker.getBaseStats().spe / 2)) / 256;
+  }
+
+  return attacker.getStages().getMultipliers(gen).critRatio;
+}
+
+/**
+ * Calculates the chance that a move hits its target after the weather, Gravity, and the accuracy and evasion stages are
+ * applied.
+ *
+ * @param {Pokemon} attacker - The Pokemon using the move.
+ * @param {Pokemon} defender - The Pokemon being targeted by the move.
+ * @param {Move} move - The move being used.
+ * @param {Object} [field={}] - The conditions of the battle.
+ * @param {Weather} [field.weather=Weather.NONE] - The weather on the field.
+ * @param {boolean} [field.gravity=false] - True if Gravity is up, which makes moves 5/3 as accurate.
+ * @returns {number} The probability of the move hitting, from 0 to 1.
+ */
+function calcHitChance(attacker, defender, move, {weather = Weather.NONE, gravity = false} = {}) {
+  const gen = attacker.getGen();
+  let accuracy = move.getAccuracy(gen);
+  if (typeof accuracy !== 'number') {
+    return 1;
+  }
+
+  accuracy = getActiveWeather(weather, attacker, defender).modifyAccuracy(gen, move, accuracy) * (gravity ? 5 / 3 : 1);
+  if (accuracy === Infinity) {
+    return 1;
+  }
+
+  // Gen I compares a random byte against the accuracy scaled to 255, so even perfectly accurate moves miss 1/256 of
+  // the time. The accuracy and evasion stages are applied to the scaled accuracy one after the other, rounding down.
+  if (gen.match('I')) {
+    const {accuracy: accMod} = attacker.getStages().getMultipliers(gen);
+    const {evasion: evaMod} = defender.getStages().getMultipliers(gen);
+
+    let chance = Math.min(255, Math.floor(accuracy * 255 / 100));
+    for (const mod of [accMod, evaMod]) {
+      chance = Math.max(1, Math.min(255, Math.floor(chance * mod)));
+    }
+
+    return chance / 256;
+  }
+
+  // Gen II applies the accuracy and evasion stages separately, while later generations subtract the target's evasion
+  // stage from the user's accuracy stage and use the multiplier of the net stage.
+  if (gen.match('II')) {
+    const {accuracy: accMod} = attacker.getStages().getMultipliers(gen);
+    const {evasion: evaMod} = defender.getStages().getMultipliers(gen);
+
+    return Math.min(1, accuracy / 100 * accMod * evaMod);
+  }
+
+  const stage = Math.max(-6, Math.min(6, attacker.getStages().getAccuracyVal() - defender.getStages().getEvasionVal()));
+  const {accuracy: stageMod} = new Stages({accuracy: stage}).getMultipliers(gen);
+
+  return Math.min(1, accuracy / 100 * stageMod);
+}
+
+/**
+ * Calculates the damage that a Pokemon deals to another with a move, using the damage formula of the attacker's
+ * generation. The abilities and held items of both Pokemon are applied.
+ *
+ * @param {Pokemon} attacker - The Pokemon using the move.
+ * @param {Pokemon} defender - The Pokemon being hit by the move.
+ * @param {Move} move - The move being used.
+ * @param {Object|Field} [field={}] - The conditions that the attack takes place under, or a Field to read them from
+ *                                    (see `Field#getAttackConditions`).
+ * @param {Weather} [field.weather=Weather.NONE] - The weather on the field.
+ * @param {Terrain} [field.terrain=Terrain.NONE] - The terrain on the field.
+ * @param {boolean} [field.isDoubleBattle=false] - True if the battle is a Double Battle.
+ * @param {boolean} [field.isSpread=false] - True if the move hits more than one target.
+ * @param {boolean} [field.reflect=false] - True if Reflect is up on the defender's side of the field.
+ * @param {boolean} [field.lightScreen=false] - True if Light Screen is up on the defender's side of the field.
+ * @param {boolean} [field.gravity=false] - True if Gravity is up.
+ * @param {boolean} [field.wonderRoom=false] - True if Wonder Room is up.
+ * @param {boolean} [field.helpingHand=false] - True if the attacker's ally used Helping Hand this turn.
+ * @param {boolean} [field.flashFire=false] - True if the attacker's Flash Fire has been activated.
+ * @param {boolean} [field.charged=false] - True if the attacker used Charge last turn.
+ * @param {boolean} [field.doubleDamage=false] - True if a battle condition doubles the move's power.
+ * @returns {Object} The generation, the damage of every roll of a regular hit and of a critical hit along with their
+ *                   ranges in HP and in percent of the defender's max HP, the chances of landing a critical hit and of
+ *                   hitting at all, the chances to KO in 1 to 3 hits (`koChances[n - 1]`), the STAB and type
+ *                   effectiveness that were applied, and a one-line `summary` of the calculation.
+ * @throws {TypeError} If the attacker or defender are not Pokemon, or if the move is not a Move.
+ * @throws {GenerationError} If there is no damage formula for the attacker's generation.
+ */
+function calcDamage(attacker, defender, move, field = {}) {
+  if (!(attacker instanceof Pokemon) || !(defender instanceof Pokemon))
+    throw new TypeError('The attacker and defender must be instances of the Pokemon class.');
+
+  if (!(move instanceof Move))
+    throw new TypeError('The move must be an instance of the Move class.');
+
+  if (field instanceof Field)
+    field = field.getAttackConditions(attacker, defender);
+
+  // Dynamaxed Pokemon use the Max Move of every move they choose.
+  if (attacker.isDynamaxed())
+    move = move.toMaxMove(attacker);
+
+  const gen = attacker.getGen();
+  const genRange = Object.keys(damageFormulas).find(range => gen.match(range));
+  if (genRange === undefined)
+    throw new GenerationError(`No damage formula is available for ${gen}.`);
+
+  const formula = damageFormulas[genRange];
+  const {a, d, ...params} = resolveDamageParams(attacker, defender, move, field);
+  const roll = (crit, random) => formula({...params, a: a(crit), d: d(crit), crit, random});
+  // Moves whose power depends on the target's weight fail against Dynamaxed Pokemon.
+  const isDamaging = move.getCategory(gen) !== Move.STATUS && move.getPower(gen) > 0 && !(defender.isDynamaxed()
+    && ['Low Kick', 'Grass Knot', 'Heavy Slam', 'Heat Crash'].includes(move.getName()));
+
+  // Gens I and II draw the random factor out of 255 rather than out of 100.
+  const [minRandom, maxRandom] = gen.match('I-II') ? [217, 255] : [85, 100];
+  const randoms = Array.from({length: maxRandom - minRandom + 1}, (_, i) => minRandom + i);
+
+  const rolls = randoms.map(random => isDamaging ? roll(false, random) : 0);
+  const critRolls = randoms.map(random => isDamaging ? roll(true, random) : 0);
+  const critChance = calcCritChance(attacker);
+  const hitChance = calcHitChance(attacker, defender, move, field);
+
+  // Percentages are of the defender's max HP, while KOs are against the HP it has left.
+  const maxHP = defender.getStats().hp;
+  const toPercent = dmg => Math.floor(dmg * 1000 / maxHP) / 10;
+  const koChances = calcKOChances(rolls, critRolls, hitChance, critChance, defender.getCurrentHP());
+
+  const result = {
+    gen,
+    attacker: attacker.getName(),
+    defender: defender.getName(),
+    move: move.getName(),
+    rolls,
+    critRolls,
+    damage: [rolls[0], rolls[rolls.length - 1]],
+    critDamage: [critRolls[0], critRolls[critRolls.length - 1]],
+    percent: [toPercent(rolls[0]), toPercent(rolls[rolls.length - 1])],
+    critPercent: [toPercent(critRolls[0]), toPercent(critRolls[critRolls.length - 1])],
+    critChance,
+    hitChance,
+    koChances,
+    stab: params.stab,
+    typeEffectiveness: params.type1 * params.type2
+  };
+  result.summary = summarizeDamage(result, defender.getCurrentHP());
+
+  return result;
+}
+
+/**
+ * Calculates the chances of a move knocking out its target within 1, 2, ..., `maxHits` uses, taking into account
+ * every damage roll along with the chances of the move missing and landing a critical hit.
+ *
+ * @param {number[]} rolls - The damage of a regular hit for every random factor.
+ * @param {number[]} critRolls - The damage of a critical hit for every random factor.
+ * @param {number} hitChance - The probability of the move hitting.
+ * @param {number} critChance - The probability of the move landing a critical hit.
+ * @param {number} hp - The HP that the target has left.
+ * @param {number} [maxHits=3] - The largest number of uses to calculate the chance of a KO for.
+ * @returns {number[]} The chance of a KO after n uses at index n - 1.
+ */
+function calcKOChances(rolls, critRolls, hitChance, critChance, hp, maxHits = 3) {
+  // The probability of each amount of damage that a single use of the move can do.
+  const single = new Map([[0, 1 - hitChance]]);
+  for (const [dmgRolls, chance] of [[rolls, 1 - critChance], [critRolls, critChance]]) {
+    for (const dmg of dmgRolls) {
+      single.set(dmg, (single.get(dmg) || 0) + hitChance * chance / dmgRolls.length);
+    }
+  }
+
+  // Damage totals that already KO are folded into the KO chance so that they don't need to be tracked further.
+  const koChances = [];
+  let koChance = 0;
+  let totals = new Map([[0, 1]]);
+  for (let hit = 1; hit <= maxHits; hit++) {
+    const next = new Map();
+    for (const [total, totalChance] of totals) {
+      for (const [dmg, dmgChance] of single) {
+        const chance = totalChance * dmgChance;
+        if (total + dmg >= hp) {
+          koChance += chance;
+        } else if (chance > 0) {
+          next.set(total + dmg, (next.get(total + dmg) || 0) + chance);
+        }
+      }
+    }
+
+    totals = next;
+    koChances.push(Math.min(1, koChance));
+  }
+
+  return koChances;
+}
+
+/**
+ * Summarizes a damage calculation in a single line, in the same form that common damage calculators use.
+ * e.g. "Garchomp Earthquake vs. Heatran: 624-736 (161.6 - 190.6%) -- guaranteed OHKO"
+ *
+ * @param {Object} result - The result of `calcDamage`.
+ * @param {number} hp - The HP that the defender has left.
+ * @returns {string} The summary of the damage calculation.
+ */
+function summarizeDamage(result, hp) {
+  const {attacker, defender, move, damage: [min, max], percent: [minPct, maxPct], koChances} = result;
+  const header = `${attacker} ${move} vs. ${defender}: ${min}-${max} (${minPct} - ${maxPct}%)`;
+
+  if (max === 0) {
+    return `${header} -- no damage`;
+  }
+
+  // KOs that take more hits than the chances cover are estimated from the highest roll of a regular hit, as counting
+  // on critical hits would make them look far closer than they are.
+  const hits = koChances.findIndex(chance => chance > 0) + 1;
+  if (hits === 0) {
+    return `${header} -- possible ${Math.ceil(hp / max)}HKO`;
+  }
+
+  const koName = hits === 1 ? 'OHKO' : `${hits}HKO`;
+  // Summing the probabilities of every roll can leave a certain KO just shy of 1.
+  const chance = koChances[hits - 1];
+  if (chance > 1 - 1e-9) {
+    return `${header} -- guaranteed ${koName}`;
+  }
+
+  // Chances too small to show at one decimal place, like a KO that needs several critical hits in a row, aren't 0%.
+  const percent = Math.round(chance * 1000) / 10;
+  return `${header} -- ${percent > 0 ? percent : '<0.1'}% chance to ${koName}`;
+}
+
+/**
+ * Represents a single battle between two trainers, played one turn at a time. Each turn, both sides choose an action,
+ * either using one of their active Pokemon's moves or switching it out, and the turn is played as soon as both have
+ * chosen. Pokemon that faint have to be replaced before the next turn, and the battle ends when every Pokemon on a
+ * side has fainted. Everything that happens is written to a log that can be read back as text.
+ *
+ * @class
+ */
+class Battle {
+  static MOVE = 'move';
+  static SWITCH = 'switch';
+  // Battles don't let trainers use items from the bag yet, but the turn order already has a place for them.
+  static ITEM = 'item';
+
+  #gen;
+  #field;
+  #teams;
+  #names;
+  #random;
+  #turn = 0;
+  #log = [];
+
+  /**
+   * The action that each side chose for the coming turn, or null if it hasn't chosen yet.
+   * @type {Array<Object|null>}
+   */
+  #actions = [null, null];
+
+  /**
+   * The move that each Pokemon is locked into by its Choice item until it switches out.
+   * @type {Map<Pokemon, Move>}
+   */
+  #lockedMoves = new Map();
+
+  /**
+   * The index of the side that won, null for a draw, or undefined while the battle goes on.
+   * @type {number|null|undefined}
+   */
+  #winner = undefined;
+
+  /**
+   * Creates a new battle and sends out the first Pokemon of each team.
+   *
+   * @param {Pokemon[]} team1 - The Pokemon of the first side, from one to six of them, in the order they're sent out.
+   * @param {Pokemon[]} team2 - The Pokemon of the second side.
+   * @param {Object} [options={}] - Any additional details of the battle.
+   * @param {string[]} [options.names=['Player 1', 'Player 2']] - The names of the trainers of each side, for the log.
+   * @param {function(): number} [options.random=Math.random] - A source of random numbers from 0 (inclusive) to 1
+   *                                                            (exclusive).
+   * @throws {TypeError} If a team isn't an array of Pokemon.
+   * @throws {RangeError} If a team has no Pokemon or more than six, or a Pokemon is on both teams.
+   * @throws {GenerationError} If the Pokemon aren't all from the same generation.
+   */
+  constructor(team1, team2, {names = ['Player 1', 'Player 2'], random = Math.random} = {}) {
+    for (const team of [team1, team2]) {
+      if (!Array.isArray(team) || !team.every(pokemon => pokemon instanceof Pokemon))
+        throw new TypeError("A team must be an array of instances of the Pokemon class.");
+
+      if (team.length < 1 || team.length > 6)
+        throw new RangeError(`A team must have from 1 to 6 Pokemon, not ${team.length}.`);
+    }
+
+    if (team1.some(pokemon => team2.includes(pokemon)))
+      throw new RangeError("A Pokemon can't be on both teams.");
+
+    this.#gen = team1[0].getGen();
+    if (![...team1, ...team2].every(pokemon => pokemon.getGen() === this.#gen))
+      throw new GenerationError("Every Pokemon in a battle must be from the same generation.");
+
+    this.#field = new Field(this.#gen);
+    this.#teams = [[...team1], [...team2]];
+    this.#names = [...names];
+    this.#random = random;
+
+    const leads = this.#teams.map(team => team.find(pokemon => !pokemon.isFainted()) ?? team[0]);
+    leads.forEach((pokemon, side) => this.#sendOut(side, pokemon));
+    this.#bySpeed(leads).forEach(pokemon => this.#onSwitchIn(pokemon));
+    this.#checkWinner();
+  }
+
+  /**
+   * Returns the generation of the battle.
+   * @returns {Gen}
+   */
+  getGen() {
+    return this.#gen;
+  }
+
+  /**
+   * Returns the field that the battle takes place on, with the weather, the terrain, and both sides.
+   * @returns {Field}
+   */
+  getField() {
+    return this.#field;
+  }
+
+  /**
+   * Returns the Pokemon of one side.
+   * @param {number} side - The index of the side, 0 or 1.
+   * @returns {Pokemon[]} A copy of the team.
+   */
+  getTeam(side) {
+    return [...this.#teams[side]];
+  }
+
+  /**
+   * Returns the Pokemon in battle on one side.
+   * @param {number} side - The index of the side, 0 or 1.
+   * @returns {Pokemon}
+   */
+  getActive(side) {
+    return this.#field.getSide(side).getActive()[0];
+  }
+
+  /**
+   * Returns the number of turns that have been played.
+   * @returns {number}
+   */
+  getTurn() {
+    return this.#turn;
+  }
+
+  /**
+   * Returns every message that has been logged since the battle started, e.g. "Garchomp used Earthquake!".
+   * @returns {string[]} A copy of the log.
+   */
+  getLog() {
+    return [...this.#log];
+  }
+
+  /**
+   * Indicates whether the battle is over.
+   * @returns {boolean}
+   */
+  isOver() {
+    return this.#winner !== undefined;
+  }
+
+  /**
+   * Returns the side that won the battle.
+   * @returns {number|null} The index of the side that won, or null if the battle is still going or ended in a draw.
+   */
+  getWinner() {
+    return this.#winner ?? null;
+  }
+
+  /**
+   * Indicates whether a side has to replace its fainted Pokemon before the next turn can be played.
+   * @param {number} side - The index of the side, 0 or 1.
+   * @returns {boolean}
+   */
+  mustSwitch(side) {
+    return !this.isOver() && this.getActive(side).isFainted();
+  }
+
+  /**
+   * Indicates whether a side has yet to choose its action for the coming turn, or the Pokemon that replaces its
+   * fainted one.
+   * @param {number} side - The index of the side, 0 or 1.
+   * @returns {boolean}
+   */
+  isWaitingFor(side) {
+    if (this.isOver())
+      return false;
+
+    return this.mustSwitch(side) || (!this.mustSwitch(1 - side) && this.#actions[side] === null);
+  }
+
+  /**
+   * Returns every action that a side can choose right now. Moves that are out of PP, or that the active Pokemon's
+   * Choice item, Taunt, or Encore keep it from using, can't be chosen, and Pokemon that have no move left use
+   * Struggle. Trapped Pokemon can't switch out unless they fainted.
+   *
+   * @param {number} side - The index of the side, 0 or 1.
+   * @returns {Object[]} The actions, each either `{type: Battle.MOVE, move}` or `{type: Battle.SWITCH, pokemon}`.
+   */
+  getValidActions(side) {
+    if (!this.isWaitingFor(side))
+      return [];
+
+    const active = this.getActive(side);
+    const switches = this.#teams[side].filter(pokemon => pokemon !== active && !pokemon.isFainted())
+      .map(pokemon => ({type: Battle.SWITCH, pokemon}));
+    if (this.mustSwitch(side))
+      return switches;
+
+    const moves = active.getMoves().filter(move => this.#canSelect(active, move));
+    return [
+      ...(moves.length > 0 ? moves : [getMove('Struggle')]).map(move => ({type: Battle.MOVE, move})),
+      ...(active.isTrapped() ? [] : switches)
+    ];
+  }
+
+  /**
+   * Chooses the action of a side. The turn is played as soon as both sides have chosen, and a Pokemon that replaces a
+   * fainted one is sent out right away. A move action can also Mega Evolve (`megaEvolve`), Dynamax (`dynamax`), or
+   * Terastallize (`terastallize`) the active Pokemon at the start of the turn, or turn the move into a Z-Move
+   * (`zMove`), in the generations that have them and as long as the side hasn't already done so this battle.
+   *
+   * @param {number} side - The index of the side, 0 or 1.
+   * @param {Object} action - The action, as returned by `getValidActions`.
+   * @param {string} action.type - Either Battle.MOVE or Battle.SWITCH.
+   * @param {Move} [action.move] - The move to use.
+   * @param {Pokemon} [action.pokemon] - The Pokemon to switch in.
+   * @param {boolean} [action.megaEvolve=false] - True to Mega Evolve before moving.
+   * @param {boolean} [action.zMove=false] - True to use the move as a Z-Move.
+   * @param {boolean} [action.dynamax=false] - True to Dynamax before moving.
+   * @param {boolean} [action.terastallize=false] - True to Terastallize before moving.
+   * @returns {Battle} This object, allowing for method chaining.
+   * @throws {RangeError} If the side isn't waiting for an action, or can't choose this one.
+   */
+  chooseAction(side, action) {
+    if (!this.isWaitingFor(side))
+      throw new RangeError(`${this.#names[side]} can't choose an action right now.`);
+
+    const valid = this.getValidActions(side).find(({type, move, pokemon}) => type === action?.type
+      && (type === Battle.MOVE ? move === action.move : pokemon === action.pokemon));
+    if (valid === undefined)
+      throw new RangeError(`${this.#names[side]} can't choose that action right now.`);
+
+    if (action.type === Battle.MOVE && !this.#canUseMechanics(side, action))
+      throw new RangeError(`${this.getActive(side).getNickname()} can't do that this turn.`);
+
+    if (this.mustSwitch(side)) {
+      this.#switchIn(side, action.pokemon);
+      return this;
+    }
+
+    this.#actions[side] = {...action, side};
+    if (this.#actions.every(chosen => chosen !== null))
+      this.#playTurn();
+
+    return this;
+  }
+
+  /**
+   * Indicates whether a Pokemon can choose a move: it must have PP left for it, and not be kept from using it by its
+   * Choice item, Taunt, or Encore.
+   *
+   * @private
+   * @param {Pokemon} pokemon - The Pokemon.
+   * @param {Move} move - One of its moves.
+   * @returns {boolean} `true` if the move can be chosen, `false` otherwise.
+   */
+  #canSelect(pokemon, move) {
+    const locked = this.#lockedMoves.get(pokemon);
+    return pokemon.getPP(move) > 0 && (locked === undefined || locked === move)
+      && !pokemon.getVolatileStatuses().some(status => status.blocksMove(move));
+  }
+
+  /**
+   * Indicates whether the active Pokemon of a side can Mega Evolve, Dynamax, Terastallize, or use a Z-Move as a move
+   * action asks it to.
+   *
+   * @private
+   * @param {number} side - The index of the side.
+   * @param {Object} action - The move action.
+   * @returns {boolean} `true` if the Pokemon can do everything that the action asks, `false` otherwise.
+   */
+  #canUseMechanics(side, {move, megaEvolve = false, zMove = false, dynamax = false, terastallize = false}) {
+    const pokemon = this.getActive(side);
+    const used = mechanic => this.#field.getSide(side).hasUsed(mechanic);
+    return (!megaEvolve || (pokemon.getMegaEvolution() !== null && !used(Side.MEGA_EVOLUTION)))
+      && (!zMove || (pokemon.canUseZMove(move) && !used(Side.Z_MOVE)))
+      && (!dynamax || (this.#gen.match('VIII') && !pokemon.isDynamaxed() && !used(Side.DYNAMAX)))
+      && (!terastallize || (this.#gen.match('IX') && !pokemon.isTerastallized() && !used(Side.TERASTALLIZATION)));
+  }
+
+  /**
+   * Plays a turn once both sides have chosen their actions: Pokemon Mega Evolve, Dynamax, and Terastallize first, then
+   * the actions are carried out in order, and the effects of the end of the turn are applied unless the battle ended.
+   *
+   * @private
+   */
+  #playTurn() {
+    const actions = this.#actions;
+    this.#actions = [null, null];
+    this.#log.push(`Turn ${++this.#turn}`);
+
+    const bySpeed = this.#bySpeed([this.getActive(0), this.getActive(1)]);
+    const transforming = [...actions].sort((a, b) => bySpeed.indexOf(this.getActive(a.side))
+      - bySpeed.indexOf(this.getActive(b.side)));
+    for (const {side, megaEvolve, dynamax, terastallize} of transforming) {
+      const [pokemon, fieldSide] = [this.getActive(side), this.#field.getSide(side)];
+      const nickname = pokemon.getNickname();
+      if (terastallize) {
+        pokemon.terastallize(fieldSide);
+        this.#log.push(`${nickname} Terastallized!`);
+      }
+
+      if (dynamax) {
+        pokemon.dynamax(fieldSide);
+        this.#log.push(`${nickname} ${pokemon.isGigantamaxed() ? 'Gigantamaxed' : 'Dynamaxed'}!`);
+      }
+
+      if (megaEvolve) {
+        pokemon.megaEvolve(fieldSide);
+        this.#log.push(`${nickname} Mega Evolved into ${pokemon.getName()}!`);
+      }
+    }
+
+    // The order is decided after Mega Evolution, which keeps the Speed from before it in Gen VI.
+    let queue = resolveTurnOrder(actions, this.#field, this.#random);
+    while (queue.length > 0) {
+      const [action, ...rest] = queue;
+      if (action.type === Battle.SWITCH)
+        this.#switchIn(action.side, action.pokemon);
+      else
+        this.#useMove(action);
+
+      if (this.#checkWinner())
+        return;
+
+      // From Gen VIII on, the actions left are sorted again with the current Speed of each Pokemon after every action.
+      queue = this.#gen.match('VIII+') ? resolveTurnOrder(rest, this.#field, this.#random) : rest;
+    }
+
+    this.#endTurn();
+  }
+
+  /**
+   * Sorts Pokemon from the fastest to the slowest, breaking ties at random.
+   *
+   * @private
+   * @param {Pokemon[]} pokemon - The Pokemon.
+   * @returns {Pokemon[]} The Pokemon in order.
+   */
+  #bySpeed(pokemon) {
+    return pokemon.map(p => ({p, speed: this.#speedOf(p), tie: this.#random()}))
+      .sort((a, b) => b.speed - a.speed || a.tie - b.tie)
+      .map(({p}) => p);
+  }
+
+  /**
+   * Returns the Speed that decides when a Pokemon in battle moves, given the weather, the terrain, and Tailwind.
+   *
+   * @private
+   * @param {Pokemon} pokemon - The Pokemon.
+   * @returns {number} The effective Speed.
+   */
+  #speedOf(pokemon) {
+    return pokemon.getEffectiveSpeed({
+      weather: getActiveWeather(this.#field.getWeather(), this.getActive(0), this.getActive(1)),
+      terrain: this.#field.getTerrain(),
+      tailwind: this.#field.getSideOf(pokemon)?.hasCondition(Side.TAILWIND) ?? false,
+      turnOrder: true
+    });
+  }
+
+  /**
+   * Carries out a move action. The user has to get past its status conditions to move, then uses up the PP of the
+   * move, 2 against Pressure from Gen III on, and is locked into it by a Choice item. Damaging moves can be blocked by
+   * Protect or Psychic Terrain, can miss, and can land a critical hit, with the damage picked at random from the rolls
+   * of `calcDamage`. Status moves have no effect beyond the Z-Effect of a Z-Move. A held item that made the user move
+   * first, like the Custap Berry, is used up as the user takes its turn if it's consumable.
+   *
+   * @private
+   * @param {Object} action - The move action, as sorted by `resolveTurnOrder`.
+   */
+  #useMove({side, move, zMove = false, orderItem = null}) {
+    const [user, target] = [this.getActive(side), this.getActive(1 - side)];
+    const [gen, random] = [this.#gen, this.#random];
+    if (user.isFainted())
+      return;
+
+    if (orderItem !== null && user.getItem() === orderItem) {
+      this.#log.push(`${user.getNickname()}'s ${orderItem.getName()} let it move first!`);
+      if (orderItem.isConsumable())
+        user.setItem(null);
+    }
+
+    let canMove = true;
+    this.#track(null, () => {
+      canMove = [user.getStatus(), ...user.getVolatileStatuses()]
+        .every(status => status === null || status.beforeMove({pokemon: user, random}));
+    });
+    if (!canMove || user.isFainted()) {
+      if (!user.isFainted())
+        this.#log.push(`${user.getNickname()} couldn't move.`);
+      return;
+    }
+
+    const isStruggle = move === getMove('Struggle');
+    if (!isStruggle) {
+      user.usePP(move, target.getAbility() === 'Pressure' && gen.match('III+') ? 2 : 1);
+      if (user.getItem()?.locksMove() && !user.isDynamaxed())
+        this.#lockedMoves.set(user, move);
+    }
+
+    const used = zMove ? user.useZMove(move, this.#field.getSide(side)) : user.isDynamaxed() ? move.toMaxMove(user)
+      : move;
+    this.#log.push(`${user.getNickname()} used ${used.getName()}!`);
+    if (used.getCategory(gen) === Move.STATUS) {
+      applyZMoveEffects(used, user);
+      return;
+    }
+
+    if (target.isFainted()) {
+      this.#log.push('But there was no target...');
+      return;
+    }
+
+    const gravity = this.#field.hasCondition(Field.GRAVITY);
+    if (target.getVolatileStatus(VolatileStatus.PROTECT)?.isProtecting()
+      || this.#field.getTerrain().blocksMove({gen, move: used, user, target, gravity})) {
+      this.#log.push(`${target.getNickname()} protected itself.`);
+      return;
+    }
+
+    const result = calcDamage(user, target, used, this.#field);
+    if (result.typeEffectiveness === 0) {
+      this.#log.push(`It doesn't affect ${target.getNickname()}...`);
+      return;
+    }
+
+    if (result.damage[1] === 0) {
+      this.#log.push('But it failed!');
+      return;
+    }
+
+    if (random() >= result.hitChance) {
+      this.#log.push(`${user.getNickname()}'s attack missed!`);
+      return;
+    }
+
+    const crit = random() < result.critChance;
+    const rolls = crit ? result.critRolls : result.rolls;
+    const damage = rolls[Math.floor(random() * rolls.length)];
+    if (crit)
+      this.#log.push('A critical hit!');
+    if (result.typeEffectiveness > 1)
+      this.#log.push("It's super effective!");
+    else if (result.typeEffectiveness < 1)
+      this.#log.push("It's not very effective...");
+
+    const substitute = target.getVolatileStatus(VolatileStatus.SUBSTITUTE);
+    let dealt = 0;
+    if (substitute !== null && !used.hasUsage('Sound')) {
+      substitute.absorb({pokemon: target, damage});
+      this.#log.push(`The substitute took damage for ${target.getNickname()}!`);
+    } else {
+      this.#track(null, () => {
+        dealt = Math.min(damage, target.getCurrentHP());
+        target.setCurrentHP(target.getCurrentHP() - damage);
+      });
+    }
+
+    const moveType = used.getType(gen);
+    if (user.hasStellarBoost(moveType))
+      user.useStellarBoost(moveType);
+
+    // Struggle's recoil is half of the damage dealt until Gen IV, where it became a quarter of the user's max HP.
+    if (isStruggle) {
+      this.#track('recoil', () => user.setCurrentHP(user.getCurrentHP()
+        - Math.max(1, gen.match('IV+') ? Math.floor(user.getStats().hp / 4) : Math.floor(dealt / 2))));
+    }
+
+    const item = user.getItem();
+    if (item !== null)
+      this.#track(item.getName(), () => item.onAttack({pokemon: user, damage: dealt}));
+
+    const ability = target.getAbility();
+    if (used.makesContact(gen) && dealt > 0)
+      this.#track(ability, () => Ability.get(ability).onContact({gen, pokemon: target, attacker: user, move: used,
+        random}));
+
+    if (used.isMaxMove())
+      this.#track(used.getName(), () => applyMaxMoveEffects(used, user, target, this.#field, random));
+  }
+
+  /**
+   * Applies the effects of the end of a turn to both Pokemon in battle, from the faster to the slower: weather,
+   * terrain, held items, status conditions, and volatile status conditions, then the Dynamax countdown. The conditions
+   * on the field then count down.
+   *
+   * @private
+   */
+  #endTurn() {
+    const random = this.#random;
+    const weather = getActiveWeather(this.#field.getWeather(), this.getActive(0), this.getActive(1));
+    const [terrain, gravity] = [this.#field.getTerrain(), this.#field.hasCondition(Field.GRAVITY)];
+
+    for (const pokemon of this.#bySpeed([this.getActive(0), this.getActive(1)])) {
+      const item = pokemon.getItem();
+      const effects = [
+        ['the weather', () => weather.onTurnEnd({pokemon})],
+        ['the terrain', () => terrain.onTurnEnd({pokemon, gravity})],
+        [item?.getName(), () => item?.onTurnEnd({pokemon})],
+        [pokemon.getStatus()?.getName(), () => pokemon.getStatus()?.onTurnEnd({pokemon, random})],
+        ...pokemon.getVolatileStatuses().map(status => [status.getName(), () => status.onTurnEnd({pokemon})])
+      ];
+
+      for (const [source, apply] of effects) {
+        if (!pokemon.isFainted())
+          this.#track(source, apply);
+      }
+
+      const wasDynamaxed = pokemon.isDynamaxed();
+      pokemon.onTurnEnd();
+      if (wasDynamaxed && !pokemon.isDynamaxed())
+        this.#log.push(`${pokemon.getNickname()} returned to its normal size.`);
+    }
+
+    for (const ended of this.#field.onTurnEnd()) {
+      this.#log.push(ended === 'Weather' || ended === 'Terrain' ? `The ${ended.toLowerCase()} returned to normal.`
+        : `${ended} wore off.`);
+    }
+
+    this.#checkWinner();
+  }
+
+  /**
+   * Takes the Pokemon of a side out of battle and sends another one in.
+   *
+   * @private
+   * @param {number} side - The index of the side.
+   * @param {Pokemon} pokemon - The Pokemon to send in.
+   */
+  #switchIn(side, pokemon) {
+    const previous = this.getActive(side);
+    if (!previous.isFainted())
+      this.#log.push(`${this.#names[side]} withdrew ${previous.getNickname()}.`);
+
+    previous.switchOut();
+    this.#lockedMoves.delete(previous);
+    this.#sendOut(side, pokemon);
+    this.#onSwitchIn(pokemon);
+  }
+
+  /**
+   * Puts a Pokemon into battle on a side, where the entry hazards on that side hit it.
+   *
+   * @private
+   * @param {number} side - The index of the side.
+   * @param {Pokemon} pokemon - The Pokemon to send out.
+   */
+  #sendOut(side, pokemon) {
+    const fieldSide = this.#field.getSide(side);
+    fieldSide.setActive(pokemon);
+    this.#log.push(`${this.#names[side]} sent out ${pokemon.getNickname()}!`);
+    this.#track('entry hazards', () => fieldSide.applyHazards(pokemon, {terrain: this.#field.getTerrain(),
+      gravity: this.#field.hasCondition(Field.GRAVITY)}));
+  }
+
+  /**
+   * Applies the effects of a Pokemon's ability when it enters battle, including the weather and terrain it sets. The
+   * weathers set by Primal Reversion can't be replaced this way.
+   *
+   * @private
+   * @param {Pokemon} pokemon - The Pokemon that entered battle.
+   */
+  #onSwitchIn(pokemon) {
+    if (pokemon.isFainted())
+      return;
+
+    const ability = Ability.get(pokemon.getAbility());
+    const item = pokemon.getItem()?.getName() ?? null;
+    const [weather, terrain] = [ability.getWeather(this.#gen), ability.getTerrain()];
+    const primal = [Weather.EXTREMELY_HARSH_SUN, Weather.HEAVY_RAIN, Weather.STRONG_WINDS];
+
+    if (weather !== null && weather.isAvailable(this.#gen) && weather !== this.#field.getWeather()
+      && (primal.includes(weather) || !primal.includes(this.#field.getWeather()))) {
+      this.#field.setWeather(weather, {fromAbility: true, item});
+      this.#log.push(`${pokemon.getNickname()}'s ${ability.getName()} changed the weather.`);
+    }
+
+    if (terrain !== null && terrain.isAvailable(this.#gen) && terrain !== this.#field.getTerrain()) {
+      this.#field.setTerrain(terrain, {item});
+      this.#log.push(`${pokemon.getNickname()}'s ${ability.getName()} changed the terrain.`);
+    }
+
+    const opponent = this.getActive(1 - this.#teams.findIndex(team => team.includes(pokemon)));
+    ability.onSwitchIn({pokemon, opponent});
+  }
+
+  /**
+   * Applies an effect and logs how much of their HP each Pokemon in battle lost or restored because of it, along with
+   * any of them that fainted.
+   *
+   * @private
+   * @param {string|null} source - What the HP was lost or restored from, e.g. "Leftovers", or null to leave it out.
+   * @param {function()} apply - Applies the effect.
+   */
+  #track(source, apply) {
+    // Only one side has a Pokemon in battle while the first ones are being sent out.
+    const active = [this.getActive(0), this.getActive(1)].filter(pokemon => pokemon !== undefined);
+    const before = active.map(pokemon => pokemon.getCurrentHP());
+    apply();
+
+    active.forEach((pokemon, i) => {
+      const change = pokemon.getCurrentHP() - before[i];
+      if (change === 0)
+        return;
+
+      const percent = Math.round(Math.abs(change) * 1000 / pokemon.getStats().hp) / 10;
+      this.#log.push(`${pokemon.getNickname()} ${change < 0 ? 'lost' : 'restored'} ${percent}% of its HP`
+        + `${source ? ` from ${source}` : ''}.`);
+      if (pokemon.isFainted())
+        this.#log.push(`${pokemon.getNickname()} fainted!`);
+    });
+  }
+
+  /**
+   * Ends the battle once every Pokemon on a side has fainted. The battle is a draw if both sides run out at once.
+   *
+   * @private
+   * @returns {boolean} `true` if the battle is over, `false` otherwise.
+   */
+  #checkWinner() {
+    if (this.isOver())
+      return true;
+
+    const defeated = this.#teams.map(team => team.every(pokemon => pokemon.isFainted()));
+    if (!defeated.some(Boolean))
+      return false;
+
+    this.#winner = defeated.every(Boolean) ? null : defeated.indexOf(false);
+    this.#log.push(this.#winner === null ? 'The battle ended in a draw.' : `${this.#names[this.#winner]} won!`);
+    return true;
+  }
+}
+
+/**
+ * Sorts the actions of a turn into the order that they are carried out in. Switches come first, then items used from
+ * the bag, then moves from the highest priority bracket to the lowest, where abilities like Prankster can move a move
+ * up. Within each of these, faster Pokemon go first, and ties are broken at random. While Trick Room is up, slower
+ * Pokemon move first instead. Within a priority bracket, a Pokemon whose Quick Claw, Custap Berry, or Quick Draw
+ * activates moves before the others, and one with a Lagging Tail, Full Incense, or Stall moves after them.
+ *
+ * Priority and where a Pokemon moves within its bracket are decided once per action and kept in the returned actions,
+ * so that the actions left in a turn can be sorted again after Speed changes in the middle of it, as they are from Gen
+ * VIII on. Held items are left as they are: one like the Custap Berry is only used up once its holder takes its turn,
+ * which is up to the caller.
+ *
+ * @param {Object[]} actions - The actions, as chosen in `Battle#chooseAction`: the `type` of each, the index of the
+ *                             `side` whose Pokemon in battle takes it, the `slot` of that Pokemon in Double Battles
+ *                             (0 if left out), and the `move` of move actions, along with whether it's used as a
+ *                             Z-Move (`zMove`).
+ * @param {Field} field - The field of the battle.
+ * @param {function(): number} [random=Math.random] - A source of random numbers from 0 (inclusive) to 1 (exclusive).
+ * @returns {Object[]} Copies of the actions in order, with the `priority` of their move, whether their Pokemon
+ *                     moves first (1) or last (-1) within its bracket (`order`), and the held item that made it move
+ *                     first (`orderItem`), or null if none did.
+ */
+function resolveTurnOrder(actions, field, random = Math.random) {
+  const gen = field.getGen();
+  const active = field.getSides().flatMap(side => side.getActive());
+  const weather = getActiveWeather(field.getWeather(), ...active);
+  const trickRoom = field.hasCondition(Field.TRICK_ROOM);
+  const ranks = {[Battle.SWITCH]: 2, [Battle.ITEM]: 1, [Battle.MOVE]: 0};
+
+  const keyed = actions.map(action => {
+    const side = field.getSide(action.side);
+    const pokemon = side.getActive()[action.slot ?? 0];
+    let {priority = 0, order = 0, orderItem = null} = action;
+
+    if (action.type === Battle.MOVE && action.order === undefined) {
+      // Z-Moves and Max Moves have their own priority.
+      const move = action.zMove ? action.move.toZMove(pokemon) : pokemon.isDynamaxed()
+        ? action.move.toMaxMove(pokemon) : action.move;
+      const context = {gen, pokemon, move, random};
+      const item = pokemon.getItem();
+      priority = move.getPriority(gen) + Ability.get(pokemon.getAbility()).modifyPriority(context);
+
+      order = item?.getTurnOrder(context) ?? 0;
+      orderItem = order > 0 ? item : null;
+      order ||= Ability.get(pokemon.getAbility()).getTurnOrder(context);
+    }
+
+    const speed = pokemon.getEffectiveSpeed({weather, terrain: field.getTerrain(),
+      tailwind: side.hasCondition(Side.TAILWIND), turnOrder: true});
+    return {action: {...action, priority, order, orderItem}, rank: ranks[action.type],
+      speed: trickRoom ? -speed : speed, tie: random()};
+  });
+
+  return keyed.sort((a, b) => b.rank - a.rank || b.action.priority - a.action.priority
+    || b.action.order - a.action.order || b.speed - a.speed || a.tie - b.tie).map(({action}) => action);
+}
+
+module.exports = {
+  pokedex,
+  getAvailability,
+  canEvolve,
+  getDexEntry,
+  validateData,
+  getDexEntries,
+  Gen,
+  Weather,
+  Terrain,
+  Side,
+  Field,
+  Type,
+  GenerationError,
+  StatDistribution,
+  EVs,
+  EVSumError,
+  IVs,
+  DVs,
+  StatExp,
+  Stages,
+  Nature,
+  Status,
+  VolatileStatus,
+  Item,
+  Move,
+  getMove,
+  applyMaxMoveEffects,
+  applyZMoveEffects,
+  Ability,
+  getMovesByGen,
+  Form,
+  Pokemon,
+  calcHP,
+  calcNonHP,
+  calcOldGenHP,
+  calcOldGenNonHP,
+  calcDamage,
+  Battle,
+  resolveTurnOrder
+};
+
+if (require.main === module) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  rl.question('Name a Pokemon: ', (name) => {
+    if (!pokedex.hasOwnProperty(name)) {
+      console.log("This Pokemon doesn't exist.");
+    } else {
+      console.log(`These are the stats for "${name}":`);
+      console.log(JSON.stringify(pokedex[name], null, 4));
+      console.log(`Internally, "${name}" has Type values of ${pokedex[name].types.map(t => `"${Type[t].toString()}"`).join(", and ")}`);
+    }
 
-  const typeEffectiveness = type1 * type2;
-  const damage = (((((2 * level / 5) + 2) * power * a / d) / 50) * burn * screen * targets * weather * ff + 2) * critical * item * first * random * stab * typeEffectiveness * srf * eb * tl * berry;
-  return damage;
+    rl.close();
+  });
 }
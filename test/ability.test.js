@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, EVs, IVs, Ability, Status, GenerationError, getMove, calcDamage} = require('../play_pokemon.js');
+
+const make = (name, gen, options = {}) => new Pokemon(name, undefined, gen, undefined, undefined, options);
+
+test('contact abilities hurt or afflict the attacker', () => {
+  const [holder, attacker] = [make('Garchomp', Gen.IX, {ability: 'Rough Skin'}), make('Lucario', Gen.IX)];
+  const maxHP = attacker.getStats().hp;
+  const context = {gen: Gen.IX, pokemon: holder, attacker, move: getMove('Close Combat'), random: () => 0};
+
+  Ability.get('Rough Skin').onContact(context);
+  assert.equal(attacker.getCurrentHP(), maxHP - Math.floor(maxHP / 8));
+
+  Ability.get('Static').onContact(context);
+  assert.equal(attacker.getStatus()?.getName(), Status.PARALYSIS);
+});
+
+test('contact abilities require the generation and a source of random numbers', () => {
+  const context = {pokemon: make('Pikachu', Gen.IX), attacker: make('Lucario', Gen.IX), move: getMove('Close Combat')};
+
+  assert.throws(() => Ability.get('Static').onContact({...context, random: Math.random}), GenerationError);
+  assert.throws(() => Ability.get('Static').onContact({...context, gen: Gen.IX}), TypeError);
+});
+
+test('abilities without modeled effects are marked as such', () => {
+  assert.equal(Ability.get('Rough Skin').isModeled(), true);
+  assert.equal(Ability.get('Run Away').isModeled(), false);
+  assert.equal(Ability.has('Run Away'), false);
+  assert.equal(Ability.get(null).isModeled(), true);
+});
+
+test('Thick Fat and Heatproof halve the power of the move in Gens III and IV, and the attacking stat after', () => {
+  // Level 100 Pokemon with no EVs, no IVs, and a neutral nature, which the reference values were taken from.
+  const calc = (gen, attacker, defender, ability, move) => calcDamage(
+    new Pokemon(attacker, undefined, gen, EVs.ZERO(), IVs.ZERO(), {level: 100}),
+    new Pokemon(defender, undefined, gen, EVs.ZERO(), IVs.ZERO(), {level: 100, ability}), getMove(move)).damage;
+
+  assert.deepEqual(calc(Gen.III, 'Charizard', 'Snorlax', 'Thick Fat', 'Flamethrower'), [51, 61]);
+  assert.deepEqual(calc(Gen.IX, 'Garchomp', 'Snorlax', 'Thick Fat', 'Ice Fang'), [46, 55]);
+  assert.deepEqual(calc(Gen.IV, 'Charizard', 'Bronzong', 'Heatproof', 'Flamethrower'), [98, 116]);
+  assert.deepEqual(calc(Gen.IX, 'Charizard', 'Bronzong', 'Heatproof', 'Flamethrower'), [92, 110]);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, Battle, Status, getMove} = require('../play_pokemon.js');
+
+const make = (name, options = {}) => new Pokemon(name, undefined, Gen.IX, undefined, undefined, {level: 50, ...options});
+
+/**
+ * Returns a source of random numbers that gives the same sequence for the same seed.
+ */
+function seeded(seed) {
+  return () => (seed = seed * 16807 % 2147483647) / 2147483647;
+}
+
+/**
+ * Plays a battle to the end, with both sides always choosing the first action that they can take.
+ */
+function playOut(battle, maxTurns = 30) {
+  while (!battle.isOver() && battle.getTurn() < maxTurns) {
+    for (const side of [0, 1]) {
+      if (battle.isWaitingFor(side))
+        battle.chooseAction(side, battle.getValidActions(side)[0]);
+    }
+  }
+}
+
+test('contact moves trigger the abilities of the Pokemon they hit', () => {
+  const lucario = make('Lucario', {moves: [getMove('Close Combat')]});
+  const battle = new Battle([lucario], [
+    make('Pikachu', {level: 100, ability: 'Static', moves: [getMove('Growl')]}),
+    make('Garchomp', {ability: 'Rough Skin', moves: [getMove('Dragon Claw')]})
+  ], {random: seeded(8)});
+
+  for (const side of [0, 1])
+    battle.chooseAction(side, battle.getValidActions(side)[0]);
+  assert.equal(lucario.getStatus()?.getName(), Status.PARALYSIS);
+
+  playOut(battle);
+  assert.ok(battle.isOver());
+  assert.ok(battle.getLog().some(line => /^Lucario lost [\d.]+% of its HP from Rough Skin\.$/.test(line)));
+});
+
+test('the same seed plays out the same battle', () => {
+  const play = () => {
+    const battle = new Battle([make('Lucario', {moves: [getMove('Close Combat')]})],
+      [make('Garchomp', {ability: 'Rough Skin', moves: [getMove('Dragon Claw')]})], {random: seeded(42)});
+    playOut(battle);
+    return battle.getLog();
+  };
+
+  assert.deepEqual(play(), play());
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {parseCsv, combineData, csvToJson} = require('../combine_data.js');
+
+/**
+ * Writes the given files to a new temporary directory that is removed once the test ends, and returns its path.
+ */
+function tempDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'combine-data-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  for (const [name, contents] of Object.entries(files))
+    fs.writeFileSync(path.join(dir, name), typeof contents === 'string' ? contents : JSON.stringify(contents));
+
+  return dir;
+}
+
+test('quoted CSV columns can contain commas, quotes, and line breaks', () => {
+  assert.deepEqual(parseCsv('name,effect\r\nA,"Hits, ""twice""\nin a row"\n\n'),
+    [['name', 'effect'], ['A', 'Hits, "twice"\nin a row']]);
+  assert.throws(() => parseCsv('name\n"A'), SyntaxError);
+});
+
+test('combining the pokedex reports unmatched species and conflicting numbers', t => {
+  const stats = {types: ['NORMAL'], hp: 50, atk: 50, def: 50, 'sp.atk': 50, 'sp.def': 50, spe: 50};
+  const dir = tempDir(t, {
+    'pokedex.json': {A: {pkdxNum: 1, ...stats}, B: {pkdxNum: 2, ...stats, hp: '??'}, C: {pkdxNum: 3, ...stats}},
+    'abilities.json': {A: {pkdxNum: '4', abilities: ['Run Away']}, B: {abilities: []}, D: {abilities: []}}
+  });
+  const output = path.join(dir, 'm_pokedex.json');
+
+  const report = combineData(output, {pokedexFile: path.join(dir, 'pokedex.json'),
+    abilitiesFile: path.join(dir, 'abilities.json')});
+
+  assert.deepEqual(report, {
+    written: 1,
+    unmatched: ['C is in pokedex.json but not in abilities.json', 'D is in abilities.json but not in pokedex.json'],
+    conflicts: ['A has pkdxNum 1 in pokedex.json but 4 in abilities.json (kept 1)',
+      'B has non-numeric hp in pokedex.json and was left out']
+  });
+  assert.deepEqual(JSON.parse(fs.readFileSync(output, 'utf-8')), {A: {pkdxNum: 1, ...stats, abilities: ['Run Away']}});
+});
+
+test('converting a CSV file reports malformed and conflicting rows', t => {
+  const dir = tempDir(t, {'moves.csv': 'name,power,pp\nTackle,35,35\nTackle,40,35\nPound,40\n'});
+  const output = path.join(dir, 'moves.json');
+
+  assert.deepEqual(csvToJson(path.join(dir, 'moves.csv'), output, 'name'), {
+    written: 1,
+    unmatched: [],
+    conflicts: ['Tackle is listed more than once with different values (kept row 3)',
+      'Row 4 has 2 columns instead of 3 and was left out']
+  });
+  assert.deepEqual(JSON.parse(fs.readFileSync(output, 'utf-8')), {Tackle: {power: 40, pp: 35}});
+  assert.throws(() => csvToJson(path.join(dir, 'moves.csv'), output, 'id'), RangeError);
+});
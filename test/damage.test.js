@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Move, Type, Gen, EVs, IVs, StatExp, DVs, getMove, calcDamage} = require('../play_pokemon.js');
+
+const BODY_SLAM = new Move('Body Slam', Type.NORMAL, 85, 100, Move.PHYSICAL, 15);
+const DOUBLE_EDGE = new Move('Double-Edge', Type.NORMAL, 120, 100, Move.PHYSICAL, 15);
+const CROSS_CHOP = new Move('Cross Chop', Type.FIGHTING, 100, 80, Move.PHYSICAL, 5);
+const PSYCHIC = new Move('Psychic', Type.PSYCHIC, 90, 100, Move.SPECIAL, 10);
+const EARTHQUAKE = new Move('Earthquake', Type.GROUND, 100, 100, Move.PHYSICAL, 10);
+const ROCK_SLIDE = new Move('Rock Slide', Type.ROCK, 75, 90, Move.PHYSICAL, 10);
+const IRON_HEAD = new Move('Iron Head', Type.STEEL, 80, 100, Move.PHYSICAL, 15);
+const THUNDERBOLT = new Move('Thunderbolt', Type.ELECTRIC, 90, 100, Move.SPECIAL, 15);
+
+/**
+ * Returns a level 100 Pokemon that has no EVs, no IVs, and a neutral nature (or no Stat Experience and no DVs in Gens I
+ * and II), which is the spread that the reference values below were taken from.
+ */
+function make(name, gen, options = {}) {
+  const [evs, ivs] = gen.match('I-II') ? [StatExp.ZERO(), DVs.ZERO()] : [EVs.ZERO(), IVs.ZERO()];
+  return new Pokemon(name, undefined, gen, evs, ivs, {level: 100, ...options});
+}
+
+/**
+ * Calculates the damage of a move between two Pokemon with the reference spread.
+ */
+function calc(gen, attacker, defender, move, {attackerOptions = {}, defenderOptions = {}, field = {}} = {}) {
+  return calcDamage(make(attacker, gen, attackerOptions), make(defender, gen, defenderOptions), move, field);
+}
+
+test('the formula of the attacker\'s generation matches reference calculations', () => {
+  const cases = [
+    [Gen.I, 'Tauros', 'Chansey', BODY_SLAM, [1246, 1465]],
+    [Gen.I, 'Snorlax', 'Gengar', EARTHQUAKE, [260, 306]],
+    [Gen.I, 'Alakazam', 'Starmie', PSYCHIC, [64, 76]],
+    [Gen.II, 'Snorlax', 'Skarmory', DOUBLE_EDGE, [51, 60]],
+    [Gen.II, 'Machamp', 'Tyranitar', CROSS_CHOP, [513, 604]],
+    [Gen.III, 'Metagross', 'Tyranitar', EARTHQUAKE, [176, 208]],
+    [Gen.III, 'Tyranitar', 'Salamence', ROCK_SLIDE, [270, 318]],
+    [Gen.III, 'Salamence', 'Skarmory', getMove('Dragon Claw'), [67, 79]],
+    [Gen.IV, 'Garchomp', 'Heatran', EARTHQUAKE, [528, 624]],
+    [Gen.V, 'Garchomp', 'Heatran', EARTHQUAKE, [528, 624]],
+    [Gen.IX, 'Garchomp', 'Heatran', EARTHQUAKE, [528, 624]],
+    [Gen.IX, 'Garchomp', 'Heatran', getMove('Dragon Claw'), [53, 63]],
+    [Gen.IX, 'Excadrill', 'Wash Rotom', ROCK_SLIDE, [68, 81]],
+    [Gen.IX, 'Excadrill', 'Tyranitar', IRON_HEAD, [212, 252]],
+    [Gen.IX, 'Pikachu', 'Gyarados', THUNDERBOLT, [204, 240]]
+  ];
+
+  for (const [gen, attacker, defender, move, damage] of cases) {
+    const message = `${attacker} ${move.getName()} vs. ${defender}`;
+    assert.deepEqual(calc(gen, attacker, defender, move).damage, damage, message);
+  }
+});
+
+test('critical hits double the level in Gen I, double the damage up to Gen V, and are 1.5x after', () => {
+  assert.deepEqual(calc(Gen.I, 'Tauros', 'Chansey', BODY_SLAM).critDamage, [1274, 1498]);
+  assert.deepEqual(calc(Gen.I, 'Alakazam', 'Starmie', PSYCHIC).critDamage, [125, 148]);
+  assert.deepEqual(calc(Gen.II, 'Snorlax', 'Skarmory', DOUBLE_EDGE).critDamage, [102, 120]);
+  assert.deepEqual(calc(Gen.IV, 'Garchomp', 'Heatran', EARTHQUAKE).critDamage, [1056, 1248]);
+  assert.deepEqual(calc(Gen.V, 'Garchomp', 'Heatran', EARTHQUAKE).critDamage, [1056, 1248]);
+  assert.deepEqual(calc(Gen.IX, 'Garchomp', 'Heatran', EARTHQUAKE).critDamage, [792, 936]);
+});
+
+test('critical hits ignore stat stages in Gen I', () => {
+  const [tauros, chansey] = [make('Tauros', Gen.I), make('Chansey', Gen.I)];
+  tauros.getStages().setAtkVal(-2);
+  chansey.getStages().setDefVal(2);
+
+  const result = calcDamage(tauros, chansey, BODY_SLAM);
+  assert.ok(result.damage[1] < 1246);
+  assert.deepEqual(result.critDamage, [1274, 1498]);
+});
+
+test('Gen I bases critical hits on Speed and misses perfectly accurate moves 1/256 of the time', () => {
+  const tauros = calc(Gen.I, 'Tauros', 'Chansey', BODY_SLAM);
+  assert.equal(tauros.critChance, 55 / 256);
+  assert.equal(tauros.hitChance, 255 / 256);
+
+  const machamp = calc(Gen.II, 'Machamp', 'Tyranitar', CROSS_CHOP);
+  assert.equal(machamp.critChance, 17 / 256);
+  assert.equal(machamp.hitChance, 0.8);
+});
+
+test('accuracy and evasion stages apply one after the other in Gen I, rounding down each time', () => {
+  const [tauros, chansey] = [make('Tauros', Gen.I), make('Chansey', Gen.I)];
+  chansey.getStages().setEvasionVal(1);
+  assert.equal(calcDamage(tauros, chansey, BODY_SLAM).hitChance, 168 / 256);
+
+  // The accuracy is capped at 255 before the evasion stage is applied.
+  tauros.getStages().setAccuracyVal(1);
+  assert.equal(calcDamage(tauros, chansey, BODY_SLAM).hitChance, 168 / 256);
+
+  tauros.getStages().setAccuracyVal(-2);
+  chansey.getStages().setEvasionVal(0);
+  assert.equal(calcDamage(tauros, chansey, BODY_SLAM).hitChance, 127 / 256);
+});
+
+test('accuracy and evasion stages combine into one net stage from Gen III on', () => {
+  const hitChance = (gen, accuracy, evasion) => {
+    const [machamp, tyranitar] = [make('Machamp', gen), make('Tyranitar', gen)];
+    machamp.getStages().setAccuracyVal(accuracy);
+    tyranitar.getStages().setEvasionVal(evasion);
+    return calcDamage(machamp, tyranitar, CROSS_CHOP).hitChance;
+  };
+
+  assert.equal(hitChance(Gen.III, 1, 1), 0.8);
+  assert.equal(hitChance(Gen.IX, 1, 1), 0.8);
+  assert.equal(hitChance(Gen.IX, 0, 1), 0.8 * 3 / 4);
+  assert.equal(hitChance(Gen.IX, -6, 6), 0.8 * (3 / 9));
+  assert.equal(hitChance(Gen.IV, 0, 2), 0.8 * 0.6);
+  assert.equal(hitChance(Gen.II, 1, 1), 0.8 * 1.33 * 0.75);
+});
+
+test('screens and Helping Hand use the 4096-based modifiers from Gen V on', () => {
+  const ironHead = field => calc(Gen.IX, 'Excadrill', 'Tyranitar', IRON_HEAD, {field});
+
+  assert.deepEqual(ironHead({reflect: true}).damage, [106, 126]);
+  assert.deepEqual(ironHead({reflect: true, isDoubleBattle: true}).damage, [141, 168]);
+  assert.deepEqual(ironHead({reflect: true}).critDamage, [320, 378]);
+  assert.deepEqual(ironHead({helpingHand: true, isDoubleBattle: true}).damage, [318, 374]);
+});
+
+test('Sniper boosts the critical hit multiplier until Gen IV and the final damage of critical hits after', () => {
+  const surf = (gen, ability) => calc(gen, 'Kingdra', 'Blissey', getMove('Surf'), {attackerOptions: {ability}});
+
+  assert.deepEqual(surf(Gen.IV, 'Sniper').critDamage, [220, 261]);
+  assert.deepEqual(surf(Gen.V, 'Sniper').critDamage, [220, 261]);
+  assert.deepEqual(surf(Gen.IX, 'Sniper').critDamage, [154, 184]);
+  assert.deepEqual(surf(Gen.IX, 'Swift Swim').critDamage, [103, 123]);
+});
+
+test('only Pokemon and Moves can be used in a damage calculation', () => {
+  const garchomp = make('Garchomp', Gen.IV);
+  assert.throws(() => calcDamage(garchomp, 'Heatran', EARTHQUAKE), TypeError);
+  assert.throws(() => calcDamage(garchomp, garchomp, 'Earthquake'), TypeError);
+});
+
+test('every damage roll is returned with the chances to KO and a summary', () => {
+  const earthquake = calc(Gen.IX, 'Garchomp', 'Heatran', EARTHQUAKE);
+  assert.deepEqual(earthquake.rolls,
+    [528, 532, 540, 544, 552, 556, 564, 568, 576, 580, 588, 592, 600, 604, 612, 624]);
+  assert.equal(earthquake.summary, 'Garchomp Earthquake vs. Heatran: 528-624 (180.8 - 213.6%) -- guaranteed OHKO');
+
+  // Only a critical hit can knock out Tyranitar in one hit, which happens 1/24 of the time.
+  const ironHead = calc(Gen.IX, 'Excadrill', 'Tyranitar', IRON_HEAD);
+  assert.ok(Math.abs(ironHead.koChances[0] - 1 / 24) < 1e-9);
+  assert.match(ironHead.summary, /-- 4\.2% chance to OHKO$/);
+});
+
+test('moves that cannot hit do no damage', () => {
+  const result = calc(Gen.IX, 'Garchomp', 'Skarmory', EARTHQUAKE);
+  assert.deepEqual(result.damage, [0, 0]);
+  assert.match(result.summary, /-- no damage$/);
+});
+
+test('summaries never round a chance to KO down to 0%', () => {
+  const result = calc(Gen.V, 'Kingdra', 'Blissey', getMove('Surf'), {attackerOptions: {ability: 'Sniper'}});
+  assert.ok(result.koChances[2] > 0 && result.koChances[2] < 0.0005);
+  assert.match(result.summary, /-- <0\.1% chance to 3HKO$/);
+});
+
+test('summaries estimate distant KOs from regular hits rather than critical hits', () => {
+  const result = calc(Gen.IX, 'Kingdra', 'Blissey', getMove('Surf'), {attackerOptions: {ability: 'Sniper'}});
+  assert.deepEqual(result.koChances, [0, 0, 0]);
+  assert.deepEqual(result.damage, [69, 82]);
+  assert.match(result.summary, /-- possible 8HKO$/);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Gen, getDexEntry} = require('../play_pokemon.js');
+
+/**
+ * Returns the given base stats of a species as they were in a generation.
+ */
+function baseStats(name, gen, stats) {
+  const entry = getDexEntry(name, gen);
+  return Object.fromEntries(stats.map(stat => [stat, entry[stat]]));
+}
+
+test('base stats change in the generation that they were changed in', () => {
+  const cases = [
+    ['Pikachu', Gen.V, Gen.VI, {def: 30, 'sp.def': 40}, {def: 40, 'sp.def': 50}],
+    ['Arbok', Gen.VI, Gen.VII, {atk: 85}, {atk: 95}],
+    ['Dodrio', Gen.VI, Gen.VII, {spe: 100}, {spe: 110}],
+    ['Exeggutor', Gen.VI, Gen.VII, {'sp.def': 65}, {'sp.def': 75}],
+    ['Swellow', Gen.VI, Gen.VII, {'sp.atk': 50}, {'sp.atk': 75}],
+    ['Mega Alakazam', Gen.VI, Gen.VII, {'sp.def': 95}, {'sp.def': 105}],
+    ['Aegislash: Blade Forme', Gen.VII, Gen.VIII, {atk: 150, 'sp.atk': 150}, {atk: 140, 'sp.atk': 140}],
+    ['Zacian: Crowned Sword', Gen.VIII, Gen.IX, {atk: 170}, {atk: 150}],
+    ['Cresselia', Gen.VIII, Gen.IX, {def: 120, 'sp.def': 130}, {def: 110, 'sp.def': 120}]
+  ];
+
+  for (const [name, before, after, old, current] of cases) {
+    const stats = Object.keys(old);
+    assert.deepEqual(baseStats(name, before, stats), old, `${name} in Gen ${before.getName()}`);
+    assert.deepEqual(baseStats(name, after, stats), current, `${name} in Gen ${after.getName()}`);
+  }
+});
+
+test('Gen I uses the single Special stat for both special stats', () => {
+  assert.deepEqual(baseStats('Alakazam', Gen.I, ['sp.atk', 'sp.def']), {'sp.atk': 135, 'sp.def': 135});
+  assert.deepEqual(baseStats('Alakazam', Gen.II, ['sp.atk', 'sp.def']), {'sp.atk': 135, 'sp.def': 85});
+});
+
+test('species that are not available in a generation have no entry', () => {
+  assert.equal(getDexEntry('Cresselia', Gen.III), undefined);
+  assert.equal(getDexEntry('Mega Alakazam', Gen.VIII), undefined);
+});
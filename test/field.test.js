@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, EVs, IVs, Weather, Side, Field, GenerationError, getMove, calcDamage} =
+  require('../play_pokemon.js');
+
+const make = (name, gen) => new Pokemon(name, undefined, gen, EVs.ZERO(), IVs.ZERO(), {level: 100});
+
+test('screens last 5 turns, or 8 with Light Clay, and until switching out in Gen I', () => {
+  assert.equal(Side.getDuration(Side.REFLECT, Gen.I), Infinity);
+  assert.equal(Side.getDuration(Side.REFLECT, Gen.II), 5);
+  assert.equal(Side.getDuration(Side.LIGHT_SCREEN, Gen.IX, {item: 'Light Clay'}), 8);
+  assert.equal(Side.getDuration(Side.AURORA_VEIL, Gen.IX, {item: 'Light Clay'}), 8);
+  assert.throws(() => Side.getDuration(Side.AURORA_VEIL, Gen.VI), GenerationError);
+});
+
+test('Tailwind lasts 3 turns in Gen IV and 4 after, and doubles Speed', () => {
+  assert.equal(Side.getDuration(Side.TAILWIND, Gen.IV), 3);
+  assert.equal(Side.getDuration(Side.TAILWIND, Gen.V), 4);
+
+  const side = new Side(Gen.IX);
+  side.addCondition(Side.TAILWIND);
+  assert.equal(side.getSpeedMultiplier(), 2);
+  for (let turn = 0; turn < 3; turn++)
+    assert.deepEqual(side.onTurnEnd(), []);
+  assert.deepEqual(side.onTurnEnd(), [Side.TAILWIND]);
+  assert.equal(side.getSpeedMultiplier(), 1);
+});
+
+test('Aurora Veil fails outside of hail and snow', () => {
+  const side = new Side(Gen.IX);
+  assert.equal(side.addCondition(Side.AURORA_VEIL), false);
+  assert.equal(side.addCondition(Side.AURORA_VEIL, {weather: Weather.RAIN}), false);
+  assert.equal(side.addCondition(Side.AURORA_VEIL, {weather: Weather.SNOW}), true);
+  assert.equal(side.hasScreen(true) && side.hasScreen(false), true);
+  assert.equal(new Side(Gen.VIII).addCondition(Side.AURORA_VEIL, {weather: Weather.HAIL}), true);
+});
+
+test('Trick Room lasts 5 turns and ends early when it is used again', () => {
+  const field = new Field(Gen.IX);
+  assert.equal(field.addCondition(Field.TRICK_ROOM), true);
+  assert.equal(field.getTurns(Field.TRICK_ROOM), 5);
+  assert.equal(field.addCondition(Field.TRICK_ROOM), true);
+  assert.equal(field.hasCondition(Field.TRICK_ROOM), false);
+
+  field.addCondition(Field.TRICK_ROOM);
+  for (let turn = 0; turn < 4; turn++)
+    field.onTurnEnd();
+  assert.deepEqual(field.onTurnEnd(), [Field.TRICK_ROOM]);
+  assert.throws(() => new Field(Gen.III).addCondition(Field.TRICK_ROOM), GenerationError);
+});
+
+test('the damage calculator reads screens and Gravity from the field', () => {
+  const [garchomp, heatran, gyarados] = [make('Garchomp', Gen.IX), make('Heatran', Gen.IX), make('Gyarados', Gen.IX)];
+  const field = new Field(Gen.IX);
+  field.getSide(0).setActive(garchomp);
+  field.getSide(1).setActive(heatran);
+
+  field.getSide(1).addCondition(Side.REFLECT);
+  assert.deepEqual(calcDamage(garchomp, heatran, getMove('Earthquake'), field).damage, [264, 312]);
+
+  field.getSide(1).setActive(gyarados);
+  assert.deepEqual(calcDamage(garchomp, gyarados, getMove('Earthquake'), field).damage, [0, 0]);
+  field.addCondition(Field.GRAVITY);
+  assert.ok(calcDamage(garchomp, gyarados, getMove('Earthquake'), field).damage[0] > 0);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Form, Item, Move, Type, Gen, EVs, IVs} = require('../play_pokemon.js');
+
+const make = (name, gen, options = {}) => new Pokemon(name, undefined, gen, EVs.ZERO(), IVs.ZERO(), options);
+
+test('forms know their kind and base form', () => {
+  assert.equal(new Form('Charizard').getKind(), Form.BASE);
+  assert.equal(new Form('Mega Charizard X').getKind(), Form.MEGA);
+  assert.equal(new Form('Alolan Raichu').getKind(), Form.REGIONAL);
+  assert.equal(new Form('Darmanitan: Zen Mode').getBaseForm().getName(), 'Darmanitan: Standard Mode');
+  assert.deepEqual(Form.getForms('Charizard', Gen.V).map(String), ['Charizard']);
+  assert.throws(() => new Form('Missingno'), RangeError);
+});
+
+test('Mega Evolution requires the matching Mega Stone', () => {
+  const charizard = item => make('Charizard', Gen.VI, {item: item && new Item(item)});
+
+  assert.equal(charizard(null).canChangeForm('Mega Charizard X'), false);
+  assert.equal(charizard('Charizardite X').canChangeForm('Mega Charizard X'), true);
+  assert.equal(charizard('Charizardite X').canChangeForm('Mega Charizard Y'), false);
+});
+
+test('some forms require a move or an ability instead of an item', () => {
+  const dragonAscent = new Move('Dragon Ascent', Type.FLYING, 120, 100, Move.PHYSICAL, 5);
+  assert.equal(make('Rayquaza', Gen.VI).canChangeForm('Mega Rayquaza'), false);
+  assert.equal(make('Rayquaza', Gen.VI, {moves: [dragonAscent]}).canChangeForm('Mega Rayquaza'), true);
+
+  const darmanitan = ability => make('Darmanitan: Standard Mode', Gen.V, {ability});
+  assert.equal(darmanitan('Sheer Force').canChangeForm('Darmanitan: Zen Mode'), false);
+  assert.equal(darmanitan('Zen Mode').canChangeForm('Darmanitan: Zen Mode'), true);
+});
+
+test('regional variants are never changed into', () => {
+  assert.equal(make('Raichu', Gen.VII).canChangeForm('Alolan Raichu'), false);
+});
+
+test('changing form keeps the damage taken until the form is reverted', () => {
+  const charizard = make('Charizard', Gen.VI, {item: new Item('Charizardite X')});
+  charizard.setCurrentHP(charizard.getCurrentHP() - 50);
+  const hp = charizard.getCurrentHP();
+
+  charizard.changeForm('Mega Charizard X');
+  assert.equal(charizard.getForm().getName(), 'Mega Charizard X');
+  assert.deepEqual(charizard.getTypes(), [Type.FIRE, Type.DRAGON]);
+  assert.equal(charizard.getCurrentHP(), hp);
+  assert.throws(() => charizard.changeForm('Mega Charizard Y'), RangeError);
+
+  charizard.revertForm();
+  assert.equal(charizard.getForm().getName(), 'Charizard');
+  assert.deepEqual(charizard.getTypes(), [Type.FIRE, Type.FLYING]);
+});
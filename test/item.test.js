@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, EVs, IVs, Item, GenerationError, getMove, calcDamage} = require('../play_pokemon.js');
+
+/**
+ * Calculates the damage of a move between two level 100 Pokemon that have no EVs and no IVs, which is the spread that
+ * the reference values below were taken from, holding the given items.
+ */
+function calc(gen, [attacker, attackerItem = null], [defender, defenderItem = null], move) {
+  const make = (name, item) => new Pokemon(name, undefined, gen, EVs.ZERO(), IVs.ZERO(),
+    {level: 100, item: item && Item.get(item)});
+  return calcDamage(make(attacker, attackerItem), make(defender, defenderItem), getMove(move)).damage;
+}
+
+test('held items modify the damage calculation', () => {
+  const cases = [
+    [Gen.IV, ['Garchomp', 'Choice Band'], ['Heatran'], 'Earthquake', [784, 928]],
+    [Gen.IV, ['Garchomp', 'Life Orb'], ['Heatran'], 'Earthquake', [684, 808]],
+    [Gen.IX, ['Garchomp', 'Life Orb'], ['Heatran'], 'Earthquake', [686, 811]],
+    [Gen.IX, ['Garchomp', 'Expert Belt'], ['Heatran'], 'Earthquake', [634, 749]],
+    [Gen.III, ['Metagross', 'Soft Sand'], ['Tyranitar'], 'Earthquake', [193, 228]],
+    [Gen.IX, ['Garchomp', 'Soft Sand'], ['Heatran'], 'Earthquake', [636, 748]],
+    [Gen.IX, ['Garchomp'], ['Heatran', 'Shuca Berry'], 'Earthquake', [264, 312]],
+    [Gen.IX, ['Excadrill'], ['Porygon2', 'Eviolite'], 'Iron Head', [85, 102]]
+  ];
+
+  for (const [gen, attacker, defender, move, damage] of cases)
+    assert.deepEqual(calc(gen, attacker, defender, move), damage, `${attacker} ${move} vs. ${defender}`);
+});
+
+test('Eviolite only helps Pokemon that can still evolve', () => {
+  assert.deepEqual(calc(Gen.IX, ['Excadrill'], ['Porygon-Z', 'Eviolite'], 'Iron Head'),
+    calc(Gen.IX, ['Excadrill'], ['Porygon-Z'], 'Iron Head'));
+});
+
+test('items can only be held in the generations they are available in', () => {
+  const make = (gen, item) => new Pokemon('Charizard', undefined, gen, undefined, undefined, {item: Item.get(item)});
+
+  assert.equal(Item.get('Life Orb').isAvailable(Gen.III), false);
+  assert.throws(() => make(Gen.III, 'Life Orb'), GenerationError);
+  assert.throws(() => make(Gen.VIII, 'Charizardite X'), GenerationError);
+  assert.equal(make(Gen.VII, 'Charizardite X').getItem().getName(), 'Charizardite X');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, Weather, Field, VolatileStatus, GenerationError, getMove, applyMaxMoveEffects} =
+  require('../play_pokemon.js');
+
+const make = (name, options = {}, gen = Gen.VIII) => new Pokemon(name, undefined, gen, undefined, undefined, options);
+
+test('Max Moves take their power from the base move, on a weaker scale for Fighting and Poison', () => {
+  const maxMove = name => getMove(name).toMaxMove(make('Mew'));
+
+  assert.deepEqual([maxMove('Thunderbolt').getName(), maxMove('Thunderbolt').getPower()], ['Max Lightning', 130]);
+  assert.equal(maxMove('Tackle').getPower(), 90);
+  assert.equal(maxMove('Hyper Beam').getPower(), 150);
+  assert.equal(maxMove('Close Combat').getPower(), 95);
+  assert.equal(maxMove('Sludge Bomb').getPower(), 90);
+  assert.equal(maxMove('Thunderbolt').getCategory(), getMove('Thunderbolt').getCategory());
+  assert.equal(maxMove('Swords Dance').getName(), 'Max Guard');
+});
+
+test('Gigantamaxed Pokemon use their G-Max Move in place of the Max Move of its type', () => {
+  const pikachu = make('Pikachu', {gigantamax: true}).dynamax();
+  assert.equal(getMove('Thunderbolt').toMaxMove(pikachu).getName(), 'G-Max Volt Crash');
+  assert.equal(getMove('Surf').toMaxMove(pikachu).getName(), 'Max Geyser');
+  assert.equal(getMove('Surf').toMaxMove(make('Inteleon', {gigantamax: true}).dynamax()).getPower(), 160);
+  assert.throws(() => make('Mew', {gigantamax: true}), RangeError);
+});
+
+test('Dynamax doubles HP for 3 turns, is only available in Gen VIII, and prevents flinching', () => {
+  const snorlax = make('Snorlax');
+  const maxHP = snorlax.getStats().hp;
+  snorlax.dynamax();
+  assert.deepEqual([snorlax.getStats().hp, snorlax.getCurrentHP()], [maxHP * 2, maxHP * 2]);
+  assert.equal(snorlax.addVolatileStatus(VolatileStatus.FLINCH), false);
+
+  snorlax.onTurnEnd().onTurnEnd().onTurnEnd();
+  assert.equal(snorlax.isDynamaxed(), false);
+  assert.equal(snorlax.getCurrentHP(), maxHP);
+  assert.throws(() => make('Snorlax', {}, Gen.IX).dynamax(), GenerationError);
+});
+
+test('Max Moves apply their secondary effects after hitting', () => {
+  const field = new Field(Gen.VIII);
+  const [user, target] = [make('Blastoise'), make('Snorlax')];
+
+  applyMaxMoveEffects(getMove('Surf').toMaxMove(user), user, target, field);
+  assert.equal(field.getWeather(), Weather.RAIN);
+
+  applyMaxMoveEffects(getMove('Tackle').toMaxMove(user), user, target, field);
+  assert.equal(target.getStages().getSpeVal(), -1);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Gen, Type, Move, GenerationError, getMove, getMovesByGen} = require('../play_pokemon.js');
+
+test('moves are looked up by name', () => {
+  const thunderbolt = getMove('Thunderbolt');
+  assert.ok(thunderbolt instanceof Move);
+  assert.equal(thunderbolt.getType(), Type.ELECTRIC);
+  assert.equal(thunderbolt.getCategory(), Move.SPECIAL);
+  assert.deepEqual([thunderbolt.getPower(), thunderbolt.getAccuracy(), thunderbolt.getPP()], [90, 100, 15]);
+  assert.equal(thunderbolt.getGen(), Gen.I);
+
+  assert.equal(getMove('Thunderbolt'), thunderbolt);
+  assert.equal(getMove('Thunder Bolt'), undefined);
+});
+
+test('moves keep their priority, contact and accuracy flags', () => {
+  assert.equal(getMove('Quick Attack').getPriority(), 1);
+  assert.equal(getMove('Tackle').makesContact(), true);
+  assert.equal(getMove('Thunderbolt').makesContact(), false);
+  assert.equal(getMove('Swift').neverMisses(), true);
+  assert.equal(getMove('Low Kick').hasVariablePower(), true);
+  assert.equal(getMove('Breakneck Blitz').isZMove(), true);
+  assert.equal(getMove('Max Strike').isMaxMove(), true);
+});
+
+test('moves are listed by the generation that introduced them', () => {
+  const names = getMovesByGen(Gen.I).map(move => move.getName());
+  assert.ok(names.includes('Tackle'));
+  assert.ok(!names.includes('Dragon Claw'));
+  assert.ok(getMovesByGen(Gen.III).some(move => move.getName() === 'Dragon Claw'));
+  assert.throws(() => getMovesByGen('III'), GenerationError);
+});
+
+test('moves have the power and accuracy of each generation', () => {
+  const cases = [
+    ['Blizzard', Gen.I, 120, 90],
+    ['Blizzard', Gen.II, 120, 70],
+    ['Blizzard', Gen.VI, 110, 70],
+    ['Dig', Gen.I, 100, 100],
+    ['Dig', Gen.III, 60, 100],
+    ['Dig', Gen.IV, 80, 100],
+    ['Pin Missile', Gen.V, 14, 85],
+    ['Pin Missile', Gen.VI, 25, 95],
+    ['Thunder Wave', Gen.VI, null, 100],
+    ['Thunder Wave', Gen.VII, null, 90],
+    ['Covet', Gen.IV, 40, 100],
+    ['Covet', Gen.V, 60, 100],
+    ['Rapid Spin', Gen.VII, 20, 100],
+    ['Rapid Spin', Gen.VIII, 50, 100],
+    ['Mist Ball', Gen.VIII, 70, 100],
+    ['Mist Ball', Gen.IX, 95, 100],
+    ['Grassy Glide', Gen.VIII, 70, 100],
+    ['Grassy Glide', Gen.IX, 55, 100]
+  ];
+
+  for (const [name, gen, power, accuracy] of cases) {
+    const move = getMove(name);
+    assert.deepEqual([move.getPower(gen), move.getAccuracy(gen)], [power, accuracy], `${name} in Gen ${gen.getName()}`);
+  }
+});
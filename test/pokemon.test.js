@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Move, Type, Gen, EVs, IVs, DVs, StatExp, Nature, GenerationError} = require('../play_pokemon.js');
+
+const TACKLE = new Move('Tackle', Type.NORMAL, 40, 100, Move.PHYSICAL, 35);
+
+test('stats are computed from the level, EVs, IVs, and nature', () => {
+  const ivs = new IVs({hp: 31, atk: 31, def: 31, spAtk: 31, spDef: 31, spe: 31});
+  const evs = new EVs({atk: 252, spe: 252});
+  const garchomp = level => new Pokemon('Garchomp', undefined, Gen.IX, evs, ivs, {level, nature: Nature.JOLLY});
+
+  assert.deepEqual(garchomp(100).getStats(), {hp: 357, atk: 359, def: 226, spAtk: 176, spDef: 206, spe: 333});
+  assert.equal(garchomp(50).getStats().hp, 183);
+  assert.equal(garchomp(50).getCurrentHP(), 183);
+});
+
+test('Pokemon have no EVs and the highest IVs, or DVs in Gens I and II, unless given others', () => {
+  const garchomp = new Pokemon('Garchomp', undefined, Gen.IX);
+  assert.deepEqual(garchomp.getStats(), new Pokemon('Garchomp', undefined, Gen.IX, EVs.ZERO(), IVs.MAX()).getStats());
+  assert.equal(garchomp.getStats().hp, 357);
+
+  const mewtwo = new Pokemon('Mewtwo', undefined, Gen.II);
+  assert.deepEqual(mewtwo.getStats(), new Pokemon('Mewtwo', undefined, Gen.II, StatExp.ZERO(), DVs.MAX()).getStats());
+  assert.equal(mewtwo.getStats().hp, 352);
+
+  assert.throws(() => new Pokemon('Garchomp', undefined, 'IX'), GenerationError);
+});
+
+test('Shedinja always has 1 HP', () => {
+  assert.equal(new Pokemon('Shedinja', undefined, Gen.IX, EVs.ZERO(), IVs.ZERO()).getStats().hp, 1);
+});
+
+test('the nature must be a Nature', () => {
+  assert.throws(() => new Pokemon('Garchomp', undefined, Gen.IX, EVs.ZERO(), IVs.ZERO(), {nature: 'Jolly'}),
+    TypeError);
+});
+
+test('a Pokemon knows at most 4 moves and tracks the PP of each', () => {
+  const moves = ['Tackle', 'Scratch', 'Pound', 'Cut'].map(name => new Move(name, Type.NORMAL, 40, 100,
+    Move.PHYSICAL, 35));
+  const pokemon = new Pokemon('Rattata', undefined, Gen.IX, EVs.ZERO(), IVs.ZERO(), {moves});
+
+  assert.throws(() => pokemon.learnMove(TACKLE), RangeError);
+  assert.throws(() => pokemon.learnMove(moves[0]), RangeError);
+
+  pokemon.usePP(moves[0], 40);
+  assert.equal(pokemon.getPP(moves[0]), 0);
+  pokemon.restorePP(moves[0], 10);
+  assert.equal(pokemon.getPP(moves[0]), 10);
+
+  pokemon.learnMove(TACKLE, moves[0]);
+  assert.deepEqual(pokemon.getMoves(), [TACKLE, ...moves.slice(1)]);
+  assert.equal(pokemon.getPP(TACKLE), 35);
+});
+
+test('the current HP stays between 0 and the maximum HP', () => {
+  const pokemon = new Pokemon('Rattata', undefined, Gen.IX, EVs.ZERO(), IVs.ZERO());
+  pokemon.setCurrentHP(-5);
+  assert.equal(pokemon.isFainted(), true);
+  pokemon.setCurrentHP(1000);
+  assert.equal(pokemon.getCurrentHP(), pokemon.getStats().hp);
+});
+
+test('Gens I and II compute stats from DVs and Stat Experience', () => {
+  const dvs = new DVs({atk: 15, def: 15, spe: 15, spc: 15});
+  const mewtwo = new Pokemon('Mewtwo', undefined, Gen.II, StatExp.MAX(), dvs);
+
+  assert.deepEqual(mewtwo.getStats(), {hp: 415, atk: 318, def: 278, spAtk: 406, spDef: 278, spe: 358});
+  assert.throws(() => new Pokemon('Mewtwo', undefined, Gen.I, EVs.ZERO(), IVs.ZERO()), TypeError);
+});
+
+test('the HP DV is derived from the lowest bit of the other DVs', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const dvs = new DVs({atk: 15, def: 14, spe: 13, spc: 12});
+  assert.equal(dvs.getHpVal(), 0b1010);
+
+  dvs.setDefVal(15);
+  assert.equal(dvs.getHpVal(), 0b1110);
+
+  dvs.setHpVal(0);
+  assert.equal(dvs.getHpVal(), 0b1110);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('DVs and Stat Experience are clamped to their ranges', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const dvs = new DVs({atk: 16, def: -1});
+  const statExp = new StatExp({hp: 70000, spc: -5});
+
+  assert.deepEqual([dvs.getAtkVal(), dvs.getDefVal()], [15, 0]);
+  assert.deepEqual([statExp.getHpVal(), statExp.getSpcVal()], [65535, 0]);
+  assert.equal(statExp.setAtkVal(65536).getAtkVal(), 65535);
+  assert.equal(warn.mock.callCount(), 5);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, Side, Field, Item, Status, GenerationError} = require('../play_pokemon.js');
+
+/**
+ * Switches a Pokemon into a side with the given hazards, and returns the Pokemon and the side.
+ */
+function switchIn(name, hazards, options = {}) {
+  const side = new Side(Gen.IX);
+  for (const hazard of hazards)
+    side.addHazard(hazard);
+
+  const pokemon = new Pokemon(name, undefined, Gen.IX, undefined, undefined, options);
+  side.applyHazards(pokemon);
+  return {pokemon, side};
+}
+
+/**
+ * Switches a fresh Pokemon into a side with the given hazards and returns the HP that it lost.
+ */
+function hazardDamage(name, hazards, options = {}) {
+  const {pokemon} = switchIn(name, hazards, options);
+  return pokemon.getStats().hp - pokemon.getCurrentHP();
+}
+
+test('each layer of Spikes deals more damage, up to 3 layers from Gen III on', () => {
+  const maxHP = new Pokemon('Snorlax', undefined, Gen.IX).getStats().hp;
+  const spikes = layers => hazardDamage('Snorlax', Array(layers).fill(Side.SPIKES));
+
+  assert.deepEqual([1, 2, 3].map(spikes), [8, 6, 4].map(n => Math.floor(maxHP / n)));
+  assert.equal(spikes(4), spikes(3));
+
+  const side = new Side(Gen.II);
+  assert.equal(side.addHazard(Side.SPIKES), true);
+  assert.equal(side.addHazard(Side.SPIKES), false);
+  assert.throws(() => side.addHazard(Side.STEALTH_ROCK), GenerationError);
+});
+
+test('Stealth Rock scales with the effectiveness of the Rock type', () => {
+  const cases = [
+    ['Dugtrio', 1 / 16],
+    ['Steelix', 1 / 32],
+    ['Charizard', 1 / 2],
+    ['Pikachu', 1 / 8]
+  ];
+
+  for (const [name, fraction] of cases) {
+    const maxHP = new Pokemon(name, undefined, Gen.IX).getStats().hp;
+    assert.equal(hazardDamage(name, [Side.STEALTH_ROCK]), Math.floor(maxHP * fraction), name);
+  }
+});
+
+test('only Stealth Rock reaches Pokemon that are not grounded', () => {
+  const maxHP = new Pokemon('Charizard', undefined, Gen.IX).getStats().hp;
+  assert.equal(hazardDamage('Charizard', [Side.STEALTH_ROCK, Side.SPIKES]), Math.floor(maxHP / 2));
+});
+
+test('Heavy-Duty Boots protect their holder from hazards', () => {
+  assert.equal(hazardDamage('Charizard', [Side.STEALTH_ROCK], {item: Item.get('Heavy-Duty Boots')}), 0);
+});
+
+test('Toxic Spikes poison with one layer and badly poison with two', () => {
+  const status = layers => switchIn('Pikachu', Array(layers).fill(Side.TOXIC_SPIKES)).pokemon.getStatus()?.getName();
+
+  assert.equal(status(1), Status.POISON);
+  assert.equal(status(2), Status.BADLY_POISONED);
+  assert.equal(switchIn('Charizard', [Side.TOXIC_SPIKES]).pokemon.getStatus(), null);
+});
+
+test('grounded Poison types absorb Toxic Spikes', () => {
+  const {pokemon, side} = switchIn('Muk', [Side.TOXIC_SPIKES, Side.TOXIC_SPIKES]);
+  assert.equal(pokemon.getStatus(), null);
+  assert.equal(side.getHazardLayers(Side.TOXIC_SPIKES), 0);
+
+  // Steel types can't be poisoned, but leave the spikes where they are.
+  const steelix = switchIn('Steelix', [Side.TOXIC_SPIKES]);
+  assert.equal(steelix.pokemon.getStatus(), null);
+  assert.equal(steelix.side.getHazardLayers(Side.TOXIC_SPIKES), 1);
+});
+
+test('Sticky Web lowers the Speed of grounded Pokemon', () => {
+  assert.equal(switchIn('Snorlax', [Side.STICKY_WEB]).pokemon.getStages().getStats().spe, -1);
+  assert.equal(switchIn('Charizard', [Side.STICKY_WEB]).pokemon.getStages().getStats().spe, 0);
+});
+
+test('Rapid Spin clears the hazards on the user\'s side and Defog clears both sides from Gen VI on', () => {
+  const field = new Field(Gen.IX);
+  const [user, target] = [new Pokemon('Starmie', undefined, Gen.IX), new Pokemon('Snorlax', undefined, Gen.IX)];
+  field.getSide(0).setActive(user);
+  field.getSide(1).setActive(target);
+
+  field.getSide(0).addHazard(Side.STEALTH_ROCK);
+  assert.deepEqual(field.rapidSpin(user), [Side.STEALTH_ROCK]);
+
+  field.getSide(0).addHazard(Side.SPIKES);
+  field.getSide(1).addHazard(Side.STICKY_WEB);
+  field.getSide(1).addCondition(Side.REFLECT);
+  assert.deepEqual(field.defog(user, target), [Side.REFLECT, Side.STICKY_WEB, Side.SPIKES]);
+  assert.deepEqual([...field.getSide(0).getHazards(), ...field.getSide(1).getHazards()], []);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, Status, VolatileStatus, getMove} = require('../play_pokemon.js');
+
+const make = (name, gen, options = {}) => new Pokemon(name, undefined, gen, undefined, undefined, options);
+
+/**
+ * Returns a Pokemon with the given status condition, and the HP that it loses at the end of each of the given number
+ * of turns.
+ */
+function residualDamage(gen, name, turns, pokemonName = 'Snorlax') {
+  const pokemon = make(pokemonName, gen);
+  pokemon.setStatus(new Status(name, gen));
+  const lost = [];
+  for (let turn = 0; turn < turns; turn++) {
+    const hp = pokemon.getCurrentHP();
+    pokemon.getStatus().onTurnEnd({pokemon});
+    lost.push(hp - pokemon.getCurrentHP());
+  }
+
+  return {pokemon, lost, maxHP: pokemon.getStats().hp};
+}
+
+test('sleep lasts for a number of turns that depends on the generation', () => {
+  assert.deepEqual(Status.getSleepRange(Gen.I), [1, 7]);
+  assert.deepEqual(Status.getSleepRange(Gen.II), [2, 7]);
+  assert.deepEqual(Status.getSleepRange(Gen.IV), [2, 5]);
+  assert.deepEqual(Status.getSleepRange(Gen.IX), [2, 4]);
+  assert.equal(Status.rollSleepTurns(Gen.IX, () => 0), 2);
+  assert.equal(Status.rollSleepTurns(Gen.IX, () => 0.999), 4);
+});
+
+test('Pokemon can only move on the turn they wake up from Gen II on', () => {
+  for (const [gen, movesOnWaking] of [[Gen.I, false], [Gen.II, true], [Gen.IX, true]]) {
+    const pokemon = make('Snorlax', gen);
+    pokemon.setStatus(new Status(Status.SLEEP, gen, {turns: 2}));
+
+    assert.equal(pokemon.getStatus().beforeMove({pokemon}), false);
+    assert.equal(pokemon.getStatus().beforeMove({pokemon}), movesOnWaking, `Gen ${gen.getName()}`);
+    assert.equal(pokemon.getStatus(), null);
+  }
+});
+
+test('burns deal 1/16 of the max HP in Gen I and from Gen VII on, and 1/8 in between', () => {
+  for (const [gen, fraction] of [[Gen.I, 16], [Gen.II, 8], [Gen.VI, 8], [Gen.VII, 16]]) {
+    const {lost, maxHP} = residualDamage(gen, Status.BURN, 1);
+    assert.deepEqual(lost, [Math.floor(maxHP / fraction)], `Gen ${gen.getName()}`);
+  }
+});
+
+test('bad poison deals more damage every turn until its counter resets on switching out', () => {
+  const {pokemon, lost, maxHP} = residualDamage(Gen.IX, Status.BADLY_POISONED, 3);
+  assert.deepEqual(lost, [1, 2, 3].map(n => Math.floor(maxHP * n / 16)));
+  assert.equal(pokemon.getStatus().getToxicCounter(), 4);
+
+  pokemon.getStatus().onSwitchOut({pokemon});
+  assert.equal(pokemon.getStatus().getName(), Status.BADLY_POISONED);
+  assert.equal(pokemon.getStatus().getToxicCounter(), 1);
+});
+
+test('bad poison turns into regular poison on switching out in Gens I and II', () => {
+  const {pokemon} = residualDamage(Gen.II, Status.BADLY_POISONED, 2);
+  pokemon.getStatus().onSwitchOut({pokemon});
+  assert.equal(pokemon.getStatus().getName(), Status.POISON);
+});
+
+test('types are immune to status conditions in the generations that they are', () => {
+  assert.equal(make('Pikachu', Gen.V).inflictStatus(Status.PARALYSIS), true);
+  assert.equal(make('Pikachu', Gen.VI).inflictStatus(Status.PARALYSIS), false);
+  assert.equal(make('Skarmory', Gen.II).inflictStatus(Status.BADLY_POISONED), false);
+  assert.equal(make('Snorlax', Gen.IX, {ability: 'Immunity'}).inflictStatus(Status.POISON), false);
+
+  const burned = make('Snorlax', Gen.IX);
+  assert.equal(burned.inflictStatus(Status.BURN), true);
+  assert.equal(burned.inflictStatus(Status.PARALYSIS), false);
+});
+
+test('paralysis cuts Speed to 1/4 before Gen VII and to 1/2 after', () => {
+  assert.equal(new Status(Status.PARALYSIS, Gen.VI).getSpeedMultiplier(), 0.25);
+  assert.equal(new Status(Status.PARALYSIS, Gen.VII).getSpeedMultiplier(), 0.5);
+});
+
+test('volatile status conditions last for a number of turns that depends on the generation', () => {
+  const turns = (name, gen) => [0, 0.999].map(roll => VolatileStatus.rollTurns(name, gen, () => roll));
+
+  assert.deepEqual(turns(VolatileStatus.CONFUSION, Gen.IX), [2, 5]);
+  assert.deepEqual(turns(VolatileStatus.TAUNT, Gen.III), [2, 2]);
+  assert.deepEqual(turns(VolatileStatus.TAUNT, Gen.IV), [3, 5]);
+  assert.deepEqual(turns(VolatileStatus.TAUNT, Gen.V), [3, 3]);
+  assert.deepEqual(turns(VolatileStatus.ENCORE, Gen.II), [2, 6]);
+  assert.deepEqual(turns(VolatileStatus.PARTIAL_TRAP, Gen.IV), [2, 5]);
+  assert.deepEqual(turns(VolatileStatus.PARTIAL_TRAP, Gen.V), [4, 5]);
+  assert.equal(VolatileStatus.rollTurns(VolatileStatus.LEECH_SEED, Gen.IX), Infinity);
+});
+
+test('volatile status conditions wear off once their turns run out', () => {
+  const pokemon = make('Snorlax', Gen.IX);
+  pokemon.addVolatileStatus(VolatileStatus.TAUNT, {turns: 2});
+  assert.equal(pokemon.getVolatileStatus(VolatileStatus.TAUNT).blocksMove(getMove('Curse')), true);
+  assert.equal(pokemon.getVolatileStatus(VolatileStatus.TAUNT).blocksMove(getMove('Tackle')), false);
+
+  pokemon.getVolatileStatus(VolatileStatus.TAUNT).onTurnEnd({pokemon});
+  assert.equal(pokemon.hasVolatileStatus(VolatileStatus.TAUNT), true);
+  pokemon.getVolatileStatus(VolatileStatus.TAUNT).onTurnEnd({pokemon});
+  assert.equal(pokemon.hasVolatileStatus(VolatileStatus.TAUNT), false);
+
+  pokemon.addVolatileStatus(VolatileStatus.FLINCH);
+  assert.equal(pokemon.getVolatileStatus(VolatileStatus.FLINCH).beforeMove({pokemon}), false);
+  assert.equal(pokemon.hasVolatileStatus(VolatileStatus.FLINCH), false);
+});
+
+test('a Substitute costs 1/4 of the max HP and takes damage in its place', () => {
+  const pokemon = make('Snorlax', Gen.IX);
+  const maxHP = pokemon.getStats().hp;
+  assert.equal(pokemon.addVolatileStatus(VolatileStatus.SUBSTITUTE), true);
+  assert.equal(pokemon.getCurrentHP(), maxHP - Math.floor(maxHP / 4));
+
+  const substitute = pokemon.getVolatileStatus(VolatileStatus.SUBSTITUTE);
+  assert.equal(substitute.absorb({pokemon, damage: 1000}), Math.floor(maxHP / 4));
+  assert.equal(pokemon.hasVolatileStatus(VolatileStatus.SUBSTITUTE), false);
+
+  pokemon.setCurrentHP(Math.floor(maxHP / 4));
+  assert.equal(pokemon.addVolatileStatus(VolatileStatus.SUBSTITUTE), false);
+});
+
+test('Leech Seed drains 1/16 of the max HP in Gen I and 1/8 after, and cannot seed Grass types', () => {
+  for (const [gen, fraction] of [[Gen.I, 16], [Gen.IX, 8]]) {
+    const [pokemon, source] = [make('Snorlax', gen), make('Venusaur', gen)];
+    source.setCurrentHP(1);
+    pokemon.addVolatileStatus(VolatileStatus.LEECH_SEED, {source});
+    pokemon.getVolatileStatus(VolatileStatus.LEECH_SEED).onTurnEnd({pokemon});
+
+    const drained = Math.floor(pokemon.getStats().hp / fraction);
+    assert.equal(pokemon.getStats().hp - pokemon.getCurrentHP(), drained, `Gen ${gen.getName()}`);
+    assert.equal(source.getCurrentHP(), 1 + drained, `Gen ${gen.getName()}`);
+  }
+
+  assert.equal(make('Venusaur', Gen.IX).addVolatileStatus(VolatileStatus.LEECH_SEED), false);
+});
+
+test('switching out clears volatile status conditions and stat stages', () => {
+  const pokemon = make('Snorlax', Gen.IX);
+  pokemon.addVolatileStatus(VolatileStatus.CONFUSION);
+  pokemon.addVolatileStatus(VolatileStatus.PARTIAL_TRAP);
+  pokemon.getStages().setAtkVal(2);
+  assert.equal(pokemon.isTrapped(), true);
+
+  pokemon.switchOut();
+  assert.deepEqual(pokemon.getVolatileStatuses(), []);
+  assert.equal(pokemon.getStages().getStats().atk, 0);
+  assert.equal(pokemon.isTrapped(), false);
+});
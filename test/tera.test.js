@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, EVs, IVs, Type, Side, GenerationError, getMove, calcDamage} = require('../play_pokemon.js');
+
+const make = (name, options = {}, gen = Gen.IX) => new Pokemon(name, undefined, gen, EVs.ZERO(), IVs.ZERO(),
+  {level: 100, ...options});
+
+/**
+ * Calculates the damage of a move from a Pokemon that has Terastallized into the given type, between two level 100
+ * Pokemon that have no EVs and no IVs, which is the spread that the reference values below were taken from.
+ */
+function calc(attacker, teraType, defender, move, options = {}) {
+  const pokemon = make(attacker, {teraType, ...options});
+  pokemon.terastallize();
+  return calcDamage(pokemon, make(defender), getMove(move)).damage;
+}
+
+test('Terastallizing into one of the original types raises STAB to 2x, and into a new type gives 1.5x', () => {
+  assert.deepEqual(calc('Garchomp', Type.GROUND, 'Heatran', 'Earthquake'), [704, 832]);
+  assert.deepEqual(calc('Garchomp', Type.WATER, 'Heatran', 'Surf'), [150, 176]);
+  assert.deepEqual(make('Garchomp', {teraType: Type.WATER}).terastallize().getTypes(), [Type.WATER, Type.TYPELESS]);
+});
+
+test('weak moves of the tera type have at least 60 power unless they have increased priority', () => {
+  assert.deepEqual(calc('Pikachu', Type.ELECTRIC, 'Gyarados', 'Thunder Shock'), [176, 216]);
+  assert.deepEqual(calc('Pikachu', Type.NORMAL, 'Snorlax', 'Quick Attack'), [37, 45]);
+});
+
+test('Adaptability raises the STAB of the tera type to 2.25x, or to 2x for a new type', () => {
+  const adaptability = {ability: 'Adaptability'};
+  assert.deepEqual(calc('Porygon-Z', Type.NORMAL, 'Snorlax', 'Tri Attack', adaptability), [160, 189]);
+  assert.deepEqual(calc('Porygon-Z', Type.ELECTRIC, 'Gyarados', 'Thunderbolt', adaptability), [696, 824]);
+});
+
+test('a Stellar tera type boosts each type of move once', () => {
+  const garchomp = make('Garchomp', {teraType: Type.STELLAR}).terastallize();
+  assert.deepEqual(garchomp.getTypes(), [Type.DRAGON, Type.GROUND]);
+  assert.deepEqual(calcDamage(garchomp, make('Heatran'), getMove('Earthquake')).damage, [704, 832]);
+
+  garchomp.useStellarBoost(Type.GROUND);
+  assert.deepEqual(calcDamage(garchomp, make('Heatran'), getMove('Earthquake')).damage, [528, 624]);
+});
+
+test('Terastallization is only available in Gen IX, once per battle', () => {
+  const side = new Side(Gen.IX);
+  make('Garchomp').terastallize(side);
+  assert.throws(() => make('Heatran').terastallize(side), RangeError);
+  assert.throws(() => make('Garchomp', {}, Gen.VIII).terastallize(), GenerationError);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, EVs, IVs, Terrain, Status, VolatileStatus, Item, GenerationError, getMove, calcDamage} =
+  require('../play_pokemon.js');
+
+const make = (name, gen, options = {}) => new Pokemon(name, undefined, gen, EVs.ZERO(), IVs.ZERO(),
+  {level: 100, ...options});
+
+/**
+ * Calculates the damage of a move on the given terrain between two level 100 Pokemon that have no EVs and no IVs,
+ * which is the spread that the reference values below were taken from.
+ */
+function calc(gen, attacker, defender, move, terrain) {
+  return calcDamage(make(attacker, gen), make(defender, gen), getMove(move), {terrain}).damage;
+}
+
+test('terrains last 5 turns, or 8 with a Terrain Extender, from the generation they were introduced in', () => {
+  assert.equal(Terrain.ELECTRIC.getDuration(Gen.VI), 5);
+  assert.equal(Terrain.GRASSY.getDuration(Gen.IX, {item: 'Terrain Extender'}), 8);
+  assert.equal(Terrain.PSYCHIC.isAvailable(Gen.VI), false);
+  assert.throws(() => Terrain.MISTY.getDuration(Gen.V), GenerationError);
+});
+
+test('terrains boost moves of their type by 1.5x until Gen VII and 1.3x after, and weaken others', () => {
+  assert.deepEqual(calc(Gen.VII, 'Pikachu', 'Gyarados', 'Thunderbolt', Terrain.ELECTRIC), [304, 360]);
+  assert.deepEqual(calc(Gen.IX, 'Pikachu', 'Gyarados', 'Thunderbolt', Terrain.ELECTRIC), [264, 312]);
+  assert.deepEqual(calc(Gen.IX, 'Garchomp', 'Heatran', 'Earthquake', Terrain.GRASSY), [268, 316]);
+
+  const context = {gen: Gen.IX, attacker: make('Garchomp', Gen.IX), move: getMove('Dragon Claw')};
+  const misty = defender => Terrain.MISTY.modifyPower({...context, defender: make(defender, Gen.IX),
+    moveType: context.move.getType()});
+  assert.equal(misty('Garchomp'), 0.5);
+  assert.equal(misty('Dragonite'), 1);
+});
+
+test('terrains only affect Pokemon on the ground', () => {
+  assert.equal(make('Snorlax', Gen.IX).isGrounded(), true);
+  assert.equal(make('Gyarados', Gen.IX).isGrounded(), false);
+  assert.equal(make('Gengar', Gen.VI, {ability: 'Levitate'}).isGrounded(), false);
+  assert.equal(make('Snorlax', Gen.IX, {item: Item.get('Air Balloon')}).isGrounded(), false);
+  assert.equal(make('Gyarados', Gen.IX, {item: Item.get('Iron Ball')}).isGrounded(), true);
+});
+
+test('Electric and Misty Terrain prevent status conditions', () => {
+  const inflict = (name, terrain, pokemon = 'Snorlax') => make(pokemon, Gen.IX).inflictStatus(name, {terrain});
+
+  assert.equal(inflict(Status.SLEEP, Terrain.ELECTRIC), false);
+  assert.equal(inflict(Status.BURN, Terrain.ELECTRIC), true);
+  assert.equal(inflict(Status.BURN, Terrain.MISTY), false);
+  assert.equal(inflict(Status.BURN, Terrain.MISTY, 'Gyarados'), true);
+  assert.equal(make('Snorlax', Gen.IX).addVolatileStatus(VolatileStatus.CONFUSION, {terrain: Terrain.MISTY}), false);
+});
+
+test('Gravity lets terrains protect Pokemon that are not grounded otherwise', () => {
+  const gyarados = make('Gyarados', Gen.IX);
+  assert.equal(Terrain.MISTY.preventsStatus(gyarados, Status.BURN), false);
+  assert.equal(Terrain.MISTY.preventsStatus(gyarados, Status.BURN, {gravity: true}), true);
+  assert.equal(gyarados.inflictStatus(Status.BURN, {terrain: Terrain.MISTY, gravity: true}), false);
+  assert.equal(gyarados.addVolatileStatus(VolatileStatus.CONFUSION, {terrain: Terrain.MISTY, gravity: true}), false);
+});
+
+test('Psychic Terrain blocks priority moves against grounded Pokemon', () => {
+  const [user, target] = [make('Lucario', Gen.IX), make('Snorlax', Gen.IX)];
+  const blocks = (move, target) => Terrain.PSYCHIC.blocksMove({gen: Gen.IX, move: getMove(move), user, target});
+
+  assert.equal(blocks('Extreme Speed', target), true);
+  assert.equal(blocks('Close Combat', target), false);
+  assert.equal(blocks('Extreme Speed', make('Gyarados', Gen.IX)), false);
+});
+
+test('Grassy Terrain restores 1/16 of the max HP of grounded Pokemon', () => {
+  const pokemon = make('Snorlax', Gen.IX);
+  pokemon.setCurrentHP(1);
+  Terrain.GRASSY.onTurnEnd({pokemon});
+  assert.equal(pokemon.getCurrentHP(), 1 + Math.floor(pokemon.getStats().hp / 16));
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, Battle, Field, Item, getMove, resolveTurnOrder} = require('../play_pokemon.js');
+
+const make = (name, options = {}) => new Pokemon(name, undefined, Gen.IX, undefined, undefined,
+  {level: 50, ...options});
+const tackle = side => ({type: Battle.MOVE, side, move: getMove('Tackle')});
+
+/**
+ * Returns a slow Pokemon in its Custap Berry's HP range, which lets it move before a faster one.
+ */
+function custapHolder() {
+  const pokemon = make('Snorlax', {item: Item.get('Custap Berry'), moves: [getMove('Tackle')]});
+  pokemon.setCurrentHP(Math.floor(pokemon.getStats().hp / 4));
+  return pokemon;
+}
+
+test('the Custap Berry moves its holder first without being used up by the turn order', () => {
+  const [snorlax, jolteon] = [custapHolder(), make('Jolteon')];
+  const field = new Field(Gen.IX);
+  field.getSide(0).setActive(snorlax);
+  field.getSide(1).setActive(jolteon);
+
+  const order = resolveTurnOrder([tackle(1), tackle(0)], field, () => 0.5);
+  assert.deepEqual(order.map(({side}) => side), [0, 1]);
+  assert.equal(order[0].orderItem, Item.get('Custap Berry'));
+  assert.equal(order[1].orderItem, null);
+  assert.equal(snorlax.getItem(), Item.get('Custap Berry'));
+});
+
+test('the Custap Berry is used up when its holder moves', () => {
+  const snorlax = custapHolder();
+  const battle = new Battle([snorlax], [make('Jolteon', {moves: [getMove('Tackle')]})], {random: () => 0.5});
+  for (const side of [0, 1])
+    battle.chooseAction(side, {type: Battle.MOVE, move: getMove('Tackle')});
+
+  const lines = ["Snorlax's Custap Berry let it move first!", 'Snorlax used Tackle!', 'Jolteon used Tackle!'];
+  const at = lines.map(line => battle.getLog().indexOf(line));
+  assert.ok(at[0] >= 0 && at[0] < at[1] && at[1] < at[2], battle.getLog().join('\n'));
+  assert.equal(snorlax.getItem(), null);
+});
+
+test('each Pokemon in a Double Battle acts at its own Speed', () => {
+  const field = new Field(Gen.IX, {isDoubleBattle: true});
+  field.getSide(0).setActive(make('Snorlax')).setActive(make('Jolteon'), 1);
+  field.getSide(1).setActive(make('Garchomp')).setActive(make('Shuckle'), 1);
+
+  const actions = [tackle(0), {...tackle(0), slot: 1}, tackle(1), {...tackle(1), slot: 1}];
+  const order = resolveTurnOrder(actions, field, () => 0.5);
+  assert.deepEqual(order.map(({side, slot = 0}) => [side, slot]), [[0, 1], [1, 0], [0, 0], [1, 1]]);
+});
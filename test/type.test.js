@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Type, Gen} = require('../play_pokemon.js');
+
+const TYPES = ['NORMAL', 'FIRE', 'WATER', 'ELECTRIC', 'GRASS', 'ICE', 'FIGHTING', 'POISON', 'GROUND', 'FLYING',
+  'PSYCHIC', 'BUG', 'ROCK', 'GHOST', 'DRAGON', 'DARK', 'STEEL', 'FAIRY'];
+
+/**
+ * The canonical type chart from Gen VI onward. Each row is an attacking type and each column a defending type, in the
+ * order of `TYPES`: 0 is no effect, h is not very effective, 1 is neutral, and 2 is super effective.
+ */
+const CHART = [
+  '1 1 1 1 1 1 1 1 1 1 1 1 h 0 1 1 h 1',
+  '1 h h 1 2 2 1 1 1 1 1 2 h 1 h 1 2 1',
+  '1 2 h 1 h 1 1 1 2 1 1 1 2 1 h 1 1 1',
+  '1 1 2 h h 1 1 1 0 2 1 1 1 1 h 1 1 1',
+  '1 h 2 1 h 1 1 h 2 h 1 h 2 1 h 1 h 1',
+  '1 h h 1 2 h 1 1 2 2 1 1 1 1 2 1 h 1',
+  '2 1 1 1 1 2 1 h 1 h h h 2 0 1 2 2 h',
+  '1 1 1 1 2 1 1 h h 1 1 1 h h 1 1 0 2',
+  '1 2 1 2 h 1 1 2 1 0 1 h 2 1 1 1 2 1',
+  '1 1 1 h 2 1 2 1 1 1 1 2 h 1 1 1 h 1',
+  '1 1 1 1 1 1 2 2 1 1 h 1 1 1 1 0 h 1',
+  '1 h 1 1 2 1 h h 1 h 2 1 1 h 1 2 h h',
+  '1 2 1 1 1 2 h 1 h 2 1 2 1 1 1 1 h 1',
+  '0 1 1 1 1 1 1 1 1 1 2 1 1 2 1 h 1 1',
+  '1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 h 0',
+  '1 1 1 1 1 1 h 1 1 1 2 1 1 2 1 h 1 h',
+  '1 h h h 1 2 1 1 1 1 1 1 2 1 1 1 h 2',
+  '1 h 1 1 1 1 2 h 1 1 1 1 1 1 2 2 h 1'
+].map(row => row.split(' ').map(cell => cell === 'h' ? 0.5 : Number(cell)));
+
+/**
+ * The effectiveness of an attacking type against a defending type in Gens II to V, which have no Fairy type and where
+ * Steel also resists Ghost and Dark.
+ */
+function genIItoVEffectiveness(attacker, defender) {
+  if (defender === 'STEEL' && ['GHOST', 'DARK'].includes(attacker))
+    return 0.5;
+
+  return CHART[TYPES.indexOf(attacker)][TYPES.indexOf(defender)];
+}
+
+test('the Gen VI+ type chart matches the canonical chart', () => {
+  for (const [i, attacker] of TYPES.entries()) {
+    for (const [j, defender] of TYPES.entries())
+      assert.equal(Type[attacker].attack(Gen.IX, Type[defender]), CHART[i][j], `${attacker} vs. ${defender}`);
+  }
+});
+
+test('the Gens II-V type chart matches the canonical chart', () => {
+  const types = TYPES.filter(type => type !== 'FAIRY');
+  for (const gen of [Gen.II, Gen.V]) {
+    for (const attacker of types) {
+      for (const defender of types) {
+        assert.equal(Type[attacker].attack(gen, Type[defender]), genIItoVEffectiveness(attacker, defender),
+          `${attacker} vs. ${defender} in Gen ${gen.getName()}`);
+      }
+    }
+  }
+});
+
+test('effectiveness against two types is multiplied', () => {
+  assert.equal(Type.ROCK.attack(Gen.IX, Type.FIRE, Type.FLYING), 4);
+  assert.equal(Type.ROCK.attack(Gen.IX, Type.STEEL, Type.GROUND), 0.25);
+  assert.equal(Type.ELECTRIC.attack(Gen.IX, Type.WATER, Type.GROUND), 0);
+  assert.equal(Type.DRAGON.attack(Gen.IX, Type.FIRE, Type.STEEL), 0.5);
+});
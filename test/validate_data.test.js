@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {validateData} = require('../play_pokemon.js');
+
+/**
+ * Returns a small set of data files that are all valid, for the tests below to break.
+ */
+function validData() {
+  const bulbasaur = {pkdxNum: 1, types: ['GRASS', 'POISON'], hp: 45, atk: 49, def: 49, 'sp.atk': 65, 'sp.def': 65,
+    spe: 45};
+
+  return {
+    pokedex: {Bulbasaur: {...bulbasaur, abilities: ['Overgrow', 'Chlorophyll']}},
+    basePokedex: {Bulbasaur: bulbasaur},
+    abilities: {Bulbasaur: {pkdxNum: 1, abilities: ['Overgrow', 'Chlorophyll']}},
+    movedex: {
+      Tackle: {type: 'Normal', category: 'Physical', pp: 35, power: 40, accuracy: 100, gen: 'I', priority: 0,
+        contact: true},
+      Swift: {type: 'Normal', category: 'Special', pp: 20, power: 60, accuracy: '—', gen: 'I', priority: 0,
+        contact: false}
+    },
+    dexHistory: {introductions: {I: 151}, changes: {}, genISpecial: {Bulbasaur: 65}, availability: {}},
+    moveHistory: {Tackle: [{gens: 'I-IV', power: 35, accuracy: 95}]},
+    formChanges: {},
+    evolutions: {Bulbasaur: 'I+'}
+  };
+}
+
+test('the data files are valid', () => {
+  assert.deepEqual(validateData(), []);
+  assert.deepEqual(validateData(validData()), []);
+});
+
+test('every kind of problem in the data is reported', () => {
+  const data = validData();
+  data.pokedex.Bulbasaur.types = ['GRASS', 'GRASS'];
+  data.pokedex.Bulbasaur.spe = 0;
+  data.pokedex.Bulbasaur.abilities.push('Thick Fat');
+  data.pokedex.Ivysaur = {...data.basePokedex.Bulbasaur, pkdxNum: 2, abilities: ['Overgrow']};
+  data.basePokedex.Bulbasaur.hp = '45';
+  data.movedex.Tackle.accuracy = '—%';
+  data.movedex.Tackle.category = 'Other';
+  data.movedex.Swift.power = 0;
+  data.dexHistory.changes.Missingno = [{gens: 'Z', hp: 33}];
+  data.moveHistory.Tackle[0].power = 300;
+  data.evolutions.Bulbasaur = 'I--';
+
+  assert.deepEqual(validateData(data), [
+    'pokedex.json: Bulbasaur: base hp must be a whole number from 1 to 255, got "45"',
+    'm_pokedex.json: Bulbasaur: type GRASS is listed twice',
+    'm_pokedex.json: Bulbasaur: base spe must be a whole number from 1 to 255, got 0',
+    'm_pokedex.json: Bulbasaur: ability "Thick Fat" is not listed in abilities.json',
+    'm_pokedex.json: Ivysaur: is not in pokedex.json',
+    'm_pokedex.json: Ivysaur: is not in abilities.json',
+    'dex_history.json: Missingno: is not in the pokedex',
+    'dex_history.json: Missingno: "Z" is not a generation range',
+    'evolutions.json: Bulbasaur: "I--" is not a generation range',
+    'moves.json: Tackle: category "Other" must be one of Physical, Special, Status, ???',
+    'moves.json: Tackle: accuracy must be a whole number from 1 to 100 or "—", got "—%"',
+    'moves.json: Swift: power must be a whole number from 1 to 250 or "—", got 0',
+    'move_history.json: Tackle: power must be a whole number from 1 to 250, got 300'
+  ]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, EVs, IVs, StatExp, DVs, Weather, Item, GenerationError, getMove, calcDamage} =
+  require('../play_pokemon.js');
+
+/**
+ * Returns a level 100 Pokemon that has no EVs and no IVs (or no Stat Experience and no DVs in Gens I and II).
+ */
+function make(name, gen, options = {}) {
+  const [evs, ivs] = gen.match('I-II') ? [StatExp.ZERO(), DVs.ZERO()] : [EVs.ZERO(), IVs.ZERO()];
+  return new Pokemon(name, undefined, gen, evs, ivs, {level: 100, ...options});
+}
+
+/**
+ * Calculates the damage of a move in the given weather between two Pokemon with the spread that the reference values
+ * below were taken from.
+ */
+function calc(gen, attacker, defender, move, weather) {
+  return calcDamage(make(attacker, gen), make(defender, gen), getMove(move), {weather}).damage;
+}
+
+test('weather lasts 5 turns, 8 with its rock, and forever when set by an ability before Gen VI', () => {
+  assert.equal(Weather.RAIN.getDuration(Gen.IX), 5);
+  assert.equal(Weather.RAIN.getDuration(Gen.IX, {item: 'Damp Rock'}), 8);
+  assert.equal(Weather.RAIN.getDuration(Gen.III, {item: 'Damp Rock'}), 5);
+  assert.equal(Weather.RAIN.getDuration(Gen.V, {fromAbility: true}), Infinity);
+  assert.equal(Weather.RAIN.getDuration(Gen.VI, {fromAbility: true}), 5);
+  assert.equal(Weather.STRONG_WINDS.getDuration(Gen.IX), Infinity);
+});
+
+test('weather is only available in the generations that have it', () => {
+  assert.equal(Weather.HAIL.isAvailable(Gen.VIII), true);
+  assert.equal(Weather.HAIL.isAvailable(Gen.IX), false);
+  assert.equal(Weather.SNOW.isAvailable(Gen.IX), true);
+  assert.throws(() => Weather.SNOW.getDuration(Gen.VIII), GenerationError);
+});
+
+test('weather boosts and weakens moves and the stats of some types', () => {
+  const cases = [
+    [Gen.IX, 'Starmie', 'Tyranitar', 'Surf', Weather.NONE, [194, 230]],
+    [Gen.IX, 'Starmie', 'Tyranitar', 'Surf', Weather.RAIN, [290, 344]],
+    [Gen.IX, 'Starmie', 'Tyranitar', 'Surf', Weather.HARSH_SUN, [96, 114]],
+    [Gen.III, 'Starmie', 'Tyranitar', 'Surf', Weather.SANDSTORM, [205, 242]],
+    [Gen.IX, 'Starmie', 'Tyranitar', 'Surf', Weather.SANDSTORM, [132, 156]],
+    [Gen.IX, 'Garchomp', 'Glalie', 'Earthquake', Weather.SNOW, [117, 138]]
+  ];
+
+  for (const [gen, attacker, defender, move, weather, damage] of cases)
+    assert.deepEqual(calc(gen, attacker, defender, move, weather), damage, `${move} in ${weather.getName()}`);
+});
+
+test('sandstorm deals 1/8 of the max HP in Gen II and 1/16 after, except to some types and abilities', () => {
+  const chip = (name, gen, options) => {
+    const pokemon = make(name, gen, options);
+    Weather.SANDSTORM.onTurnEnd({pokemon});
+    return pokemon.getStats().hp - pokemon.getCurrentHP();
+  };
+
+  assert.equal(chip('Snorlax', Gen.II), Math.floor(make('Snorlax', Gen.II).getStats().hp / 8));
+  assert.equal(chip('Snorlax', Gen.IX), Math.floor(make('Snorlax', Gen.IX).getStats().hp / 16));
+  assert.equal(chip('Tyranitar', Gen.IX), 0);
+  assert.equal(chip('Snorlax', Gen.IX, {ability: 'Overcoat'}), 0);
+  assert.equal(chip('Snorlax', Gen.IX, {item: Item.get('Safety Goggles')}), 0);
+});
+
+test('weather changes the accuracy of Thunder and Blizzard', () => {
+  assert.equal(Weather.RAIN.modifyAccuracy(Gen.IX, getMove('Thunder'), 70), Infinity);
+  assert.equal(Weather.HARSH_SUN.modifyAccuracy(Gen.IX, getMove('Thunder'), 70), 50);
+  assert.equal(Weather.HAIL.modifyAccuracy(Gen.III, getMove('Blizzard'), 70), 70);
+  assert.equal(Weather.HAIL.modifyAccuracy(Gen.IV, getMove('Blizzard'), 70), Infinity);
+  assert.equal(Weather.FOG.modifyAccuracy(Gen.IV, getMove('Tackle'), 100), 60);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Pokemon, Gen, Item, Side, Form, GenerationError, getMove, applyZMoveEffects} = require('../play_pokemon.js');
+
+const make = (name, item, gen = Gen.VII, moves = []) => new Pokemon(name, undefined, gen, undefined, undefined,
+  {item: item && Item.get(item), moves: moves.map(getMove)});
+
+test('Z-Moves take their power from the base move', () => {
+  const zMove = name => getMove(name).toZMove(make('Mew'));
+
+  assert.deepEqual([zMove('Thunderbolt').getName(), zMove('Thunderbolt').getPower()], ['Gigavolt Havoc', 175]);
+  assert.equal(zMove('Tackle').getPower(), 100);
+  assert.equal(zMove('Earthquake').getPower(), 180);
+  assert.equal(zMove('Hyper Beam').getPower(), 200);
+  assert.equal(zMove('Low Kick').getPower(), 160);
+  assert.equal(zMove('Thunderbolt').isZMove(), true);
+});
+
+test('signature moves become the exclusive Z-Move of their Z-Crystal', () => {
+  assert.equal(getMove('Volt Tackle').toZMove(make('Pikachu', 'Pikanium Z')).getName(), 'Catastropika');
+  assert.equal(getMove('Volt Tackle').toZMove(make('Raichu', 'Pikanium Z')).getName(), 'Gigavolt Havoc');
+});
+
+test('Z-Moves need a matching Z-Crystal, are only available in Gen VII, and can be used once per battle', () => {
+  const side = new Side(Gen.VII);
+  const thunderbolt = getMove('Thunderbolt');
+  const pikachu = item => make('Pikachu', item, Gen.VII, ['Thunderbolt']);
+
+  assert.throws(() => pikachu('Firium Z').useZMove(thunderbolt, side), RangeError);
+  assert.throws(() => make('Pikachu', 'Electrium Z').useZMove(thunderbolt, side), RangeError);
+  assert.equal(pikachu('Electrium Z').useZMove(thunderbolt, side).getName(), 'Gigavolt Havoc');
+  assert.throws(() => pikachu('Electrium Z').useZMove(thunderbolt, side),
+    {name: 'RangeError', message: 'Z-Moves can only be used once per battle.'});
+  assert.throws(() => make('Pikachu', null, Gen.VIII).useZMove(thunderbolt), GenerationError);
+});
+
+test('status moves used as Z-Moves apply their Z-Effect', () => {
+  const magikarp = make('Magikarp');
+  applyZMoveEffects(getMove('Splash').toZMove(magikarp), magikarp);
+  assert.equal(magikarp.getStages().getAtkVal(), 3);
+});
+
+test('Mega Evolution needs the Mega Stone, is only available in Gens VI and VII, and can be used once', () => {
+  const side = new Side(Gen.VI);
+  const charizard = make('Charizard', 'Charizardite X', Gen.VI).megaEvolve(side);
+  assert.equal(charizard.getForm().getKind(), Form.MEGA);
+
+  assert.throws(() => make('Venusaur', 'Venusaurite', Gen.VI).megaEvolve(side),
+    {name: 'RangeError', message: 'Mega Evolution can only be used once per battle.'});
+  assert.throws(() => make('Charizard', null, Gen.VI).megaEvolve(), RangeError);
+  assert.throws(() => make('Charizard', null, Gen.VIII).megaEvolve(), GenerationError);
+});
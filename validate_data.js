@@ -0,0 +1,19 @@
+const { validateData } = require('./play_pokemon.js');
+
+/**
+ * Check every data file and print each problem found. Exits with a non-zero code if there were any, so that bad data
+ * can be caught before it is committed.
+ */
+function main() {
+  const errors = validateData();
+  for (const error of errors) console.error(error);
+
+  if (errors.length > 0) {
+    console.error(`Found ${errors.length} problem${errors.length === 1 ? '' : 's'} in the data files.`);
+    process.exitCode = 1;
+  } else {
+    console.log('All data files are valid.');
+  }
+}
+
+main();